@@ -6,29 +6,59 @@
 
 import { loadLocalConfig, flag } from './config/featureFlags.js';
 import { initRouter } from './router.js';
-import { getState, setState, batchUpdate, subscribe, addBanner } from './state.js';
+import {
+  getState, setState, batchUpdate, subscribe, addBanner, dismissBanner, syncFiltersToURL, currentView, applyView
+} from './state.js';
 import {
   renderPage, renderFilters, renderBanners, renderKPIs, renderProvenance,
-  renderConcentrationMetrics, renderDiagnostics, showLoading, hideLoading
+  renderConcentrationMetrics, renderCompositionBreadcrumb, renderDiagnostics, renderHWParams,
+  renderBacktestControls, renderBacktestTable, renderRegressionControls, renderRegressionTable,
+  renderGravitySummary, renderGravityTable, renderScenarioForm, renderScenarioInputs, renderScenarioImpact,
+  renderScenarioList, renderScenarioComparison, renderTradeIndexControls, renderTradeIndexTable,
+  renderCorrelationControls, renderGrangerTable, renderBreakControls, renderBreaksTable, renderBreakNote,
+  renderMirrorControls, renderMirrorSummary, renderMirrorProducts, renderEventControls, renderEventTimeline,
+  renderWorkspaceSidebar, renderWitsQueryBuilder, renderWitsQuerySummary, renderWitsQueryResults, renderSourceHealth, renderSourceReconciliation, renderCacheInspector,
+  showLoading, hideLoading
 } from './ui.js';
 import {
   renderOverviewChart, renderBalanceChart, renderCompositionTreemap,
   renderRankShiftChart, renderTariffChart, renderGDPChart, renderFXChart,
-  renderCorrelationChart, renderForecastChart, renderRegressionChart,
+  renderCorrelationChart, renderCCFChart, renderRollingCorrelationChart, renderForecastChart, renderRegressionChart, renderBacktestChart, renderGravityChart,
+  renderScenarioChart, renderScenarioCompareChart, renderTradeIndexChart, renderMirrorChart,
+  renderBreakAnnotations, renderCusumChart, renderEventOverlay,
   wireExportButtons, disposeAll
 } from './charts.js';
-import { fetchWitsData, normaliseWitsResponse } from './services/wits.js';
-import { fetchIndicator, normaliseWBIndicator } from './services/worldbank.js';
-import { fetchFXSeries, normaliseFXSeries } from './services/fx.js';
-import { isComtradeAvailable } from './services/comtrade.js';
+import { QueryPlanner, TRADESTATS_DSD, fetchWitsData, normaliseWitsResults, sdmxDataUrl, sdmxDataflow } from './services/wits.js';
+import { witsCodelists, loadWitsCodelists, codeName } from './services/witsMetadata.js';
+import { isComtradeAvailable, fetchComtradeHS4, normaliseComtradeData } from './services/comtrade.js';
+import { getSource, enabledSources, isSourceEnabled, refreshSource, sourceHealth, sourcePrecedence } from './services/sources/registry.js';
 import { validateBatch } from './services/validators.js';
 import {
-  aggregateByYear, computeYoY, computeBalance, computeCAGR,
-  computeHHI, computeTopNShare, computeEntropy,
-  annualiseFX, pearsonCorrelation
+  GRAVITY_TERMS, gravityObservations, gravitySampleYear, buildGravityDesign, pairCovariates
+} from './services/gravity.js';
+import {
+  aggregateByYear, aggregateByPeriod, shiftPeriod, computeYoY, computeBalance, computeCAGR,
+  computeHHI, computeTopNShare, computeEntropy, computeTradeIndices,
+  DEFAULT_CIF_FOB_FACTOR, computeMirrorGaps, flagPersistentAsymmetries, preferSources, reconcileSources, isFallbackRow,
+  buildProductHierarchy, findProductNode, PRODUCT_DRILL_LEVELS,
+  pearsonCorrelation, alignSeries, crossCorrelation, rollingCorrelation, latestConsecutiveRun,
+  SERIES_TRANSFORMS, listMacroSeries, annualMacroSeries, transformAnnualSeries, describeTerm, buildRegressionDesign
 } from './services/transformers.js';
 import { errorToBanner, logError } from './services/errors.js';
-import { WORLDBANK } from './config/endpoints.js';
+import { listPersistent } from './services/cache.js';
+import { exportDatasetCSV } from './services/exporters.js';
+import { projectScenario } from './services/modeling.js';
+import { DEFAULT_EVENT_FILTER, filterEvents } from './services/events.js';
+import { SHARED_UI_KEYS } from './services/urlState.js';
+import {
+  listWorkspaces, saveWorkspace, renameWorkspace, deleteWorkspace, workspaceView, exportWorkspacesJSON, importWorkspaces
+} from './services/workspaces.js';
+import { createConverter, convertTradeRows, setDisplayUnit, displayUnit } from './services/units.js';
+import {
+  defaultScenarioParams, listScenarios, saveScenario, deleteScenario, exportScenariosCSV, exportScenariosJSON
+} from './services/scenarios.js';
+import { WITS } from './config/endpoints.js';
+import { getCountry, countryName, countryForWits, pairLabel, pairCurrencies, hasFXRates } from './config/countries.js';
 
 // ── Bootstrap ────────────────────────────────────────────────
 async function init() {
@@ -46,47 +76,124 @@ async function init() {
 
   // Subscribe to filter changes for cross-filtering
   subscribe('filters.flow', () => refreshCurrentPage());
-  subscribe('filters.reporter', () => refreshCurrentPage());
-  subscribe('filters.partner', () => refreshCurrentPage());
+  subscribe('filters.reporter', () => onPairChange());
+  subscribe('filters.partner', () => onPairChange());
   subscribe('filters.yearStart', () => refreshCurrentPage());
   subscribe('filters.yearEnd', () => refreshCurrentPage());
-  subscribe('filters.frequency', () => refreshCurrentPage());
+  subscribe('filters.frequency', () => onFrequencyChange());
   subscribe('ui.mirrorMode', () => refreshCurrentPage());
+  subscribe('filters.units', () => { renderFilters(); refreshCurrentPage(); });
+  subscribe('filters.deflator', () => refreshCurrentPage());
+  subscribe('filters.baseYear', () => refreshCurrentPage());
+  subscribe('ui.eventFilter', () => updateEvents());
+  // View settings re-render their own panels; keep the address bar shareable without a reload
+  for (const key of SHARED_UI_KEYS) subscribe(`ui.${key}`, () => syncFiltersToURL({ replace: true }));
+
+  setupWorkspaces();
+  registerServiceWorker();
+  watchConnectivity();
 
   // Attempt live refresh in background (non-blocking)
-  if (flag('liveRefresh')) {
+  if (flag('liveRefresh') && navigator.onLine) {
     setTimeout(() => attemptLiveRefresh(), 300);
   }
 }
 
+// ── Offline mode ─────────────────────────────────────────────
+async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !flag('offlineMode')) return;
+  try {
+    // Versioned script URL: a schema bump installs a fresh precache
+    const { version } = await fetch('./assets/data/schema_version.json').then(r => r.json());
+    await navigator.serviceWorker.register(`./sw.js?v=${encodeURIComponent(version)}`);
+  } catch (err) {
+    logError(err);
+  }
+}
+
+let _offlineBannerId = null;
+
+function watchConnectivity() {
+  const update = () => {
+    if (!navigator.onLine) {
+      if (!_offlineBannerId) {
+        _offlineBannerId = addBanner({ level: 'warn', text: offlineBannerText(), dismissible: true });
+      }
+    } else if (_offlineBannerId) {
+      dismissBanner(_offlineBannerId);
+      _offlineBannerId = null;
+      if (flag('liveRefresh')) attemptLiveRefresh();
+    }
+  };
+  window.addEventListener('online', update);
+  window.addEventListener('offline', update);
+  update();
+}
+
+function offlineBannerText() {
+  const ts = getState().ui.snapshotRetrievedAt;
+  if (!ts) return 'You are offline. Showing cached data.';
+  const days = Math.floor((Date.now() - Date.parse(ts)) / (24 * 60 * 60 * 1000));
+  return `You are offline. Showing snapshot data retrieved ${ts.slice(0, 10)} (${days} day${days === 1 ? '' : 's'} old).`;
+}
+
 // ── Snapshot loading ─────────────────────────────────────────
 async function loadSnapshots() {
   try {
-    const [tradeResp, compResp, gdpResp, fxResp, tariffResp] = await Promise.allSettled([
+    const [tradeResp, monthlyResp, compResp, compWorldResp, mirrorResp, gdpResp, fxResp, tariffResp] = await Promise.allSettled([
       fetch('./assets/data/processed/trade_annual.json').then(r => r.json()),
+      fetch('./assets/data/processed/trade_monthly.json').then(r => r.json()),
       fetch('./assets/data/processed/trade_composition.json').then(r => r.json()),
+      fetch('./assets/data/processed/trade_composition_world.json').then(r => r.json()),
+      fetch('./assets/data/processed/trade_mirror.json').then(r => r.json()),
       fetch('./assets/data/processed/macro_gdp.json').then(r => r.json()),
       fetch('./assets/data/processed/fx_series.json').then(r => r.json()),
       fetch('./assets/data/processed/tariff_indicators.json').then(r => r.json()),
     ]);
 
+    const retrievedAt = [tradeResp, monthlyResp, compResp, gdpResp, fxResp, tariffResp]
+      .map(r => r.status === 'fulfilled' ? r.value._meta?.retrieval_ts : null)
+      .filter(Boolean)
+      .sort()
+      .pop() || null;
+
     const tradeFacts = tradeResp.status === 'fulfilled' ? (tradeResp.value.data || []) : [];
+    const monthlyFacts = monthlyResp.status === 'fulfilled' ? (monthlyResp.value.data || []) : [];
     const compFacts = compResp.status === 'fulfilled' ? (compResp.value.data || []) : [];
+    const compWorldFacts = compWorldResp.status === 'fulfilled' ? (compWorldResp.value.data || []) : [];
+    const mirrorFacts = mirrorResp.status === 'fulfilled' ? (mirrorResp.value.data || []) : [];
     const gdpFacts = gdpResp.status === 'fulfilled' ? (gdpResp.value.data || []) : [];
     const fxFacts = fxResp.status === 'fulfilled' ? (fxResp.value.data || []) : [];
     const tariffFacts = tariffResp.status === 'fulfilled' ? (tariffResp.value.data || []) : [];
 
-    const validTrade = [...tradeFacts, ...compFacts].filter(r => r.value_usd !== null);
+    const validTrade = [...tradeFacts, ...monthlyFacts, ...compFacts, ...compWorldFacts, ...mirrorFacts].filter(r => r.value_usd !== null);
     const validMacro = [...gdpFacts, ...fxFacts, ...tariffFacts].filter(r => r.value !== null);
 
+    const [gravityResp, covariatesResp, eventsResp] = await Promise.allSettled([
+      fetch('./assets/data/processed/gravity_sample.json').then(r => r.json()),
+      fetch('./assets/data/gravity_covariates.json').then(r => r.json()),
+      fetch('./assets/data/events.json').then(r => r.json()),
+    ]);
+
+    // events.json is hand-edited: skip malformed entries rather than the whole file
+    const { valid: events, totalInvalid: invalidEvents } = validateBatch(
+      eventsResp.status === 'fulfilled' ? (eventsResp.value.events || []) : [], 'event');
+    if (invalidEvents > 0) {
+      addBanner({ level: 'warn', key: 'events-invalid', text: `${invalidEvents} event${invalidEvents === 1 ? '' : 's'} in events.json failed validation and ${invalidEvents === 1 ? 'is' : 'are'} not shown (see console).`, dismissible: true });
+    }
+
     batchUpdate({
       tradeFacts: validTrade,
       macroFacts: validMacro,
+      gravitySample: gravityResp.status === 'fulfilled' ? (gravityResp.value.data || []) : [],
+      gravityCovariates: covariatesResp.status === 'fulfilled' ? covariatesResp.value : null,
+      events,
       'ui.snapshotMode': true,
+      'ui.snapshotRetrievedAt': retrievedAt,
     });
 
-    if (validMacro.length > 0 || validTrade.length > 0) {
-      addBanner({ level: 'info', text: `Loaded WITS trade data (${validTrade.length} trade, ${validMacro.length} macro records). Live refresh starting...`, dismissible: true });
+    if ((validMacro.length > 0 || validTrade.length > 0) && navigator.onLine) {
+      addBanner({ level: 'info', key: 'snapshot-loaded', text: `Loaded WITS trade data (${validTrade.length} trade, ${validMacro.length} macro records). Live refresh starting...`, dismissible: true });
     }
   } catch (err) {
     logError(err);
@@ -94,18 +201,12 @@ async function loadSnapshots() {
 }
 
 // ── Live data refresh ────────────────────────────────────────
+// Sources are adapters in services/sources/; the sources.<id> flags switch them off
 async function attemptLiveRefresh() {
   showLoading('Fetching live data...');
 
-  // Refresh sources that support CORS (World Bank, Frankfurter)
-  // WITS typically blocks CORS from browsers — handled gracefully
-  const tasks = [
-    refreshMacroData(),
-    refreshFXData(),
-    refreshTradeData(),
-  ];
-
-  const results = await Promise.allSettled(tasks);
+  const context = sourceContext();
+  const results = await Promise.allSettled(enabledSources(context).map(source => refreshFromSource(source, context)));
 
   let anySuccess = false;
   for (const r of results) {
@@ -125,95 +226,62 @@ async function attemptLiveRefresh() {
   }
 
   hideLoading();
+  renderFilters(); // a source may have brought the first monthly rows
   refreshCurrentPage();
 }
 
-async function refreshTradeData() {
-  try {
-    const results = await fetchWitsData('tradestats-trade', {
-      reporter: 'IND',
-      year: 'all',
-      partner: 'CHN',
-      product: '999999',
-      indicator: 'all',
-    }, [2000, 2024]);
-
-    const allRows = [];
-    for (const r of results) {
-      if (r.status === 'ok' && r.data) {
-        const normalised = normaliseWitsResponse(r.data, 'tradestats-trade', r.url);
-        allRows.push(...normalised);
-      }
-    }
-
-    if (allRows.length > 0) {
-      const { valid } = validateBatch(allRows, 'trade_fact');
-      if (valid.length > 0) {
-        setState('tradeFacts', valid);
-        return true;
-      }
-    }
-
-    // WITS returned no usable data — likely CORS or empty response
-    addBanner({
-      level: 'warn',
-      text: 'WITS trade data unavailable from browser (CORS). Displaying pre-fetched WITS data for trade flows.',
-      dismissible: true,
-    });
-    return false;
-  } catch (err) {
-    logError(err);
-    addBanner({
-      level: 'warn',
-      text: 'WITS trade data unavailable (CORS/network). Displaying pre-fetched WITS data.',
-      dismissible: true,
-    });
+/**
+ * Fetch one source and merge its valid rows into the store; the snapshot stays when the
+ * source yields nothing (the adapter's notice says why).
+ * @returns {Promise<boolean>} whether rows were merged
+ */
+async function refreshFromSource(source, context) {
+  const { rows, error } = await refreshSource(source, context);
+  if (rows.length === 0) {
+    const notice = source.notice?.(error);
+    if (notice) addBanner(notice);
     return false;
   }
+  if (source.capabilities.table === 'trade_fact') mergeTradeRows(source, rows, context);
+  else setState('macroFacts', source.merge(getState().macroFacts, rows, context));
+  return true;
 }
 
-async function refreshMacroData() {
-  try {
-    const [indGDP, chnGDP] = await Promise.all([
-      fetchIndicator('IND', WORLDBANK.INDICATORS.GDP_CURRENT_USD, { date: '2000:2024' }),
-      fetchIndicator('CHN', WORLDBANK.INDICATORS.GDP_CURRENT_USD, { date: '2000:2024' }),
-    ]);
+/**
+ * Merge a trade source's rows into the state. Every source's rows are kept; the
+ * displayed table takes one source per total period and the rest go to referenceFacts.
+ */
+function mergeTradeRows(source, rows, context) {
+  const { tradeFacts, referenceFacts } = getState();
+  const merged = source.merge([...tradeFacts, ...referenceFacts], rows, context);
+  const { rows: kept, overlapped } = preferSources(merged, sourcePrecedence('trade_fact'));
+  batchUpdate({ tradeFacts: kept, referenceFacts: overlapped });
+}
 
-    const gdpRows = [
-      ...normaliseWBIndicator(indGDP, WORLDBANK.INDICATORS.GDP_CURRENT_USD),
-      ...normaliseWBIndicator(chnGDP, WORLDBANK.INDICATORS.GDP_CURRENT_USD),
-    ];
+/**
+ * What the sources fetch for: the current corridor, range and frequency.
+ */
+function sourceContext() {
+  const { reporter, partner, yearStart, yearEnd, frequency } = getState().filters;
+  const countries = pairCountries();
+  return { reporter, partner, yearStart, yearEnd, frequency, countries, currencies: pairCurrencies(countries) };
+}
 
-    if (gdpRows.length > 0) {
-      const { valid } = validateBatch(gdpRows, 'macro_fact');
-      const existing = getState().macroFacts.filter(r => r.source_id !== 'worldbank');
-      setState('macroFacts', [...existing, ...valid]);
-      return true;
-    }
-    // World Bank returned no data — CORS likely blocked from this origin
-    return false;
-  } catch (err) {
-    logError(err);
-    return false;
-  }
+/**
+ * Reporter and partner of the current corridor, excluding aggregates.
+ */
+function pairCountries() {
+  const { reporter, partner } = getState().filters;
+  return [reporter, partner].filter(iso3 => !getCountry(iso3)?.aggregate);
 }
 
-async function refreshFXData() {
-  try {
-    const fxSeries = await fetchFXSeries('2005-01-03', '2024-12-31');
-    if (fxSeries) {
-      const fxRows = normaliseFXSeries(fxSeries);
-      if (fxRows.length > 0) {
-        const existing = getState().macroFacts.filter(r => r.source_id !== 'frankfurter');
-        setState('macroFacts', [...existing, ...fxRows]);
-        return true;
-      }
-    }
-    return false;
-  } catch (err) {
-    logError(err);
-    return false;
-  }
+/**
+ * FX indicator used as a macro driver for the corridor: the reporter's
+ * currency against USD, or the partner's when the reporter uses USD.
+ */
+function pairFXIndicator() {
+  const [cur] = pairCurrencies(pairCountries());
+  return cur ? { code: `FX_USD_${cur}`, label: `USD/${cur}` } : null;
 }
 
 // ── Route change handler ─────────────────────────────────────
@@ -234,6 +302,93 @@ function refreshCurrentPage() {
   populateRoute(route);
 }
 
+/**
+ * Reporter/partner changed: re-render the page (titles depend on the pair)
+ * and fetch live data for the new corridor.
+ */
+function onPairChange() {
+  onRouteChange(getState().ui.activeRoute);
+  if (flag('liveRefresh')) attemptLiveRefresh();
+}
+
+async function onFrequencyChange() {
+  // Backtest windows are in periods, so a custom config does not carry across frequencies
+  setState('ui.backtestConfig', null);
+  refreshCurrentPage();
+  if (!flag('liveRefresh') || !navigator.onLine) return;
+  // Sources that only serve monthly data (Comtrade)
+  const context = sourceContext();
+  const monthly = enabledSources(context).filter(s => !s.capabilities.frequencies.includes('A'));
+  const results = await Promise.all(monthly.map(source => refreshFromSource(source, context)));
+  if (results.some(Boolean)) refreshCurrentPage();
+}
+
+// ── Workspaces ───────────────────────────────────────────────
+let _activeWorkspaceId = null; // last opened or saved this session; highlighted in the sidebar
+
+function setupWorkspaces() {
+  const toggle = document.getElementById('btn-workspaces');
+  const sidebar = document.getElementById('workspace-sidebar');
+  if (!toggle || !sidebar) return;
+  toggle.addEventListener('click', () => {
+    sidebar.hidden = !sidebar.hidden;
+    toggle.setAttribute('aria-expanded', String(!sidebar.hidden));
+    if (!sidebar.hidden) refreshWorkspaces();
+  });
+}
+
+function refreshWorkspaces() {
+  renderWorkspaceSidebar(listWorkspaces(), _activeWorkspaceId, {
+    onSave: name => {
+      _activeWorkspaceId = saveWorkspace({ name, route: getState().ui.activeRoute, view: currentView() }).id;
+      refreshWorkspaces();
+    },
+    onOpen: workspace => openWorkspace(workspace),
+    onRename: (id, name) => {
+      if (!renameWorkspace(id, name)) {
+        addBanner({ level: 'warn', text: 'Another workspace already has that name.', dismissible: true });
+      }
+      refreshWorkspaces();
+    },
+    onDelete: id => {
+      deleteWorkspace(id);
+      if (_activeWorkspaceId === id) _activeWorkspaceId = null;
+      refreshWorkspaces();
+    },
+    onExport: () => exportWorkspacesJSON(listWorkspaces()),
+    onImport: async file => {
+      try {
+        const { added, replaced, skipped } = importWorkspaces(await file.text());
+        addBanner({
+          level: skipped > 0 ? 'warn' : 'info',
+          text: `Imported workspaces: ${added} added, ${replaced} replaced${skipped > 0 ? `, ${skipped} skipped (incomplete or from a newer version)` : ''}.`,
+          dismissible: true,
+        });
+      } catch (err) {
+        addBanner({ level: 'warn', text: `Could not import workspaces: ${err.message}.`, dismissible: true });
+      }
+      refreshWorkspaces();
+    },
+  });
+}
+
+/**
+ * Switch to a saved workspace: its view replaces the current one and its page opens,
+ * as a new history entry so Back returns to the previous view.
+ */
+async function openWorkspace(workspace) {
+  const { route, view } = workspaceView(workspace);
+  const { reporter, partner } = getState().filters;
+  _activeWorkspaceId = workspace.id;
+  applyView(view);
+  const pairChanged = getState().filters.reporter !== reporter || getState().filters.partner !== partner;
+  setState('ui.activeRoute', route);
+  // The router re-renders on the hash change; an unchanged hash needs it done here
+  if (!(await syncFiltersToURL())) onRouteChange(route);
+  if (pairChanged && flag('liveRefresh')) attemptLiveRefresh();
+  refreshWorkspaces();
+}
+
 // ── Route-specific data population ───────────────────────────
 function populateRoute(route) {
   const state = getState();
@@ -248,16 +403,29 @@ function populateRoute(route) {
     if (r.partner_iso3 && r.partner_iso3 !== partner) return false;
     const year = parseInt(r.date);
     if (year < f.yearStart || year > f.yearEnd) return false;
-    if (f.frequency !== 'A' && r.frequency !== f.frequency) return false;
+    if ((r.frequency || 'A') !== f.frequency) return false;
     return true;
   });
 
+  // A link or workspace may name a currency without FX rates; it shows in USD like the unit selector
+  const unit = /^[A-Z]{3}$/.test(f.units) && !hasFXRates(f.units) ? 'USD' : f.units;
+  const converter = createConverter(state.macroFacts, {
+    unit, deflator: f.deflator, baseYear: f.baseYear, gdpCountry: reporter,
+  });
+  setDisplayUnit(converter);
+  // Tariffs, scenarios and methods show no converted trade values
+  showUnitCoverage(converter, UNIT_ROUTES.includes(route) ? filteredTrade : []);
+  const displayedTrade = convertTradeRows(filteredTrade, converter);
+  updateEvents();
+
+  if (route !== '#/mirror') showMirrorFallback([]);
+
   switch (route) {
     case '#/overview':
-      populateOverview(filteredTrade, state);
+      populateOverview(displayedTrade, state);
       break;
     case '#/composition':
-      populateComposition(filteredTrade, state);
+      populateComposition(displayedTrade, state);
       break;
     case '#/tariffs':
       populateTariffs(state);
@@ -266,30 +434,80 @@ function populateRoute(route) {
       populateMacro(state);
       break;
     case '#/forecast':
-      populateForecast(filteredTrade, state);
+      populateForecast(displayedTrade, state);
+      break;
+    case '#/scenarios':
+      populateScenarios(state);
+      break;
+    case '#/mirror':
+      populateMirror(state);
       break;
     case '#/methods':
+      populateMethods();
       break;
   }
 }
 
+/**
+ * Apply the events filter to the chart markers and, on the Overview, the timeline list.
+ * Runs before a page's charts render so each picks the markers up.
+ */
+function updateEvents() {
+  const state = getState();
+  const filter = state.ui.eventFilter || DEFAULT_EVENT_FILTER;
+  const events = filterEvents(state.events, filter, state.filters);
+  renderEventOverlay(filter.showOnCharts ? events : []);
+  renderEventTimeline(events, state.events.length);
+}
+
+const UNIT_ROUTES = ['#/overview', '#/composition', '#/macro', '#/forecast', '#/mirror'];
+let _unitBannerId = null;
+
+/**
+ * Warn when the selected unit has no conversion factor for some displayed years
+ * (those rows are dropped, not shown as zero).
+ */
+function showUnitCoverage(converter, rows) {
+  if (_unitBannerId) {
+    dismissBanner(_unitBannerId);
+    _unitBannerId = null;
+  }
+  const missing = converter.missingYears(rows.map(r => r.date));
+  if (missing.length === 0) return;
+  const span = missing.length > 3 ? `${missing[0]}–${missing[missing.length - 1]} (${missing.length} years)` : missing.join(', ');
+  _unitBannerId = addBanner({
+    level: 'warn',
+    key: `unit-coverage:${converter.unit}`,
+    text: `No conversion data for ${converter.label} in ${span}; those years are omitted.`,
+    dismissible: true,
+  });
+}
+
 function populateOverview(filteredTrade, state) {
   // Filter to TOTAL-level rows only to prevent double-counting with composition GROUP rows
   const totalTrade = filteredTrade.filter(r => r.product_level === 'TOTAL');
-  const yearly = aggregateByYear(totalTrade);
-  const withYoY = computeYoY(yearly);
-  const balance = computeBalance(yearly);
+  const periodic = aggregateByPeriod(totalTrade, state.filters.frequency);
+  const withYoY = computeYoY(periodic);
+  const balance = computeBalance(periodic);
 
-  renderOverviewChart(yearly);
+  renderOverviewChart(periodic);
   renderBalanceChart(balance);
+  renderEventControls(state.ui.eventFilter || DEFAULT_EVENT_FILTER, next => setState('ui.eventFilter', next));
+
+  const flow = state.filters.flow;
+  const flowSeries = periodic.filter(r => r.flow === flow).sort((a, b) => a.date.localeCompare(b.date));
+  runBreakDetection('overview-chart', flowSeries, { seasonPeriod: state.filters.frequency === 'M' ? 12 : 1 })
+    .then(result => { if (result) renderBreakNote(result, flow === 'EXPORT' ? 'Exports' : 'Imports'); });
 
-  // KPIs from latest available year in actual data (not filter yearEnd which may exceed data range)
-  const availableYears = [...new Set(yearly.map(r => r.date))].sort();
-  const latestYear = availableYears.length > 0 ? availableYears[availableYears.length - 1] : String(state.filters.yearEnd);
-  const latestExport = withYoY.find(r => r.date === latestYear && r.flow === 'EXPORT');
-  const latestImport = withYoY.find(r => r.date === latestYear && r.flow === 'IMPORT');
-  const latestBalance = balance.find(r => r.date === latestYear);
+  // KPIs from latest available period in actual data (not filter yearEnd which may exceed data range)
+  const availablePeriods = [...new Set(periodic.map(r => r.date))].sort();
+  const latestPeriod = availablePeriods.length > 0 ? availablePeriods[availablePeriods.length - 1] : String(state.filters.yearEnd);
+  const latestExport = withYoY.find(r => r.date === latestPeriod && r.flow === 'EXPORT');
+  const latestImport = withYoY.find(r => r.date === latestPeriod && r.flow === 'IMPORT');
+  const latestBalance = balance.find(r => r.date === latestPeriod);
 
+  // CAGR is always computed over calendar years
+  const yearly = aggregateByYear(totalTrade);
   const exportValues = yearly.filter(r => r.flow === 'EXPORT').sort((a, b) => a.date.localeCompare(b.date));
   const cagr5Export = exportValues.length >= 6
     ? computeCAGR(exportValues[exportValues.length - 6]?.value_usd, exportValues[exportValues.length - 1]?.value_usd, 5)
@@ -310,46 +528,197 @@ function populateOverview(filteredTrade, state) {
   });
 
   renderProvenance('overview-provenance', {
-    source: 'WITS TradeStats',
-    dataset: 'tradestats-trade',
+    ...getSource('wits').provenance(sourceContext()),
     retrieval_ts: totalTrade.length > 0 ? totalTrade[0].retrieval_ts : new Date().toISOString(),
-    url: 'https://wits.worldbank.org/API/V1/SDMX/V21/datasource/tradestats-trade/reporter/IND/year/all/partner/CHN/product/999999/indicator/all?format=JSON',
-    note: totalTrade.length === 0 ? 'No trade data available. WITS API may be blocked by CORS.' : '',
+    note: totalTrade.length > 0 ? ''
+      : state.filters.frequency === 'M'
+        ? 'No monthly data loaded. Monthly totals come from IMF DOTS, Comtrade (assets/config/local.js) or a trade_monthly.json snapshot.'
+        : 'No trade data available. WITS API may be blocked by CORS.',
   });
 
   wireExportButtons();
 }
 
 function populateComposition(filteredTrade, state) {
-  const productData = filteredTrade.filter(r => r.product_level !== 'TOTAL' && r.flow === state.filters.flow);
+  const f = state.filters;
+  const productData = filteredTrade.filter(r => r.product_level !== 'TOTAL' && r.flow === f.flow);
+  const path = f.productPath ? f.productPath.split('/') : [];
+
+  const { node, trail } = findProductNode(buildProductHierarchy(productData), path);
+  const depth = trail.length;
+  const drillTo = code => drillComposition([...trail.map(t => t.code), code]);
 
-  renderCompositionTreemap(productData);
+  renderCompositionTreemap(node.children, {
+    onDrill: drillTo,
+    // Chapters without HS4 rows can still be opened when Comtrade can supply them
+    canDrill: n => n.children.length > 0 || (n.level === 'HS2' && isComtradeAvailable()),
+  });
+  renderCompositionBreadcrumb(trail, drillComposition);
 
-  if (productData.length > 0) {
+  if (node.children.length > 0) {
     renderConcentrationMetrics({
-      hhi: computeHHI(productData),
-      top5: computeTopNShare(productData, 5),
-      entropy: computeEntropy(productData),
+      level: PRODUCT_DRILL_LEVELS[depth],
+      count: node.children.length,
+      hhi: computeHHI(node.children),
+      top5: computeTopNShare(node.children, 5),
+      entropy: computeEntropy(node.children),
     });
   } else {
     renderConcentrationMetrics({ hhi: null, top5: null, entropy: null });
   }
 
-  // Compute rank shift from ALL years of composition data (not just filtered year range)
+  if (node.level === 'HS2' && node.children.length === 0 && isComtradeAvailable()) {
+    loadHS4Composition(productData).then(loaded => { if (loaded) refreshCurrentPage(); });
+  }
+
+  // Compute rank shift from ALL years of composition data (not just filtered year range),
+  // at the same level as the treemap
+  const [reporter, partner] = state.ui.mirrorMode ? [f.partner, f.reporter] : [f.reporter, f.partner];
   const allCompositionRows = state.tradeFacts.filter(
-    r => r.product_level !== 'TOTAL' && r.flow === state.filters.flow
+    r => r.product_level !== 'TOTAL' && r.flow === f.flow
+      && r.reporter_iso3 === reporter && r.partner_iso3 === partner && (r.frequency || 'A') === 'A'
   );
-  const rankData = computeProductRankings(allCompositionRows);
+  const rankData = computeProductRankings(drilledRowsByYear(allCompositionRows, trail.map(t => t.code)));
   renderRankShiftChart(rankData);
 
+  populateTradeIndices(state, { reporter, partner });
+
   renderProvenance('comp-provenance', {
     source: isComtradeAvailable() ? 'UN Comtrade' : 'WITS TradeStats',
-    dataset: 'product groups',
+    dataset: depth === 2 ? 'HS4 headings' : 'product groups',
     retrieval_ts: productData.length > 0 ? productData[0].retrieval_ts : new Date().toISOString(),
     file: 'trade_composition.json',
   });
 }
 
+// Products charted in the per-product index views
+const TRADE_INDEX_TOP_N = 8;
+
+/**
+ * Trade-index sub-view: RCA, complementarity, export similarity and Grubel–Lloyd by year.
+ * The view lives in ui state, so switching it redraws only this section.
+ */
+function populateTradeIndices(state, { reporter, partner }) {
+  const yearStart = state.filters.yearStart, yearEnd = state.filters.yearEnd;
+  const all = computeTradeIndices(state.tradeFacts, { reporter, partner });
+  const byYear = all.byYear.filter(r => parseInt(r.year) >= yearStart && parseInt(r.year) <= yearEnd);
+  const years = byYear.map(r => r.year);
+  const views = {
+    summary: 'Summary (complementarity, similarity, Grubel–Lloyd)',
+    rcaReporter: `RCA — ${countryName(reporter)}`,
+    rcaPartner: `RCA — ${countryName(partner)}`,
+    gl: 'Grubel–Lloyd by product',
+  };
+
+  const draw = view => {
+    const table = tradeIndexSeries(byYear, all.products, view, { reporter, partner });
+    renderTradeIndexChart({ years, ...table });
+    const notes = [];
+    if (byYear.length > 0 && byYear.every(r => r.rcaReporter === null)) {
+      notes.push('World totals by product (trade_composition_world.json) are not loaded, so RCA, complementarity and export similarity are unavailable. Run scripts/fetch-snapshot-data.js --world to add them.');
+    } else if (state.tradeFacts.some(r => r.partner_iso3 === 'WLD' && r.product_level === 'GROUP' && isFallbackRow(r))) {
+      notes.push('World totals by product are approximate fallback values (trade_composition_world.json) covering only the bundled product groups; RCA and the world-based indices are indicative.');
+    }
+    if (view === 'gl' || view === 'summary') {
+      notes.push('Grubel–Lloyd uses bilateral product groups; products missing from one flow count as one-way trade (index 0).');
+    }
+    renderTradeIndexTable({ years, series: table.series, decimals: view.startsWith('rca') ? 2 : 1 }, notes);
+  };
+
+  const view = views[state.ui.tradeIndexView] ? state.ui.tradeIndexView : 'summary';
+  renderTradeIndexControls(view, views, next => {
+    setState('ui.tradeIndexView', next);
+    draw(next);
+  });
+  draw(view);
+}
+
+/**
+ * Chart/table series for one trade-index view.
+ * Product views show the products with the highest latest-year values.
+ * @returns {{ series: Array<{ name, values }>, yName: string, threshold?: number }}
+ */
+function tradeIndexSeries(byYear, products, view, { reporter, partner }) {
+  if (view === 'summary') {
+    const line = (name, key) => ({ name, values: byYear.map(r => r[key]) });
+    return {
+      yName: 'Index (0–100)',
+      series: [
+        line(`Complementarity: ${countryName(reporter)} exports → ${countryName(partner)} imports`, 'complementarity'),
+        line(`Complementarity: ${countryName(partner)} exports → ${countryName(reporter)} imports`, 'complementarityReverse'),
+        line('Export similarity', 'similarity'),
+        line('Grubel–Lloyd (trade-weighted)', 'gl'),
+      ],
+    };
+  }
+
+  const key = view === 'gl' ? 'glByProduct' : view;
+  const latest = [...byYear].reverse().find(r => r[key] && r[key].size > 0);
+  const codes = latest
+    ? [...latest[key]].sort((a, b) => b[1] - a[1]).slice(0, TRADE_INDEX_TOP_N).map(([code]) => code)
+    : [];
+  return {
+    yName: view === 'gl' ? 'Grubel–Lloyd (0–100)' : 'RCA',
+    threshold: view === 'gl' ? undefined : 1,
+    series: codes.map(code => ({
+      name: products.get(code) || code,
+      values: byYear.map(r => r[key]?.get(code) ?? null),
+    })),
+  };
+}
+
+/**
+ * Jump to a drill path (array of codes, [] = all sections).
+ * Path and level live in filters so they round-trip through the URL.
+ */
+function drillComposition(codes) {
+  batchUpdate({
+    'filters.productPath': codes.join('/'),
+    'filters.productLevel': PRODUCT_DRILL_LEVELS[codes.length] || 'HS4',
+  });
+  syncFiltersToURL();
+}
+
+/**
+ * One row per year and child of the drilled node, in the shape computeProductRankings expects.
+ */
+function drilledRowsByYear(rows, path) {
+  const years = [...new Set(rows.map(r => r.date))];
+  return years.flatMap(year => {
+    const { node } = findProductNode(buildProductHierarchy(rows.filter(r => r.date === year)), path);
+    return node.children.map(c => ({ date: year, product_code: c.code, product_name: c.name, value_usd: c.value_usd }));
+  });
+}
+
+const _hs4Requested = new Set();
+
+/**
+ * Fetch HS4 headings from Comtrade for the years shown, once per pair/flow/year.
+ * WITS TradeStats stops at product groups, so HS4 depth needs Comtrade.
+ */
+async function loadHS4Composition(productData) {
+  const { reporter, partner, flow } = getState().filters;
+  const years = [...new Set(productData.map(r => r.date))]
+    .filter(year => !_hs4Requested.has(`${reporter}:${partner}:${flow}:${year}`));
+  if (years.length === 0) return false;
+  years.forEach(year => _hs4Requested.add(`${reporter}:${partner}:${flow}:${year}`));
+
+  try {
+    const results = await Promise.all(years.map(year => fetchComtradeHS4({ reporter, partner, year, flow })));
+    const rows = results
+      .filter(r => r.status === 'ok')
+      .flatMap(r => normaliseComtradeData(r.data))
+      .filter(r => r.product_level === 'HS4');
+    if (rows.length === 0) return false;
+    const { valid } = validateBatch(rows, 'trade_fact');
+    setState('tradeFacts', [...getState().tradeFacts, ...valid]);
+    return true;
+  } catch (err) {
+    logError(err);
+    return false;
+  }
+}
+
 function computeProductRankings(productRows) {
   const byYear = {};
   for (const r of productRows) {
@@ -380,8 +749,11 @@ function computeProductRankings(productRows) {
 }
 
 function populateTariffs(state) {
+  // Tariff rows are keyed by reporter; the partner is only recorded in the fingerprint
+  const { reporter, partner } = state.filters;
   const tariffData = state.macroFacts.filter(r =>
-    r.source_id && r.source_id.includes('tariff')
+    r.source_id && r.source_id.includes('tariff') &&
+    r.country_iso3 === reporter && r.request_fingerprint?.includes(`:${reporter}:${partner}:`)
   );
   renderTariffChart(tariffData);
   renderProvenance('tariff-provenance', {
@@ -395,68 +767,172 @@ function populateTariffs(state) {
 
 function populateMacro(state) {
   const macroData = state.macroFacts;
-  const gdpData = macroData.filter(r => r.indicator_code === 'NY.GDP.MKTP.CD');
-  const fxData = macroData.filter(r => r.indicator_code?.startsWith('FX_'));
+  const countries = pairCountries();
+  const currencies = pairCurrencies(countries);
+  const gdpData = macroData.filter(r => r.indicator_code === 'NY.GDP.MKTP.CD' && countries.includes(r.country_iso3));
+  const fxData = macroData.filter(r => currencies.some(c => r.indicator_code === `FX_USD_${c}`));
 
-  renderGDPChart(gdpData);
-  renderFXChart(fxData);
+  renderGDPChart(gdpData, countries.map(iso3 => ({ iso3, name: countryName(iso3) })));
+  renderFXChart(fxData, currencies);
 
   renderProvenance('gdp-provenance', {
-    source: 'World Bank',
-    dataset: 'NY.GDP.MKTP.CD',
+    ...getSource('worldbank').provenance(sourceContext()),
     retrieval_ts: gdpData.length > 0 ? gdpData[0].retrieval_ts : new Date().toISOString(),
-    url: 'https://api.worldbank.org/v2/country/IND;CHN/indicator/NY.GDP.MKTP.CD?format=json',
   });
 
   setupCorrelationExplorer();
 }
 
+const CORRELATION_MAX_LAG = 5;
+const GRANGER_MAX_LAGS = 3;
+
+/**
+ * Annual series offered in the correlation explorer: the pair's trade totals plus every macro series.
+ * @returns {Array<{ id, label, rows: function(): Array<{ date, value }> }>}
+ */
+function correlationSeries(state) {
+  const f = state.filters;
+  const [reporter, partner] = state.ui.mirrorMode ? [f.partner, f.reporter] : [f.reporter, f.partner];
+  const annual = aggregateByYear(convertTradeRows(state.tradeFacts.filter(r =>
+    r.product_level === 'TOTAL' && r.reporter_iso3 === reporter && r.partner_iso3 === partner && (r.frequency || 'A') === 'A'
+  ), displayUnit()));
+  const flowRows = flow => annual.filter(r => r.flow === flow).map(r => ({ date: r.date, value: r.value_usd }));
+  const pair = pairLabel(reporter, partner);
+  const trade = [
+    { id: 'trade|EXPORT', label: `Exports — ${pair}`, rows: () => flowRows('EXPORT') },
+    { id: 'trade|IMPORT', label: `Imports — ${pair}`, rows: () => flowRows('IMPORT') },
+    { id: 'trade|BALANCE', label: `Trade balance — ${pair}`, rows: () => computeBalance(annual).map(r => ({ date: r.date, value: r.balance })) },
+  ];
+  const macro = listMacroSeries(state.macroFacts).map(s => ({
+    id: s.id,
+    label: `${s.name} — ${countryName(s.country)}`,
+    rows: () => annualMacroSeries(state.macroFacts, s.id),
+  }));
+  return [...trade, ...macro];
+}
+
+/**
+ * Default explorer: Δlog pair FX against Δlog exports (growth rates avoid spurious trend correlation).
+ */
+function defaultCorrelationSpec(series) {
+  const fxInd = pairFXIndicator();
+  const fx = fxInd && series.find(s => s.id.startsWith(`${fxInd.code}|`));
+  return {
+    x: (fx || series[series.length - 1]).id,
+    xTransform: 'logdiff',
+    y: 'trade|EXPORT',
+    yTransform: 'logdiff',
+    window: 8,
+    grangerLags: 1,
+    lag: 0,
+  };
+}
+
 function setupCorrelationExplorer() {
   const lagSlider = document.getElementById('corr-lag');
   const lagVal = document.getElementById('corr-lag-val');
   if (!lagSlider) return;
 
-  const update = () => {
+  const state = getState();
+  const series = correlationSeries(state);
+  const saved = state.ui.correlationSpec;
+  const ids = new Set(series.map(s => s.id));
+  let spec = saved && ids.has(saved.x) && ids.has(saved.y) ? saved : defaultCorrelationSpec(series);
+  let x, y, labels;
+  lagSlider.value = spec.lag ?? 0;
+
+  const inRange = map => new Map([...map].filter(([yr]) =>
+    parseInt(yr) >= state.filters.yearStart && parseInt(yr) <= state.filters.yearEnd));
+  const prepare = () => {
+    const pick = (id, transform) => {
+      const s = series.find(c => c.id === id);
+      return { map: inRange(transformAnnualSeries(s.rows(), { transform })), label: describeTerm(s.label, { transform }) };
+    };
+    const px = pick(spec.x, spec.xTransform);
+    const py = pick(spec.y, spec.yTransform);
+    x = px.map;
+    y = py.map;
+    labels = { x: px.label, y: py.label };
+  };
+
+  const updateScatter = () => {
     const lag = parseInt(lagSlider.value);
     lagVal.textContent = lag;
+    const a = alignSeries(x, y, lag);
+    const r = pearsonCorrelation(a.x, a.y);
+    const stats = document.getElementById('corr-stats');
+    if (stats) stats.textContent = r === null ? `n = ${a.years.length}` : `r = ${r.toFixed(3)} (n = ${a.years.length})`;
+    renderCorrelationChart(a.x, a.y, `${labels.x} (lag ${lag}yr)`, labels.y);
+  };
 
-    // Re-read state on every update to get latest data
-    const currentState = getState();
-    const macroData = currentState.macroFacts;
-    const fxAnnual = annualiseFX(macroData.filter(r => r.indicator_code === 'FX_USD_INR'));
-    const tradeYearly = aggregateByYear(currentState.tradeFacts.filter(r => r.flow === 'EXPORT' && r.product_level === 'TOTAL'));
-
-    const xData = [], yData = [];
-    for (const t of tradeYearly) {
-      const fxYear = String(parseInt(t.date) - lag);
-      const fx = fxAnnual.find(f => f.date === fxYear);
-      if (fx && t.value_usd !== null) {
-        xData.push(fx.value);
-        yData.push(t.value_usd);
-      }
-    }
-
-    renderCorrelationChart(xData, yData, `USD/INR (lag ${lag}yr)`, 'Export Value (USD)');
+  const updateAll = () => {
+    prepare();
+    updateScatter();
+    renderCCFChart(crossCorrelation(x, y, CORRELATION_MAX_LAG));
+    renderRollingCorrelationChart(rollingCorrelation(x, y, spec.window, parseInt(lagSlider.value)), spec.window);
+    runGranger(x, y, spec.grangerLags, labels);
   };
 
-  lagSlider.addEventListener('input', update);
-  update();
+  renderCorrelationControls(spec, { series, transforms: SERIES_TRANSFORMS, maxGrangerLags: GRANGER_MAX_LAGS }, edited => {
+    spec = { ...edited, lag: parseInt(lagSlider.value) };
+    setState('ui.correlationSpec', spec);
+    updateAll();
+  });
+  lagSlider.addEventListener('input', () => {
+    updateScatter();
+    renderRollingCorrelationChart(rollingCorrelation(x, y, spec.window, parseInt(lagSlider.value)), spec.window);
+  });
+  lagSlider.addEventListener('change', () => {
+    spec = { ...spec, lag: parseInt(lagSlider.value) };
+    setState('ui.correlationSpec', spec);
+  });
+  updateAll();
 }
 
+/**
+ * Granger F-tests on the latest unbroken run of years, fitted on a model worker.
+ */
+function runGranger(x, y, lags, labels) {
+  const run = latestConsecutiveRun(x, y);
+  if (run.years.length <= 3 * lags + 1) {
+    renderGrangerTable({ error: `needs more than ${3 * lags + 1} consecutive years with both series (have ${run.years.length})` }, labels);
+    return;
+  }
+  requestModelWorker({ type: 'granger', x: run.x, y: run.y, lags, labels }, 'granger_result')
+    .then(result => renderGrangerTable({ ...result, years: run.years }, labels))
+    .catch(err => {
+      logError(err);
+      renderGrangerTable({ error: err.message }, labels);
+    });
+}
+
+// Forecast models in display order; keys match the model worker's result fields
+const FORECAST_MODELS = [
+  { key: 'naive', name: 'Seasonal Naive', color: '#16a34a' },
+  { key: 'holtWinters', name: 'Holt-Winters', color: '#f97316', showBands: true },
+  { key: 'arima', name: 'ARIMA', color: '#8b5cf6' },
+];
+
 function populateForecast(filteredTrade, state) {
   // Filter to TOTAL-level rows only to prevent double-counting with composition GROUP rows
   const totalTrade = filteredTrade.filter(r => r.product_level === 'TOTAL');
-  const yearly = aggregateByYear(totalTrade);
-  const exportSeries = yearly
+  const monthly = state.filters.frequency === 'M';
+  const periodic = aggregateByPeriod(totalTrade, state.filters.frequency);
+  const exportSeries = periodic
     .filter(r => r.flow === state.filters.flow)
     .sort((a, b) => a.date.localeCompare(b.date));
 
   const values = exportSeries.map(r => r.value_usd);
-  const years = exportSeries.map(r => r.date);
+  const periods = exportSeries.map(r => r.date);
+
+  // Monthly: 12-month seasonality, two-year horizon, one-year holdout
+  const seasonPeriod = monthly ? 12 : 1;
+  const horizon = monthly ? 24 : 5;
+  const testSize = Math.min(monthly ? 12 : 3, Math.floor(values.length / 3));
 
   if (values.filter(v => v !== null).length < 3) {
     const fcEl = document.getElementById('forecast-chart');
-    if (fcEl) fcEl.innerHTML = '<div style="text-align:center;padding:60px;color:#999;">Insufficient trade data for forecasting. At least 3 years of data required.</div>';
+    if (fcEl) fcEl.innerHTML = `<div style="text-align:center;padding:60px;color:#999;">Insufficient trade data for forecasting. At least 3 ${monthly ? 'months' : 'years'} of data required.</div>`;
     renderDiagnostics(null);
     return;
   }
@@ -468,34 +944,39 @@ function populateForecast(filteredTrade, state) {
     const msg = e.data;
 
     if (msg.type === 'result') {
-      const forecastYears = [];
-      const lastYear = parseInt(years[years.length - 1]);
-      for (let i = 1; i <= 5; i++) forecastYears.push(String(lastYear + i));
-
-      renderForecastChart(
-        values,
-        msg.naive.forecast,
-        msg.holtWinters.forecast,
-        [...years, ...forecastYears]
-      );
+      const lastPeriod = periods[periods.length - 1];
+      const forecastPeriods = [];
+      for (let i = 1; i <= horizon; i++) forecastPeriods.push(shiftPeriod(lastPeriod, i));
+
+      renderForecastChart(values, [...periods, ...forecastPeriods], FORECAST_MODELS.map(m => ({
+        ...m,
+        forecast: msg[m.key].forecast,
+        intervals: msg[m.key].intervals,
+      })), {
+        selected: state.ui.forecastLegend,
+        onLegendChange: legend => setState('ui.forecastLegend', legend),
+      });
+
+      renderHWParams(msg.holtWinters.params, {
+        locked: !!state.ui.hwLockedParams,
+        seasonal: seasonPeriod > 1,
+        onApply: locked => {
+          setState('ui.hwLockedParams', locked);
+          refreshCurrentPage();
+        },
+      });
 
       renderDiagnostics({
-        naive: msg.naive.diagnostics,
-        hw: msg.holtWinters.diagnostics,
+        naive: { ...msg.naive.diagnostics, intervals: msg.naive.intervals },
+        hw: { ...msg.holtWinters.diagnostics, intervals: msg.holtWinters.intervals },
+        arima: { ...msg.arima.diagnostics, intervals: msg.arima.intervals, model: msg.arima.model },
         residualSummary: {
           naive_residuals: msg.naive.diagnostics.residuals,
           hw_residuals: msg.holtWinters.diagnostics.residuals,
+          arima_residuals: msg.arima.diagnostics.residuals,
         },
       });
 
-      // Now run regression on the same worker
-      runRegressionOnWorker(worker, years, values);
-    }
-
-    if (msg.type === 'regression_result') {
-      const actual = worker._regressionActual || msg.fitted;
-      const yearLabels = worker._regressionYears || [];
-      renderRegressionChart(actual, msg.fitted, yearLabels);
       worker.terminate();
     }
 
@@ -510,39 +991,760 @@ function populateForecast(filteredTrade, state) {
     worker.terminate();
   };
 
-  worker.postMessage({ type: 'forecast', values, params: { horizon: 5, seasonPeriod: 1 } });
+  worker.postMessage({
+    type: 'forecast',
+    values,
+    params: { horizon, seasonPeriod, testSize, hw: state.ui.hwLockedParams || undefined },
+  });
+
+  populateBreaks(exportSeries, { seasonPeriod, label: state.filters.flow === 'EXPORT' ? 'Exports' : 'Imports' }, state);
+
+  const backtestDefaults = monthly
+    ? { initial: Math.max(24, values.length - 36), step: 3, horizon: 12 }
+    : { initial: Math.max(8, Math.floor(values.length / 2)), step: 1, horizon: 3 };
+  const runBacktest = config => runBacktestOnWorker(values, periods, {
+    ...config, seasonPeriod, hw: state.ui.hwLockedParams || undefined,
+  });
+  renderBacktestControls(state.ui.backtestConfig || backtestDefaults, config => {
+    setState('ui.backtestConfig', config);
+    runBacktest(config);
+  });
+  runBacktest(state.ui.backtestConfig || backtestDefaults);
+
+  // Regression uses annual macro drivers, so always fit on annual totals
+  const annual = aggregateByYear(totalTrade)
+    .filter(r => r.flow === state.filters.flow)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const seriesOptions = listMacroSeries(state.macroFacts)
+    .map(s => ({ id: s.id, label: `${s.name} — ${countryName(s.country)}` }));
+  // A saved spec may reference series that are not loaded for the current pair
+  const available = new Set(seriesOptions.map(s => s.id));
+  const saved = state.ui.regressionSpec;
+  const savedPredictors = saved ? saved.predictors.filter(p => available.has(p.series)) : [];
+  const spec = savedPredictors.length > 0
+    ? { ...saved, predictors: savedPredictors }
+    : defaultRegressionSpec();
+  renderRegressionControls(spec, { series: seriesOptions, transforms: SERIES_TRANSFORMS, maxLag: REGRESSION_MAX_LAG }, edited => {
+    setState('ui.regressionSpec', edited);
+    runRegression(annual, edited);
+  });
+  runRegression(annual, spec);
+
+  populateGravity(state);
 }
 
-function runRegressionOnWorker(worker, years, tradeValues) {
-  const currentState = getState();
-  const macroData = currentState.macroFacts;
-  const fxAnnual = annualiseFX(macroData.filter(r => r.indicator_code === 'FX_USD_INR'));
-  const gdpData = macroData.filter(r => r.country_iso3 === 'IND' && r.indicator_code === 'NY.GDP.MKTP.CD');
+// ── Structural breaks ────────────────────────────────────────
+const _breakRequests = new Map(); // chart id → latest request number; older results are dropped
 
-  const y = [], X = [], yearLabels = [];
-  for (let i = 0; i < years.length; i++) {
-    const yr = years[i];
-    const tv = tradeValues[i];
-    if (tv === null) continue;
+/**
+ * Break and outlier detection (model worker) on the latest run of non-null periods of a
+ * trade series. Annotates chartId with the breaks and outliers when the result arrives.
+ * @param {Array<{ date, value_usd }>} rows - sorted periods
+ * @returns {Promise<object|{ error }|null>} breaks_result, or null when a newer request superseded it
+ */
+async function runBreakDetection(chartId, rows, { seasonPeriod = 1, candidate = null } = {}) {
+  const request = (_breakRequests.get(chartId) || 0) + 1;
+  _breakRequests.set(chartId, request);
+  renderBreakAnnotations(chartId, null);
+
+  const lastGap = rows.map(r => r.value_usd).lastIndexOf(null);
+  const run = rows.slice(lastGap + 1);
+  const periods = run.map(r => r.date);
+  const candidates = candidate && periods.includes(candidate) ? [periods.indexOf(candidate)] : [];
+  let result;
+  try {
+    result = await requestModelWorker({
+      type: 'breaks',
+      values: run.map(r => r.value_usd),
+      periods,
+      params: { seasonPeriod, candidates },
+    }, 'breaks_result');
+  } catch (err) {
+    result = { error: err.message };
+  }
+  if (_breakRequests.get(chartId) !== request) return null;
+  if (!result.error) {
+    renderBreakAnnotations(chartId, {
+      breaks: result.breaks.map(b => result.periods[b.index]),
+      outliers: result.outliers.map(o => result.periods[o.index]),
+    });
+  }
+  return result;
+}
 
-    const lagYr = String(parseInt(yr) - 1);
-    const fx = fxAnnual.find(f => f.date === lagYr);
-    const gdp = gdpData.find(g => g.date === yr);
+/**
+ * Forecast-page break panel: detected breaks on the forecast chart, a Chow test at a
+ * user-chosen period, the CUSUM path and outliers.
+ */
+function populateBreaks(series, { seasonPeriod, label }, state) {
+  // Chow needs at least 3 periods in each regime
+  const testable = series.map(r => r.date).slice(3, -2);
+  const candidate = testable.includes(state.ui.breakCandidate) ? state.ui.breakCandidate : null;
+  const run = chosen => runBreakDetection('forecast-chart', series, { seasonPeriod, candidate: chosen }).then(result => {
+    if (!result) return;
+    renderBreaksTable(result, label);
+    renderCusumChart(result.cusum ? {
+      periods: result.periods.slice(result.cusum.startIndex),
+      cusum: result.cusum.cusum,
+      bounds: result.cusum.bounds,
+    } : null);
+  });
+  renderBreakControls(testable, candidate, chosen => {
+    setState('ui.breakCandidate', chosen);
+    run(chosen);
+  });
+  run(candidate);
+}
 
-    if (fx && gdp && gdp.value !== null) {
-      y.push(tv);
-      X.push([fx.value, gdp.value]);
-      yearLabels.push(yr);
+/**
+ * Gravity model on the latest cross-section year: expected vs actual exports for the selected pair.
+ */
+function populateGravity(state) {
+  const covariates = state.gravityCovariates;
+  if (!covariates) {
+    renderGravitySummary({ error: 'Gravity covariates (assets/data/gravity_covariates.json) not loaded.' });
+    return;
+  }
+  const { reporter, partner } = state.ui.mirrorMode
+    ? { reporter: state.filters.partner, partner: state.filters.reporter }
+    : state.filters;
+
+  const observations = gravityObservations(state.gravitySample, state.tradeFacts, state.macroFacts);
+  const minPairs = GRAVITY_TERMS.length + 2;
+  const year = gravitySampleYear(observations, state.filters.yearEnd, minPairs);
+  const design = year ? buildGravityDesign(observations, covariates, year) : null;
+  if (!design || design.pairs.length < minPairs || design.terms.length === 0) {
+    renderGravitySummary({
+      error: `Gravity model needs at least ${minPairs} country pairs with exports and GDP for one year; `
+        + `${observations.length} observations loaded across all years. Populate the sample with `
+        + '<code>node scripts/fetch-snapshot-data.js --gravity</code>.',
+    });
+    return;
+  }
+
+  // Pairs of the year taken from the bundled fallback sample rather than fetched data
+  const fallbackPairs = observations.filter(o => o.date === year && isFallbackRow(o)).length;
+  const fallbackNote = fallbackPairs > 0
+    ? `${fallbackPairs} of the ${design.pairs.length} pairs are approximate fallback values from gravity_sample.json, not fetched data; treat the estimates as indicative.`
+    : '';
+
+  const worker = new Worker('./assets/workers/model.worker.js');
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'gravity_result') {
+      const predict = (fit, row) => (fit ? Math.exp(row.reduce((s, x, j) => s + x * fit.coefficients[j + 1], fit.coefficients[0])) : null);
+      const points = design.pairs.map((p, i) => ({
+        name: pairLabel(p.reporter, p.partner),
+        actual: design.y[i],
+        expected: predict(msg.ppml, design.X[i]),
+        selected: p.reporter === reporter && p.partner === partner,
+      }));
+      renderGravityChart(points);
+      renderGravityTable(msg, design);
+
+      const idx = design.pairs.findIndex(p => p.reporter === reporter && p.partner === partner);
+      if (idx < 0) {
+        renderGravitySummary({ error: `${pairLabel(reporter, partner)} has no exports/GDP observation for ${year}; coefficients below are estimated on the other pairs. ${fallbackNote}` });
+      } else {
+        renderGravitySummary({
+          year,
+          pair: pairLabel(reporter, partner),
+          actual: design.y[idx],
+          expected: { ppml: predict(msg.ppml, design.X[idx]), ols: predict(msg.ols, design.X[idx]) },
+          covariates: pairCovariates(covariates, reporter, partner, year),
+          n: design.pairs.length,
+          fallbackNote,
+        });
+      }
     }
+    if (msg.type === 'error') renderGravitySummary({ error: `Gravity estimation failed: ${msg.message}` });
+    worker.terminate();
+  };
+  worker.onerror = (err) => {
+    console.error('Gravity worker error:', err);
+    worker.terminate();
+  };
+  worker.postMessage({ type: 'gravity', X: design.X, y: design.y, labels: design.terms.map(t => t.label) });
+}
+
+const REGRESSION_MAX_LAG = 5;
+
+/**
+ * Default regression design: trade ~ lag(pair FX) + reporter GDP, both in levels.
+ */
+function defaultRegressionSpec() {
+  const { macroFacts, filters } = getState();
+  const available = new Set(listMacroSeries(macroFacts).map(s => s.id));
+  const fxInd = pairFXIndicator();
+  const fxSeries = fxInd && [...available].find(id => id.startsWith(`${fxInd.code}|`));
+  const gdpSeries = `NY.GDP.MKTP.CD|${filters.reporter}`;
+  return {
+    yTransform: 'level',
+    predictors: [
+      fxSeries && { series: fxSeries, lag: 1, transform: 'level' },
+      available.has(gdpSeries) && { series: gdpSeries, lag: 0, transform: 'level' },
+    ].filter(Boolean),
+  };
+}
+
+/**
+ * Build the annual design matrix for a regression spec and fit it on a model worker.
+ */
+function runRegression(annual, spec) {
+  const { macroFacts, filters } = getState();
+  const responseName = filters.flow === 'IMPORT' ? 'Imports' : 'Exports';
+  const responseLabel = describeTerm(responseName, { transform: spec.yTransform });
+  if (spec.predictors.length === 0) {
+    renderRegressionTable({ error: 'no macro predictors are available for this pair.' }, responseLabel);
+    return;
   }
 
-  if (y.length >= 3) {
-    // Store y and yearLabels for use in onmessage handler
-    worker._regressionActual = y;
-    worker._regressionYears = yearLabels;
-    worker.postMessage({ type: 'regression', y, X, labels: ['lag(USD/INR)', 'GDP_IND'] });
-  } else {
+  const seriesNames = new Map(listMacroSeries(macroFacts).map(s => [s.id, `${s.code} ${s.country}`]));
+  const yMap = transformAnnualSeries(annual.map(r => ({ date: r.date, value: r.value_usd })), { transform: spec.yTransform });
+  const predictorMaps = spec.predictors.map(p => transformAnnualSeries(annualMacroSeries(macroFacts, p.series), p));
+  const labels = spec.predictors.map(p => describeTerm(seriesNames.get(p.series) || p.series, p));
+  const { years, y, X } = buildRegressionDesign(yMap, predictorMaps);
+
+  if (years.length <= spec.predictors.length + 1) {
+    renderRegressionTable({
+      error: `${years.length} overlapping years for ${spec.predictors.length + 1} coefficients. Remove predictors or shorten lags.`,
+    }, responseLabel);
+    return;
+  }
+
+  const worker = new Worker('./assets/workers/model.worker.js');
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'regression_result') {
+      renderRegressionChart(y, msg.fitted, years, { money: spec.yTransform === 'level', name: responseLabel });
+      renderRegressionTable(msg, responseLabel);
+    }
+    if (msg.type === 'error') renderRegressionTable({ error: msg.message }, responseLabel);
+    worker.terminate();
+  };
+  worker.onerror = (err) => {
+    console.error('Regression worker error:', err);
+    worker.terminate();
+  };
+  worker.postMessage({ type: 'regression', y, X, labels, years });
+}
+
+let _backtestRequest = 0; // latest backtest run; results of superseded runs are dropped
+let _backtestWorker = null;
+
+/**
+ * Expanding-window backtest on its own worker so it does not hold up the forecast.
+ * A new run terminates the previous worker and ignores anything it still posts.
+ * @param {string[]} periods - labels of values; null values are dropped along with their
+ *   periods, as the worker backtests the non-null series
+ */
+function runBacktestOnWorker(values, periods, params) {
+  const request = ++_backtestRequest;
+  _backtestWorker?.terminate();
+  const originPeriods = periods.filter((_, i) => values[i] !== null);
+  const worker = new Worker('./assets/workers/model.worker.js');
+  _backtestWorker = worker;
+  const done = () => {
     worker.terminate();
+    if (_backtestWorker === worker) _backtestWorker = null;
+  };
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    done();
+    if (request !== _backtestRequest) return;
+    if (msg.type === 'backtest_result') {
+      renderBacktestChart(msg, FORECAST_MODELS);
+      renderBacktestTable(msg, FORECAST_MODELS, originPeriods);
+    }
+    if (msg.type === 'error') renderBacktestTable({ error: msg.message }, FORECAST_MODELS, originPeriods);
+  };
+  worker.onerror = (err) => {
+    console.error('Backtest worker error:', err);
+    done();
+  };
+  worker.postMessage({ type: 'backtest', values, params });
+}
+
+// ── Scenarios ────────────────────────────────────────────────
+const SCENARIO_HORIZON = 5;
+
+/**
+ * Scenario page: fit the baseline and FX elasticities once, then project
+ * shocks on the main thread as the user edits, saves and compares scenarios.
+ */
+async function populateScenarios(state) {
+  const { reporter, partner } = state.ui.mirrorMode
+    ? { reporter: state.filters.partner, partner: state.filters.reporter }
+    : state.filters;
+  const currencies = pairCurrencies(pairCountries());
+
+  // Scenarios are annual and in current USD regardless of the frequency and units filters
+  const annual = aggregateByYear(state.tradeFacts.filter(r =>
+    r.reporter_iso3 === reporter && r.partner_iso3 === partner && r.product_level === 'TOTAL'
+    && (r.frequency || 'A') === 'A'
+    && parseInt(r.date) >= state.filters.yearStart && parseInt(r.date) <= state.filters.yearEnd
+  ));
+  const series = flow => annual.filter(r => r.flow === flow).sort((a, b) => a.date.localeCompare(b.date));
+  const exportsHist = series('EXPORT');
+  const importsHist = series('IMPORT');
+  const years = exportsHist.map(r => r.date).filter(y => importsHist.some(r => r.date === y));
+  if (years.length < 3) {
+    const el = document.getElementById('scenario-chart');
+    if (el) el.innerHTML = '<div style="text-align:center;padding:60px;color:#999;">Insufficient annual trade data for scenarios. At least 3 years of exports and imports required.</div>';
+    return;
+  }
+  const history = {
+    years,
+    exports: years.map(y => exportsHist.find(r => r.date === y).value_usd),
+    imports: years.map(y => importsHist.find(r => r.date === y).value_usd),
+  };
+
+  let inputs;
+  try {
+    inputs = await scenarioInputs(state, { reporter, partner, currencies, history });
+  } catch (err) {
+    logError(err);
+    renderScenarioInputs({ baseYear: years[years.length - 1], tariffReporter: 0, tariffPartner: 0, tariffNotes: [`Baseline failed: ${err.message}`], fx: { EXPORT: { error: '–' }, IMPORT: { error: '–' } } });
+    return;
+  }
+  // The route may have changed while the workers ran
+  if (getState().ui.activeRoute !== '#/scenarios') return;
+
+  const { baseline } = inputs;
+  const project = params => projectScenario(baseline, params, inputs);
+  renderScenarioInputs(inputs);
+
+  const draft = state.ui.scenarioDraft || { name: '', params: defaultScenarioParams(currencies) };
+  const show = params => {
+    const projection = project(params);
+    renderScenarioChart(history, baseline, projection);
+    renderScenarioImpact(baseline, projection);
+  };
+
+  const refreshList = () => {
+    const saved = listScenarios().filter(s => s.reporter === reporter && s.partner === partner);
+    const selected = (getState().ui.scenarioCompare || []).filter(id => saved.some(s => s.id === id));
+    renderScenarioList(saved, selected, {
+      onToggle: (id, on) => {
+        const current = getState().ui.scenarioCompare || [];
+        setState('ui.scenarioCompare', on ? [...current, id] : current.filter(x => x !== id));
+        refreshList();
+      },
+      onLoad: scenario => {
+        const loaded = { name: scenario.name, params: scenario.params };
+        setState('ui.scenarioDraft', loaded);
+        renderScenarioForm(loaded, currencies, formHandlers);
+        show(scenario.params);
+      },
+      onDelete: id => {
+        deleteScenario(id);
+        setState('ui.scenarioCompare', (getState().ui.scenarioCompare || []).filter(x => x !== id));
+        refreshList();
+      },
+    });
+
+    const compared = saved.filter(s => selected.includes(s.id));
+    const results = [
+      { name: 'Baseline', params: defaultScenarioParams(currencies), projection: project(defaultScenarioParams(currencies)) },
+      ...compared.map(s => ({ name: s.name, params: s.params, projection: project(s.params) })),
+    ];
+    renderScenarioCompareChart(results);
+    renderScenarioComparison(results);
+
+    const pairTag = `${reporter}_${partner}`;
+    const exportCsv = document.getElementById('scenario-export-csv');
+    const exportJson = document.getElementById('scenario-export-json');
+    if (exportCsv) exportCsv.onclick = () => exportScenariosCSV(results, `scenarios_${pairTag}.csv`);
+    if (exportJson) exportJson.onclick = () => exportScenariosJSON(compared.length > 0 ? compared : saved, `scenarios_${pairTag}.json`);
+  };
+
+  const formHandlers = {
+    onRun: params => {
+      setState('ui.scenarioDraft', { name: document.getElementById('sc-name')?.value || '', params });
+      show(params);
+    },
+    onSave: (name, params) => {
+      const saved = saveScenario({ name, reporter, partner, params });
+      setState('ui.scenarioDraft', { name, params });
+      setState('ui.scenarioCompare', [...new Set([...(getState().ui.scenarioCompare || []), saved.id])]);
+      show(params);
+      refreshList();
+    },
+  };
+
+  renderScenarioForm(draft, currencies, formHandlers);
+  show(draft.params);
+  refreshList();
+}
+
+/**
+ * Holt-Winters baselines, base tariffs and log-log FX elasticities for the pair.
+ */
+async function scenarioInputs(state, { reporter, partner, currencies, history }) {
+  const baseYear = history.years[history.years.length - 1];
+  const forecastParams = { horizon: SCENARIO_HORIZON, seasonPeriod: 1, testSize: Math.min(3, Math.floor(history.years.length / 3)) };
+  const [exportFc, importFc] = await Promise.all([
+    requestModelWorker({ type: 'forecast', values: history.exports, params: forecastParams }, 'result'),
+    requestModelWorker({ type: 'forecast', values: history.imports, params: forecastParams }, 'result'),
+  ]);
+  const baseline = {
+    years: Array.from({ length: SCENARIO_HORIZON }, (_, h) => shiftPeriod(baseYear, h + 1)),
+    exports: exportFc.holtWinters.forecast.map(v => Math.max(0, v)),
+    imports: importFc.holtWinters.forecast.map(v => Math.max(0, v)),
+  };
+
+  // Latest applied tariff of each side on the other
+  const tariffNotes = [];
+  const latestTariff = (country, other) => {
+    const rows = state.macroFacts
+      .filter(r => r.indicator_code === 'WITS_AHS_WGHTD_AVRG' && r.country_iso3 === country
+        && r.request_fingerprint?.includes(`:${country}:${other}:`) && r.value !== null)
+      .sort((a, b) => a.date.localeCompare(b.date));
+    if (rows.length === 0) {
+      tariffNotes.push(`No AHS tariff loaded for ${countryName(country)}; base tariff assumed 0%.`);
+      return 0;
+    }
+    return rows[rows.length - 1].value;
+  };
+
+  const fx = {};
+  for (const flow of ['EXPORT', 'IMPORT']) {
+    fx[flow] = await fxElasticities(state.macroFacts, {
+      history: flow === 'EXPORT' ? history.exports : history.imports,
+      years: history.years,
+      currencies,
+      // Demand side: the partner buys exports, the reporter buys imports
+      demandCountry: flow === 'EXPORT' ? partner : reporter,
+    });
+  }
+
+  return {
+    baseYear,
+    baseline,
+    tariffReporter: latestTariff(reporter, partner),
+    tariffPartner: latestTariff(partner, reporter),
+    tariffNotes,
+    fx,
+    fxLag: 1,
+    fxElasticities: {
+      EXPORT: fx.EXPORT.elasticities || {},
+      IMPORT: fx.IMPORT.elasticities || {},
+    },
+  };
+}
+
+/**
+ * ln(flow) ~ ln(USD/<cur>) t−1 for each pair currency + ln GDP of the demand side.
+ */
+async function fxElasticities(macroFacts, { history, years, currencies, demandCountry }) {
+  const available = listMacroSeries(macroFacts);
+  const predictors = [];
+  for (const cur of currencies) {
+    const s = available.find(m => m.code === `FX_USD_${cur}`);
+    if (s) predictors.push({ series: s.id, lag: 1, transform: 'log', currency: cur, label: `ln USD/${cur} t−1` });
+  }
+  if (predictors.length === 0) return { error: 'No FX series loaded for the pair currencies.' };
+  const gdp = available.find(m => m.code === 'NY.GDP.MKTP.CD' && m.country === demandCountry);
+  if (gdp) predictors.push({ series: gdp.id, lag: 0, transform: 'log', currency: null, label: `ln GDP ${demandCountry}` });
+
+  const yMap = transformAnnualSeries(years.map((date, i) => ({ date, value: history[i] })), { transform: 'log' });
+  const design = buildRegressionDesign(yMap, predictors.map(p => transformAnnualSeries(annualMacroSeries(macroFacts, p.series), p)));
+  if (design.years.length <= predictors.length + 1) {
+    return { error: `Only ${design.years.length} overlapping years; FX elasticities not estimated.` };
+  }
+
+  try {
+    const fit = await requestModelWorker({
+      type: 'regression', y: design.y, X: design.X, labels: predictors.map(p => p.label), years: design.years,
+    }, 'regression_result');
+    return {
+      n: fit.n,
+      r2: fit.r2,
+      terms: predictors.map((p, j) => ({ currency: p.currency, label: p.label, coef: fit.coefficients[j + 1], pValue: fit.pValues[j + 1] })),
+      elasticities: Object.fromEntries(predictors.filter(p => p.currency).map(p => [p.currency, fit.coefficients[predictors.indexOf(p) + 1]])),
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * One-shot model worker request; resolves with the reply of resultType.
+ */
+function requestModelWorker(message, resultType) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker('./assets/workers/model.worker.js');
+    worker.onmessage = (e) => {
+      worker.terminate();
+      if (e.data.type === resultType) resolve(e.data);
+      else reject(new Error(e.data.message || `Unexpected ${e.data.type} from model worker`));
+    };
+    worker.onerror = (err) => {
+      worker.terminate();
+      reject(new Error(err.message || 'Model worker error'));
+    };
+    worker.postMessage(message);
+  });
+}
+
+// ── Mirror statistics ────────────────────────────────────────
+const DEFAULT_MIRROR_SPEC = Object.freeze({
+  direction: 'imports',
+  cifFobPct: Math.round((DEFAULT_CIF_FOB_FACTOR - 1) * 100),
+  thresholdPct: 25,
+});
+const _mirrorRequested = new Set();
+
+/**
+ * Discrepancy view: the reporter's records of the corridor against the partner's
+ * records of the same flows, as totals by year and per product group.
+ */
+function populateMirror(state) {
+  const f = state.filters;
+  const [reporter, partner] = state.ui.mirrorMode ? [f.partner, f.reporter] : [f.reporter, f.partner];
+  const labels = (importer, exporter) => ({ importerLabel: countryName(importer), exporterLabel: countryName(exporter) });
+
+  if (getCountry(reporter)?.aggregate || getCountry(partner)?.aggregate) {
+    showMirrorFallback([]);
+    renderMirrorChart({ years: [], importsFob: [], exportsFob: [], gapPct: [], ...labels(reporter, partner) });
+    renderMirrorSummary([], labels(reporter, partner), ['Mirror statistics compare two countries’ reports; aggregates do not report.']);
+    renderMirrorProducts([], { ...labels(reporter, partner), thresholdPct: DEFAULT_MIRROR_SPEC.thresholdPct });
+    return;
+  }
+
+  const inCorridor = r => (r.reporter_iso3 === reporter && r.partner_iso3 === partner)
+    || (r.reporter_iso3 === partner && r.partner_iso3 === reporter);
+  const rows = convertTradeRows(state.tradeFacts.filter(r =>
+    inCorridor(r) && (r.frequency || 'A') === 'A'
+    && parseInt(r.date) >= f.yearStart && parseInt(r.date) <= f.yearEnd
+  ), displayUnit());
+  showMirrorFallback(rows);
+
+  const directions = {
+    imports: `${countryName(reporter)} imports vs ${countryName(partner)} exports`,
+    exports: `${countryName(reporter)} exports vs ${countryName(partner)} imports`,
+  };
+
+  const draw = spec => {
+    const [importer, exporter] = spec.direction === 'exports' ? [partner, reporter] : [reporter, partner];
+    const cifFob = 1 + spec.cifFobPct / 100;
+    const totals = computeMirrorGaps(rows, { importer, exporter, level: 'TOTAL', cifFob });
+    const groups = computeMirrorGaps(rows, { importer, exporter, level: 'GROUP', cifFob });
+    const names = labels(importer, exporter);
+
+    renderMirrorChart({
+      years: totals.map(r => r.date),
+      importsFob: totals.map(r => r.imports_fob),
+      exportsFob: totals.map(r => r.exports_fob),
+      gapPct: totals.map(r => r.gap_pct),
+      ...names,
+    });
+
+    const notes = [];
+    const has = (rep, par) => rows.some(r => r.reporter_iso3 === rep && r.partner_iso3 === par);
+    if (!has(exporter, importer) || !has(importer, exporter)) {
+      const missing = has(importer, exporter) ? exporter : importer;
+      notes.push(`No trade reported by ${countryName(missing)} for this corridor is loaded. Live refresh fetches its totals from WITS; run scripts/fetch-snapshot-data.js --mirror to bundle totals and product groups.`);
+    }
+    notes.push(`Imports are converted from CIF to FOB by dividing by ${cifFob.toFixed(2)}. Gap = FOB-adjusted imports − exports, as % of exports.`);
+    renderMirrorSummary(totals, names, notes);
+    renderMirrorProducts(flagPersistentAsymmetries(groups, { thresholdPct: spec.thresholdPct }), { ...names, thresholdPct: spec.thresholdPct });
+
+    const exportCsv = document.getElementById('mirror-export-csv');
+    if (exportCsv) {
+      exportCsv.onclick = () => exportDatasetCSV(
+        [...totals, ...groups].map(r => ({ importer, exporter, ...r, cif_fob_factor: cifFob, unit: displayUnit().label })),
+        `mirror_${importer}_imports_${exporter}_exports.csv`,
+      );
+    }
+  };
+
+  const spec = { ...DEFAULT_MIRROR_SPEC, ...state.ui.mirrorSpec };
+  renderMirrorControls(spec, directions, next => {
+    setState('ui.mirrorSpec', next);
+    draw(next);
+  });
+  draw(spec);
+
+  renderProvenance('mirror-provenance', {
+    source: 'WITS TradeStats',
+    dataset: 'tradestats-trade (both reporters)',
+    retrieval_ts: rows.length > 0 ? rows[0].retrieval_ts : new Date().toISOString(),
+    url: WITS.DATA.json('tradestats-trade', {
+      reporter: getCountry(partner)?.wits || partner,
+      partner: getCountry(reporter)?.wits || reporter,
+      product: '999999',
+    }),
+    note: 'URL shows the partner-reported side; the reporter side uses the same query with reporter and partner swapped.',
+  });
+
+  wireExportButtons();
+
+  loadMirrorTotals(reporter, partner).then(loaded => { if (loaded) refreshCurrentPage(); });
+}
+
+let _mirrorFallbackBannerId = null;
+
+/**
+ * Warn while the Mirror page compares against the bundled fallback totals
+ * (source fallback:approx) instead of data fetched from WITS.
+ * @param {object[]} rows - corridor rows on display
+ */
+function showMirrorFallback(rows) {
+  if (_mirrorFallbackBannerId) {
+    dismissBanner(_mirrorFallbackBannerId);
+    _mirrorFallbackBannerId = null;
+  }
+  if (!rows.some(isFallbackRow)) return;
+  const sides = [...new Set(rows.filter(isFallbackRow).map(r => countryName(r.reporter_iso3)))].join(' and ');
+  _mirrorFallbackBannerId = addBanner({
+    level: 'warn',
+    key: 'mirror-fallback',
+    text: `Totals reported by ${sides} are approximate published values bundled as a fallback (trade_mirror.json), not fetched from WITS. Live refresh replaces them when WITS is reachable.`,
+    dismissible: true,
+  });
+}
+
+/**
+ * Fetch the partner's own reports of the corridor (partner as reporter) through the WITS
+ * adapter, once per pair and session. The reporter's side comes from the regular live refresh.
+ */
+async function loadMirrorTotals(reporter, partner) {
+  const key = `${partner}:${reporter}`;
+  if (_mirrorRequested.has(key) || !flag('liveRefresh') || !isSourceEnabled('wits') || !navigator.onLine) return false;
+  _mirrorRequested.add(key);
+  const source = getSource('wits');
+  const context = { ...sourceContext(), reporter: partner, partner: reporter };
+  const { rows } = await refreshSource(source, context);
+  // CORS or network: the view keeps whatever mirror data is loaded, without a second WITS banner
+  if (rows.length === 0) return false;
+  mergeTradeRows(source, rows.filter(r => r.product_level === 'TOTAL'), context);
+  return true;
+}
+
+async function populateMethods() {
+  populateWitsQueryBuilder();
+  renderSourceHealth(sourceHealth());
+  const { filters: { reporter, partner }, tradeFacts, referenceFacts } = getState();
+  renderSourceReconciliation(
+    reconcileSources([...tradeFacts, ...referenceFacts], { reporter, partner, reference: 'wits', candidate: 'imf' }),
+    { pair: pairLabel(reporter, partner), reporterName: countryName(reporter) }
+  );
+  const entries = await listPersistent();
+  renderCacheInspector(entries, flag('persistentCache.maxBytes'));
+}
+
+// ── WITS query builder ───────────────────────────────────────
+function witsQuery() {
+  const { reporter, partner } = getState().filters;
+  return getState().ui.witsQuery || {
+    datasource: 'tradestats-trade',
+    reporter: getCountry(reporter)?.wits || reporter,
+    partner: getCountry(partner)?.wits || partner,
+    product: 'Total',
+    indicator: 'XPRT-TRD-VL;MPRT-TRD-VL',
+    year: 'all',
+  };
+}
+
+function populateWitsQueryBuilder() {
+  const draw = status => {
+    const codelists = witsCodelists();
+    const datasources = WITS.DATASOURCES.map(id => {
+      const flow = codelists?.dataflows.find(d => d.id.toLowerCase() === sdmxDataflow(id));
+      return { id, label: flow?.name ? `${id} (${flow.name})` : id };
+    });
+    renderWitsQueryBuilder(witsQuery(), { status, codelists, datasources }, {
+      onChange: query => {
+        setState('ui.witsQuery', query);
+        drawWitsQuerySummary(query);
+      },
+      onRun: query => runWitsQuery(query),
+    });
+    drawWitsQuerySummary(witsQuery());
+  };
+
+  if (witsCodelists()) {
+    draw('ready');
+    return;
+  }
+  draw('loading');
+  loadWitsCodelists().then(codelists => {
+    if (getState().ui.activeRoute === '#/methods') draw(codelists ? 'ready' : 'unavailable');
+  });
+}
+
+/**
+ * Split a builder query into WITS params and check it against the limits and, once
+ * loaded, the codelists. Year 'all' is planned over the filter bar's years.
+ */
+function planWitsQuery({ datasource, year, reporter, partner, product, indicator }) {
+  const { yearStart, yearEnd } = getState().filters;
+  const params = { reporter, year, partner, product, indicator };
+  const yearRange = [yearStart, yearEnd];
+  if (!/^(all|\d{4})$/i.test(year)) {
+    return { params, yearRange, valid: false, reason: "Year must be a four-digit year or 'all'.", requests: 0 };
+  }
+  try {
+    const plan = QueryPlanner.plan(datasource, params, yearRange, witsCodelists());
+    return { params, yearRange, valid: plan.valid, reason: plan.reason, requests: plan.requests };
+  } catch (err) {
+    return { params, yearRange, valid: false, reason: err.message, requests: 0 };
+  }
+}
+
+function drawWitsQuerySummary(query) {
+  const plan = planWitsQuery(query);
+  const names = [];
+  for (const [param, dim] of Object.entries(TRADESTATS_DSD.params)) {
+    if (String(query[param]).toLowerCase() === 'all') continue;
+    for (const code of String(query[param]).split(';')) {
+      const name = codeName(dim, code);
+      if (name) names.push(`${code} — ${name}`);
+    }
+  }
+  // Both sides must be single registry countries to drive the filter bar
+  const iso = code => (code.includes(';') ? null : countryForWits(code));
+  const reporter = iso(query.reporter);
+  const partner = iso(query.partner);
+  const pair = getCountry(reporter) && !getCountry(reporter).aggregate && getCountry(partner) && reporter !== partner
+    ? { reporter, partner }
+    : null;
+
+  renderWitsQuerySummary({
+    valid: plan.valid,
+    reason: plan.reason,
+    requests: plan.requests,
+    jsonUrl: WITS.DATA.json(query.datasource, plan.params),
+    sdmxUrl: sdmxDataUrl(query.datasource, plan.params, plan.yearRange),
+    names,
+    pair,
+    explain: QueryPlanner.explain(query.datasource, plan.params, plan.yearRange, witsCodelists()),
+  }, {
+    onUseFilters: (r, p) => {
+      batchUpdate({ 'filters.reporter': r, 'filters.partner': p });
+      syncFiltersToURL();
+      onPairChange();
+    },
+  });
+}
+
+async function runWitsQuery(query) {
+  const plan = planWitsQuery(query);
+  if (!plan.valid) {
+    renderWitsQueryResults({ error: plan.reason });
+    return;
+  }
+  showLoading('Querying WITS...');
+  try {
+    const results = await fetchWitsData(query.datasource, plan.params, plan.yearRange, { codelists: witsCodelists() });
+    const rows = normaliseWitsResults(results, query.datasource);
+    renderWitsQueryResults({ rows, requests: results.length, failed: results.filter(r => r.status === 'failed').length });
+  } catch (err) {
+    logError(err);
+    renderWitsQueryResults({ error: err.uiMessage || err.message });
+  } finally {
+    hideLoading();
   }
 }
 
@@ -5,6 +5,8 @@
  */
 
 import { exportChartPNG, exportChartSVG } from './services/exporters.js';
+import { displayUnit } from './services/units.js';
+import { eventCategory, eventPeriod } from './services/events.js';
 
 const _instances = new Map();
 
@@ -27,6 +29,8 @@ function disposeAll() {
     inst.dispose();
   }
   _instances.clear();
+  _breakMarks.clear();
+  _timeCharts.clear();
 }
 
 // ── Resize handler ───────────────────────────────────────────
@@ -52,6 +56,140 @@ export function wireExportButtons() {
   });
 }
 
+// ── Structural-break annotations ─────────────────────────────
+// Stored per chart and re-applied after each full render, since break results and
+// forecasts come back from separate worker requests in either order.
+const _breakMarks = new Map();
+const BREAK_SERIES_ID = 'break-marks';
+
+/**
+ * Mark detected breaks (dashed lines) and outliers (shaded periods) on a category-axis chart.
+ * @param {string} chartId
+ * @param {{ breaks: string[], outliers: string[] }|null} marks - periods on the x axis; null clears
+ */
+export function renderBreakAnnotations(chartId, marks) {
+  if (marks) _breakMarks.set(chartId, marks);
+  else _breakMarks.delete(chartId);
+  applyBreakMarks(chartId);
+}
+
+function applyBreakMarks(chartId) {
+  const chart = _instances.get(chartId);
+  if (!chart) return;
+  const { breaks = [], outliers = [] } = _breakMarks.get(chartId) || {};
+  chart.setOption({
+    series: [{
+      id: BREAK_SERIES_ID,
+      type: 'line',
+      data: [],
+      silent: true,
+      markLine: {
+        symbol: 'none',
+        lineStyle: { type: 'dashed', color: '#7c3aed' },
+        label: { position: 'insideEndTop', color: '#7c3aed' },
+        data: breaks.map(period => ({ xAxis: period, label: { formatter: `Break ${period}` } })),
+      },
+      markArea: {
+        itemStyle: { color: 'rgba(245, 158, 11, 0.18)' },
+        label: { position: 'insideTop', color: '#b45309', fontSize: 10 },
+        data: outliers.map(period => [{ xAxis: period, name: 'Outlier' }, { xAxis: period }]),
+      },
+    }],
+  });
+}
+
+// ── Event overlay ────────────────────────────────────────────
+// One event list for every time-axis chart. Each such chart re-applies it after a full
+// render and registers itself so a filter change can redraw the markers in place.
+const _timeCharts = new Set();
+let _events = [];
+const EVENT_SERIES_ID = 'event-marks';
+
+/**
+ * Set the events drawn on time-axis charts and redraw the charts on screen.
+ * @param {object[]} events - filtered event rows; [] hides the markers
+ */
+export function renderEventOverlay(events) {
+  _events = events;
+  for (const chartId of _timeCharts) applyEventMarks(chartId);
+}
+
+function applyEventMarks(chartId) {
+  const chart = _instances.get(chartId);
+  if (!chart) return;
+  _timeCharts.add(chartId);
+  const categories = chart.getOption().xAxis?.[0]?.data || [];
+  if (categories.length === 0) return; // empty-data placeholder
+
+  // Events in the same period share one marker
+  const byPeriod = new Map();
+  for (const e of _events) {
+    const period = eventPeriod(categories, e.date);
+    if (period === null) continue;
+    if (!byPeriod.has(period)) byPeriod.set(period, []);
+    byPeriod.get(period).push(e);
+  }
+
+  chart.setOption({
+    series: [{
+      id: EVENT_SERIES_ID,
+      type: 'line',
+      data: [],
+      markLine: {
+        symbol: ['none', 'pin'],
+        symbolSize: 16,
+        label: { show: false },
+        lineStyle: { type: 'dotted', width: 1 },
+        tooltip: { trigger: 'item', formatter: p => eventTooltip(p.data.events) },
+        data: [...byPeriod].map(([period, events]) => {
+          const color = eventCategory(events[0].category).color;
+          return { xAxis: period, events, lineStyle: { color }, itemStyle: { color } };
+        }),
+      },
+    }],
+  });
+}
+
+function eventTooltip(events) {
+  const esc = str => String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  return events.map(e => {
+    const cat = eventCategory(e.category);
+    return `<span style="color:${cat.color}">●</span> <b>${esc(e.date)}</b> ${esc(e.title)}<br/><span style="color:#64748b">${esc(cat.label)}</span>`;
+  }).join('<br/>');
+}
+
+/**
+ * CUSUM of recursive residuals with its 5% significance bounds.
+ * @param {{ periods: string[], cusum: number[], bounds: number[] }|null} data
+ */
+export function renderCusumChart(data) {
+  const chart = getOrCreate('cusum-chart');
+  if (!chart) return;
+
+  if (!data) {
+    chart.setOption({
+      title: { text: 'Not enough periods for the CUSUM test', left: 'center', top: 'center', textStyle: { color: '#999', fontSize: 14 } },
+      series: [],
+    }, true);
+    return;
+  }
+
+  const bound = { type: 'line', symbol: 'none', lineStyle: { type: 'dashed', color: '#dc2626' }, itemStyle: { color: '#dc2626' } };
+  chart.setOption({
+    tooltip: { trigger: 'axis', valueFormatter: v => (v === null || v === undefined ? '–' : v.toFixed(2)) },
+    legend: { data: ['CUSUM', '5% bounds'], bottom: 0 },
+    grid: { left: 60, right: 30, bottom: 50, top: 30 },
+    xAxis: { type: 'category', data: data.periods },
+    yAxis: { type: 'value', name: 'CUSUM' },
+    series: [
+      { name: 'CUSUM', type: 'line', data: data.cusum, itemStyle: { color: '#2563eb' } },
+      { ...bound, name: '5% bounds', data: data.bounds },
+      { ...bound, name: '5% bounds', data: data.bounds.map(b => -b) },
+    ],
+  }, true);
+  applyEventMarks('cusum-chart');
+}
+
 // ── Overview: annual trade flow ──────────────────────────────
 export function renderOverviewChart(yearlyData) {
   const chart = getOrCreate('overview-chart');
@@ -67,17 +205,20 @@ export function renderOverviewChart(yearlyData) {
     return r ? r.value_usd : null;
   });
 
+  const unit = displayUnit();
   chart.setOption({
-    tooltip: { trigger: 'axis', valueFormatter: v => v !== null ? '$' + (v / 1e9).toFixed(2) + 'B' : 'N/A' },
+    tooltip: { trigger: 'axis', valueFormatter: v => unit.format(v) },
     legend: { data: ['Exports', 'Imports'] },
     grid: { left: 80, right: 30, bottom: 40 },
     xAxis: { type: 'category', data: years },
-    yAxis: { type: 'value', name: 'USD', axisLabel: { formatter: v => (v / 1e9).toFixed(0) + 'B' } },
+    yAxis: { type: 'value', name: unit.label, axisLabel: { formatter: unit.axis } },
     series: [
       { name: 'Exports', type: 'bar', data: exports, itemStyle: { color: '#2563eb' } },
       { name: 'Imports', type: 'bar', data: imports, itemStyle: { color: '#dc2626' } },
     ],
   }, true);
+  applyBreakMarks('overview-chart');
+  applyEventMarks('overview-chart');
 }
 
 // ── Overview: trade balance ──────────────────────────────────
@@ -88,11 +229,12 @@ export function renderBalanceChart(balanceData) {
   const years = balanceData.map(d => d.date);
   const balance = balanceData.map(d => d.balance);
 
+  const unit = displayUnit();
   chart.setOption({
-    tooltip: { trigger: 'axis', valueFormatter: v => '$' + (v / 1e9).toFixed(2) + 'B' },
+    tooltip: { trigger: 'axis', valueFormatter: v => unit.format(v) },
     grid: { left: 80, right: 30, bottom: 40 },
     xAxis: { type: 'category', data: years },
-    yAxis: { type: 'value', name: 'USD', axisLabel: { formatter: v => (v / 1e9).toFixed(0) + 'B' } },
+    yAxis: { type: 'value', name: unit.label, axisLabel: { formatter: unit.axis } },
     series: [{
       name: 'Balance',
       type: 'bar',
@@ -102,14 +244,21 @@ export function renderBalanceChart(balanceData) {
       })),
     }],
   }, true);
+  applyEventMarks('balance-chart');
 }
 
 // ── Composition: treemap ─────────────────────────────────────
-export function renderCompositionTreemap(productData) {
+/**
+ * Draw one level of the product hierarchy (children of the drilled node).
+ * @param {Array<{code, name, value_usd, children}>} nodes
+ * @param {{ onDrill?: function(string), canDrill?: function(node): boolean }} opts
+ */
+export function renderCompositionTreemap(nodes, { onDrill, canDrill = n => n.children?.length > 0 } = {}) {
   const chart = getOrCreate('comp-treemap');
   if (!chart) return;
+  chart.off('click');
 
-  if (!productData || productData.length === 0) {
+  if (!nodes || nodes.length === 0) {
     chart.setOption({
       title: { text: 'No composition data available', left: 'center', top: 'center', textStyle: { color: '#999' } },
       series: [],
@@ -117,20 +266,33 @@ export function renderCompositionTreemap(productData) {
     return;
   }
 
-  const treeData = productData.map(p => ({
-    name: p.product_name || p.product_code,
-    value: p.value_usd || 0,
+  const treeData = nodes.map(n => ({
+    name: n.name || n.code,
+    value: n.value_usd || 0,
+    code: n.code,
+    drillable: canDrill(n),
   })).filter(d => d.value > 0);
 
   chart.setOption({
-    tooltip: { formatter: info => `${info.name}: $${(info.value / 1e6).toFixed(1)}M` },
+    tooltip: {
+      formatter: info => `${info.name}: ${displayUnit().format(info.value, 1)}`
+        + (info.data?.drillable ? '<br/><em>Click to drill down</em>' : ''),
+    },
     series: [{
       type: 'treemap',
       data: treeData,
+      nodeClick: false,
+      roam: false,
       label: { show: true, formatter: '{b}' },
       breadcrumb: { show: false },
     }],
   }, true);
+
+  if (onDrill) {
+    chart.on('click', params => {
+      if (params.data?.drillable) onDrill(params.data.code);
+    });
+  }
 }
 
 // ── Composition: rank shift (bump chart) ─────────────────────
@@ -166,6 +328,88 @@ export function renderRankShiftChart(rankData) {
     yAxis: { type: 'value', name: 'Rank', inverse: true, min: 1 },
     series,
   }, true);
+  applyEventMarks('comp-rank');
+}
+
+/**
+ * Trade-index lines by year (one series per index or product).
+ * @param {{ years: string[], series: Array<{ name, values }>, yName: string, threshold?: number }} data
+ *   threshold draws a dashed reference line (RCA = 1)
+ */
+export function renderTradeIndexChart({ years, series, yName, threshold }) {
+  const chart = getOrCreate('comp-indices');
+  if (!chart) return;
+
+  if (series.every(s => s.values.every(v => v === null))) {
+    chart.setOption({
+      title: { text: 'No data for this index', left: 'center', top: 'center', textStyle: { color: '#999', fontSize: 14 } },
+      series: [],
+    }, true);
+    return;
+  }
+
+  chart.setOption({
+    tooltip: { trigger: 'axis', valueFormatter: v => (v === null || v === undefined ? '–' : v.toFixed(2)) },
+    legend: { type: 'scroll', bottom: 0 },
+    grid: { left: 60, right: 30, bottom: 60, top: 40 },
+    xAxis: { type: 'category', data: years },
+    yAxis: { type: 'value', name: yName },
+    series: series.map((s, i) => ({
+      name: s.name,
+      type: 'line',
+      data: s.values,
+      connectNulls: false,
+      ...(i === 0 && threshold !== undefined ? {
+        markLine: { silent: true, symbol: 'none', lineStyle: { type: 'dashed', color: '#999' }, data: [{ yAxis: threshold }] },
+      } : {}),
+    })),
+  }, true);
+  applyEventMarks('comp-indices');
+}
+
+// ── Mirror statistics ────────────────────────────────────────
+/**
+ * Importer-reported imports (FOB-adjusted) against exporter-reported exports per year,
+ * with the percentage gap on a second axis.
+ */
+export function renderMirrorChart({ years, importsFob, exportsFob, gapPct, importerLabel, exporterLabel }) {
+  const chart = getOrCreate('mirror-chart');
+  if (!chart) return;
+
+  if (years.length === 0) {
+    chart.setOption({
+      title: { text: 'No years reported by both sides', left: 'center', top: 'center', textStyle: { color: '#999', fontSize: 14 } },
+      series: [],
+    }, true);
+    return;
+  }
+
+  const unit = displayUnit();
+  const money = { valueFormatter: v => unit.format(v) };
+  chart.setOption({
+    tooltip: { trigger: 'axis' },
+    legend: { bottom: 0 },
+    grid: { left: 80, right: 60, bottom: 50, top: 40 },
+    xAxis: { type: 'category', data: years },
+    yAxis: [
+      { type: 'value', name: unit.label, axisLabel: { formatter: unit.axis } },
+      { type: 'value', name: 'Gap %', splitLine: { show: false }, axisLabel: { formatter: '{value}%' } },
+    ],
+    series: [
+      { name: `${importerLabel} imports (FOB-adj.)`, type: 'bar', data: importsFob, itemStyle: { color: '#dc2626' }, tooltip: money },
+      { name: `${exporterLabel} exports`, type: 'bar', data: exportsFob, itemStyle: { color: '#2563eb' }, tooltip: money },
+      {
+        name: 'Gap %',
+        type: 'line',
+        yAxisIndex: 1,
+        data: gapPct,
+        itemStyle: { color: '#7c3aed' },
+        tooltip: { valueFormatter: v => (v === null || v === undefined ? '–' : `${v.toFixed(1)}%`) },
+        markLine: { silent: true, symbol: 'none', lineStyle: { type: 'dashed', color: '#999' }, data: [{ yAxis: 0 }] },
+      },
+    ],
+  }, true);
+  applyEventMarks('mirror-chart');
 }
 
 // ── Tariffs chart ────────────────────────────────────────────
@@ -204,19 +448,27 @@ export function renderTariffChart(tariffData) {
     yAxis: { type: 'value', name: '%' },
     series,
   }, true);
+  applyEventMarks('tariff-chart');
 }
 
 // ── GDP chart ────────────────────────────────────────────────
-export function renderGDPChart(macroData) {
+const SERIES_COLORS = ['#f97316', '#dc2626', '#2563eb', '#16a34a', '#9333ea'];
+
+/**
+ * @param {object[]} macroData - macro_fact rows
+ * @param {{ iso3, name }[]} countries - one line per country, in legend order
+ */
+export function renderGDPChart(macroData, countries) {
   const chart = getOrCreate('gdp-chart');
   if (!chart) return;
 
-  const indGDP = macroData.filter(d => d.country_iso3 === 'IND' && d.indicator_code === 'NY.GDP.MKTP.CD')
-    .sort((a, b) => a.date.localeCompare(b.date));
-  const chnGDP = macroData.filter(d => d.country_iso3 === 'CHN' && d.indicator_code === 'NY.GDP.MKTP.CD')
-    .sort((a, b) => a.date.localeCompare(b.date));
+  const byCountry = countries.map(c => ({
+    ...c,
+    rows: macroData.filter(d => d.country_iso3 === c.iso3 && d.indicator_code === 'NY.GDP.MKTP.CD')
+      .sort((a, b) => a.date.localeCompare(b.date)),
+  }));
 
-  const years = [...new Set([...indGDP.map(d => d.date), ...chnGDP.map(d => d.date)])].sort();
+  const years = [...new Set(byCountry.flatMap(c => c.rows.map(d => d.date)))].sort();
 
   if (years.length === 0) {
     chart.setOption({
@@ -228,34 +480,34 @@ export function renderGDPChart(macroData) {
 
   chart.setOption({
     tooltip: { trigger: 'axis', valueFormatter: v => v !== null ? '$' + (v / 1e12).toFixed(2) + 'T' : 'N/A' },
-    legend: { data: ['India GDP', 'China GDP'] },
+    legend: { data: byCountry.map(c => `${c.name} GDP`) },
     grid: { left: 80, right: 30, bottom: 40 },
     xAxis: { type: 'category', data: years },
     yAxis: { type: 'value', name: 'USD', axisLabel: { formatter: v => (v / 1e12).toFixed(1) + 'T' } },
-    series: [
-      {
-        name: 'India GDP', type: 'line', smooth: true,
-        data: years.map(y => { const r = indGDP.find(d => d.date === y); return r ? r.value : null; }),
-        itemStyle: { color: '#f97316' },
-      },
-      {
-        name: 'China GDP', type: 'line', smooth: true,
-        data: years.map(y => { const r = chnGDP.find(d => d.date === y); return r ? r.value : null; }),
-        itemStyle: { color: '#dc2626' },
-      },
-    ],
+    series: byCountry.map((c, i) => ({
+      name: `${c.name} GDP`, type: 'line', smooth: true,
+      data: years.map(y => { const r = c.rows.find(d => d.date === y); return r ? r.value : null; }),
+      itemStyle: { color: SERIES_COLORS[i % SERIES_COLORS.length] },
+    })),
   }, true);
+  applyEventMarks('gdp-chart');
 }
 
 // ── FX chart ─────────────────────────────────────────────────
-export function renderFXChart(fxData) {
+/**
+ * @param {object[]} fxData - macro_fact rows with FX_USD_* indicators
+ * @param {string[]} currencies - ISO 4217 codes; first on the left axis, second on the right
+ */
+export function renderFXChart(fxData, currencies) {
   const chart = getOrCreate('fx-chart');
   if (!chart) return;
 
-  const inr = fxData.filter(d => d.indicator_code === 'FX_USD_INR').sort((a, b) => a.date.localeCompare(b.date));
-  const cny = fxData.filter(d => d.indicator_code === 'FX_USD_CNY').sort((a, b) => a.date.localeCompare(b.date));
+  const byCurrency = currencies.map(cur => ({
+    cur,
+    rows: fxData.filter(d => d.indicator_code === `FX_USD_${cur}`).sort((a, b) => a.date.localeCompare(b.date)),
+  }));
 
-  const dates = [...new Set([...inr.map(d => d.date), ...cny.map(d => d.date)])].sort();
+  const dates = [...new Set(byCurrency.flatMap(c => c.rows.map(d => d.date)))].sort();
 
   if (dates.length === 0) {
     chart.setOption({
@@ -267,26 +519,17 @@ export function renderFXChart(fxData) {
 
   chart.setOption({
     tooltip: { trigger: 'axis' },
-    legend: { data: ['USD/INR', 'USD/CNY'] },
+    legend: { data: byCurrency.map(c => `USD/${c.cur}`) },
     grid: { left: 60, right: 60, bottom: 40 },
     xAxis: { type: 'category', data: dates },
-    yAxis: [
-      { type: 'value', name: 'INR', position: 'left' },
-      { type: 'value', name: 'CNY', position: 'right' },
-    ],
-    series: [
-      {
-        name: 'USD/INR', type: 'line', yAxisIndex: 0,
-        data: dates.map(d => { const r = inr.find(x => x.date === d); return r ? r.value : null; }),
-        itemStyle: { color: '#f97316' },
-      },
-      {
-        name: 'USD/CNY', type: 'line', yAxisIndex: 1,
-        data: dates.map(d => { const r = cny.find(x => x.date === d); return r ? r.value : null; }),
-        itemStyle: { color: '#dc2626' },
-      },
-    ],
+    yAxis: byCurrency.slice(0, 2).map((c, i) => ({ type: 'value', name: c.cur, position: i === 0 ? 'left' : 'right' })),
+    series: byCurrency.map((c, i) => ({
+      name: `USD/${c.cur}`, type: 'line', yAxisIndex: Math.min(i, 1),
+      data: dates.map(d => { const r = c.rows.find(x => x.date === d); return r ? r.value : null; }),
+      itemStyle: { color: SERIES_COLORS[i % SERIES_COLORS.length] },
+    })),
   }, true);
+  applyEventMarks('fx-chart');
 }
 
 // ── Correlation scatter ──────────────────────────────────────
@@ -314,37 +557,150 @@ export function renderCorrelationChart(xData, yData, xLabel, yLabel) {
   }, true);
 }
 
+/**
+ * Cross-correlation bars by lag with per-lag ±1.96/√n bounds.
+ * @param {Array<{ lag, r, n, bound }>} ccf
+ */
+export function renderCCFChart(ccf) {
+  const chart = getOrCreate('ccf-chart');
+  if (!chart) return;
+
+  if (ccf.every(c => c.r === null)) {
+    chart.setOption({
+      title: { text: 'Not enough overlapping years', left: 'center', top: 'center', textStyle: { color: '#999', fontSize: 14 } },
+      series: [],
+    }, true);
+    return;
+  }
+
+  const bound = { type: 'line', step: 'middle', symbol: 'none', lineStyle: { type: 'dashed', color: '#999', width: 1 }, tooltip: { show: false } };
+  chart.setOption({
+    tooltip: {
+      trigger: 'axis',
+      formatter: params => {
+        const c = ccf[params[0].dataIndex];
+        return c.r === null ? `Lag ${c.lag}: –`
+          : `Lag ${c.lag}: r = ${c.r.toFixed(3)} (n = ${c.n}, 95% bound ±${c.bound.toFixed(3)})`;
+      },
+    },
+    legend: { bottom: 0, data: ['r', '95% bound'] },
+    grid: { left: 50, right: 30, bottom: 50, top: 30 },
+    xAxis: { type: 'category', name: 'Lag (X leads Y)', nameLocation: 'middle', nameGap: 28, data: ccf.map(c => c.lag) },
+    yAxis: { type: 'value', min: -1, max: 1 },
+    series: [
+      {
+        name: 'r',
+        type: 'bar',
+        data: ccf.map(c => ({
+          value: c.r,
+          itemStyle: { color: c.r !== null && c.bound !== null && Math.abs(c.r) > c.bound ? '#6366f1' : '#c7d2fe' },
+        })),
+      },
+      { ...bound, name: '95% bound', data: ccf.map(c => c.bound) },
+      { ...bound, name: '95% bound', data: ccf.map(c => (c.bound === null ? null : -c.bound)) },
+    ],
+  }, true);
+}
+
+/**
+ * Moving-window correlation, labelled by the window's last year.
+ * @param {Array<{ date, r }>} points
+ * @param {number} window - years per window
+ */
+export function renderRollingCorrelationChart(points, window) {
+  const chart = getOrCreate('rolling-corr-chart');
+  if (!chart) return;
+
+  if (points.length === 0) {
+    chart.setOption({
+      title: { text: `Fewer than ${window} overlapping years`, left: 'center', top: 'center', textStyle: { color: '#999', fontSize: 14 } },
+      series: [],
+    }, true);
+    return;
+  }
+
+  chart.setOption({
+    tooltip: { trigger: 'axis', valueFormatter: v => (v === null || v === undefined ? '–' : v.toFixed(3)) },
+    grid: { left: 50, right: 30, bottom: 40, top: 30 },
+    xAxis: { type: 'category', data: points.map(p => p.date) },
+    yAxis: { type: 'value', min: -1, max: 1 },
+    series: [{
+      name: `${window}-year correlation`,
+      type: 'line',
+      data: points.map(p => p.r),
+      itemStyle: { color: '#6366f1' },
+      markLine: { silent: true, symbol: 'none', lineStyle: { type: 'dashed', color: '#999' }, data: [{ yAxis: 0 }] },
+    }],
+  }, true);
+  applyEventMarks('rolling-corr-chart');
+}
+
 // ── Forecast chart ───────────────────────────────────────────
-export function renderForecastChart(historical, naiveForecast, hwForecast, labels) {
+/**
+ * @param {number[]} historical
+ * @param {string[]} labels - historical + forecast period labels
+ * @param {Array<{ name, color, forecast: number[], intervals?, showBands?: boolean }>} models
+ *   intervals: { method, bands: [{ level, lower[], upper[] }] } from the model worker
+ * @param {{ selected?: Object<string, boolean>|null, onLegendChange?: function(Object<string, boolean>) }} legend
+ *   selected: saved legend visibility (overrides the defaults for names still shown)
+ */
+export function renderForecastChart(historical, labels, models, { selected = null, onLegendChange } = {}) {
   const chart = getOrCreate('forecast-chart');
   if (!chart) return;
 
   const histLabels = labels.slice(0, historical.length);
   const fcLabels = labels.slice(historical.length);
   const allLabels = [...histLabels, ...fcLabels];
+  const pad = new Array(histLabels.length).fill(null);
+  const unit = displayUnit();
+  const fmt = v => unit.format(v);
+
+  const bands = models.flatMap(m => intervalBands(m.name, m.intervals, m.color, pad));
+  const bandNames = [...new Set(bands.map(b => b.series.name))];
+  const bandById = new Map(bands.map(b => [b.series.id, b.band]));
+  const hiddenBands = models.filter(m => !m.showBands).map(m => m.name);
+  const legendNames = ['Historical', ...models.map(m => `${m.name} (Model)`), ...bandNames];
 
   chart.setOption({
-    tooltip: { trigger: 'axis' },
-    legend: { data: ['Historical', 'Seasonal Naive (Model)', 'Holt-Winters (Model)'] },
+    tooltip: {
+      trigger: 'axis',
+      formatter: params => {
+        const lines = [params[0]?.axisValue];
+        for (const p of params) {
+          if (p.value == null || p.seriesId.endsWith('-lower')) continue;
+          const band = bandById.get(p.seriesId);
+          const h = p.dataIndex - histLabels.length;
+          lines.push(band
+            ? `${p.marker}${p.seriesName}: ${fmt(band.lower[h])} – ${fmt(band.upper[h])}`
+            : `${p.marker}${p.seriesName}: ${fmt(p.value)}`);
+        }
+        return lines.join('<br/>');
+      },
+    },
+    legend: {
+      type: 'scroll',
+      data: legendNames,
+      // Only the primary model's bands start visible to keep the chart readable
+      selected: {
+        ...Object.fromEntries(bandNames.map(n => [n, !hiddenBands.some(h => n.startsWith(h))])),
+        ...Object.fromEntries(Object.entries(selected || {}).filter(([n]) => legendNames.includes(n))),
+      },
+    },
     grid: { left: 80, right: 30, bottom: 40 },
     xAxis: { type: 'category', data: allLabels },
-    yAxis: { type: 'value', name: 'USD', axisLabel: { formatter: v => (v / 1e9).toFixed(1) + 'B' } },
+    yAxis: { type: 'value', name: unit.label, axisLabel: { formatter: unit.axis } },
     series: [
+      ...bands.map(b => b.series),
       {
-        name: 'Historical', type: 'line',
+        id: 'historical', name: 'Historical', type: 'line',
         data: [...historical, ...new Array(fcLabels.length).fill(null)],
         itemStyle: { color: '#2563eb' },
       },
-      {
-        name: 'Seasonal Naive (Model)', type: 'line', lineStyle: { type: 'dashed' },
-        data: [...new Array(histLabels.length).fill(null), ...naiveForecast],
-        itemStyle: { color: '#16a34a' },
-      },
-      {
-        name: 'Holt-Winters (Model)', type: 'line', lineStyle: { type: 'dashed' },
-        data: [...new Array(histLabels.length).fill(null), ...hwForecast],
-        itemStyle: { color: '#f97316' },
-      },
+      ...models.map(m => ({
+        id: m.name, name: `${m.name} (Model)`, type: 'line', lineStyle: { type: 'dashed' },
+        data: [...pad, ...m.forecast],
+        itemStyle: { color: m.color },
+      })),
     ],
     markArea: {
       data: fcLabels.length > 0 ? [[
@@ -353,24 +709,211 @@ export function renderForecastChart(historical, naiveForecast, hwForecast, label
       ]] : [],
     },
   }, true);
+  applyBreakMarks('forecast-chart');
+  applyEventMarks('forecast-chart');
+  chart.off('legendselectchanged');
+  if (onLegendChange) chart.on('legendselectchanged', e => onLegendChange(e.selected));
+}
+
+/**
+ * Shaded prediction-interval band as two stacked lines: an invisible lower bound
+ * and the band width filled on top. Widest level first so narrower bands draw over it.
+ */
+function intervalBands(model, intervals, color, pad) {
+  if (!intervals?.bands) return [];
+  return [...intervals.bands].sort((a, b) => b.level - a.level).flatMap(band => {
+    const stack = `${model}-${band.level}`;
+    const common = {
+      name: `${model} ${band.level}% PI`, type: 'line', stack, stackStrategy: 'all',
+      symbol: 'none', lineStyle: { opacity: 0 }, itemStyle: { color },
+    };
+    return [
+      { band, series: { ...common, id: `${stack}-lower`, data: [...pad, ...band.lower] } },
+      {
+        band,
+        series: {
+          ...common, id: `${stack}-width`,
+          data: [...pad, ...band.upper.map((u, i) => (u !== null && band.lower[i] !== null ? u - band.lower[i] : null))],
+          areaStyle: { color, opacity: band.level >= 95 ? 0.12 : 0.24 },
+        },
+      },
+    ];
+  });
+}
+
+// ── Backtest chart ───────────────────────────────────────────
+/**
+ * MASE by forecast horizon for each model, from an expanding-window backtest.
+ * @param {object} result - backtest_result from the model worker
+ * @param {Array<{key, name, color}>} models
+ */
+export function renderBacktestChart(result, models) {
+  const chart = getOrCreate('backtest-chart');
+  if (!chart) return;
+
+  if (!result || result.origins.length === 0) {
+    chart.setOption({
+      title: { text: 'No backtest origins for this window', left: 'center', top: 'center', textStyle: { color: '#999' } },
+      series: [],
+    }, true);
+    return;
+  }
+
+  const horizons = Array.from({ length: result.config.horizon }, (_, k) => `h=${k + 1}`);
+  chart.setOption({
+    tooltip: { trigger: 'axis', valueFormatter: v => (v !== null && v !== undefined ? v.toFixed(2) : 'N/A') },
+    legend: { data: models.map(m => m.name) },
+    grid: { left: 60, right: 30, bottom: 40 },
+    xAxis: { type: 'category', data: horizons, name: 'Horizon' },
+    yAxis: { type: 'value', name: 'MASE', min: 0 },
+    series: models.map((m, i) => ({
+      name: m.name,
+      type: 'line',
+      data: (result.models[m.key]?.byHorizon || []).map(r => (r.n > 0 ? r.mase : null)),
+      itemStyle: { color: m.color },
+      // Reference line: MASE = 1 matches the in-sample naive error
+      markLine: i === 0 ? {
+        silent: true, symbol: 'none',
+        lineStyle: { type: 'dotted', color: '#64748b' },
+        label: { formatter: 'naive = 1' },
+        data: [{ yAxis: 1 }],
+      } : undefined,
+    })),
+  }, true);
 }
 
 // ── Regression chart ─────────────────────────────────────────
-export function renderRegressionChart(actual, fitted, labels) {
+/**
+ * Actual vs fitted response. money=false for transformed (log / differenced) responses.
+ */
+export function renderRegressionChart(actual, fitted, labels, { money = true, name = 'USD' } = {}) {
   const chart = getOrCreate('regression-chart');
   if (!chart) return;
+  const unit = displayUnit();
+  const fmt = money ? v => unit.format(v) : v => v.toFixed(3);
 
   chart.setOption({
-    tooltip: { trigger: 'axis', valueFormatter: v => v !== null ? '$' + (v / 1e9).toFixed(2) + 'B' : 'N/A' },
+    tooltip: { trigger: 'axis', valueFormatter: v => v !== null && v !== undefined ? fmt(v) : 'N/A' },
     legend: { data: ['Actual', 'Fitted (Model)'] },
     grid: { left: 80, right: 30, bottom: 40 },
     xAxis: { type: 'category', data: labels },
-    yAxis: { type: 'value', name: 'USD', axisLabel: { formatter: v => (v / 1e9).toFixed(1) + 'B' } },
+    yAxis: {
+      type: 'value', name, scale: !money,
+      axisLabel: { formatter: money ? unit.axis : v => +v.toPrecision(3) },
+    },
     series: [
       { name: 'Actual', type: 'line', data: actual, itemStyle: { color: '#2563eb' } },
       { name: 'Fitted (Model)', type: 'line', data: fitted, lineStyle: { type: 'dashed' }, itemStyle: { color: '#f97316' } },
     ],
   }, true);
+  applyEventMarks('regression-chart');
+}
+
+// ── Gravity chart ────────────────────────────────────────────
+/**
+ * Actual vs model-expected exports on log axes; the 45° line is "trade as predicted".
+ * @param {Array<{ name, actual, expected, selected }>} points - values in USD
+ */
+export function renderGravityChart(points) {
+  const chart = getOrCreate('gravity-chart');
+  if (!chart) return;
+  const fmt = v => '$' + (v / 1e9).toFixed(2) + 'B';
+  const toPoint = p => ({ name: p.name, value: [p.expected, p.actual] });
+  const usable = points.filter(p => p.actual > 0 && p.expected > 0);
+  const values = usable.flatMap(p => [p.actual, p.expected]);
+  const lo = Math.min(...values), hi = Math.max(...values);
+
+  chart.setOption({
+    tooltip: { formatter: p => p.seriesType === 'scatter'
+      ? `${p.name}<br>Actual: ${fmt(p.value[1])}<br>Expected (model): ${fmt(p.value[0])}`
+      : '' },
+    legend: { data: ['Pairs', 'Selected pair'] },
+    grid: { left: 80, right: 30, bottom: 50 },
+    xAxis: { type: 'log', name: 'Expected (PPML)', nameLocation: 'middle', nameGap: 30, axisLabel: { formatter: v => (v / 1e9) + 'B' } },
+    yAxis: { type: 'log', name: 'Actual exports', axisLabel: { formatter: v => (v / 1e9) + 'B' } },
+    series: [
+      {
+        name: 'Pairs', type: 'scatter', symbolSize: 8, itemStyle: { color: '#94a3b8' },
+        data: usable.filter(p => !p.selected).map(toPoint),
+        markLine: usable.length > 0 ? {
+          silent: true, symbol: 'none',
+          lineStyle: { type: 'dashed', color: '#64748b' },
+          label: { formatter: 'actual = expected' },
+          data: [[{ coord: [lo, lo] }, { coord: [hi, hi] }]],
+        } : undefined,
+      },
+      {
+        name: 'Selected pair', type: 'scatter', symbolSize: 14, itemStyle: { color: '#dc2626' },
+        data: usable.filter(p => p.selected).map(toPoint),
+      },
+    ],
+  }, true);
+}
+
+// ── Scenario charts ──────────────────────────────────────────
+/**
+ * Recent history, baseline and scenario paths for exports, imports and balance.
+ * @param {{ years: string[], exports: number[], imports: number[] }} history - annual actuals
+ * @param {{ years, exports, imports }} baseline
+ * @param {{ years, exports, imports, balance }} projection
+ */
+export function renderScenarioChart(history, baseline, projection) {
+  const chart = getOrCreate('scenario-chart');
+  if (!chart) return;
+  const labels = [...history.years, ...projection.years];
+  const pad = new Array(history.years.length).fill(null);
+  // Forecast lines start at the last actual so they join the history
+  const lastIdx = history.years.length - 1;
+  const join = (hist, vals) => [...pad.slice(1), hist[lastIdx] ?? null, ...vals];
+  const baseBalance = baseline.exports.map((x, h) => x - baseline.imports[h]);
+  const histBalance = history.exports.map((x, i) => (x === null || history.imports[i] === null ? null : x - history.imports[i]));
+  const line = (name, data, color, dashed) => ({
+    name, type: 'line', data, connectNulls: false, itemStyle: { color },
+    lineStyle: dashed ? { type: 'dashed' } : undefined,
+  });
+
+  chart.setOption({
+    tooltip: { trigger: 'axis', valueFormatter: v => (v !== null && v !== undefined ? '$' + (v / 1e9).toFixed(2) + 'B' : 'N/A') },
+    legend: { data: ['Exports', 'Imports', 'Balance', 'Exports (baseline)', 'Imports (baseline)', 'Balance (baseline)'] },
+    grid: { left: 80, right: 30, bottom: 40 },
+    xAxis: { type: 'category', data: labels },
+    yAxis: { type: 'value', name: 'USD', axisLabel: { formatter: v => (v / 1e9).toFixed(0) + 'B' } },
+    series: [
+      line('Exports', [...history.exports, ...projection.exports], '#2563eb'),
+      line('Imports', [...history.imports, ...projection.imports], '#dc2626'),
+      line('Balance', [...histBalance, ...projection.balance], '#16a34a'),
+      line('Exports (baseline)', join(history.exports, baseline.exports), '#93c5fd', true),
+      line('Imports (baseline)', join(history.imports, baseline.imports), '#fca5a5', true),
+      line('Balance (baseline)', join(histBalance, baseBalance), '#86efac', true),
+    ],
+  }, true);
+  applyEventMarks('scenario-chart');
+}
+
+/**
+ * Balance path of each compared scenario (first entry is the baseline).
+ * @param {Array<{ name, projection }>} results
+ */
+export function renderScenarioCompareChart(results) {
+  const chart = getOrCreate('scenario-compare-chart');
+  if (!chart) return;
+  const palette = ['#64748b', '#2563eb', '#f97316', '#8b5cf6', '#16a34a', '#dc2626', '#0891b2'];
+
+  chart.setOption({
+    tooltip: { trigger: 'axis', valueFormatter: v => (v !== null && v !== undefined ? '$' + (v / 1e9).toFixed(2) + 'B' : 'N/A') },
+    legend: { data: results.map(r => r.name) },
+    grid: { left: 80, right: 30, bottom: 40 },
+    xAxis: { type: 'category', data: results[0]?.projection.years || [] },
+    yAxis: { type: 'value', name: 'Balance (USD)', axisLabel: { formatter: v => (v / 1e9).toFixed(0) + 'B' } },
+    series: results.map((r, i) => ({
+      name: r.name,
+      type: 'line',
+      data: r.projection.balance,
+      itemStyle: { color: palette[i % palette.length] },
+      lineStyle: i === 0 ? { type: 'dashed' } : undefined,
+    })),
+  }, true);
+  applyEventMarks('scenario-compare-chart');
 }
 
 export { disposeAll };
@@ -0,0 +1,121 @@
+// assets/config/countries.js
+/**
+ * Country registry — single source of truth for country codes across clients.
+ *
+ *  iso3     ISO 3166-1 alpha-3 (canonical key in trade_fact / macro_fact)
+ *  iso2     ISO 3166-1 alpha-2
+ *  unCode   UN Comtrade numeric code (M49, except where Comtrade uses its own, e.g. India 699)
+ *  wits     WITS reporter/partner code
+ *  imf      IMF (DOTS) reference/counterpart area code (ISO2 except aggregates)
+ *  currency ISO 4217 currency (null for aggregates); FX rates only for FX_CURRENCIES
+ *
+ * References:
+ *  - UN Comtrade reference codes: https://comtradeplus.un.org/ListOfReferences
+ */
+
+export const COUNTRIES = Object.freeze([
+  { iso3: 'IND', iso2: 'IN', unCode: 699, wits: 'IND', imf: 'IN', currency: 'INR', name: 'India' },
+  { iso3: 'CHN', iso2: 'CN', unCode: 156, wits: 'CHN', imf: 'CN', currency: 'CNY', name: 'China' },
+  { iso3: 'USA', iso2: 'US', unCode: 842, wits: 'USA', imf: 'US', currency: 'USD', name: 'United States' },
+  { iso3: 'JPN', iso2: 'JP', unCode: 392, wits: 'JPN', imf: 'JP', currency: 'JPY', name: 'Japan' },
+  { iso3: 'KOR', iso2: 'KR', unCode: 410, wits: 'KOR', imf: 'KR', currency: 'KRW', name: 'Korea, Rep.' },
+  { iso3: 'DEU', iso2: 'DE', unCode: 276, wits: 'DEU', imf: 'DE', currency: 'EUR', name: 'Germany' },
+  { iso3: 'FRA', iso2: 'FR', unCode: 251, wits: 'FRA', imf: 'FR', currency: 'EUR', name: 'France' },
+  { iso3: 'GBR', iso2: 'GB', unCode: 826, wits: 'GBR', imf: 'GB', currency: 'GBP', name: 'United Kingdom' },
+  { iso3: 'ARE', iso2: 'AE', unCode: 784, wits: 'ARE', imf: 'AE', currency: 'AED', name: 'United Arab Emirates' },
+  { iso3: 'SAU', iso2: 'SA', unCode: 682, wits: 'SAU', imf: 'SA', currency: 'SAR', name: 'Saudi Arabia' },
+  { iso3: 'RUS', iso2: 'RU', unCode: 643, wits: 'RUS', imf: 'RU', currency: 'RUB', name: 'Russian Federation' },
+  { iso3: 'AUS', iso2: 'AU', unCode: 36, wits: 'AUS', imf: 'AU', currency: 'AUD', name: 'Australia' },
+  { iso3: 'BRA', iso2: 'BR', unCode: 76, wits: 'BRA', imf: 'BR', currency: 'BRL', name: 'Brazil' },
+  { iso3: 'ZAF', iso2: 'ZA', unCode: 710, wits: 'ZAF', imf: 'ZA', currency: 'ZAR', name: 'South Africa' },
+  // ASEAN members
+  { iso3: 'SGP', iso2: 'SG', unCode: 702, wits: 'SGP', imf: 'SG', currency: 'SGD', name: 'Singapore' },
+  { iso3: 'IDN', iso2: 'ID', unCode: 360, wits: 'IDN', imf: 'ID', currency: 'IDR', name: 'Indonesia' },
+  { iso3: 'MYS', iso2: 'MY', unCode: 458, wits: 'MYS', imf: 'MY', currency: 'MYR', name: 'Malaysia' },
+  { iso3: 'THA', iso2: 'TH', unCode: 764, wits: 'THA', imf: 'TH', currency: 'THB', name: 'Thailand' },
+  { iso3: 'VNM', iso2: 'VN', unCode: 704, wits: 'VNM', imf: 'VN', currency: 'VND', name: 'Vietnam' },
+  { iso3: 'PHL', iso2: 'PH', unCode: 608, wits: 'PHL', imf: 'PH', currency: 'PHP', name: 'Philippines' },
+  // South Asia
+  { iso3: 'BGD', iso2: 'BD', unCode: 50, wits: 'BGD', imf: 'BD', currency: 'BDT', name: 'Bangladesh' },
+  { iso3: 'PAK', iso2: 'PK', unCode: 586, wits: 'PAK', imf: 'PK', currency: 'PKR', name: 'Pakistan' },
+  { iso3: 'LKA', iso2: 'LK', unCode: 144, wits: 'LKA', imf: 'LK', currency: 'LKR', name: 'Sri Lanka' },
+  { iso3: 'NPL', iso2: 'NP', unCode: 524, wits: 'NPL', imf: 'NP', currency: 'NPR', name: 'Nepal' },
+  // Aggregates (partner only)
+  { iso3: 'WLD', iso2: '1W', unCode: 0, wits: 'WLD', imf: 'W00', currency: null, name: 'World', aggregate: true },
+]);
+
+const _byIso3 = new Map(COUNTRIES.map(c => [c.iso3, c]));
+
+/**
+ * Look up a registry entry by ISO3. Returns undefined for unknown codes.
+ */
+export function getCountry(iso3) {
+  return _byIso3.get(iso3);
+}
+
+/**
+ * Display name for an ISO3 code (falls back to the code itself).
+ */
+export function countryName(iso3) {
+  return _byIso3.get(iso3)?.name || iso3;
+}
+
+/**
+ * Countries that can act as a reporter (excludes aggregates).
+ */
+export function reporterCountries() {
+  return COUNTRIES.filter(c => !c.aggregate);
+}
+
+/**
+ * Human-readable corridor label, e.g. "India–China".
+ */
+export function pairLabel(reporter, partner) {
+  return `${countryName(reporter)}–${countryName(partner)}`;
+}
+
+/**
+ * Registry currencies with ECB reference rates, the only ones Frankfurter publishes.
+ * AED, SAR, RUB, VND, BDT, PKR, LKR and NPR have no FX series.
+ */
+export const FX_CURRENCIES = Object.freeze([
+  'AUD', 'BRL', 'CNY', 'EUR', 'GBP', 'IDR', 'INR', 'JPY', 'KRW', 'MYR', 'PHP', 'SGD', 'THB', 'USD', 'ZAR',
+]);
+
+export function hasFXRates(currency) {
+  return FX_CURRENCIES.includes(currency);
+}
+
+/**
+ * Distinct non-USD currencies for a set of ISO3 codes (USD is the FX base).
+ * Currencies without FX rates are left out.
+ */
+export function pairCurrencies(iso3s) {
+  const out = [];
+  for (const iso3 of iso3s) {
+    const cur = _byIso3.get(iso3)?.currency;
+    if (cur && cur !== 'USD' && hasFXRates(cur) && !out.includes(cur)) out.push(cur);
+  }
+  return out;
+}
+
+/**
+ * ISO3 for a WITS reporter/partner code (falls back to the code itself).
+ */
+export function countryForWits(code) {
+  return COUNTRIES.find(c => c.wits === code)?.iso3 || code;
+}
+
+/**
+ * ISO3 for an IMF area code (falls back to the code itself).
+ */
+export function countryForImf(code) {
+  return COUNTRIES.find(c => c.imf === code)?.iso3 || code;
+}
+
+/**
+ * First registry country using a currency (e.g. EUR → DEU).
+ */
+export function countryForCurrency(currency) {
+  return COUNTRIES.find(c => c.currency === currency)?.iso3 || '';
+}
@@ -12,6 +12,8 @@
  *  - Frankfurter: https://frankfurter.dev/
  *  - UN Comtrade developer portal: https://comtradedeveloper.un.org/
  *  - UN Comtrade reference codes: https://comtradeplus.un.org/ListOfReferences
+ *  - IMF Data JSON RESTful web service: https://datahelp.imf.org/knowledgebase/articles/667681-using-json-restful-web-service
+ *  - IMF Direction of Trade Statistics: https://data.imf.org/dot
  */
 
 export const WITS = Object.freeze({
@@ -50,6 +52,9 @@ export const WITS = Object.freeze({
     },
   },
 
+  // URL-based datasources (TRADESTATS structure)
+  DATASOURCES: ['tradestats-trade', 'tradestats-tariff', 'tradestats-development'],
+
   // Special dimension codes
   CODES: {
     PARTNER_NOT_APPLICABLE: '999',
@@ -87,6 +92,7 @@ export const WORLDBANK = Object.freeze({
 export const FRANKFURTER = Object.freeze({
   BASE: 'https://api.frankfurter.dev',
 
+  /** symbols: comma-separated ISO 4217 codes (see config/countries.js). */
   latest(base = 'USD', symbols = 'INR,CNY') {
     return `${FRANKFURTER.BASE}/v1/latest?base=${base}&symbols=${symbols}`;
   },
@@ -103,7 +109,10 @@ export const FRANKFURTER = Object.freeze({
 export const COMTRADE = Object.freeze({
   DEFAULT_BASE: 'https://comtradeapi.un.org',
 
-  data(baseUrl, { reporterCode, partnerCode, period, cmdCode = 'TOTAL', flowCode, includeDesc = true } = {}) {
+  /**
+   * freqCode: A (period = YYYY) | M (period = YYYYMM, comma-separated, max 12 per call)
+   */
+  data(baseUrl, { reporterCode, partnerCode, period, cmdCode = 'TOTAL', flowCode, freqCode = 'A', includeDesc = true } = {}) {
     const params = new URLSearchParams({
       reporterCode: String(reporterCode),
       partnerCode: String(partnerCode),
@@ -112,6 +121,27 @@ export const COMTRADE = Object.freeze({
       flowCode,
       includeDesc: String(includeDesc),
     });
-    return `${baseUrl}/data/v1/get/C/A/HS?${params.toString()}`;
+    return `${baseUrl}/data/v1/get/C/${freqCode}/HS?${params.toString()}`;
+  },
+});
+
+export const IMF = Object.freeze({
+  DEFAULT_BASE: 'https://dataservices.imf.org/REST/SDMX_JSON.svc',
+  DOTS: 'DOT',
+
+  // Goods, value in US$: exports FOB and imports CIF (reporter perspective)
+  INDICATORS: {
+    EXPORT: 'TXG_FOB_USD',
+    IMPORT: 'TMG_CIF_USD',
+  },
+
+  /**
+   * CompactData URL. Key order is FREQ.REF_AREA.INDICATOR.COUNTERPART_AREA; each
+   * argument is a code list joined with '+'.
+   */
+  dots(baseUrl, { frequencies, reporter, indicators, partner, startPeriod, endPeriod }) {
+    const key = [frequencies, reporter, indicators, partner].map(v => [].concat(v).join('+')).join('.');
+    const params = new URLSearchParams({ startPeriod: String(startPeriod), endPeriod: String(endPeriod) });
+    return `${baseUrl}/CompactData/${IMF.DOTS}/${key}?${params.toString()}`;
   },
 });
@@ -11,12 +11,35 @@ const defaults = Object.freeze({
     apiKey: '',
   },
   liveRefresh: true,
+  // Live data sources by adapter id (services/sources/); false skips the source on refresh
+  sources: {
+    wits: true,
+    worldbank: true,
+    frankfurter: true,
+    comtrade: true, // also needs comtrade.enabled
+    imf: true,
+  },
+  imf: {
+    baseUrl: 'https://dataservices.imf.org/REST/SDMX_JSON.svc',
+    fixtures: false, // replay assets/data/fixtures/imf/ instead of the network
+  },
   monthlyToggle: true,
   mirrorToggle: true,
   forecastEnabled: true,
   maxRetries: 3,
   retryBaseMs: 1000,
+  // Minimum gap between request starts to a host (ms); hosts not listed are not throttled
+  hostRateLimitMs: {
+    'wits.worldbank.org': 500,
+  },
+  witsConcurrency: 3, // WITS chunk requests in flight at once
   snapshotFallback: true,
+  offlineMode: true,
+  persistentCache: {
+    enabled: true,
+    maxBytes: 50 * 1024 * 1024,
+    staleWhileRevalidate: true,
+  },
 });
 
 let overrides = {};
@@ -0,0 +1,44 @@
+// assets/config/hsSections.js
+/**
+ * Harmonized System sections (I–XXI) and the HS2 chapter ranges they cover.
+ * Used to build the section → HS2 → HS4 product hierarchy on the Composition page.
+ *
+ * Reference: WCO HS Nomenclature, 2022 edition.
+ */
+
+export const HS_SECTIONS = Object.freeze([
+  { code: 'I', from: 1, to: 5, name: 'Live Animals & Animal Products' },
+  { code: 'II', from: 6, to: 14, name: 'Vegetable Products' },
+  { code: 'III', from: 15, to: 15, name: 'Animal & Vegetable Fats and Oils' },
+  { code: 'IV', from: 16, to: 24, name: 'Prepared Foodstuffs, Beverages & Tobacco' },
+  { code: 'V', from: 25, to: 27, name: 'Mineral Products' },
+  { code: 'VI', from: 28, to: 38, name: 'Chemical & Allied Products' },
+  { code: 'VII', from: 39, to: 40, name: 'Plastics & Rubber' },
+  { code: 'VIII', from: 41, to: 43, name: 'Hides, Skins & Leather' },
+  { code: 'IX', from: 44, to: 46, name: 'Wood & Articles of Wood' },
+  { code: 'X', from: 47, to: 49, name: 'Pulp, Paper & Paperboard' },
+  { code: 'XI', from: 50, to: 63, name: 'Textiles & Textile Articles' },
+  { code: 'XII', from: 64, to: 67, name: 'Footwear & Headgear' },
+  { code: 'XIII', from: 68, to: 70, name: 'Stone, Ceramic & Glass' },
+  { code: 'XIV', from: 71, to: 71, name: 'Pearls, Precious Stones & Metals' },
+  { code: 'XV', from: 72, to: 83, name: 'Base Metals & Articles' },
+  { code: 'XVI', from: 84, to: 85, name: 'Machinery & Electrical Equipment' },
+  { code: 'XVII', from: 86, to: 89, name: 'Vehicles, Aircraft & Vessels' },
+  { code: 'XVIII', from: 90, to: 92, name: 'Optical, Medical & Precision Instruments' },
+  { code: 'XIX', from: 93, to: 93, name: 'Arms & Ammunition' },
+  { code: 'XX', from: 94, to: 96, name: 'Miscellaneous Manufactured Articles' },
+  { code: 'XXI', from: 97, to: 97, name: 'Works of Art & Antiques' },
+]);
+
+/** Catch-all section for product codes that are not HS chapters (e.g. WITS product groups). */
+export const OTHER_SECTION = Object.freeze({ code: 'OTHER', name: 'Other / Unclassified' });
+
+/**
+ * Section for an HS code (2+ digits). Returns OTHER_SECTION for non-HS codes.
+ */
+export function sectionForHS(code) {
+  const s = String(code);
+  if (!/^\d{2}/.test(s)) return OTHER_SECTION;
+  const chapter = parseInt(s.slice(0, 2), 10);
+  return HS_SECTIONS.find(sec => chapter >= sec.from && chapter <= sec.to) || OTHER_SECTION;
+}
@@ -9,5 +9,7 @@ export default {
     apiKey: '',
   },
   liveRefresh: true,
+  // sources: { wits: false }, // skip a live source by adapter id
+  // imf: { fixtures: true },   // IMF DOTS from fixture responses (assets/data/fixtures/imf/)
   maxRetries: 3,
 };
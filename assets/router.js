@@ -1,15 +1,16 @@
 // assets/router.js
 /**
  * Hash-based SPA router.
- * Routes: #/overview, #/composition, #/tariffs, #/macro, #/forecast, #/methods
+ * Routes: #/overview, #/composition, #/tariffs, #/macro, #/forecast, #/scenarios, #/mirror, #/methods
  */
 
-import { setState, getState, restoreFiltersFromURL } from './state.js';
+import { setState, getState, restoreFiltersFromURL, syncFiltersToURL } from './state.js';
 
-const ROUTES = ['#/overview', '#/composition', '#/tariffs', '#/macro', '#/forecast', '#/methods'];
+const ROUTES = ['#/overview', '#/composition', '#/tariffs', '#/macro', '#/forecast', '#/scenarios', '#/mirror', '#/methods'];
 const DEFAULT_ROUTE = '#/overview';
 
 let _renderFn = null;
+let _navigation = 0; // latest hash change; an older one still decoding its link is dropped
 
 /**
  * Initialise the router.
@@ -21,7 +22,7 @@ export function initRouter(renderFn) {
   handleHashChange(); // initial
 }
 
-function handleHashChange() {
+async function handleHashChange() {
   const hash = window.location.hash || DEFAULT_ROUTE;
   const route = hash.split('?')[0];
   const matched = ROUTES.includes(route) ? route : DEFAULT_ROUTE;
@@ -31,10 +32,14 @@ function handleHashChange() {
     return;
   }
 
+  const navigation = ++_navigation;
   setState('ui.activeRoute', matched);
-  restoreFiltersFromURL();
+  const restored = await restoreFiltersFromURL();
+  if (navigation !== _navigation) return;
   if (_renderFn) _renderFn(matched);
   updateNavHighlight(matched);
+  // Nav links carry no view: put the current one in the address bar so a reload keeps it
+  if (!restored) syncFiltersToURL({ replace: true });
 }
 
 function updateNavHighlight(route) {
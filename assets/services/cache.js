@@ -1,13 +1,39 @@
 // assets/services/cache.js
 /**
- * In-memory + sessionStorage cache with TTL and fingerprinting.
+ * Three-tier response cache with TTL and fingerprinting:
+ *  1. in-memory Map (per page load)
+ *  2. sessionStorage (per tab, small payloads only)
+ *  3. IndexedDB (durable across tabs/sessions, per-source TTLs, LRU by byte size)
  */
 
 import { track } from './telemetry.js';
+import { flag } from '../config/featureFlags.js';
+import { WITS, WORLDBANK, FRANKFURTER, COMTRADE, IMF } from '../config/endpoints.js';
 
 const _mem = new Map();
 const DEFAULT_TTL_MS = 30 * 60 * 1000; // 30 minutes
 
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Persistent-tier freshness per source host. Annual WITS data changes rarely;
+// Frankfurter publishes new reference rates every working day.
+const SOURCE_TTLS_MS = Object.freeze({
+  [new URL(WITS.BASE).hostname]: 7 * DAY_MS,
+  [new URL(WORLDBANK.BASE).hostname]: DAY_MS,
+  [new URL(FRANKFURTER.BASE).hostname]: 12 * HOUR_MS,
+  [new URL(COMTRADE.DEFAULT_BASE).hostname]: DAY_MS,
+  [new URL(IMF.DEFAULT_BASE).hostname]: DAY_MS,
+});
+const DEFAULT_PERSISTENT_TTL_MS = DAY_MS;
+
+// Stale entries may still be served (stale-while-revalidate) for this long after expiry.
+const MAX_STALE_MS = 30 * DAY_MS;
+
+const DB_NAME = 'trade-dashboard-cache';
+const DB_VERSION = 1;
+const STORE = 'responses';
+
 /**
  * Generate a SHA-256 hex digest of a string (request fingerprint).
  */
@@ -57,9 +83,10 @@ export function set(key, value, ttlMs = DEFAULT_TTL_MS) {
 export function invalidate(key) {
   _mem.delete(key);
   try { sessionStorage.removeItem('cache:' + key); } catch {}
+  withStore('readwrite', s => s.delete(key)).catch(() => {});
 }
 
-export function clear() {
+export async function clear() {
   _mem.clear();
   try {
     const keys = [];
@@ -69,4 +96,149 @@ export function clear() {
     }
     keys.forEach(k => sessionStorage.removeItem(k));
   } catch {}
+  try {
+    await withStore('readwrite', s => s.clear());
+  } catch { /* IndexedDB unavailable */ }
+}
+
+// ── Persistent tier (IndexedDB) ──────────────────────────────
+
+let _dbPromise = null;
+
+function openDB() {
+  if (!_dbPromise) {
+    _dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB unavailable'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'key' });
+          store.createIndex('lastAccess', 'lastAccess');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return _dbPromise;
+}
+
+/**
+ * Run fn(store) inside a single transaction; resolves with the request result
+ * (or fn's return value) once the transaction completes.
+ */
+async function withStore(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const out = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(out instanceof IDBRequest ? out.result : out);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** Approximate serialised size in bytes (UTF-16 code units of the JSON form). */
+function estimateBytes(value) {
+  if (typeof value === 'string') return value.length;
+  try { return JSON.stringify(value)?.length ?? 0; } catch { return 0; }
+}
+
+export function sourceTtl(source) {
+  return SOURCE_TTLS_MS[source] ?? DEFAULT_PERSISTENT_TTL_MS;
+}
+
+/**
+ * Read an entry from the persistent tier.
+ * @returns {Promise<{ value, stale: boolean, expires: number }|undefined>}
+ */
+export async function getPersistent(key) {
+  if (!flag('persistentCache.enabled')) return undefined;
+  try {
+    const entry = await withStore('readonly', s => s.get(key));
+    if (!entry) {
+      track('cache', 'cache_miss', { store: 'indexeddb', key });
+      return undefined;
+    }
+    const now = Date.now();
+    if (now >= entry.expires + MAX_STALE_MS) {
+      withStore('readwrite', s => s.delete(key)).catch(() => {});
+      track('cache', 'cache_miss', { store: 'indexeddb', key, expired: true });
+      return undefined;
+    }
+    const stale = now >= entry.expires;
+    entry.lastAccess = now;
+    withStore('readwrite', s => s.put(entry)).catch(() => {});
+    track('cache', 'cache_hit', { store: 'indexeddb', key, stale });
+    return { value: entry.value, stale, expires: entry.expires };
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Write an entry to the persistent tier, then evict least-recently-used
+ * entries until the store fits within persistentCache.maxBytes.
+ * Value must be structured-cloneable (parse XML documents back from text).
+ */
+export async function setPersistent(key, value, { source = '', ttlMs } = {}) {
+  if (!flag('persistentCache.enabled')) return;
+  const now = Date.now();
+  const entry = {
+    key,
+    value,
+    source,
+    size: estimateBytes(value),
+    storedAt: now,
+    lastAccess: now,
+    expires: now + (ttlMs ?? sourceTtl(source)),
+  };
+  const maxBytes = flag('persistentCache.maxBytes');
+  if (entry.size > maxBytes) return;
+  try {
+    await withStore('readwrite', s => s.put(entry));
+    await evictToFit(maxBytes);
+  } catch { /* quota or IndexedDB unavailable — lower tiers still work */ }
+}
+
+async function evictToFit(maxBytes) {
+  const entries = await listPersistent();
+  let total = entries.reduce((s, e) => s + e.size, 0);
+  if (total <= maxBytes) return 0;
+
+  const victims = [];
+  for (const e of [...entries].sort((a, b) => a.lastAccess - b.lastAccess)) {
+    if (total <= maxBytes) break;
+    victims.push(e.key);
+    total -= e.size;
+  }
+  await withStore('readwrite', s => victims.forEach(k => s.delete(k)));
+  track('cache', 'evict', { store: 'indexeddb', count: victims.length });
+  return victims.length;
+}
+
+/**
+ * List persistent entries (metadata only), most recently used first.
+ */
+export async function listPersistent() {
+  try {
+    const rows = [];
+    await withStore('readonly', s => {
+      const req = s.index('lastAccess').openCursor(null, 'prev');
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        const { key, source, size, storedAt, lastAccess, expires } = cursor.value;
+        rows.push({ key, source, size, storedAt, lastAccess, expires, stale: Date.now() >= expires });
+        cursor.continue();
+      };
+    });
+    return rows;
+  } catch {
+    return [];
+  }
 }
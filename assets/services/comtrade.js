@@ -10,9 +10,8 @@ import { flag } from '../config/featureFlags.js';
 import { robustFetch } from './fetchers.js';
 import { logError, AppError } from './errors.js';
 import { track } from './telemetry.js';
+import { getCountry } from '../config/countries.js';
 
-// ISO numeric codes
-const REPORTER_CODES = { IND: 699, CHN: 156 };
 const FLOW_CODES = { IMPORT: 'M', EXPORT: 'X' };
 
 let _disabled = false;
@@ -28,16 +27,16 @@ export function getDisableReason() {
 
 /**
  * Fetch HS-level trade data from Comtrade.
- * @param {object} params
+ * @param {object} params - frequency 'A' takes period YYYY; 'M' takes YYYYMM (comma-separated)
  */
-export async function fetchComtradeData({ reporter = 'IND', partner = 'CHN', period = '2023', cmdCode = 'TOTAL', flow = 'IMPORT' } = {}) {
+export async function fetchComtradeData({ reporter = 'IND', partner = 'CHN', period = '2023', cmdCode = 'TOTAL', flow = 'IMPORT', frequency = 'A' } = {}) {
   if (!isComtradeAvailable()) {
     return { data: [], status: 'disabled', reason: _disableReason || 'Comtrade not enabled' };
   }
 
   const baseUrl = flag('comtrade.baseUrl') || COMTRADE.DEFAULT_BASE;
-  const reporterCode = REPORTER_CODES[reporter] || reporter;
-  const partnerCode = REPORTER_CODES[partner] || partner;
+  const reporterCode = getCountry(reporter)?.unCode ?? reporter;
+  const partnerCode = getCountry(partner)?.unCode ?? partner;
   const flowCode = FLOW_CODES[flow] || flow;
 
   const url = COMTRADE.data(baseUrl, {
@@ -46,6 +45,7 @@ export async function fetchComtradeData({ reporter = 'IND', partner = 'CHN', per
     period,
     cmdCode,
     flowCode,
+    freqCode: frequency,
     includeDesc: true,
   });
 
@@ -66,16 +66,32 @@ export async function fetchComtradeData({ reporter = 'IND', partner = 'CHN', per
   }
 }
 
+/**
+ * Fetch monthly totals for one calendar year (single request per flow).
+ */
+export async function fetchComtradeMonthly({ reporter = 'IND', partner = 'CHN', year, flow = 'IMPORT', cmdCode = 'TOTAL' } = {}) {
+  const period = Array.from({ length: 12 }, (_, i) => `${year}${String(i + 1).padStart(2, '0')}`).join(',');
+  return fetchComtradeData({ reporter, partner, period, cmdCode, flow, frequency: 'M' });
+}
+
+/**
+ * Fetch every HS4 heading for one year (cmdCode AG4) — feeds Composition drill-down.
+ */
+export async function fetchComtradeHS4({ reporter = 'IND', partner = 'CHN', year, flow = 'IMPORT' } = {}) {
+  return fetchComtradeData({ reporter, partner, period: String(year), cmdCode: 'AG4', flow });
+}
+
 /**
  * Normalise Comtrade response into trade_fact rows.
+ * Monthly periods (YYYYMM) become YYYY-MM with frequency 'M'.
  */
 export function normaliseComtradeData(records) {
   if (!Array.isArray(records)) return [];
   const ts = new Date().toISOString();
 
   return records.map(r => ({
-    date: String(r.period || r.yr || ''),
-    frequency: 'A',
+    date: formatPeriod(r.period || r.yr),
+    frequency: String(r.period || r.yr || '').length === 6 ? 'M' : 'A',
     reporter_iso3: r.reporterISO || r.rtCode || '',
     partner_iso3: r.partnerISO || r.ptCode || '',
     flow: r.flowDesc?.toUpperCase()?.includes('EXPORT') ? 'EXPORT' : 'IMPORT',
@@ -90,6 +106,11 @@ export function normaliseComtradeData(records) {
   }));
 }
 
+function formatPeriod(period) {
+  const s = String(period || '');
+  return s.length === 6 ? `${s.slice(0, 4)}-${s.slice(4)}` : s;
+}
+
 function classifyProductLevel(code) {
   const s = String(code);
   if (s === 'TOTAL' || s === 'AG6' || s === '') return 'TOTAL';
@@ -104,6 +104,22 @@ export class WitsLimitError extends AppError {
   }
 }
 
+export class WitsCodeError extends AppError {
+  /** @param {{ param: string, code: string }[]} unknown - codes missing from the WITS codelists */
+  constructor(unknown) {
+    const list = unknown.map(u => `${u.param}=${u.code}`).join(', ');
+    super(`Unknown WITS code: ${list}`, {
+      code: 'WITS_UNKNOWN_CODE',
+      source: 'wits',
+      recoverable: true,
+      retryable: false,
+      uiMessage: `Not in the WITS codelists: ${list}. Pick codes in the WITS query builder on the Methods page.`,
+    });
+    this.name = 'WitsCodeError';
+    this.unknown = unknown;
+  }
+}
+
 /**
  * Map an error to a UI banner config.
  */
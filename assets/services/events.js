@@ -0,0 +1,66 @@
+// assets/services/events.js
+/**
+ * Event timeline.
+ * Curated trade-policy and geopolitical events (assets/data/events.json,
+ * schemas/event.schema.json) shown in the Overview timeline panel and drawn
+ * as markers on every time-axis chart. The panel filter decides both.
+ */
+
+/** Event categories in panel order; ids match the schema enum. */
+export const EVENT_CATEGORIES = Object.freeze([
+  { id: 'agreement', label: 'Trade agreement', color: '#16a34a' },
+  { id: 'trade_remedy', label: 'Trade remedy', color: '#dc2626' },
+  { id: 'tariff', label: 'Tariff change', color: '#0891b2' },
+  { id: 'restriction', label: 'Ban / restriction', color: '#f97316' },
+  { id: 'border', label: 'Border incident', color: '#7c3aed' },
+  { id: 'shock', label: 'Global shock', color: '#64748b' },
+]);
+
+export function eventCategory(id) {
+  return EVENT_CATEGORIES.find(c => c.id === id) || { id, label: id, color: '#64748b' };
+}
+
+/** Panel filter used until the user changes it: all categories, pair events, shown on charts. */
+export const DEFAULT_EVENT_FILTER = Object.freeze({
+  categories: EVENT_CATEGORIES.map(c => c.id),
+  pairOnly: true,
+  query: '',
+  showOnCharts: true,
+});
+
+/**
+ * Events passing the panel filter within the year range, oldest first.
+ * pairOnly keeps events naming the reporter or partner, plus global events (no countries).
+ * @param {object[]} events - validated event rows
+ * @param {{ categories: string[], pairOnly: boolean, query: string }} filter
+ * @param {{ reporter: string, partner: string, yearStart: number, yearEnd: number }} scope
+ */
+export function filterEvents(events, filter, { reporter, partner, yearStart, yearEnd }) {
+  const query = (filter.query || '').trim().toLowerCase();
+  return events
+    .filter(e => filter.categories.includes(e.category))
+    .filter(e => !filter.pairOnly || e.countries.length === 0 || e.countries.includes(reporter) || e.countries.includes(partner))
+    .filter(e => {
+      const year = parseInt(e.date);
+      return year >= yearStart && year <= yearEnd;
+    })
+    .filter(e => !query || `${e.title} ${e.description || ''}`.toLowerCase().includes(query))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Axis category holding an event: the last category not after its date, so '2020'
+ * and '2020-06' both hold 2020-06-15. Null when the date is outside the axis.
+ * @param {string[]} categories - ascending period labels (YYYY, YYYY-MM or YYYY-MM-DD)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string|null}
+ */
+export function eventPeriod(categories, date) {
+  let hit = null;
+  for (const c of categories.map(String)) {
+    if (c > date) break;
+    hit = c;
+  }
+  if (hit === null || date.slice(0, hit.length) > String(categories[categories.length - 1])) return null;
+  return hit;
+}
@@ -6,31 +6,76 @@
 
 import { AppError, NetworkError, CorsError, RateLimitError, ServerError, PayloadTooLargeError, logError } from './errors.js';
 import { track } from './telemetry.js';
-import { get as cacheGet, set as cacheSet, fingerprint } from './cache.js';
+import { get as cacheGet, set as cacheSet, getPersistent, setPersistent, fingerprint } from './cache.js';
 import { flag } from '../config/featureFlags.js';
 
 const MAX_PAYLOAD_BYTES = 10 * 1024 * 1024; // 10 MB guard
 
 /**
  * Fetch with retry + caching.
+ * Checks memory/session first, then the persistent IndexedDB tier. A stale
+ * persistent entry is returned immediately and refreshed in the background
+ * (stale-while-revalidate), or used as a fallback if the network fails.
  * @param {string} url
  * @param {object} opts - { cacheTtlMs, maxRetries, responseType: 'json'|'text'|'xml' }
  */
 export async function robustFetch(url, opts = {}) {
+  const { cacheTtlMs = 30 * 60 * 1000, responseType = 'json', cacheKey: customCacheKey } = opts;
+
+  const key = customCacheKey || fingerprint(url);
+  const cached = cacheGet(key);
+  if (cached !== undefined) return cached;
+
+  const persisted = await getPersistent(key);
+  if (persisted) {
+    const data = decodePersisted(persisted.value, responseType);
+    if (!persisted.stale) {
+      cacheSet(key, data, cacheTtlMs);
+      return data;
+    }
+    if (flag('persistentCache.staleWhileRevalidate')) {
+      revalidate(url, key, opts);
+      return data;
+    }
+  }
+
+  try {
+    return await fetchAndStore(url, key, opts);
+  } catch (err) {
+    if (persisted) {
+      track('cache', 'stale_fallback', { key, reason: err.name });
+      return decodePersisted(persisted.value, responseType);
+    }
+    throw err;
+  }
+}
+
+const _revalidating = new Set();
+
+function revalidate(url, key, opts) {
+  if (_revalidating.has(key)) return;
+  _revalidating.add(key);
+  track('cache', 'revalidate', { key });
+  fetchAndStore(url, key, opts)
+    .catch(() => { /* already logged; stale copy stays in place */ })
+    .finally(() => _revalidating.delete(key));
+}
+
+function decodePersisted(value, responseType) {
+  return responseType === 'xml' ? new DOMParser().parseFromString(value, 'application/xml') : value;
+}
+
+async function fetchAndStore(url, key, opts) {
   const {
     cacheTtlMs = 30 * 60 * 1000,
     maxRetries = flag('maxRetries') ?? 3,
     responseType = 'json',
-    cacheKey: customCacheKey,
   } = opts;
 
-  const key = customCacheKey || fingerprint(url);
-  const cached = cacheGet(key);
-  if (cached !== undefined) return cached;
-
   let lastErr;
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
+      await hostSlot(url);
       track('fetch', 'attempt', { url, attempt });
       const t0 = performance.now();
       const resp = await fetch(url, { mode: 'cors' });
@@ -68,16 +113,18 @@ export async function robustFetch(url, opts = {}) {
       }
 
       let data;
+      let persistable;
       if (responseType === 'json') {
-        data = await resp.json();
+        data = persistable = await resp.json();
       } else if (responseType === 'xml') {
-        const text = await resp.text();
-        data = new DOMParser().parseFromString(text, 'application/xml');
+        persistable = await resp.text();
+        data = new DOMParser().parseFromString(persistable, 'application/xml');
       } else {
-        data = await resp.text();
+        data = persistable = await resp.text();
       }
 
       cacheSet(key, data, cacheTtlMs);
+      setPersistent(key, persistable, { source: new URL(url).hostname });
       return data;
 
     } catch (err) {
@@ -106,6 +153,39 @@ export async function robustFetch(url, opts = {}) {
   throw lastErr;
 }
 
+// Earliest start of the next request per host (flag hostRateLimitMs)
+const _hostNext = new Map();
+
+/**
+ * Wait for the host's next request slot. Hosts without a configured interval pass straight through.
+ */
+async function hostSlot(url) {
+  const host = new URL(url).hostname;
+  const interval = flag('hostRateLimitMs')?.[host] ?? 0;
+  if (interval <= 0) return;
+  const now = Date.now();
+  const start = Math.max(now, _hostNext.get(host) || 0);
+  _hostNext.set(host, start + interval);
+  if (start > now) await sleep(start - now);
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight.
+ * Results keep the order of items.
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
 function backoff(attempt) {
   const base = flag('retryBaseMs') ?? 1000;
   return base * Math.pow(2, attempt) + Math.random() * 500;
@@ -8,13 +8,15 @@ import { FRANKFURTER } from '../config/endpoints.js';
 import { robustFetch } from './fetchers.js';
 import { logError } from './errors.js';
 import { track } from './telemetry.js';
+import { countryForCurrency, hasFXRates } from '../config/countries.js';
 
 /**
  * Fetch latest FX rates.
- * @returns {{ base, date, rates: { INR, CNY } }}
+ * @param {string[]} currencies - ISO 4217 codes quoted against USD
+ * @returns {{ base, date, rates: { [currency]: number } }}
  */
-export async function fetchLatestFX() {
-  const url = FRANKFURTER.latest();
+export async function fetchLatestFX(currencies = ['INR', 'CNY']) {
+  const url = FRANKFURTER.latest('USD', currencies.join(','));
   track('fx', 'fetch_latest', { url });
   return await robustFetch(url, { responseType: 'json', cacheTtlMs: 15 * 60 * 1000 });
 }
@@ -22,9 +24,10 @@ export async function fetchLatestFX() {
 /**
  * Fetch a historical FX rate for a single date.
  * @param {string} dateStr - YYYY-MM-DD
+ * @param {string[]} currencies - ISO 4217 codes quoted against USD
  */
-export async function fetchHistoricalFX(dateStr) {
-  const url = FRANKFURTER.historical(dateStr);
+export async function fetchHistoricalFX(dateStr, currencies = ['INR', 'CNY']) {
+  const url = FRANKFURTER.historical(dateStr, 'USD', currencies.join(','));
   track('fx', 'fetch_historical', { url, date: dateStr });
   return await robustFetch(url, { responseType: 'json', cacheTtlMs: 24 * 60 * 60 * 1000 });
 }
@@ -34,9 +37,14 @@ export async function fetchHistoricalFX(dateStr) {
  * Splits into 5-year chunks to avoid timeouts on long ranges.
  * @param {string} startDate - YYYY-MM-DD
  * @param {string} endDate - YYYY-MM-DD
- * @returns {{ base, start_date, end_date, rates: { 'YYYY-MM-DD': { INR, CNY } } }}
+ * @param {string[]} currencies - ISO 4217 codes quoted against USD; codes without ECB
+ *   rates are skipped, since one unknown symbol fails the whole request
+ * @returns {{ base, start_date, end_date, rates: { 'YYYY-MM-DD': { [currency]: number } } }}
  */
-export async function fetchFXSeries(startDate, endDate) {
+export async function fetchFXSeries(startDate, endDate, currencies = ['INR', 'CNY']) {
+  currencies = currencies.filter(hasFXRates);
+  if (currencies.length === 0) return null;
+
   const startYear = parseInt(startDate.slice(0, 4));
   const endYear = parseInt(endDate.slice(0, 4));
 
@@ -47,7 +55,7 @@ export async function fetchFXSeries(startDate, endDate) {
     const chunkEndYear = Math.min(y + 4, endYear);
     const chunkEnd = chunkEndYear === endYear ? endDate : `${chunkEndYear}-12-31`;
 
-    const url = FRANKFURTER.series(chunkStart, chunkEnd);
+    const url = FRANKFURTER.series(chunkStart, chunkEnd, 'USD', currencies.join(','));
     track('fx', 'fetch_series_chunk', { url, chunkStart, chunkEnd });
 
     try {
@@ -76,49 +84,33 @@ export function normaliseFXSeries(seriesData) {
   if (!seriesData || !seriesData.rates) return [];
   const ts = new Date().toISOString();
 
-  // Group by year and compute annual averages
-  const yearlyINR = {};
-  const yearlyCNY = {};
+  // Group by currency and year and compute annual averages
+  const yearly = {};
 
   for (const [dateStr, rates] of Object.entries(seriesData.rates)) {
     const year = dateStr.slice(0, 4);
-    if (rates.INR !== undefined) {
-      if (!yearlyINR[year]) yearlyINR[year] = { sum: 0, count: 0 };
-      yearlyINR[year].sum += rates.INR;
-      yearlyINR[year].count++;
-    }
-    if (rates.CNY !== undefined) {
-      if (!yearlyCNY[year]) yearlyCNY[year] = { sum: 0, count: 0 };
-      yearlyCNY[year].sum += rates.CNY;
-      yearlyCNY[year].count++;
+    for (const [currency, rate] of Object.entries(rates)) {
+      if (rate === undefined || rate === null) continue;
+      const key = `${currency}|${year}`;
+      if (!yearly[key]) yearly[key] = { sum: 0, count: 0 };
+      yearly[key].sum += rate;
+      yearly[key].count++;
     }
   }
 
   const rows = [];
-  for (const [year, agg] of Object.entries(yearlyINR)) {
-    rows.push({
-      date: year,
-      country_iso3: 'IND',
-      indicator_code: 'FX_USD_INR',
-      indicator_name: 'USD/INR Exchange Rate (annual avg)',
-      value: parseFloat((agg.sum / agg.count).toFixed(4)),
-      unit: 'INR per USD',
-      source_id: 'frankfurter',
-      retrieval_ts: ts,
-      request_fingerprint: `frankfurter:annual:${year}:INR`,
-    });
-  }
-  for (const [year, agg] of Object.entries(yearlyCNY)) {
+  for (const [key, agg] of Object.entries(yearly)) {
+    const [currency, year] = key.split('|');
     rows.push({
       date: year,
-      country_iso3: 'CHN',
-      indicator_code: 'FX_USD_CNY',
-      indicator_name: 'USD/CNY Exchange Rate (annual avg)',
+      country_iso3: countryForCurrency(currency),
+      indicator_code: `FX_USD_${currency}`,
+      indicator_name: `USD/${currency} Exchange Rate (annual avg)`,
       value: parseFloat((agg.sum / agg.count).toFixed(4)),
-      unit: 'CNY per USD',
+      unit: `${currency} per USD`,
       source_id: 'frankfurter',
       retrieval_ts: ts,
-      request_fingerprint: `frankfurter:annual:${year}:CNY`,
+      request_fingerprint: `frankfurter:annual:${year}:${currency}`,
     });
   }
 
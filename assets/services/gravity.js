@@ -0,0 +1,153 @@
+// assets/services/gravity.js
+/**
+ * Gravity-model data preparation.
+ * Joins bilateral export totals with GDP and the bundled pair covariates
+ * (assets/data/gravity_covariates.json) into a cross-section design matrix.
+ * Estimation runs in the model worker (olsRegression / ppmlRegression).
+ *
+ * Model: X_ij = exp(β₀ + β₁ ln GDP_i + β₂ ln GDP_j + β₃ ln dist_ij
+ *                  + β₄ contig_ij + β₅ comlang_ij + β₆ rta_ij) · ε_ij
+ */
+
+import { getCountry } from '../config/countries.js';
+
+const EARTH_RADIUS_KM = 6371;
+const GDP_INDICATOR = 'NY.GDP.MKTP.CD';
+
+/** Regressors in design order. */
+export const GRAVITY_TERMS = Object.freeze([
+  { key: 'lnGdpReporter', label: 'ln GDP (exporter)' },
+  { key: 'lnGdpPartner', label: 'ln GDP (importer)' },
+  { key: 'lnDistance', label: 'ln distance' },
+  { key: 'contiguity', label: 'Contiguity' },
+  { key: 'commonLanguage', label: 'Common official language' },
+  { key: 'rta', label: 'RTA in force' },
+]);
+
+/**
+ * Great-circle distance between two { lat, lon } points (haversine), in km.
+ */
+export function haversineKm(a, b) {
+  const rad = d => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Covariates of one country pair in a given year.
+ * @returns {{ distanceKm, contiguity, commonLanguage, rta, agreements: string[] }|null}
+ *   null when either country is missing from the covariate dataset
+ */
+export function pairCovariates(covariates, reporter, partner, year) {
+  const a = covariates.countries.find(c => c.iso3 === reporter);
+  const b = covariates.countries.find(c => c.iso3 === partner);
+  if (!a || !b || reporter === partner) return null;
+
+  const isPair = ([x, y]) => (x === reporter && y === partner) || (x === partner && y === reporter);
+  const yr = parseInt(year);
+  // Bloc-to-country agreements (with `partners`) only cover member–partner pairs
+  const links = (r, x, y) => r.members.includes(x) && (r.partners || r.members).includes(y);
+  const covers = r => links(r, reporter, partner) || links(r, partner, reporter);
+  const agreements = covariates.rtas
+    .filter(covers)
+    .filter(r => yr >= r.from && (r.to === undefined || yr <= r.to))
+    .map(r => r.name);
+
+  return {
+    distanceKm: haversineKm(a, b),
+    contiguity: covariates.contiguity.some(isPair) ? 1 : 0,
+    commonLanguage: a.languages.some(l => b.languages.includes(l)) ? 1 : 0,
+    rta: agreements.length > 0 ? 1 : 0,
+    agreements,
+  };
+}
+
+/**
+ * Gravity observations { date, reporter_iso3, partner_iso3, exports_usd, gdp_reporter_usd, gdp_partner_usd }
+ * from the bundled sample plus every annual export corridor loaded in the dashboard
+ * (loaded corridors take precedence over sample rows for the same pair and year).
+ */
+export function gravityObservations(sampleRows, tradeFacts, macroFacts) {
+  const gdp = new Map(macroFacts
+    .filter(r => r.indicator_code === GDP_INDICATOR && r.value !== null)
+    .map(r => [`${r.country_iso3}|${r.date}`, r.value]));
+
+  const out = new Map();
+  for (const r of sampleRows) {
+    out.set(`${r.reporter_iso3}|${r.partner_iso3}|${r.date}`, r);
+  }
+  for (const r of tradeFacts) {
+    if (r.flow !== 'EXPORT' || r.product_level !== 'TOTAL' || (r.frequency || 'A') !== 'A') continue;
+    if (getCountry(r.partner_iso3)?.aggregate) continue;
+    const gdpReporter = gdp.get(`${r.reporter_iso3}|${r.date}`);
+    const gdpPartner = gdp.get(`${r.partner_iso3}|${r.date}`);
+    if (gdpReporter === undefined || gdpPartner === undefined) continue;
+    out.set(`${r.reporter_iso3}|${r.partner_iso3}|${r.date}`, {
+      date: r.date,
+      reporter_iso3: r.reporter_iso3,
+      partner_iso3: r.partner_iso3,
+      exports_usd: r.value_usd,
+      gdp_reporter_usd: gdpReporter,
+      gdp_partner_usd: gdpPartner,
+    });
+  }
+  return [...out.values()];
+}
+
+/** Latest year with at least minPairs usable observations, not after maxYear. */
+export function gravitySampleYear(observations, maxYear, minPairs = 1) {
+  const counts = new Map();
+  for (const o of observations) {
+    if (parseInt(o.date) > maxYear || o.exports_usd === null) continue;
+    counts.set(o.date, (counts.get(o.date) || 0) + 1);
+  }
+  const years = [...counts.keys()].filter(y => counts.get(y) >= minPairs).sort();
+  return years.length > 0 ? years[years.length - 1] : null;
+}
+
+/**
+ * Regressor row for one pair, in GRAVITY_TERMS order (null if covariates are missing).
+ */
+export function gravityRow(covariates, obs) {
+  const cov = pairCovariates(covariates, obs.reporter_iso3, obs.partner_iso3, obs.date);
+  if (!cov || !(obs.gdp_reporter_usd > 0) || !(obs.gdp_partner_usd > 0)) return null;
+  return [
+    Math.log(obs.gdp_reporter_usd),
+    Math.log(obs.gdp_partner_usd),
+    Math.log(cov.distanceKm),
+    cov.contiguity,
+    cov.commonLanguage,
+    cov.rta,
+  ];
+}
+
+/**
+ * Cross-section design for one year. Terms without variation in the sample
+ * (e.g. exporter GDP when only one reporter is loaded) are dropped.
+ * @returns {{ year, pairs: Array<{reporter, partner}>, X: number[][], y: number[],
+ *   terms: Array<{key, label}>, dropped: Array<{key, label}> }}
+ *   y is exports in USD (levels; zeros kept for PPML)
+ */
+export function buildGravityDesign(observations, covariates, year) {
+  const pairs = [], rows = [], y = [];
+  for (const o of observations) {
+    if (o.date !== year || o.exports_usd === null || o.exports_usd < 0) continue;
+    const row = gravityRow(covariates, o);
+    if (!row) continue;
+    pairs.push({ reporter: o.reporter_iso3, partner: o.partner_iso3 });
+    rows.push(row);
+    y.push(o.exports_usd);
+  }
+
+  const keep = GRAVITY_TERMS.map((_, j) => rows.some(r => r[j] !== rows[0][j]));
+  return {
+    year,
+    pairs,
+    X: rows.map(r => r.filter((_, j) => keep[j])),
+    y,
+    terms: GRAVITY_TERMS.filter((_, j) => keep[j]),
+    dropped: GRAVITY_TERMS.filter((_, j) => !keep[j]),
+  };
+}
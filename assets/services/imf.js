@@ -0,0 +1,178 @@
+// assets/services/imf.js
+/**
+ * IMF Direction of Trade Statistics (DOTS) client.
+ * Bilateral goods trade in US$ at annual, quarterly and monthly frequency, reported by
+ * the reporter country: exports FOB (TXG_FOB_USD) and imports CIF (TMG_CIF_USD).
+ *
+ * Reads the IMF CompactData JSON response and SDMX-JSON data messages (for an
+ * `imf.baseUrl` serving the standard format). With the `imf.fixtures` flag the client
+ * replays the responses in assets/data/fixtures/imf/ instead of the network.
+ *
+ * Periods: 'YYYY' (A), 'YYYY-Qn' (Q), 'YYYY-MM' (M).
+ */
+
+import { IMF } from '../config/endpoints.js';
+import { flag } from '../config/featureFlags.js';
+import { countryForImf, getCountry } from '../config/countries.js';
+import { robustFetch } from './fetchers.js';
+import { parseSdmxJson } from './sdmx.js';
+import { NetworkError, SchemaValidationError } from './errors.js';
+import { track } from './telemetry.js';
+
+export const IMF_SOURCE_ID = 'imf:dots';
+
+export const FIXTURE_DIR = './assets/data/fixtures/imf';
+
+const FREQUENCIES = ['A', 'Q', 'M'];
+
+// Values are in US$ millions unless a series says otherwise
+const DEFAULT_UNIT_MULT = 6;
+
+const FLOWS = Object.fromEntries(Object.entries(IMF.INDICATORS).map(([flow, code]) => [code, flow]));
+
+const imfCode = iso3 => getCountry(iso3)?.imf || iso3;
+
+/**
+ * Request URL for a corridor's exports and imports.
+ * @param {{ reporter: string, partner: string, startYear: number, endYear: number, frequencies?: string[] }} query
+ */
+export function imfDotsUrl({ reporter, partner, startYear, endYear, frequencies = FREQUENCIES }) {
+  return IMF.dots(flag('imf.baseUrl') || IMF.DEFAULT_BASE, {
+    frequencies,
+    reporter: imfCode(reporter),
+    indicators: Object.values(IMF.INDICATORS),
+    partner: imfCode(partner),
+    startPeriod: startYear,
+    endPeriod: endYear,
+  });
+}
+
+/** Fixture response for a corridor, e.g. assets/data/fixtures/imf/dots_IND_CHN.json. */
+export function imfFixtureUrl({ reporter, partner }) {
+  return `${FIXTURE_DIR}/dots_${reporter}_${partner}.json`;
+}
+
+/**
+ * Fetch a corridor's DOTS series.
+ * @returns {Promise<{ data: object, url: string, fixture: boolean }>} raw response
+ * @throws {AppError} on network failure, or a missing fixture in fixture mode
+ */
+export async function fetchImfDots(query) {
+  const url = imfDotsUrl(query);
+  if (flag('imf.fixtures')) {
+    const file = imfFixtureUrl(query);
+    track('imf', 'fixture', { file });
+    const resp = await fetch(file);
+    if (!resp.ok) throw new NetworkError(`No IMF fixture ${file}`, { source: 'imf', retryable: false });
+    const fixture = await resp.json();
+    return { data: fixture.response, url: fixture._meta?.request_url || url, fixture: true };
+  }
+  track('imf', 'fetch', { url });
+  const data = await robustFetch(url, { responseType: 'json', cacheTtlMs: 60 * 60 * 1000 });
+  return { data, url, fixture: false };
+}
+
+/**
+ * Series of a DOTS response in the sdmx.js shape ({ key, attributes, observations }).
+ * @throws {SchemaValidationError} when the response is neither CompactData nor SDMX-JSON
+ */
+export function parseImfResponse(data) {
+  if (data?.CompactData) return parseCompactData(data.CompactData);
+  if (data?.dataSets || data?.data?.dataSets || data?.errors) return parseSdmxJson(data);
+  throw new SchemaValidationError('imf', 'response is neither CompactData nor SDMX-JSON');
+}
+
+/**
+ * Normalise a DOTS response into trade_fact rows (TOTAL level). Indicators other than
+ * goods exports FOB / imports CIF are skipped.
+ * @param {{ data: object, url: string }} result - from fetchImfDots
+ */
+export function normaliseImfDots({ data, url }) {
+  const ts = new Date().toISOString();
+  const rows = [];
+  for (const s of parseImfResponse(data).series) {
+    const flow = FLOWS[s.key.INDICATOR];
+    const frequency = s.key.FREQ;
+    if (!flow || !FREQUENCIES.includes(frequency)) continue;
+    const reporter = countryForImf(s.key.REF_AREA);
+    const partner = countryForImf(s.key.COUNTERPART_AREA);
+    for (const obs of s.observations) {
+      const date = imfPeriod(obs.period, frequency);
+      if (!date) continue;
+      const mult = Number(obs.attributes.UNIT_MULT ?? s.attributes.UNIT_MULT ?? DEFAULT_UNIT_MULT);
+      rows.push({
+        date,
+        frequency,
+        reporter_iso3: reporter,
+        partner_iso3: partner,
+        flow,
+        product_level: 'TOTAL',
+        product_code: 'TOTAL',
+        product_name: 'All Products',
+        value_usd: obs.value === null ? null : obs.value * 10 ** mult,
+        unit: 'USD',
+        source_id: IMF_SOURCE_ID,
+        retrieval_ts: ts,
+        request_fingerprint: `${url}#${s.key.INDICATOR}:${date}`,
+      });
+    }
+  }
+  return rows;
+}
+
+// ── CompactData ───────────────────────
+
+/**
+ * { DataSet: { Series } } with '@'-prefixed XML attributes; a single series or
+ * observation is an object rather than a one-element array.
+ */
+function parseCompactData(compact) {
+  const series = [];
+  for (const s of asArray(compact.DataSet?.Series)) {
+    const key = {};
+    const attributes = {};
+    for (const [name, value] of Object.entries(s)) {
+      if (!name.startsWith('@')) continue;
+      if (['@FREQ', '@REF_AREA', '@INDICATOR', '@COUNTERPART_AREA'].includes(name)) key[name.slice(1)] = value;
+      else attributes[name.slice(1)] = value;
+    }
+    series.push({
+      key,
+      attributes,
+      observations: asArray(s.Obs).map(o => {
+        const obsAttributes = {};
+        for (const [name, value] of Object.entries(o)) {
+          if (name.startsWith('@') && name !== '@TIME_PERIOD' && name !== '@OBS_VALUE') obsAttributes[name.slice(1)] = value;
+        }
+        return { period: o['@TIME_PERIOD'] ?? '', value: parseValue(o['@OBS_VALUE']), attributes: obsAttributes };
+      }),
+    });
+  }
+  return { type: 'compact', series };
+}
+
+// ── Helpers ───────────────────────────
+
+function asArray(v) {
+  if (v === undefined || v === null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function parseValue(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const n = parseFloat(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Canonical period for a frequency: '2023', '2023-Q1', '2023-01'. Accepts the SDMX
+ * variants '2023-M01', '2023M01' and '2023Q1'; null when the period does not fit.
+ */
+function imfPeriod(raw, frequency) {
+  const p = String(raw || '');
+  let m;
+  if (frequency === 'A') return /^\d{4}$/.test(p) ? p : null;
+  if (frequency === 'Q') return (m = p.match(/^(\d{4})-?Q([1-4])$/)) ? `${m[1]}-Q${m[2]}` : null;
+  if ((m = p.match(/^(\d{4})-?M?(\d{2})$/)) && Number(m[2]) >= 1 && Number(m[2]) <= 12) return `${m[1]}-${m[2]}`;
+  return null;
+}
@@ -5,11 +5,22 @@
  *
  * Implements:
  * - Seasonal naive + trend baseline
- * - Simple exponential smoothing / Holt-Winters-like
- * - Explanatory regression: trade_value ~ lag(FX) + GDP + seasonality dummies
+ * - Simple exponential smoothing / Holt-Winters-like, with Nelder–Mead parameter fitting
+ * - Explanatory regression (OLS) with SEs, p-values, R², F, Durbin–Watson and VIFs
+ * - Gravity model estimation by Poisson pseudo-maximum likelihood (PPML)
+ * - Granger causality F-test
+ * - Structural breaks (Chow, CUSUM, Bai–Perron-style search) and robust outliers
  * - Rolling train/test evaluation with RMSE + MAPE
+ * - Expanding-window backtesting (time-series cross-validation) with MASE + sMAPE
+ * - ARIMA(p,d,q) with KPSS differencing test and AIC order selection (auto-ARIMA)
+ * - Prediction intervals: analytic (Holt-Winters / ETS, ARIMA) and residual bootstrap (naive)
+ * - Scenario projection: tariff and FX shocks applied to baseline forecasts
  */
 
+/** Prediction interval coverage levels (%) and their two-sided normal quantiles. */
+export const INTERVAL_LEVELS = [80, 95];
+const Z_SCORES = { 80: 1.2816, 95: 1.96 };
+
 /**
  * Seasonal naive forecast: last year's value + trend adjustment.
  * @param {number[]} values - historical values in chronological order
@@ -43,9 +54,18 @@ export function seasonalNaive(values, seasonPeriod = 1, horizon = 12) {
 /**
  * Holt-Winters additive (simplified double exponential smoothing with seasonal component).
  */
-export function holtWinters(values, { alpha = 0.3, beta = 0.1, gamma = 0.2, seasonPeriod = 1, horizon = 12 } = {}) {
+export function holtWinters(values, opts = {}) {
+  return holtWintersFit(values, opts).forecast;
+}
+
+/**
+ * Holt-Winters fit returning the forecast and in-sample one-step-ahead errors.
+ * Errors from the first season are skipped (they reflect initialisation, not fit).
+ * @returns {{ forecast: number[], residuals: number[] }}
+ */
+export function holtWintersFit(values, { alpha = 0.3, beta = 0.1, gamma = 0.2, seasonPeriod = 1, horizon = 12 } = {}) {
   const n = values.length;
-  if (n < 2 * seasonPeriod) return seasonalNaive(values, seasonPeriod, horizon);
+  if (n < 2 * seasonPeriod) return { forecast: seasonalNaive(values, seasonPeriod, horizon), residuals: [] };
 
   // Initialize level, trend, and seasonal components
   let level = values.slice(0, seasonPeriod).reduce((a, b) => a + (b || 0), 0) / seasonPeriod;
@@ -64,10 +84,12 @@ export function holtWinters(values, { alpha = 0.3, beta = 0.1, gamma = 0.2, seas
   }
 
   // Fit
+  const residuals = [];
   for (let t = 0; t < n; t++) {
     const v = values[t];
     if (v === null) continue;
     const sIdx = t % seasonPeriod;
+    if (t >= seasonPeriod) residuals.push(v - (level + trend + seasonal[sIdx]));
     const prevLevel = level;
     level = alpha * (v - seasonal[sIdx]) + (1 - alpha) * (level + trend);
     trend = beta * (level - prevLevel) + (1 - beta) * trend;
@@ -82,16 +104,449 @@ export function holtWinters(values, { alpha = 0.3, beta = 0.1, gamma = 0.2, seas
     const sIdx = (n + h - 1) % seasonPeriod;
     forecast.push(level + trend * h + (seasonPeriod > 1 ? seasonal[sIdx] : 0));
   }
+  return { forecast, residuals };
+}
+
+// ── Parameter optimisation ───────────────────────────────────
+
+/** Smoothing weights are kept strictly inside (0, 1) so every component stays active. */
+const PARAM_MIN = 1e-4;
+const PARAM_MAX = 1 - 1e-4;
+const clampParam = v => Math.min(PARAM_MAX, Math.max(PARAM_MIN, v));
+
+/**
+ * Fit Holt-Winters smoothing weights by minimising the one-step-ahead in-sample SSE
+ * with Nelder–Mead over the unit cube (γ only when seasonPeriod > 1).
+ *
+ * AIC = n·ln(SSE/n) + 2k, with k = fitted smoothing weights + 1 (error variance).
+ * Initial states are set heuristically, not estimated, so they are not counted.
+ *
+ * @returns {{ alpha, beta, gamma, sse, aic, n, optimised: true, iterations }|null}
+ */
+export function optimiseHoltWinters(values, seasonPeriod = 1, { start = [0.3, 0.1, 0.2] } = {}) {
+  const seasonal = seasonPeriod > 1;
+  const dims = seasonal ? 3 : 2;
+  const toParams = x => ({
+    alpha: clampParam(x[0]),
+    beta: clampParam(x[1]),
+    gamma: seasonal ? clampParam(x[2]) : 0.2,
+  });
+  const sseOf = x => holtWintersSSE(values, { ...toParams(x), seasonPeriod });
+
+  const x0 = start.slice(0, dims);
+  if (!Number.isFinite(sseOf(x0))) return null;
+
+  const { x, fx, iterations } = nelderMead(sseOf, x0);
+  const n = holtWintersFit(values, { ...toParams(x), seasonPeriod, horizon: 1 }).residuals.length;
+  return { ...toParams(x), sse: fx, aic: holtWintersAIC(fx, n, dims), n, optimised: true, iterations };
+}
+
+/**
+ * Score fixed (user-locked) parameters on the same basis as optimiseHoltWinters.
+ */
+export function scoreHoltWinters(values, { alpha, beta, gamma, seasonPeriod = 1 }) {
+  const sse = holtWintersSSE(values, { alpha, beta, gamma, seasonPeriod });
+  const n = holtWintersFit(values, { alpha, beta, gamma, seasonPeriod, horizon: 1 }).residuals.length;
+  return { alpha, beta, gamma, sse, aic: Number.isFinite(sse) ? holtWintersAIC(sse, n, 0) : null, n, optimised: false, iterations: 0 };
+}
+
+function holtWintersSSE(values, params) {
+  const { residuals } = holtWintersFit(values, { ...params, horizon: 1 });
+  if (residuals.length === 0) return Infinity;
+  return residuals.reduce((s, e) => s + e * e, 0);
+}
+
+function holtWintersAIC(sse, n, fittedParams) {
+  if (n === 0 || sse <= 0) return null;
+  return n * Math.log(sse / n) + 2 * (fittedParams + 1);
+}
+
+/**
+ * Nelder–Mead simplex minimiser (standard coefficients: reflect 1, expand 2,
+ * contract 0.5, shrink 0.5). Stops on relative spread of objective values.
+ * @param {function(number[]): number} f
+ * @param {number[]} x0
+ * @returns {{ x: number[], fx: number, iterations: number }}
+ */
+export function nelderMead(f, x0, { maxIter = 300, tol = 1e-10, step = 0.1 } = {}) {
+  const n = x0.length;
+  const point = x => ({ x, f: f(x) });
+  let simplex = [point(x0), ...x0.map((_, i) => point(x0.map((v, j) => (j === i ? v + step : v))))];
+
+  let iter = 0;
+  for (; iter < maxIter; iter++) {
+    simplex.sort((a, b) => a.f - b.f);
+    const best = simplex[0];
+    const worst = simplex[n];
+    if (Math.abs(worst.f - best.f) <= tol * (Math.abs(best.f) + tol)) break;
+
+    const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((s, p) => s + p.x[j], 0) / n);
+    const along = t => point(centroid.map((c, j) => c + t * (worst.x[j] - c)));
+
+    const reflected = along(-1);
+    if (reflected.f < best.f) {
+      const expanded = along(-2);
+      simplex[n] = expanded.f < reflected.f ? expanded : reflected;
+    } else if (reflected.f < simplex[n - 1].f) {
+      simplex[n] = reflected;
+    } else {
+      const contracted = reflected.f < worst.f ? along(-0.5) : along(0.5);
+      if (contracted.f < Math.min(reflected.f, worst.f)) {
+        simplex[n] = contracted;
+      } else {
+        simplex = simplex.map((p, i) => (i === 0 ? p : point(p.x.map((v, j) => best.x[j] + 0.5 * (v - best.x[j])))));
+      }
+    }
+  }
+  simplex.sort((a, b) => a.f - b.f);
+  return { x: simplex[0].x, fx: simplex[0].f, iterations: iter };
+}
+
+/**
+ * Analytic prediction intervals for Holt-Winters, using the ETS(A,A,A) / ETS(A,A,N)
+ * h-step variance (Hyndman et al. 2008, class 1 models):
+ *   σ²_h = σ²[1 + (h−1){α² + αβh + β²h(2h−1)/6} + γk{2α + γ + βm(k+1)}],  k = ⌊(h−1)/m⌋
+ * Smoothing weights are converted to state-space form: β = α·β*, γ = (1−α)·γ*.
+ * σ² is the mean squared one-step in-sample error.
+ * @returns {{ method: 'analytic', sigma: number, bands: Array<{level, lower, upper}> }|null}
+ */
+export function holtWintersIntervals(values, params = {}, levels = INTERVAL_LEVELS) {
+  const { alpha = 0.3, beta = 0.1, gamma = 0.2, seasonPeriod = 1 } = params;
+  const { forecast, residuals } = holtWintersFit(values, params);
+  if (residuals.length < 2) return null;
+
+  const sigma2 = residuals.reduce((s, e) => s + e * e, 0) / residuals.length;
+  const m = seasonPeriod;
+  const a = alpha;
+  const b = alpha * beta;
+  const g = m > 1 ? (1 - alpha) * gamma : 0;
+
+  const se = forecast.map((_, i) => {
+    const h = i + 1;
+    const k = Math.floor((h - 1) / m);
+    const factor = 1
+      + (h - 1) * (a * a + a * b * h + (b * b * h * (2 * h - 1)) / 6)
+      + (m > 1 ? g * k * (2 * a + g + b * m * (k + 1)) : 0);
+    return Math.sqrt(sigma2 * factor);
+  });
+
+  return {
+    method: 'analytic',
+    sigma: Math.sqrt(sigma2),
+    bands: levels.map(level => ({
+      level,
+      lower: forecast.map((f, i) => f - Z_SCORES[level] * se[i]),
+      upper: forecast.map((f, i) => f + Z_SCORES[level] * se[i]),
+    })),
+  };
+}
+
+/**
+ * Residual-bootstrap prediction intervals for the seasonal naive + trend baseline.
+ * Simulates future paths y[n+h] = y[n+h−m] + trend + e*, with e* drawn from the
+ * in-sample seasonal-difference residuals, and takes empirical quantiles per step.
+ * Seeded so repeated runs give the same bands.
+ * @returns {{ method: 'bootstrap', paths: number, bands: Array<{level, lower, upper}> }|null}
+ */
+export function bootstrapNaiveIntervals(values, seasonPeriod = 1, horizon = 12, { levels = INTERVAL_LEVELS, paths = 1000, seed = 42 } = {}) {
+  const n = values.length;
+  const diffs = [];
+  for (let i = seasonPeriod; i < n; i++) {
+    if (values[i] !== null && values[i - seasonPeriod] !== null) {
+      diffs.push(values[i] - values[i - seasonPeriod]);
+    }
+  }
+  if (diffs.length < 2) return null;
+  const avgTrend = diffs.reduce((a, b) => a + b, 0) / diffs.length;
+  const residuals = diffs.map(d => d - avgTrend);
+
+  const rand = mulberry32(seed);
+  const sims = Array.from({ length: horizon }, () => []);
+  for (let p = 0; p < paths; p++) {
+    const path = values.slice();
+    for (let h = 1; h <= horizon; h++) {
+      const base = path[n + h - 1 - seasonPeriod];
+      const e = residuals[Math.floor(rand() * residuals.length)];
+      path.push(base !== null ? base + avgTrend + e : null);
+      if (path[n + h - 1] !== null) sims[h - 1].push(path[n + h - 1]);
+    }
+  }
+  sims.forEach(s => s.sort((a, b) => a - b));
+
+  return {
+    method: 'bootstrap',
+    paths,
+    bands: levels.map(level => {
+      const tail = (1 - level / 100) / 2;
+      return {
+        level,
+        lower: sims.map(s => quantile(s, tail)),
+        upper: sims.map(s => quantile(s, 1 - tail)),
+      };
+    }),
+  };
+}
+
+/** Linear-interpolated quantile of a sorted array. */
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/** Small seeded PRNG (mulberry32) returning floats in [0, 1). */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ── ARIMA ────────────────────────────────────────────────────
+
+/** KPSS level-stationarity 5% critical value (Kwiatkowski et al., 1992). */
+const KPSS_CRITICAL_5PCT = 0.463;
+/** Residuals start after the largest AR/MA order so every candidate's CSS covers the same span. */
+const ARIMA_MAX_ORDER = 2;
+
+/**
+ * d-th order difference.
+ */
+export function difference(values, d = 1) {
+  let out = values.slice();
+  for (let k = 0; k < d; k++) out = out.slice(1).map((v, t) => v - out[t]);
+  return out;
+}
+
+/**
+ * KPSS statistic for level stationarity, with a Bartlett-window long-run variance
+ * and lag truncation ⌊3√n / 13⌋.
+ */
+export function kpssStatistic(values) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const e = values.map(v => v - mean);
+
+  let partial = 0;
+  let num = 0;
+  for (const x of e) {
+    partial += x;
+    num += partial * partial;
+  }
+
+  const lags = Math.floor((3 * Math.sqrt(n)) / 13);
+  let lrv = e.reduce((s, x) => s + x * x, 0) / n;
+  for (let l = 1; l <= lags; l++) {
+    let cov = 0;
+    for (let t = l; t < n; t++) cov += e[t] * e[t - l];
+    lrv += (2 * (1 - l / (lags + 1)) * cov) / n;
+  }
+  return lrv > 0 ? num / (n * n * lrv) : 0;
+}
+
+/**
+ * Number of differences needed for stationarity: difference until KPSS
+ * no longer rejects at 5%, up to maxD.
+ * @returns {{ d: number, tests: Array<{ d, stat, critical, stationary }> }}
+ */
+export function selectDifferencing(values, maxD = 2) {
+  const tests = [];
+  let d = 0;
+  for (;;) {
+    const series = difference(values, d);
+    if (series.length < 4) break;
+    const stat = kpssStatistic(series);
+    const stationary = stat <= KPSS_CRITICAL_5PCT;
+    tests.push({ d, stat, critical: KPSS_CRITICAL_5PCT, stationary });
+    if (stationary || d >= maxD) break;
+    d++;
+  }
+  return { d, tests };
+}
+
+/**
+ * Fit ARIMA(p,d,q) by conditional sum of squares (Nelder–Mead over AR/MA weights).
+ * The differenced series is demeaned first (mean for d=0, drift for d=1, none for d=2).
+ * Non-stationary AR or non-invertible MA weights are rejected.
+ * @returns {{ p, d, q, ar, ma, mean, sigma2, sse, n, aic, residuals }|null}
+ */
+export function fitArima(values, p, d, q) {
+  const diffed = difference(values, d);
+  const mean = d < 2 ? diffed.reduce((a, b) => a + b, 0) / diffed.length : 0;
+  const w = diffed.map(v => v - mean);
+  const n = w.length - ARIMA_MAX_ORDER;
+  if (n < p + q + 3) return null;
+
+  const split = x => ({ ar: x.slice(0, p), ma: x.slice(p) });
+  const css = x => {
+    const { ar, ma } = split(x);
+    if (!isStablePoly(ar) || !isStablePoly(ma.map(v => -v))) return Infinity;
+    return armaResiduals(w, ar, ma).reduce((s, e) => s + e * e, 0);
+  };
+
+  let x = [];
+  let sse = css(x);
+  if (p + q > 0) ({ x, fx: sse } = nelderMead(css, new Array(p + q).fill(0)));
+
+  const { ar, ma } = split(x);
+  const sigma2 = sse / n;
+  if (!(sigma2 > 0)) return null;
+  const k = p + q + (d < 2 ? 1 : 0) + 1; // weights + mean/drift + variance
+  return { p, d, q, ar, ma, mean, sigma2, sse, n, aic: n * Math.log(sigma2) + 2 * k, residuals: armaResiduals(w, ar, ma) };
+}
+
+/**
+ * Auto-ARIMA: choose d by KPSS, then p, q ∈ [0, maxOrder] by minimum AIC.
+ * @returns {object|null} fitted model plus { kpss, candidates: [{ p, d, q, aic }] }
+ */
+export function autoArima(values, { maxOrder = ARIMA_MAX_ORDER, maxD = 2 } = {}) {
+  const clean = values.filter(v => v !== null);
+  if (clean.length < 8) return null;
+
+  const { d, tests } = selectDifferencing(clean, maxD);
+  const candidates = [];
+  for (let p = 0; p <= maxOrder; p++) {
+    for (let q = 0; q <= maxOrder; q++) {
+      const model = fitArima(clean, p, d, q);
+      if (model && Number.isFinite(model.aic)) candidates.push(model);
+    }
+  }
+  if (candidates.length === 0) return null;
+
+  const best = candidates.reduce((a, b) => (b.aic < a.aic ? b : a));
+  return { ...best, kpss: tests, candidates: candidates.map(({ p, q, aic }) => ({ p, d, q, aic })) };
+}
+
+/**
+ * h-step forecasts from a fitted ARIMA model (future shocks set to zero),
+ * integrated back to the original level.
+ */
+export function arimaForecast(values, model, horizon) {
+  const clean = values.filter(v => v !== null);
+  const w = difference(clean, model.d).map(v => v - model.mean);
+  const e = [...new Array(ARIMA_MAX_ORDER).fill(0), ...armaResiduals(w, model.ar, model.ma)];
+
+  const wExt = w.slice();
+  for (let h = 0; h < horizon; h++) {
+    const t = wExt.length;
+    let pred = 0;
+    model.ar.forEach((phi, i) => { pred += phi * wExt[t - 1 - i]; });
+    model.ma.forEach((theta, j) => { pred += theta * e[t - 1 - j]; });
+    wExt.push(pred);
+    e.push(0);
+  }
+
+  let forecast = wExt.slice(w.length).map(v => v + model.mean);
+  for (let k = model.d; k > 0; k--) {
+    const level = difference(clean, k - 1);
+    let last = level[level.length - 1];
+    forecast = forecast.map(v => (last += v));
+  }
   return forecast;
 }
 
 /**
- * Simple OLS regression: y = b0 + b1*x1 + b2*x2 + ...
+ * Analytic ARIMA prediction intervals from the ψ-weights of φ(B)(1−B)^d y = θ(B)ε:
+ *   Var(h) = σ² Σ_{j<h} ψ_j²
+ * @returns {{ method: 'analytic', sigma: number, bands: Array<{level, lower, upper}> }}
+ */
+export function arimaIntervals(model, forecast, levels = INTERVAL_LEVELS) {
+  let poly = [1, ...model.ar.map(v => -v)];
+  for (let k = 0; k < model.d; k++) poly = poly.map((c, i) => c - (poly[i - 1] ?? 0)).concat(-poly[poly.length - 1]);
+  const a = poly.slice(1).map(v => -v);
+
+  const psi = [1];
+  for (let j = 1; j < forecast.length; j++) {
+    let v = j <= model.ma.length ? model.ma[j - 1] : 0;
+    for (let i = 1; i <= Math.min(j, a.length); i++) v += a[i - 1] * psi[j - i];
+    psi.push(v);
+  }
+
+  let cum = 0;
+  const se = psi.map(v => Math.sqrt(model.sigma2 * (cum += v * v)));
+  return {
+    method: 'analytic',
+    sigma: Math.sqrt(model.sigma2),
+    bands: levels.map(level => ({
+      level,
+      lower: forecast.map((f, i) => f - Z_SCORES[level] * se[i]),
+      upper: forecast.map((f, i) => f + Z_SCORES[level] * se[i]),
+    })),
+  };
+}
+
+/** One-step CSS residuals of a demeaned ARMA series, from t = ARIMA_MAX_ORDER. */
+function armaResiduals(w, ar, ma) {
+  const e = new Array(w.length).fill(0);
+  for (let t = ARIMA_MAX_ORDER; t < w.length; t++) {
+    let pred = 0;
+    for (let i = 0; i < ar.length; i++) pred += ar[i] * w[t - 1 - i];
+    for (let j = 0; j < ma.length; j++) pred += ma[j] * e[t - 1 - j];
+    e[t] = w[t] - pred;
+  }
+  return e.slice(ARIMA_MAX_ORDER);
+}
+
+/** Roots of 1 − a₁z − a₂z² outside the unit circle (order ≤ 2 triangle conditions). */
+function isStablePoly(a) {
+  if (a.length === 0) return true;
+  if (a.length === 1) return Math.abs(a[0]) < 1;
+  const [a1, a2] = a;
+  return a1 + a2 < 1 && a2 - a1 < 1 && Math.abs(a2) < 1;
+}
+
+/**
+ * OLS regression y = b0 + b1*x1 + b2*x2 + ... with classical inference.
  * @param {number[][]} X - matrix of predictors (each row is an observation)
  * @param {number[]} y - response variable
- * @returns {{ coefficients: number[], fitted: number[], residuals: number[] }}
+ * @returns {{ coefficients, fitted, residuals, standardErrors, tStats, pValues,
+ *   r2, adjR2, fStat, fPValue, df, n, durbinWatson, vif }|null}
+ *   Coefficient arrays include the intercept first; vif has one entry per predictor.
  */
 export function olsRegression(X, y) {
+  const fit = olsFit(X, y);
+  if (!fit) return null;
+  const { coefficients, fitted, residuals, XtX } = fit;
+
+  const n = y.length;
+  const k = coefficients.length;
+  const df = n - k;
+  const ssr = residuals.reduce((s, e) => s + e * e, 0);
+  const yMean = y.reduce((a, b) => a + b, 0) / n;
+  const sst = y.reduce((s, v) => s + (v - yMean) ** 2, 0);
+  const r2 = sst > 0 ? 1 - ssr / sst : null;
+  const adjR2 = r2 !== null && df > 0 ? 1 - ((1 - r2) * (n - 1)) / df : null;
+
+  // Var(b) = σ²(X'X)⁻¹, σ² = SSR / (n − k)
+  const sigma2 = df > 0 ? ssr / df : null;
+  const inv = invertMatrix(XtX);
+  const standardErrors = coefficients.map((_, j) =>
+    inv && sigma2 !== null && inv[j][j] >= 0 ? Math.sqrt(sigma2 * inv[j][j]) : null);
+  const tStats = coefficients.map((b, j) => (standardErrors[j] ? b / standardErrors[j] : null));
+  const pValues = tStats.map(t => (t === null ? null : studentTPValue(t, df)));
+
+  const fStat = k > 1 && df > 0 && r2 !== null && r2 < 1 ? (r2 / (k - 1)) / ((1 - r2) / df) : null;
+  const fPValue = fStat !== null ? fDistPValue(fStat, k - 1, df) : null;
+
+  let dwNum = 0;
+  for (let i = 1; i < n; i++) dwNum += (residuals[i] - residuals[i - 1]) ** 2;
+  const durbinWatson = ssr > 0 ? dwNum / ssr : null;
+
+  return {
+    coefficients, fitted, residuals, standardErrors, tStats, pValues,
+    r2, adjR2, fStat, fPValue, df, n, durbinWatson,
+    vif: varianceInflationFactors(X),
+  };
+}
+
+/** Least-squares fit with intercept; returns X'X for the inference step. */
+function olsFit(X, y) {
   const n = y.length;
   const p = X[0].length;
   // Add intercept
@@ -124,7 +579,456 @@ export function olsRegression(X, y) {
     residuals.push(y[i] - yhat);
   }
 
-  return { coefficients, fitted, residuals };
+  return { coefficients, fitted, residuals, XtX };
+}
+
+/**
+ * VIF_j = 1 / (1 − R²_j), R²_j from regressing predictor j on the others.
+ * A single predictor has VIF 1; perfect collinearity gives null.
+ */
+function varianceInflationFactors(X) {
+  const p = X[0].length;
+  if (p === 1) return [1];
+  return Array.from({ length: p }, (_, j) => {
+    const target = X.map(row => row[j]);
+    const others = X.map(row => row.filter((_, l) => l !== j));
+    const fit = olsFit(others, target);
+    if (!fit) return null;
+    const mean = target.reduce((a, b) => a + b, 0) / target.length;
+    const sst = target.reduce((s, v) => s + (v - mean) ** 2, 0);
+    const ssr = fit.residuals.reduce((s, e) => s + e * e, 0);
+    const r2 = sst > 0 ? 1 - ssr / sst : 1;
+    return r2 < 1 ? 1 / (1 - r2) : null;
+  });
+}
+
+/** Gauss–Jordan inverse with partial pivoting; null if singular. */
+function invertMatrix(A) {
+  const n = A.length;
+  const aug = A.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let maxRow = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(aug[row][col]) > Math.abs(aug[maxRow][col])) maxRow = row;
+    }
+    [aug[col], aug[maxRow]] = [aug[maxRow], aug[col]];
+    const pivot = aug[col][col];
+    if (Math.abs(pivot) < 1e-300) return null;
+    for (let j = 0; j < 2 * n; j++) aug[col][j] /= pivot;
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = aug[row][col];
+      for (let j = 0; j < 2 * n; j++) aug[row][j] -= factor * aug[col][j];
+    }
+  }
+  return aug.map(row => row.slice(n));
+}
+
+// ── Granger causality ────────────────────────────────────────
+
+/**
+ * Granger causality F-test: do p lags of x improve an AR(p) model of y?
+ * Restricted:   y_t = a + Σ b_i y_{t−i} + e
+ * Unrestricted: y_t = a + Σ b_i y_{t−i} + Σ c_i x_{t−i} + e
+ * F = ((RSS_r − RSS_u) / p) / (RSS_u / (n − 2p − 1)), F(p, n − 2p − 1) under H0: all c_i = 0.
+ * @param {number[]} y - response, consecutive periods
+ * @param {number[]} x - candidate cause, same periods as y
+ * @param {number} lags - p
+ * @returns {{ fStat, pValue, df1, df2, n, lags, rssRestricted, rssUnrestricted }|null}
+ *   null when there are too few observations or a design is singular
+ */
+export function grangerTest(y, x, lags = 1) {
+  const n = y.length - lags;
+  const df2 = n - 2 * lags - 1;
+  if (x.length !== y.length || df2 < 1) return null;
+
+  const target = y.slice(lags);
+  const ownLags = target.map((_, t) => Array.from({ length: lags }, (_, i) => y[t + lags - i - 1]));
+  const crossLags = target.map((_, t) => Array.from({ length: lags }, (_, i) => x[t + lags - i - 1]));
+  const rss = X => {
+    const fit = olsFit(X, target);
+    return fit ? fit.residuals.reduce((s, e) => s + e * e, 0) : null;
+  };
+  const rssRestricted = rss(ownLags);
+  const rssUnrestricted = rss(ownLags.map((row, t) => [...row, ...crossLags[t]]));
+  if (rssRestricted === null || rssUnrestricted === null || !(rssUnrestricted > 0)) return null;
+
+  const fStat = Math.max(0, ((rssRestricted - rssUnrestricted) / lags) / (rssUnrestricted / df2));
+  return { fStat, pValue: fDistPValue(fStat, lags, df2), df1: lags, df2, n, lags, rssRestricted, rssUnrestricted };
+}
+
+// ── Structural breaks and outliers ───────────────────────────
+// Regimes are linear trends y_t = a + b·t (in logs for positive series, so a
+// break is a change in level or growth rate).
+
+const TREND_PARAMS = 2;
+/** 5% boundary constant of the CUSUM test (Brown, Durbin & Evans, 1975). */
+const CUSUM_A_5PCT = 0.948;
+/** Modified z-score cut-off for outliers (Iglewicz & Hoaglin, 1993). */
+export const OUTLIER_Z = 3.5;
+
+/** Least-squares trend on y[from..to): { slope, meanT, meanY, stt, rss }; null below 3 points. */
+function fitTrend(y, from, to) {
+  const n = to - from;
+  if (n < TREND_PARAMS + 1) return null;
+  const meanT = (from + to - 1) / 2;
+  let meanY = 0;
+  for (let t = from; t < to; t++) meanY += y[t];
+  meanY /= n;
+  let stt = 0, sty = 0, syy = 0;
+  for (let t = from; t < to; t++) {
+    stt += (t - meanT) ** 2;
+    sty += (t - meanT) * (y[t] - meanY);
+    syy += (y[t] - meanY) ** 2;
+  }
+  return { slope: sty / stt, meanT, meanY, stt, rss: Math.max(0, syy - (sty * sty) / stt) };
+}
+
+/**
+ * Chow test for a break in the trend at breakIndex (first period of the new regime).
+ * F = ((RSS_pooled − RSS_1 − RSS_2) / k) / ((RSS_1 + RSS_2) / (n − 2k)), k = 2, F(k, n − 2k) under H0.
+ * @returns {{ breakIndex, fStat, pValue, df1, df2 }|null} null when a segment has fewer than 3 periods
+ */
+export function chowTest(y, breakIndex) {
+  const n = y.length;
+  const pooled = fitTrend(y, 0, n);
+  const before = fitTrend(y, 0, breakIndex);
+  const after = fitTrend(y, breakIndex, n);
+  const df2 = n - 2 * TREND_PARAMS;
+  if (!pooled || !before || !after || df2 < 1) return null;
+  const rssSplit = before.rss + after.rss;
+  if (!(rssSplit > 0)) return null;
+  const fStat = Math.max(0, ((pooled.rss - rssSplit) / TREND_PARAMS) / (rssSplit / df2));
+  return { breakIndex, fStat, pValue: fDistPValue(fStat, TREND_PARAMS, df2), df1: TREND_PARAMS, df2 };
+}
+
+/**
+ * CUSUM test on standardised recursive residuals of the trend model: each period is
+ * predicted from a trend fitted to all earlier periods. W_r = Σ w_i / σ̂ drifts outside
+ * ±0.948 (√m + 2r/√m) (5% level, m = n − k) when the trend is unstable.
+ * @returns {{ startIndex, cusum: number[], bounds: number[], crossed: boolean, firstCrossing: number|null }|null}
+ *   cusum[r] belongs to period startIndex + r; firstCrossing is a period index
+ */
+export function cusumTest(y) {
+  const n = y.length;
+  const m = n - TREND_PARAMS;
+  if (m < 3) return null;
+  const w = [];
+  for (let t = TREND_PARAMS; t < n; t++) {
+    // Trend on periods 0..t−1, predicting t; the variance factor is 1 + x_t'(X'X)⁻¹x_t
+    const meanT = (t - 1) / 2;
+    let meanY = 0;
+    for (let i = 0; i < t; i++) meanY += y[i];
+    meanY /= t;
+    let stt = 0, sty = 0;
+    for (let i = 0; i < t; i++) {
+      stt += (i - meanT) ** 2;
+      sty += (i - meanT) * (y[i] - meanY);
+    }
+    const pred = meanY + (sty / stt) * (t - meanT);
+    w.push((y[t] - pred) / Math.sqrt(1 + 1 / t + (t - meanT) ** 2 / stt));
+  }
+  const mean = w.reduce((s, v) => s + v, 0) / m;
+  const sigma = Math.sqrt(w.reduce((s, v) => s + (v - mean) ** 2, 0) / (m - 1));
+  if (!(sigma > 0)) return null;
+
+  let sum = 0;
+  const cusum = w.map(v => (sum += v / sigma));
+  const bounds = cusum.map((_, r) => CUSUM_A_5PCT * (Math.sqrt(m) + (2 * (r + 1)) / Math.sqrt(m)));
+  const first = cusum.findIndex((v, r) => Math.abs(v) > bounds[r]);
+  return { startIndex: TREND_PARAMS, cusum, bounds, crossed: first >= 0, firstCrossing: first >= 0 ? first + TREND_PARAMS : null };
+}
+
+/**
+ * Bai–Perron-style multiple-break search: for each number of breaks up to maxBreaks,
+ * the partition into trend segments (each at least minSegment periods) with the lowest
+ * total RSS, found by dynamic programming. The number of breaks minimises
+ * BIC = n ln(RSS/n) + (3m + 2) ln n (two trend parameters per segment plus m break dates).
+ * @returns {{ breaks: number[], rss, candidates: Array<{ breaks: number[], rss, bic }> }|null}
+ *   breaks are indices of the first period of each new regime
+ */
+export function baiPerronBreaks(y, { maxBreaks = 2, minSegment = 4 } = {}) {
+  const n = y.length;
+  const h = Math.max(minSegment, TREND_PARAMS + 1);
+  const maxM = Math.min(maxBreaks, Math.floor(n / h) - 1);
+  if (maxM < 0) return null;
+
+  const costs = new Map();
+  const cost = (i, j) => {
+    const key = i * (n + 1) + j;
+    if (!costs.has(key)) costs.set(key, fitTrend(y, i, j)?.rss ?? Infinity);
+    return costs.get(key);
+  };
+
+  // best[m][j]: lowest RSS of y[0..j) in m + 1 segments; from[m][j]: start of the last one
+  const best = [Array.from({ length: n + 1 }, (_, j) => (j >= h ? cost(0, j) : Infinity))];
+  const from = [new Array(n + 1).fill(0)];
+  for (let m = 1; m <= maxM; m++) {
+    best[m] = new Array(n + 1).fill(Infinity);
+    from[m] = new Array(n + 1).fill(-1);
+    for (let j = (m + 1) * h; j <= n; j++) {
+      for (let i = m * h; i <= j - h; i++) {
+        const v = best[m - 1][i] + cost(i, j);
+        if (v < best[m][j]) {
+          best[m][j] = v;
+          from[m][j] = i;
+        }
+      }
+    }
+  }
+
+  const candidates = [];
+  for (let m = 0; m <= maxM; m++) {
+    const rss = best[m][n];
+    if (!Number.isFinite(rss)) continue;
+    const breaks = [];
+    for (let k = m, j = n; k > 0; k--) {
+      j = from[k][j];
+      breaks.unshift(j);
+    }
+    const bic = n * Math.log(Math.max(rss / n, Number.MIN_VALUE)) + (3 * m + 2) * Math.log(n);
+    candidates.push({ breaks, rss, bic });
+  }
+  if (candidates.length === 0) return null;
+  const chosen = candidates.reduce((a, b) => (b.bic < a.bic ? b : a));
+  return { breaks: chosen.breaks, rss: chosen.rss, candidates };
+}
+
+/**
+ * Robust outliers among period-on-period changes (lag = season length for seasonal data):
+ * modified z-score M = (d − median) / (MAD / 0.6745); |M| > threshold flags the period the
+ * change leads into. Falls back to 1.2533 × mean absolute deviation when the MAD is zero.
+ * @returns {Array<{ index, change, score }>}
+ */
+export function robustOutliers(values, { lag = 1, threshold = OUTLIER_Z } = {}) {
+  const changes = values.slice(lag).map((v, i) => v - values[i]);
+  if (changes.length < 4) return [];
+  const median = quantile([...changes].sort((a, b) => a - b), 0.5);
+  const absDev = changes.map(d => Math.abs(d - median)).sort((a, b) => a - b);
+  const mad = quantile(absDev, 0.5);
+  const scale = mad > 0 ? mad / 0.6745 : 1.2533 * (absDev.reduce((s, v) => s + v, 0) / absDev.length);
+  if (!(scale > 0)) return [];
+  return changes
+    .map((change, i) => ({ index: i + lag, change, score: (change - median) / scale }))
+    .filter(o => Math.abs(o.score) > threshold);
+}
+
+/** Subtract per-season means of the detrended series (additive seasonal indices). */
+function deseasonalise(y, period) {
+  const fit = fitTrend(y, 0, y.length);
+  if (!fit) return [...y];
+  const sums = new Array(period).fill(0);
+  const counts = new Array(period).fill(0);
+  y.forEach((v, t) => {
+    sums[t % period] += v - fit.meanY - fit.slope * (t - fit.meanT);
+    counts[t % period]++;
+  });
+  return y.map((v, t) => v - sums[t % period] / counts[t % period]);
+}
+
+/**
+ * Structural-break and outlier checks on one series (consecutive periods, no nulls).
+ * Positive series are analysed in logs; seasonal series are deseasonalised for the
+ * trend tests and use year-on-year changes for outliers.
+ * @param {number[]} values
+ * @param {{ seasonPeriod?: number, maxBreaks?: number, minSegment?: number, candidates?: number[] }} opts
+ *   candidates: extra period indices for a Chow test (e.g. a known policy date)
+ * @returns {{ transform: 'log'|'level', breaks: Array<{ index, chow }>, bic: Array<{ breaks, rss, bic }>,
+ *   cusum: ReturnType<typeof cusumTest>, outliers: Array<{ index, change, score }>,
+ *   candidates: Array<{ index, chow }> }|null} null below 8 periods
+ */
+export function detectStructuralBreaks(values, { seasonPeriod = 1, maxBreaks = 2, minSegment, candidates = [] } = {}) {
+  if (values.length < 8) return null;
+  const logged = values.every(v => v > 0);
+  const base = logged ? values.map(Math.log) : [...values];
+  const y = seasonPeriod > 1 ? deseasonalise(base, seasonPeriod) : base;
+  const bp = baiPerronBreaks(y, { maxBreaks, minSegment: minSegment ?? (seasonPeriod > 1 ? seasonPeriod : 4) });
+  const withChow = index => ({ index, chow: chowTest(y, index) });
+  return {
+    transform: logged ? 'log' : 'level',
+    breaks: bp ? bp.breaks.map(withChow) : [],
+    bic: bp ? bp.candidates : [],
+    cusum: cusumTest(y),
+    outliers: robustOutliers(base, { lag: seasonPeriod }),
+    candidates: candidates.filter(i => i > 0 && i < y.length).map(withChow),
+  };
+}
+
+// ── Poisson pseudo-maximum likelihood ────────────────────────
+
+/**
+ * PPML: Poisson regression E[y|X] = exp(b0 + Xb) by iteratively reweighted least squares
+ * (Santos Silva & Tenreyro, 2006). Keeps zero flows; coefficients on ln regressors are elasticities.
+ * @param {number[][]} X - predictors (each row is an observation)
+ * @param {number[]} y - non-negative response in levels
+ * @returns {{ coefficients, fitted, residuals, standardErrors, zStats, pValues,
+ *   pseudoR2, n, df, iterations, converged }|null}
+ *   Standard errors are Eicker–White robust; pseudoR2 is corr(y, ŷ)².
+ */
+export function ppmlRegression(X, y, { maxIter = 100, tol = 1e-9 } = {}) {
+  const n = y.length;
+  // Scale y to mean 1 for conditioning; only the intercept shifts (by ln scale)
+  const scale = y.reduce((a, b) => a + b, 0) / n;
+  if (!(scale > 0)) return null;
+  const ys = y.map(v => v / scale);
+  const Xa = X.map(row => [1, ...row]);
+  const k = Xa[0].length;
+
+  let beta = new Array(k).fill(0);
+  let mu = new Array(n).fill(1);
+  let iterations = 0;
+  let converged = false;
+  while (iterations < maxIter && !converged) {
+    iterations++;
+    const eta = Xa.map(row => row.reduce((s, x, j) => s + x * beta[j], 0));
+    mu = eta.map(e => Math.exp(e));
+    // Working response z = η + (y − μ)/μ with weights μ
+    const XtWX = Array.from({ length: k }, () => new Array(k).fill(0));
+    const XtWz = new Array(k).fill(0);
+    for (let i = 0; i < n; i++) {
+      const z = eta[i] + (ys[i] - mu[i]) / mu[i];
+      for (let j = 0; j < k; j++) {
+        for (let l = 0; l < k; l++) XtWX[j][l] += mu[i] * Xa[i][j] * Xa[i][l];
+        XtWz[j] += mu[i] * Xa[i][j] * z;
+      }
+    }
+    const next = solveLinear(XtWX, XtWz);
+    if (!next || next.some(b => !Number.isFinite(b))) return null;
+    converged = next.every((b, j) => Math.abs(b - beta[j]) < tol * (1 + Math.abs(b)));
+    beta = next;
+  }
+
+  mu = Xa.map(row => Math.exp(row.reduce((s, x, j) => s + x * beta[j], 0)));
+  const resid = ys.map((v, i) => v - mu[i]);
+
+  // Sandwich: (X'WX)⁻¹ (Σ e²xx') (X'WX)⁻¹
+  const bread = Array.from({ length: k }, () => new Array(k).fill(0));
+  const meat = Array.from({ length: k }, () => new Array(k).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < k; j++) {
+      for (let l = 0; l < k; l++) {
+        bread[j][l] += mu[i] * Xa[i][j] * Xa[i][l];
+        meat[j][l] += resid[i] ** 2 * Xa[i][j] * Xa[i][l];
+      }
+    }
+  }
+  const inv = invertMatrix(bread);
+  const standardErrors = beta.map((_, j) => {
+    if (!inv) return null;
+    let v = 0;
+    for (let a = 0; a < k; a++) for (let b = 0; b < k; b++) v += inv[j][a] * meat[a][b] * inv[b][j];
+    return v >= 0 ? Math.sqrt(v) : null;
+  });
+  const zStats = beta.map((b, j) => (standardErrors[j] ? b / standardErrors[j] : null));
+
+  const coefficients = [beta[0] + Math.log(scale), ...beta.slice(1)];
+  const fitted = mu.map(m => m * scale);
+  return {
+    coefficients,
+    fitted,
+    residuals: y.map((v, i) => v - fitted[i]),
+    standardErrors,
+    zStats,
+    pValues: zStats.map(z => (z === null ? null : normalPValue(z))),
+    pseudoR2: squaredCorrelation(y, fitted),
+    n,
+    df: n - k,
+    iterations,
+    converged,
+  };
+}
+
+function squaredCorrelation(a, b) {
+  const n = a.length;
+  const ma = a.reduce((s, v) => s + v, 0) / n;
+  const mb = b.reduce((s, v) => s + v, 0) / n;
+  let sab = 0, saa = 0, sbb = 0;
+  for (let i = 0; i < n; i++) {
+    sab += (a[i] - ma) * (b[i] - mb);
+    saa += (a[i] - ma) ** 2;
+    sbb += (b[i] - mb) ** 2;
+  }
+  return saa > 0 && sbb > 0 ? (sab * sab) / (saa * sbb) : null;
+}
+
+// ── Distribution functions ───────────────────────────────────
+
+/** Two-sided p-value of a Student t statistic: I_{df/(df+t²)}(df/2, 1/2). */
+export function studentTPValue(t, df) {
+  if (!(df > 0)) return null;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/** Upper-tail p-value of an F statistic: I_{d2/(d2+d1·F)}(d2/2, d1/2). */
+export function fDistPValue(f, d1, d2) {
+  if (!(d1 > 0 && d2 > 0) || f < 0) return null;
+  return incompleteBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2);
+}
+
+/** Two-sided p-value of a standard normal statistic: erfc(|z|/√2). */
+export function normalPValue(z) {
+  return Math.min(1, erfc(Math.abs(z) / Math.SQRT2));
+}
+
+/** Complementary error function (Chebyshev fit, |error| < 1.2e-7; Numerical Recipes §6.2). */
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418
+    + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587
+    + t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+/** Regularised incomplete beta I_x(a, b) (continued fraction, Numerical Recipes §6.4). */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+function betaContinuedFraction(x, a, b) {
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 3e-14) break;
+  }
+  return h;
+}
+
+/** ln Γ(x), Lanczos approximation (g = 7, n = 9). */
+function lnGamma(x) {
+  const g = 7;
+  const coef = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - lnGamma(1 - x);
+  x -= 1;
+  let a = coef[0];
+  const t = x + g + 0.5;
+  for (let i = 1; i < g + 2; i++) a += coef[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
 }
 
 function solveLinear(A, b) {
@@ -203,3 +1107,152 @@ export function rollingEval(values, testSize, forecastFn) {
     residuals: test.map((v, i) => v - (predicted[i] || 0)),
   };
 }
+
+// ── Backtesting ──────────────────────────────────────────────
+
+/**
+ * Expanding-window backtest (time-series cross-validation).
+ * For each origin o = initial, initial+step, … the models are fitted on values[0..o)
+ * and forecast up to `horizon` steps; errors are pooled per horizon step.
+ *
+ * MASE scales each absolute error by the in-sample MAE of the seasonal naive
+ * (lag m, or lag 1 when the window is shorter than a season) on that origin's training window.
+ * sMAPE = mean(2|a − f| / (|a| + |f|)) × 100.
+ *
+ * @param {number[]} values
+ * @param {Object<string, function(number[], number): number[]>} forecasters - name → (train, h) => forecast
+ * @param {{ initial?: number, step?: number, horizon?: number, seasonPeriod?: number }} opts
+ * @returns {{ config, origins: number[], models: Object<string, { byHorizon, overall, forecasts }> }}
+ */
+export function backtest(values, forecasters, { initial, step = 1, horizon = 1, seasonPeriod = 1 } = {}) {
+  const clean = values.filter(v => v !== null);
+  const n = clean.length;
+  const start = Math.max(initial ?? Math.floor(n / 2), seasonPeriod + 2);
+  const origins = [];
+  for (let o = start; o < n; o += step) origins.push(o);
+
+  const models = {};
+  for (const [name, forecastFn] of Object.entries(forecasters)) {
+    const acc = Array.from({ length: horizon }, () => newErrorAcc());
+    const forecasts = [];
+    for (const o of origins) {
+      const train = clean.slice(0, o);
+      const scale = naiveScale(train, seasonPeriod);
+      const h = Math.min(horizon, n - o);
+      const predicted = forecastFn(train, h);
+      forecasts.push({ origin: o, forecast: predicted });
+      for (let k = 0; k < h; k++) addError(acc[k], clean[o + k], predicted[k], scale);
+    }
+    const total = acc.reduce(mergeErrorAcc, newErrorAcc());
+    models[name] = {
+      byHorizon: acc.map((a, k) => ({ h: k + 1, ...summariseErrors(a) })),
+      overall: summariseErrors(total),
+      forecasts,
+    };
+  }
+  return { config: { initial: start, step, horizon, seasonPeriod }, origins, models };
+}
+
+/** In-sample MAE of the seasonal naive on a training window (MASE denominator). */
+function naiveScale(train, seasonPeriod) {
+  const lag = train.length > seasonPeriod ? seasonPeriod : 1;
+  let sum = 0, count = 0;
+  for (let t = lag; t < train.length; t++) {
+    sum += Math.abs(train[t] - train[t - lag]);
+    count++;
+  }
+  return count > 0 && sum > 0 ? sum / count : null;
+}
+
+function newErrorAcc() {
+  return { n: 0, sq: 0, abs: 0, ape: 0, apeN: 0, smape: 0, smapeN: 0, scaled: 0, scaledN: 0 };
+}
+
+function addError(acc, actual, predicted, scale) {
+  if (actual == null || predicted == null || !Number.isFinite(predicted)) return;
+  const err = actual - predicted;
+  acc.n++;
+  acc.sq += err * err;
+  acc.abs += Math.abs(err);
+  if (actual !== 0) {
+    acc.ape += Math.abs(err / actual);
+    acc.apeN++;
+  }
+  const denom = Math.abs(actual) + Math.abs(predicted);
+  if (denom > 0) {
+    acc.smape += (2 * Math.abs(err)) / denom;
+    acc.smapeN++;
+  }
+  if (scale) {
+    acc.scaled += Math.abs(err) / scale;
+    acc.scaledN++;
+  }
+}
+
+function mergeErrorAcc(a, b) {
+  const out = {};
+  for (const k of Object.keys(a)) out[k] = a[k] + b[k];
+  return out;
+}
+
+function summariseErrors(a) {
+  return {
+    n: a.n,
+    rmse: a.n > 0 ? Math.sqrt(a.sq / a.n) : null,
+    mae: a.n > 0 ? a.abs / a.n : null,
+    mape: a.apeN > 0 ? (a.ape / a.apeN) * 100 : null,
+    smape: a.smapeN > 0 ? (a.smape / a.smapeN) * 100 : null,
+    mase: a.scaledN > 0 ? a.scaled / a.scaledN : null,
+  };
+}
+
+// ── Scenario simulation ──────────────────────────────────────
+
+/**
+ * Apply tariff and FX shocks to baseline forecasts of exports and imports.
+ * Shocks are permanent from the first forecast year.
+ *
+ *  tariff: flow × ((1 + τ₁) / (1 + τ₀))^ε, with ε the import-demand elasticity of the
+ *          importing side (partner for exports, reporter for imports)
+ *  FX:     flow × Π_c (1 + shock_c)^β_c, β_c the log-log regression coefficient on
+ *          ln(USD/c) lagged fxLag years, so the effect starts at step fxLag + 1
+ *
+ * @param {{ years: string[], exports: number[], imports: number[] }} baseline
+ * @param {{ tariffReporterPp, tariffPartnerPp, fxShocks: Object<string, number>,
+ *   elasticities: { exportDemand, importDemand } }} params - shocks in pp / %
+ * @param {{ tariffReporter: number, tariffPartner: number,
+ *   fxElasticities: { EXPORT: Object<string, number>, IMPORT: Object<string, number> }, fxLag?: number }} inputs
+ *   base tariffs in %; currencies without a coefficient have no FX effect
+ * @returns {{ years, exports, imports, balance, multipliers: { EXPORT: number[], IMPORT: number[] } }}
+ */
+export function projectScenario(baseline, params, inputs) {
+  const { fxLag = 1 } = inputs;
+  const tariffFactor = (base, deltaPp, elasticity) => {
+    const after = Math.max(0, base + deltaPp);
+    return ((1 + after / 100) / (1 + base / 100)) ** elasticity;
+  };
+  const fxFactor = coefs => Object.entries(params.fxShocks || {}).reduce((m, [cur, pct]) => {
+    const beta = coefs?.[cur];
+    return beta === undefined || beta === null ? m : m * (1 + pct / 100) ** beta;
+  }, 1);
+
+  const steady = {
+    EXPORT: { tariff: tariffFactor(inputs.tariffPartner, params.tariffPartnerPp, params.elasticities.exportDemand), fx: fxFactor(inputs.fxElasticities.EXPORT) },
+    IMPORT: { tariff: tariffFactor(inputs.tariffReporter, params.tariffReporterPp, params.elasticities.importDemand), fx: fxFactor(inputs.fxElasticities.IMPORT) },
+  };
+  const multipliers = {};
+  for (const flow of ['EXPORT', 'IMPORT']) {
+    multipliers[flow] = baseline.years.map((_, h) => steady[flow].tariff * (h >= fxLag ? steady[flow].fx : 1));
+  }
+
+  const scale = (vals, m) => vals.map((v, h) => (v === null ? null : v * m[h]));
+  const exports = scale(baseline.exports, multipliers.EXPORT);
+  const imports = scale(baseline.imports, multipliers.IMPORT);
+  return {
+    years: baseline.years,
+    exports,
+    imports,
+    balance: exports.map((x, h) => (x === null || imports[h] === null ? null : x - imports[h])),
+    multipliers,
+  };
+}
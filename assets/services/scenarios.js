@@ -0,0 +1,100 @@
+// assets/services/scenarios.js
+/**
+ * Saved "what if" scenarios for the Scenarios page.
+ * Persisted in localStorage so they survive reloads; each scenario stores only
+ * its shock parameters, so projections are recomputed against current data.
+ *
+ * Scenario shape:
+ *  { id, name, reporter, partner, createdAt,
+ *    params: { tariffReporterPp, tariffPartnerPp, fxShocks: { <CUR>: pct },
+ *              elasticities: { exportDemand, importDemand } } }
+ */
+
+import { toCSV, downloadFile } from './exporters.js';
+import { logError } from './errors.js';
+
+const STORAGE_KEY = 'trade-dashboard:scenarios';
+
+/** Unit-elastic import demand: a 1% rise in the tariff-inclusive price cuts imports by 1%. */
+export const DEFAULT_ELASTICITIES = Object.freeze({ exportDemand: -1.0, importDemand: -1.0 });
+
+/**
+ * Empty shock set (baseline) for the given pair currencies.
+ */
+export function defaultScenarioParams(currencies = []) {
+  return {
+    tariffReporterPp: 0,
+    tariffPartnerPp: 0,
+    fxShocks: Object.fromEntries(currencies.map(c => [c, 0])),
+    elasticities: { ...DEFAULT_ELASTICITIES },
+  };
+}
+
+export function listScenarios() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (err) {
+    logError(err);
+    return [];
+  }
+}
+
+function writeScenarios(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (err) {
+    logError(err); // quota exceeded or storage disabled
+  }
+}
+
+/**
+ * Save a scenario; a scenario with the same name and pair is replaced.
+ * @returns {object} the stored scenario
+ */
+export function saveScenario({ name, reporter, partner, params }) {
+  const list = listScenarios();
+  const existing = list.find(s => s.name === name && s.reporter === reporter && s.partner === partner);
+  const scenario = {
+    id: existing?.id || `sc-${Date.now().toString(36)}`,
+    name,
+    reporter,
+    partner,
+    createdAt: new Date().toISOString(),
+    params,
+  };
+  writeScenarios(existing ? list.map(s => (s.id === scenario.id ? scenario : s)) : [...list, scenario]);
+  return scenario;
+}
+
+export function deleteScenario(id) {
+  writeScenarios(listScenarios().filter(s => s.id !== id));
+}
+
+/**
+ * Download compared projections as CSV: one row per scenario and year.
+ * @param {Array<{ name, projection: { years, exports, imports, balance } }>} results
+ */
+export function exportScenariosCSV(results, filename = 'scenarios.csv') {
+  const rows = results.flatMap(({ name, params, projection }) => projection.years.map((year, h) => ({
+    scenario: name,
+    year,
+    exports_usd: projection.exports[h],
+    imports_usd: projection.imports[h],
+    balance_usd: projection.balance[h],
+    tariff_reporter_pp: params.tariffReporterPp,
+    tariff_partner_pp: params.tariffPartnerPp,
+    fx_shocks_pct: Object.entries(params.fxShocks).map(([c, v]) => `${c}:${v}`).join(' '),
+    export_elasticity: params.elasticities.exportDemand,
+    import_elasticity: params.elasticities.importDemand,
+    label: 'MODEL OUTPUT — NOT FACT',
+  })));
+  downloadFile(toCSV(rows), filename);
+}
+
+/**
+ * Download scenario definitions as JSON (re-usable parameters, no projections).
+ */
+export function exportScenariosJSON(scenarios, filename = 'scenarios.json') {
+  downloadFile(JSON.stringify(scenarios, null, 2), filename, 'application/json');
+}
@@ -0,0 +1,310 @@
+// assets/services/sdmx.js
+/**
+ * SDMX 2.1 message parsers (SDMX-ML).
+ * Reads GenericData and StructureSpecificData messages into plain series:
+ *
+ *   { key: { DIM: code }, attributes: { ATTR: value },
+ *     observations: [{ period, value, attributes }] }
+ *
+ * Elements are matched by local name, so any namespace prefix works. Both
+ * series-level messages and flat ones (dimensionAtObservation=AllDimensions,
+ * observations directly under DataSet) are read; in a flat message every
+ * observation becomes a one-observation series.
+ *
+ * Structure messages (codelists, dataflows, data structure definitions) are read
+ * by parseSdmxStructure; SDMX-JSON data messages by parseSdmxJson, into the same
+ * series shape.
+ *
+ * References:
+ *  - SDMX 2.1 technical standards, section 3 (SDMX-ML): https://sdmx.org/?page_id=5008
+ *  - SDMX-JSON data message: https://github.com/sdmx-twg/sdmx-json
+ */
+
+import { SchemaValidationError } from './errors.js';
+
+// SDMX error code for a query that matched no data
+const NO_RESULTS = '100';
+
+/**
+ * Parse an SDMX 2.1 data message.
+ * @param {Document} doc - parsed XML (robustFetch responseType 'xml')
+ * @param {object} [dsd] - data structure: { dimensions: string[], time: string, measure: string }.
+ *   StructureSpecific messages carry dimensions and attributes as plain XML attributes;
+ *   without dimensions every series-level XML attribute is treated as a key.
+ * @returns {{ type: 'generic'|'structureSpecific', series: object[] }}
+ * @throws {SchemaValidationError} on unparseable XML, an error message other than
+ *   "no results", or a root element that is not a data message
+ */
+export function parseSdmxData(doc, dsd = {}) {
+  const { dimensions = null, time = 'TIME_PERIOD', measure = 'OBS_VALUE' } = dsd;
+  const root = doc?.documentElement;
+  if (!root || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new SchemaValidationError('sdmx', 'response is not well-formed XML');
+  }
+
+  if (root.localName === 'Error') {
+    const message = child(root, 'ErrorMessage');
+    const code = message?.getAttribute('code');
+    if (code === NO_RESULTS) return { type: 'generic', series: [] };
+    const text = message ? children(message, 'Text').map(t => t.textContent.trim()).join(' ') : '';
+    throw new SchemaValidationError('sdmx', `SDMX error ${code || '?'}: ${text || 'no message'}`);
+  }
+
+  let type;
+  if (root.localName === 'GenericData') type = 'generic';
+  else if (root.localName === 'StructureSpecificData') type = 'structureSpecific';
+  else throw new SchemaValidationError('sdmx', `unexpected root element <${root.localName}>`);
+
+  const series = [];
+  for (const dataSet of children(root, 'DataSet')) {
+    for (const el of Array.from(dataSet.children)) {
+      if (el.localName === 'Series') {
+        series.push(type === 'generic' ? genericSeries(el) : structureSpecificSeries(el, { dimensions, time, measure }));
+      } else if (el.localName === 'Obs') {
+        series.push(type === 'generic' ? genericFlatObs(el) : structureSpecificFlatObs(el, { dimensions, time, measure }));
+      }
+    }
+  }
+  return { type, series };
+}
+
+/**
+ * Parse an SDMX 2.1 structure message. Names are the English ones where several
+ * languages are given.
+ * @param {Document} doc
+ * @returns {{ codelists: Object<string, { id: string, name: string }[]>,
+ *   dataflows: { id: string, name: string, structure: string|null }[],
+ *   dataStructures: { id: string, dimensions: { id: string, position: number, codelist: string|null }[] }[] }}
+ * @throws {SchemaValidationError} on unparseable XML or a root element that is not a structure message
+ */
+export function parseSdmxStructure(doc) {
+  const root = doc?.documentElement;
+  if (!root || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new SchemaValidationError('sdmx', 'response is not well-formed XML');
+  }
+  if (root.localName !== 'Structure') throw new SchemaValidationError('sdmx', `unexpected root element <${root.localName}>`);
+
+  const structures = child(root, 'Structures');
+  const codelists = {};
+  const dataflows = [];
+  const dataStructures = [];
+  if (!structures) return { codelists, dataflows, dataStructures };
+  const items = (section, name) => {
+    const el = child(structures, section);
+    return el ? children(el, name) : [];
+  };
+
+  for (const list of items('Codelists', 'Codelist')) {
+    codelists[list.getAttribute('id')] = children(list, 'Code').map(c => ({ id: c.getAttribute('id'), name: englishName(c) }));
+  }
+  for (const flow of items('Dataflows', 'Dataflow')) {
+    const structure = child(flow, 'Structure');
+    const ref = structure && child(structure, 'Ref');
+    dataflows.push({ id: flow.getAttribute('id'), name: englishName(flow), structure: ref?.getAttribute('id') ?? null });
+  }
+  for (const dsd of items('DataStructures', 'DataStructure')) {
+    const components = child(dsd, 'DataStructureComponents');
+    const list = components && child(components, 'DimensionList');
+    const dimensions = (list ? children(list, 'Dimension') : []).map((d, i) => {
+      const representation = child(d, 'LocalRepresentation');
+      const enumeration = representation && child(representation, 'Enumeration');
+      return {
+        id: d.getAttribute('id'),
+        position: parseInt(d.getAttribute('position')) || i + 1,
+        codelist: (enumeration && child(enumeration, 'Ref')?.getAttribute('id')) ?? null,
+      };
+    });
+    dataStructures.push({ id: dsd.getAttribute('id'), dimensions });
+  }
+  return { codelists, dataflows, dataStructures };
+}
+
+/**
+ * Parse an SDMX-JSON data message (1.0, or 2.0 with its `data` wrapper). Keys and
+ * attributes hold code ids; data-set attributes are copied onto every series.
+ * @param {object} json
+ * @returns {{ type: 'json', series: object[] }}
+ * @throws {SchemaValidationError} on an error message other than "no results" or a
+ *   message without data sets and structure
+ */
+export function parseSdmxJson(json) {
+  const errors = json?.errors;
+  if (Array.isArray(errors) && errors.length > 0) {
+    if (errors.some(e => String(e.code) === NO_RESULTS)) return { type: 'json', series: [] };
+    const text = errors.map(e => e.title || e.detail || e.message || '').filter(Boolean).join(' ');
+    throw new SchemaValidationError('sdmx', `SDMX error ${errors[0].code ?? '?'}: ${text || 'no message'}`);
+  }
+  const msg = json?.data ?? json;
+  const structure = msg?.structure ?? msg?.structures?.[0];
+  if (!Array.isArray(msg?.dataSets) || !structure?.dimensions) {
+    throw new SchemaValidationError('sdmx', 'not an SDMX-JSON data message');
+  }
+
+  const dims = structure.dimensions;
+  const attrs = structure.attributes || {};
+  const obsDims = dims.observation || [];
+  const time = (obsDims.find(d => d.role === 'time' || d.id === 'TIME_PERIOD') || obsDims[0])?.id;
+  const observation = (k, values) => {
+    const key = jsonKey(obsDims, k);
+    return { period: key[time] ?? '', value: parseValue(values?.[0]), attributes: jsonValues(attrs.observation, values?.slice(1)) };
+  };
+
+  const series = [];
+  for (const dataSet of msg.dataSets) {
+    const dataSetAttributes = jsonValues(attrs.dataSet, dataSet.attributes);
+    if (dataSet.series) {
+      for (const [k, s] of Object.entries(dataSet.series)) {
+        series.push({
+          key: jsonKey(dims.series || [], k),
+          attributes: { ...dataSetAttributes, ...jsonValues(attrs.series, s.attributes) },
+          observations: Object.entries(s.observations || {}).map(([o, values]) => observation(o, values)),
+        });
+      }
+    } else if (dataSet.observations) {
+      // Flat message: every dimension is at observation level
+      for (const [o, values] of Object.entries(dataSet.observations)) {
+        const key = jsonKey(obsDims, o);
+        delete key[time];
+        series.push({ key, attributes: dataSetAttributes, observations: [observation(o, values)] });
+      }
+    }
+  }
+  return { type: 'json', series };
+}
+
+// ── GenericData ───────────────────────
+
+function genericSeries(el) {
+  return {
+    key: genericValues(child(el, 'SeriesKey')),
+    attributes: genericValues(child(el, 'Attributes')),
+    observations: children(el, 'Obs').map(obs => ({
+      period: child(obs, 'ObsDimension')?.getAttribute('value') ?? '',
+      value: parseValue(child(obs, 'ObsValue')?.getAttribute('value')),
+      attributes: genericValues(child(obs, 'Attributes')),
+    })),
+  };
+}
+
+function genericFlatObs(obs) {
+  const key = genericValues(child(obs, 'ObsKey'));
+  const period = key.TIME_PERIOD ?? '';
+  delete key.TIME_PERIOD;
+  return {
+    key,
+    attributes: {},
+    observations: [{
+      period,
+      value: parseValue(child(obs, 'ObsValue')?.getAttribute('value')),
+      attributes: genericValues(child(obs, 'Attributes')),
+    }],
+  };
+}
+
+/** <Value id="X" value="Y"/> children as { X: 'Y' }. */
+function genericValues(el) {
+  const out = {};
+  if (!el) return out;
+  for (const v of children(el, 'Value')) out[v.getAttribute('id')] = v.getAttribute('value');
+  return out;
+}
+
+// ── StructureSpecificData ─────────────
+
+function structureSpecificSeries(el, dsd) {
+  const { key, attributes } = splitAttributes(el, dsd.dimensions);
+  return {
+    key,
+    attributes,
+    observations: children(el, 'Obs').map(obs => structureSpecificObs(obs, dsd)),
+  };
+}
+
+function structureSpecificFlatObs(obs, { dimensions, time, measure }) {
+  const { key, attributes } = splitAttributes(obs, dimensions, [time, measure]);
+  return {
+    key,
+    attributes: {},
+    observations: [{ period: obs.getAttribute(time) ?? '', value: parseValue(obs.getAttribute(measure)), attributes }],
+  };
+}
+
+function structureSpecificObs(obs, { time, measure }) {
+  const attributes = {};
+  for (const a of xmlAttributes(obs)) {
+    if (a.localName !== time && a.localName !== measure) attributes[a.localName] = a.value;
+  }
+  return {
+    period: obs.getAttribute(time) ?? '',
+    value: parseValue(obs.getAttribute(measure)),
+    attributes,
+  };
+}
+
+/**
+ * Split XML attributes into DSD dimensions and the rest; all are keys without a DSD.
+ * @param {string[]} [skip] - attributes to leave out (time and measure on flat observations)
+ */
+function splitAttributes(el, dimensions, skip = []) {
+  const key = {};
+  const attributes = {};
+  for (const a of xmlAttributes(el)) {
+    if (skip.includes(a.localName)) continue;
+    if (!dimensions || dimensions.includes(a.localName)) key[a.localName] = a.value;
+    else attributes[a.localName] = a.value;
+  }
+  return { key, attributes };
+}
+
+// ── SDMX-JSON ─────────────────────────
+
+/** '0:2:1' → { DIM: code } using each dimension's value list. */
+function jsonKey(dimensions, key) {
+  const out = {};
+  String(key).split(':').forEach((idx, i) => {
+    const dim = dimensions[i];
+    if (dim) out[dim.id] = dim.values?.[Number(idx)]?.id ?? idx;
+  });
+  return out;
+}
+
+/** Attribute value indices (null = not set) → { ATTR: code }. */
+function jsonValues(definitions = [], indices = []) {
+  const out = {};
+  (indices || []).forEach((idx, i) => {
+    const def = definitions[i];
+    if (idx === null || idx === undefined || !def) return;
+    const value = def.values?.[idx];
+    out[def.id] = value?.id ?? value?.name ?? String(idx);
+  });
+  return out;
+}
+
+// ── Helpers ───────────────────────────
+
+/** XML attributes without namespace declarations and xsi:type. */
+function xmlAttributes(el) {
+  return Array.from(el.attributes).filter(a => a.prefix !== 'xmlns' && a.name !== 'xmlns' && a.prefix !== 'xsi');
+}
+
+function children(el, localName) {
+  return Array.from(el.children).filter(c => c.localName === localName);
+}
+
+function child(el, localName) {
+  return children(el, localName)[0] || null;
+}
+
+/** <Name xml:lang="en"> text, else the first Name, else ''. */
+function englishName(el) {
+  const names = children(el, 'Name');
+  const name = names.find(n => n.getAttribute('xml:lang') === 'en') || names[0];
+  return name ? name.textContent.trim() : '';
+}
+
+/** Observation value as a number; null for missing values ('NaN', empty or absent). */
+function parseValue(raw) {
+  if (raw == null || raw === '') return null;
+  const n = parseFloat(raw);
+  return Number.isFinite(n) ? n : null;
+}
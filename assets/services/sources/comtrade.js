@@ -0,0 +1,54 @@
+// assets/services/sources/comtrade.js
+/**
+ * UN Comtrade adapter: monthly totals (WITS TradeStats is annual only).
+ * Runs only in monthly view and when Comtrade is enabled (comtrade.enabled in local.js);
+ * fetches the last five years of the selected range, one request per year and flow.
+ */
+
+import { COMTRADE } from '../../config/endpoints.js';
+import { flag } from '../../config/featureFlags.js';
+import { isComtradeAvailable, getDisableReason, fetchComtradeMonthly, normaliseComtradeData } from '../comtrade.js';
+
+const FLOWS = ['EXPORT', 'IMPORT'];
+
+export const comtradeSource = {
+  id: 'comtrade',
+  label: 'UN Comtrade',
+  capabilities: { table: 'trade_fact', frequencies: ['M'], cors: true, requiresKey: true },
+
+  applies({ frequency }) {
+    return frequency === 'M' && isComtradeAvailable();
+  },
+
+  fetch({ reporter, partner, yearStart, yearEnd }) {
+    const requests = [];
+    for (let year = Math.max(yearStart, yearEnd - 4); year <= yearEnd; year++) {
+      for (const flow of FLOWS) requests.push(fetchComtradeMonthly({ reporter, partner, year, flow }));
+    }
+    return Promise.all(requests);
+  },
+
+  normalise(results) {
+    return results
+      .filter(r => r.status === 'ok')
+      .flatMap(r => normaliseComtradeData(r.data))
+      .filter(r => r.frequency === 'M');
+  },
+
+  /** Replace this pair's monthly Comtrade rows. */
+  merge(existing, rows, { reporter, partner }) {
+    const kept = existing.filter(r =>
+      !(r.frequency === 'M' && r.reporter_iso3 === reporter && r.partner_iso3 === partner && r.source_id === 'comtrade')
+    );
+    return [...kept, ...rows];
+  },
+
+  provenance() {
+    return { source: 'UN Comtrade', dataset: 'monthly totals (C/M/HS)', url: flag('comtrade.baseUrl') || COMTRADE.DEFAULT_BASE };
+  },
+
+  health() {
+    if (isComtradeAvailable()) return { available: true };
+    return { available: false, detail: getDisableReason() || 'Not enabled (comtrade.enabled in local.js)' };
+  },
+};
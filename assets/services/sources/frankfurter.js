@@ -0,0 +1,38 @@
+// assets/services/sources/frankfurter.js
+/**
+ * Frankfurter (ECB reference rates) adapter: annual average USD rates for the pair's currencies.
+ */
+
+import { FRANKFURTER } from '../../config/endpoints.js';
+import { fetchFXSeries, normaliseFXSeries } from '../fx.js';
+
+const START = '2005-01-03';
+const END = '2024-12-31';
+
+export const frankfurterSource = {
+  id: 'frankfurter',
+  label: 'Frankfurter (ECB)',
+  capabilities: { table: 'macro_fact', frequencies: ['A'], cors: true, requiresKey: false },
+
+  applies({ currencies }) {
+    return currencies.length > 0;
+  },
+
+  fetch({ currencies }) {
+    return fetchFXSeries(START, END, currencies);
+  },
+
+  normalise(series) {
+    return normaliseFXSeries(series);
+  },
+
+  /** Replace Frankfurter rows for the fetched currencies. */
+  merge(existing, rows) {
+    const codes = new Set(rows.map(r => r.indicator_code));
+    return [...existing.filter(r => !(r.source_id === 'frankfurter' && codes.has(r.indicator_code))), ...rows];
+  },
+
+  provenance({ currencies }) {
+    return { source: 'Frankfurter (ECB)', dataset: 'annual average of daily rates', url: FRANKFURTER.series(START, END, 'USD', currencies.join(',')) };
+  },
+};
@@ -0,0 +1,38 @@
+// assets/services/sources/imf.js
+/**
+ * IMF DOTS adapter: the corridor's annual, quarterly and monthly totals as a second
+ * bilateral source. It ranks below WITS and Comtrade, so its rows fill periods they do not
+ * cover (typically recent months) and are otherwise kept for reconciliation.
+ */
+
+import { fetchImfDots, normaliseImfDots, imfDotsUrl, IMF_SOURCE_ID } from '../imf.js';
+
+export const imfSource = {
+  id: 'imf',
+  label: 'IMF DOTS',
+  capabilities: { table: 'trade_fact', frequencies: ['A', 'Q', 'M'], cors: true, requiresKey: false },
+
+  fetch({ reporter, partner, yearStart }) {
+    return fetchImfDots({ reporter, partner, startYear: yearStart, endYear: new Date().getFullYear() });
+  },
+
+  normalise(result) {
+    return normaliseImfDots(result);
+  },
+
+  /** Replace this pair's IMF rows. */
+  merge(existing, rows, { reporter, partner }) {
+    const kept = existing.filter(r =>
+      !(r.source_id === IMF_SOURCE_ID && r.reporter_iso3 === reporter && r.partner_iso3 === partner)
+    );
+    return [...kept, ...rows];
+  },
+
+  provenance({ reporter, partner, yearStart }) {
+    return {
+      source: 'IMF DOTS',
+      dataset: 'goods exports FOB / imports CIF (A, Q, M)',
+      url: imfDotsUrl({ reporter, partner, startYear: yearStart, endYear: new Date().getFullYear() }),
+    };
+  },
+};
@@ -0,0 +1,134 @@
+// assets/services/sources/registry.js
+/**
+ * Data-source adapter registry.
+ * Every live source is an adapter with the same contract, so the live refresh
+ * iterates over enabled sources instead of wiring each client by hand. Adapters
+ * are switched off by id with the `sources.<id>` feature flag.
+ *
+ * Adding a source: write its client in services/, an adapter module here, and
+ * register it below. Registration order is also the precedence between sources of the
+ * same table (sourcePrecedence); a trade row's source_id starts with its adapter id.
+ *
+ * @typedef {object} RefreshContext
+ * @property {string} reporter - ISO3
+ * @property {string} partner - ISO3
+ * @property {number} yearStart
+ * @property {number} yearEnd
+ * @property {'A'|'M'} frequency
+ * @property {string[]} countries - reporter and partner without aggregates
+ * @property {string[]} currencies - their non-USD currencies
+ *
+ * @typedef {object} SourceAdapter
+ * @property {string} id - registry and feature-flag id
+ * @property {string} label - display name
+ * @property {{ table: 'trade_fact'|'macro_fact', frequencies: string[], cors: boolean, requiresKey: boolean }} capabilities
+ * @property {function(RefreshContext): boolean} [applies] - whether the source has anything to
+ *   fetch for this view (default: always)
+ * @property {function(RefreshContext): Promise<*>} fetch - raw responses; may throw
+ * @property {function(*, RefreshContext): object[]} normalise - rows of capabilities.table
+ * @property {function(object[], object[], RefreshContext): object[]} merge - (existing table, new
+ *   valid rows) → new table; decides which rows the refresh replaces
+ * @property {function(RefreshContext): { source: string, dataset: string, url: string }} provenance
+ * @property {function(): { available: boolean, detail?: string }} [health] - source-specific state
+ *   (e.g. missing API key); the registry adds the outcome of the last refresh
+ * @property {function(Error|null): object|null} [notice] - banner when a refresh yields nothing
+ *   (error is null for an empty response)
+ */
+
+import { flag } from '../../config/featureFlags.js';
+import { validateBatch } from '../validators.js';
+import { logError } from '../errors.js';
+import { track } from '../telemetry.js';
+import { witsSource } from './wits.js';
+import { worldBankSource } from './worldbank.js';
+import { frankfurterSource } from './frankfurter.js';
+import { comtradeSource } from './comtrade.js';
+import { imfSource } from './imf.js';
+
+const REQUIRED = ['id', 'label', 'capabilities', 'fetch', 'normalise', 'merge', 'provenance'];
+
+const _sources = new Map();
+const _lastRun = new Map(); // id → { ts, ok, rows, invalid, error }
+
+/**
+ * Add an adapter. Registering an id again replaces the earlier adapter.
+ * @param {SourceAdapter} adapter
+ * @throws {Error} when the adapter misses part of the contract
+ */
+export function registerSource(adapter) {
+  const missing = REQUIRED.filter(k => adapter?.[k] === undefined);
+  if (missing.length > 0) throw new Error(`Source adapter ${adapter?.id || '?'} is missing ${missing.join(', ')}`);
+  _sources.set(adapter.id, adapter);
+}
+
+export function getSource(id) {
+  return _sources.get(id);
+}
+
+export function listSources() {
+  return [..._sources.values()];
+}
+
+/**
+ * Ids of the sources feeding a table, most preferred first.
+ * @param {'trade_fact'|'macro_fact'} table
+ */
+export function sourcePrecedence(table) {
+  return listSources().filter(s => s.capabilities.table === table).map(s => s.id);
+}
+
+/** Enabled unless the `sources.<id>` flag is false. */
+export function isSourceEnabled(id) {
+  return flag(`sources.${id}`) !== false;
+}
+
+/**
+ * Enabled sources with something to fetch for the view, in registration order.
+ * @param {RefreshContext} context
+ */
+export function enabledSources(context) {
+  return listSources().filter(s => isSourceEnabled(s.id) && (s.applies ? s.applies(context) : true));
+}
+
+/**
+ * Fetch, normalise and validate one source. Never throws; the outcome is kept for sourceHealth.
+ * @param {SourceAdapter} source
+ * @param {RefreshContext} context
+ * @returns {Promise<{ rows: object[], invalid: number, error: Error|null }>} rows passed validation
+ */
+export async function refreshSource(source, context) {
+  const ts = new Date().toISOString();
+  try {
+    const raw = await source.fetch(context);
+    const { valid, totalInvalid } = validateBatch(source.normalise(raw, context), source.capabilities.table);
+    _lastRun.set(source.id, { ts, ok: valid.length > 0, rows: valid.length, invalid: totalInvalid, error: null });
+    track('source', 'refresh', { id: source.id, rows: valid.length, invalid: totalInvalid });
+    return { rows: valid, invalid: totalInvalid, error: null };
+  } catch (err) {
+    logError(err);
+    _lastRun.set(source.id, { ts, ok: false, rows: 0, invalid: 0, error: err.message });
+    return { rows: [], invalid: 0, error: err };
+  }
+}
+
+/**
+ * State of every registered source for the Methods page.
+ * status: disabled (flag off) | unavailable (adapter reports so) | idle (not refreshed yet) |
+ * ok | empty (no valid rows) | failed
+ */
+export function sourceHealth() {
+  return listSources().map(s => {
+    const own = s.health ? s.health() : { available: true };
+    const last = _lastRun.get(s.id) || null;
+    let status;
+    if (!isSourceEnabled(s.id)) status = 'disabled';
+    else if (!own.available) status = 'unavailable';
+    else if (!last) status = 'idle';
+    else if (last.error) status = 'failed';
+    else status = last.ok ? 'ok' : 'empty';
+    return { id: s.id, label: s.label, capabilities: s.capabilities, status, detail: own.detail || last?.error || '', last };
+  });
+}
+
+// ── Built-in sources ──────────────────────────────────────────
+[witsSource, worldBankSource, frankfurterSource, comtradeSource, imfSource].forEach(registerSource);
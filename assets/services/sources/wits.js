@@ -0,0 +1,64 @@
+// assets/services/sources/wits.js
+/**
+ * WITS TradeStats adapter: annual bilateral totals for the corridor.
+ * WITS usually blocks browser requests (CORS), in which case the snapshot stays.
+ */
+
+import { WITS } from '../../config/endpoints.js';
+import { getCountry } from '../../config/countries.js';
+import { fetchWitsData, normaliseWitsResults } from '../wits.js';
+import { witsCodelists } from '../witsMetadata.js';
+import { WitsCodeError } from '../errors.js';
+
+const DATASOURCE = 'tradestats-trade';
+
+const witsCode = iso3 => getCountry(iso3)?.wits || iso3;
+
+export const witsSource = {
+  id: 'wits',
+  label: 'WITS TradeStats',
+  capabilities: { table: 'trade_fact', frequencies: ['A'], cors: false, requiresKey: false },
+
+  fetch({ reporter, partner }) {
+    return fetchWitsData(DATASOURCE, {
+      reporter: witsCode(reporter),
+      year: 'all',
+      partner: witsCode(partner),
+      product: '999999',
+      indicator: 'all',
+    }, [2000, 2024], { codelists: witsCodelists() });
+  },
+
+  normalise(results, { reporter, partner }) {
+    return normaliseWitsResults(results, DATASOURCE, { reporter, partner });
+  },
+
+  /** Replace WITS annual totals for this pair only; keep other corridors, sources and composition rows. */
+  merge(existing, rows, { reporter, partner }) {
+    const kept = existing.filter(r =>
+      !(r.reporter_iso3 === reporter && r.partner_iso3 === partner && r.product_level === 'TOTAL'
+        && r.source_id?.startsWith('wits') && (r.frequency || 'A') === 'A')
+    );
+    return [...kept, ...rows];
+  },
+
+  provenance({ reporter, partner }) {
+    return {
+      source: 'WITS TradeStats',
+      dataset: DATASOURCE,
+      url: WITS.DATA.json(DATASOURCE, { reporter: witsCode(reporter), partner: witsCode(partner), product: '999999' }),
+    };
+  },
+
+  notice(err) {
+    if (err instanceof WitsCodeError) return { level: 'warn', key: 'wits-code', text: err.uiMessage, dismissible: true };
+    return {
+      level: 'warn',
+      key: 'wits-cors',
+      text: err
+        ? 'WITS trade data unavailable (CORS/network). Displaying pre-fetched WITS data.'
+        : 'WITS trade data unavailable from browser (CORS). Displaying pre-fetched WITS data for trade flows.',
+      dismissible: true,
+    };
+  },
+};
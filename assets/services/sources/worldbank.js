@@ -0,0 +1,48 @@
+// assets/services/sources/worldbank.js
+/**
+ * World Bank adapter: pair GDP plus the US price indices used for constant-USD values.
+ */
+
+import { WORLDBANK } from '../../config/endpoints.js';
+import { fetchIndicator, normaliseWBIndicator } from '../worldbank.js';
+import { DEFLATORS } from '../units.js';
+
+function requests(countries) {
+  return [
+    ...countries.map(iso3 => ({ iso3, code: WORLDBANK.INDICATORS.GDP_CURRENT_USD })),
+    ...DEFLATORS.map(d => ({ iso3: d.country, code: d.code })),
+  ];
+}
+
+export const worldBankSource = {
+  id: 'worldbank',
+  label: 'World Bank WDI',
+  capabilities: { table: 'macro_fact', frequencies: ['A'], cors: true, requiresKey: false },
+
+  async fetch({ countries }) {
+    const list = requests(countries);
+    const responses = await Promise.all(list.map(({ iso3, code }) => fetchIndicator(iso3, code, { date: '2000:2024' })));
+    return responses.map((records, i) => ({ records, code: list[i].code }));
+  },
+
+  normalise(responses) {
+    return responses.flatMap(({ records, code }) => normaliseWBIndicator(records, code));
+  },
+
+  /** Replace World Bank rows for the fetched country/indicator pairs. */
+  merge(existing, rows) {
+    const fetched = new Set(rows.map(r => `${r.country_iso3}|${r.indicator_code}`));
+    return [
+      ...existing.filter(r => !(r.source_id === 'worldbank' && fetched.has(`${r.country_iso3}|${r.indicator_code}`))),
+      ...rows,
+    ];
+  },
+
+  provenance({ countries }) {
+    return {
+      source: 'World Bank',
+      dataset: WORLDBANK.INDICATORS.GDP_CURRENT_USD,
+      url: WORLDBANK.indicator(countries.join(';'), WORLDBANK.INDICATORS.GDP_CURRENT_USD),
+    };
+  },
+};
@@ -4,16 +4,35 @@
  * Pure functions — no side effects.
  */
 
+import { sectionForHS } from '../config/hsSections.js';
+
 /**
- * Aggregate trade facts by year.
+ * Frequency of a period string: 'M' for YYYY-MM, 'A' for YYYY.
  */
-export function aggregateByYear(tradeFacts) {
+export function periodFrequency(date) {
+  return /^\d{4}-\d{2}/.test(String(date)) ? 'M' : 'A';
+}
+
+/**
+ * Shift a period by n steps in its own frequency (years for YYYY, months for YYYY-MM).
+ */
+export function shiftPeriod(date, n) {
+  if (periodFrequency(date) === 'A') return String(Number(String(date).slice(0, 4)) + n);
+  const idx = Number(date.slice(0, 4)) * 12 + Number(date.slice(5, 7)) - 1 + n;
+  return `${Math.floor(idx / 12)}-${String((idx % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Aggregate trade facts by period: YYYY for annual, YYYY-MM for monthly.
+ */
+export function aggregateByPeriod(tradeFacts, frequency = 'A') {
+  const len = frequency === 'M' ? 7 : 4;
   const map = new Map();
   for (const row of tradeFacts) {
-    const year = row.date.slice(0, 4);
-    const key = `${year}|${row.flow}`;
+    const period = row.date.slice(0, len);
+    const key = `${period}|${row.flow}`;
     if (!map.has(key)) {
-      map.set(key, { date: year, flow: row.flow, value_usd: 0, count: 0 });
+      map.set(key, { date: period, flow: row.flow, value_usd: 0, count: 0 });
     }
     const agg = map.get(key);
     if (row.value_usd !== null) {
@@ -24,14 +43,23 @@ export function aggregateByYear(tradeFacts) {
   return [...map.values()].sort((a, b) => a.date.localeCompare(b.date));
 }
 
+/**
+ * Aggregate trade facts by year.
+ */
+export function aggregateByYear(tradeFacts) {
+  return aggregateByPeriod(tradeFacts, 'A');
+}
+
 /**
  * Compute year-over-year growth rate.
+ * Monthly periods compare against the same month a year earlier.
  */
-export function computeYoY(sortedAnnual) {
+export function computeYoY(sortedPeriodic) {
   const result = [];
-  for (let i = 0; i < sortedAnnual.length; i++) {
-    const cur = sortedAnnual[i];
-    const prev = sortedAnnual.find(r => r.date === String(Number(cur.date) - 1) && r.flow === cur.flow);
+  for (let i = 0; i < sortedPeriodic.length; i++) {
+    const cur = sortedPeriodic[i];
+    const prevDate = shiftPeriod(cur.date, periodFrequency(cur.date) === 'M' ? -12 : -1);
+    const prev = sortedPeriodic.find(r => r.date === prevDate && r.flow === cur.flow);
     result.push({
       ...cur,
       yoy_pct: prev && prev.value_usd > 0 ? ((cur.value_usd - prev.value_usd) / prev.value_usd) * 100 : null,
@@ -49,7 +77,7 @@ export function computeCAGR(startValue, endValue, years) {
 }
 
 /**
- * Compute trade balance (exports - imports) by year.
+ * Compute trade balance (exports - imports) by period.
  */
 export function computeBalance(yearlyAgg) {
   const exports = new Map();
@@ -110,6 +138,412 @@ export function computeEntropy(productShares) {
   return entropy;
 }
 
+// ── Trade indices (RCA, complementarity, similarity, intra-industry) ──
+
+/** Partner code for flows to/from all countries; also the reporter code of world totals. */
+export const WORLD = 'WLD';
+
+/**
+ * Product-group values of one annual flow, per year.
+ * @returns {Map<string, Map<string, number>>} year → product_code → value_usd
+ */
+export function productValuesByYear(tradeFacts, { reporter, partner, flow }) {
+  const out = new Map();
+  for (const r of tradeFacts) {
+    if (r.reporter_iso3 !== reporter || r.partner_iso3 !== partner || r.flow !== flow) continue;
+    if (r.product_level !== 'GROUP' || (r.frequency || 'A') !== 'A' || r.value_usd === null) continue;
+    if (!out.has(r.date)) out.set(r.date, new Map());
+    const products = out.get(r.date);
+    products.set(r.product_code, (products.get(r.product_code) || 0) + r.value_usd);
+  }
+  return out;
+}
+
+/** product_code → share of the total (empty when the total is not positive). */
+function productShares(values) {
+  const total = [...values.values()].reduce((s, v) => s + v, 0);
+  return total > 0 ? new Map([...values].map(([k, v]) => [k, v / total])) : new Map();
+}
+
+/**
+ * Balassa revealed comparative advantage: (x_k / X) / (w_k / W).
+ * RCA > 1 means the country's export share of product k exceeds the world's.
+ * @param {Map<string, number>} countryExports - product → exports to the world
+ * @param {Map<string, number>} worldExports - product → world exports
+ * @returns {Map<string, number>} product → RCA (products without world exports omitted)
+ */
+export function computeRCA(countryExports, worldExports) {
+  const x = productShares(countryExports);
+  const w = productShares(worldExports);
+  const out = new Map();
+  for (const [k, wk] of w) {
+    if (wk > 0) out.set(k, (x.get(k) || 0) / wk);
+  }
+  return out;
+}
+
+/**
+ * Trade complementarity index: 100 · (1 − Σ_k |m_jk − x_ik| / 2).
+ * 100 when i's export mix matches j's import mix exactly, 0 when they do not overlap.
+ * @returns {number|null}
+ */
+export function computeTradeComplementarity(exportsI, importsJ) {
+  const x = productShares(exportsI);
+  const m = productShares(importsJ);
+  if (x.size === 0 || m.size === 0) return null;
+  const codes = new Set([...x.keys(), ...m.keys()]);
+  let dist = 0;
+  for (const k of codes) dist += Math.abs((m.get(k) || 0) - (x.get(k) || 0));
+  return 100 * (1 - dist / 2);
+}
+
+/**
+ * Finger–Kreinin export similarity index: 100 · Σ_k min(x_ik, x_jk).
+ * @returns {number|null}
+ */
+export function computeExportSimilarity(exportsI, exportsJ) {
+  const a = productShares(exportsI);
+  const b = productShares(exportsJ);
+  if (a.size === 0 || b.size === 0) return null;
+  let sim = 0;
+  for (const [k, v] of a) sim += Math.min(v, b.get(k) || 0);
+  return 100 * sim;
+}
+
+/**
+ * Grubel–Lloyd intra-industry trade index, 0–100.
+ * Per product: 100 · (1 − |X_k − M_k| / (X_k + M_k)); the aggregate weights products by X_k + M_k.
+ * @returns {{ byProduct: Map<string, number>, aggregate: number|null }}
+ */
+export function computeGrubelLloyd(exports, imports) {
+  const byProduct = new Map();
+  let overlap = 0, turnover = 0;
+  for (const k of new Set([...exports.keys(), ...imports.keys()])) {
+    const x = exports.get(k) || 0;
+    const m = imports.get(k) || 0;
+    if (x + m <= 0) continue;
+    byProduct.set(k, 100 * (1 - Math.abs(x - m) / (x + m)));
+    overlap += x + m - Math.abs(x - m);
+    turnover += x + m;
+  }
+  return { byProduct, aggregate: turnover > 0 ? (100 * overlap) / turnover : null };
+}
+
+/**
+ * All four indices per year for a reporter–partner pair.
+ * Grubel–Lloyd uses the bilateral composition; RCA, complementarity and similarity
+ * need both countries' trade with the world and world exports by product
+ * (partner / reporter = WORLD rows), and are null for years without them.
+ * @returns {{ years: string[], products: Map<string, string>, byYear: Array<{ year,
+ *   rcaReporter: Map|null, rcaPartner: Map|null, complementarity: number|null,
+ *   complementarityReverse: number|null, similarity: number|null,
+ *   glByProduct: Map, gl: number|null }> }}
+ *   products maps product_code → product_name; complementarity compares the reporter's
+ *   exports with the partner's imports, complementarityReverse the opposite direction
+ */
+export function computeTradeIndices(tradeFacts, { reporter, partner }) {
+  const flow = (r, p, f) => productValuesByYear(tradeFacts, { reporter: r, partner: p, flow: f });
+  const bilateralX = flow(reporter, partner, 'EXPORT');
+  const bilateralM = flow(reporter, partner, 'IMPORT');
+  const reporterX = flow(reporter, WORLD, 'EXPORT');
+  const reporterM = flow(reporter, WORLD, 'IMPORT');
+  const partnerX = flow(partner, WORLD, 'EXPORT');
+  const partnerM = flow(partner, WORLD, 'IMPORT');
+  const worldX = flow(WORLD, WORLD, 'EXPORT');
+
+  const products = new Map();
+  for (const r of tradeFacts) {
+    if (r.product_level === 'GROUP' && !products.has(r.product_code)) products.set(r.product_code, r.product_name || r.product_code);
+  }
+
+  const years = [...new Set([...bilateralX.keys(), ...bilateralM.keys(), ...reporterX.keys(), ...partnerX.keys()])].sort();
+  const empty = new Map();
+  const byYear = years.map(year => {
+    const get = m => m.get(year) || empty;
+    const gl = computeGrubelLloyd(get(bilateralX), get(bilateralM));
+    const hasWorld = worldX.has(year);
+    return {
+      year,
+      rcaReporter: hasWorld && reporterX.has(year) ? computeRCA(get(reporterX), get(worldX)) : null,
+      rcaPartner: hasWorld && partnerX.has(year) ? computeRCA(get(partnerX), get(worldX)) : null,
+      complementarity: computeTradeComplementarity(get(reporterX), get(partnerM)),
+      complementarityReverse: computeTradeComplementarity(get(partnerX), get(reporterM)),
+      similarity: computeExportSimilarity(get(reporterX), get(partnerX)),
+      glByProduct: gl.byProduct,
+      gl: gl.aggregate,
+    };
+  });
+  return { years, products, byYear };
+}
+
+// ── Mirror statistics ────────────────────────────────────────
+// Every bilateral flow is reported twice: the importer records it CIF (including
+// freight and insurance), the exporter FOB. Gaps beyond the CIF/FOB margin point at
+// timing, re-exports, classification differences or misinvoicing.
+
+/** IMF DOTS convention: CIF imports ≈ FOB exports × 1.10 when no pair-specific margin is known. */
+export const DEFAULT_CIF_FOB_FACTOR = 1.10;
+
+/**
+ * Annual mirror comparison of one flow: the importer's reported imports against
+ * the exporter's reported exports of the same goods, per year and product.
+ * Only years/products reported by both sides are returned.
+ * @param {object[]} tradeFacts
+ * @param {{ importer: string, exporter: string, level?: 'TOTAL'|'GROUP', cifFob?: number }} spec
+ * @returns {Array<{ date, product_code, product_name, imports_cif, imports_fob, exports_fob, gap_usd, gap_pct }>}
+ *   gap = imports_fob − exports_fob (positive: the importer records more);
+ *   gap_pct is relative to exports_fob (null when the exporter reports zero)
+ */
+export function computeMirrorGaps(tradeFacts, { importer, exporter, level = 'TOTAL', cifFob = DEFAULT_CIF_FOB_FACTOR }) {
+  const collect = (reporter, partner, flow) => {
+    const out = new Map();
+    for (const r of tradeFacts) {
+      if (r.reporter_iso3 !== reporter || r.partner_iso3 !== partner || r.flow !== flow) continue;
+      if (r.product_level !== level || (r.frequency || 'A') !== 'A' || r.value_usd === null) continue;
+      const key = `${r.date}|${r.product_code}`;
+      const prev = out.get(key);
+      out.set(key, { date: r.date, product_code: r.product_code, product_name: r.product_name, value: (prev?.value || 0) + r.value_usd });
+    }
+    return out;
+  };
+  const imports = collect(importer, exporter, 'IMPORT');
+  const exports = collect(exporter, importer, 'EXPORT');
+
+  const out = [];
+  for (const [key, m] of imports) {
+    const x = exports.get(key);
+    if (!x) continue;
+    const fob = m.value / cifFob;
+    out.push({
+      date: m.date,
+      product_code: m.product_code,
+      product_name: m.product_name || x.product_name || m.product_code,
+      imports_cif: m.value,
+      imports_fob: fob,
+      exports_fob: x.value,
+      gap_usd: fob - x.value,
+      gap_pct: x.value !== 0 ? ((fob - x.value) / x.value) * 100 : null,
+    });
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date) || a.product_code.localeCompare(b.product_code));
+}
+
+/**
+ * Product groups whose mirror gap is large and one-sided year after year.
+ * A product is persistent when it has at least minYears comparable years and, in at
+ * least minShare of them, |gap_pct| ≥ thresholdPct with the sign of its mean gap.
+ * @param {ReturnType<typeof computeMirrorGaps>} gaps
+ * @returns {Array<{ product_code, product_name, years, flaggedYears, meanGapPct, totalGapUsd,
+ *   direction: 'importer'|'exporter', persistent: boolean }>} sorted by |meanGapPct|, largest first;
+ *   direction names the side that reports more
+ */
+export function flagPersistentAsymmetries(gaps, { thresholdPct = 25, minYears = 3, minShare = 0.75 } = {}) {
+  const byProduct = new Map();
+  for (const g of gaps) {
+    if (g.gap_pct === null) continue;
+    if (!byProduct.has(g.product_code)) byProduct.set(g.product_code, []);
+    byProduct.get(g.product_code).push(g);
+  }
+
+  const out = [];
+  for (const [code, rows] of byProduct) {
+    const meanGapPct = rows.reduce((s, r) => s + r.gap_pct, 0) / rows.length;
+    const sign = Math.sign(meanGapPct);
+    const flaggedYears = rows.filter(r => Math.abs(r.gap_pct) >= thresholdPct && Math.sign(r.gap_pct) === sign).length;
+    out.push({
+      product_code: code,
+      product_name: rows[0].product_name,
+      years: rows.length,
+      flaggedYears,
+      meanGapPct,
+      totalGapUsd: rows.reduce((s, r) => s + r.gap_usd, 0),
+      direction: meanGapPct >= 0 ? 'importer' : 'exporter',
+      persistent: sign !== 0 && rows.length >= minYears && flaggedYears / rows.length >= minShare,
+    });
+  }
+  return out.sort((a, b) => Math.abs(b.meanGapPct) - Math.abs(a.meanGapPct));
+}
+
+// ── Source precedence and reconciliation ─────────────────────
+// Several sources may report the same bilateral total (WITS, Comtrade, IMF DOTS).
+// Charts and KPIs take one source per period; the others are kept for cross-checks.
+
+/** Adapter id of a row's source: the source_id part before ':' ('wits:tradestats-trade' → 'wits'). */
+export function rowSource(row) {
+  return String(row.source_id || '').split(':')[0];
+}
+
+/**
+ * Source of the approximate published values scripts/fetch-snapshot-data.js bundles when
+ * an API is unreachable ('fallback:approx'). Ranks after every adapter in preferSources.
+ */
+export const FALLBACK_SOURCE = 'fallback';
+
+export function isFallbackRow(row) {
+  return rowSource(row) === FALLBACK_SOURCE;
+}
+
+/**
+ * Keep one source per TOTAL period. Where rows from several sources share reporter,
+ * partner, flow, frequency and date, the rows of the source earliest in `order` stay;
+ * sources not in `order` rank last. Rows below TOTAL level pass through.
+ * @param {object[]} rows - trade_fact rows
+ * @param {string[]} order - adapter ids, most preferred first
+ * @returns {{ rows: object[], overlapped: object[] }} overlapped: the rows set aside
+ */
+export function preferSources(rows, order) {
+  const rank = row => {
+    const i = order.indexOf(rowSource(row));
+    return i < 0 ? order.length : i;
+  };
+  const keyOf = r => `${r.reporter_iso3}|${r.partner_iso3}|${r.flow}|${r.frequency || 'A'}|${r.date}`;
+  const best = new Map();
+  for (const r of rows) {
+    if (r.product_level !== 'TOTAL') continue;
+    const key = keyOf(r);
+    best.set(key, Math.min(best.get(key) ?? Infinity, rank(r)));
+  }
+  const kept = [];
+  const overlapped = [];
+  for (const r of rows) {
+    if (r.product_level === 'TOTAL' && rank(r) > best.get(keyOf(r))) overlapped.push(r);
+    else kept.push(r);
+  }
+  return { rows: kept, overlapped };
+}
+
+/**
+ * Annual totals of one source against another for a corridor, per year and flow. The
+ * candidate's annual value is its annual row, else the sum of four quarters, else of
+ * twelve months. Only years both sources cover are returned.
+ * @param {object[]} rows - trade_fact rows from both sources
+ * @param {{ reporter: string, partner: string, reference: string, candidate: string }} spec - adapter ids
+ * @returns {Array<{ date, flow, reference, candidate, basis: 'A'|'Q'|'M', gap_usd, gap_pct }>}
+ *   gap = candidate − reference; gap_pct relative to reference (null when it is zero)
+ */
+export function reconcileSources(rows, { reporter, partner, reference, candidate }) {
+  const totals = source => {
+    const out = new Map(); // year|flow → { A, Q: [], M: [] }
+    for (const r of rows) {
+      if (r.reporter_iso3 !== reporter || r.partner_iso3 !== partner || r.product_level !== 'TOTAL') continue;
+      if (rowSource(r) !== source || r.value_usd === null) continue;
+      const key = `${r.date.slice(0, 4)}|${r.flow}`;
+      if (!out.has(key)) out.set(key, { A: null, Q: new Map(), M: new Map() });
+      const entry = out.get(key);
+      const frequency = r.frequency || 'A';
+      if (frequency === 'A') entry.A = (entry.A || 0) + r.value_usd;
+      else entry[frequency].set(r.date, (entry[frequency].get(r.date) || 0) + r.value_usd);
+    }
+    return out;
+  };
+  const annual = entry => {
+    if (entry.A !== null) return { value: entry.A, basis: 'A' };
+    const sum = periods => [...periods.values()].reduce((s, v) => s + v, 0);
+    if (entry.Q.size === 4) return { value: sum(entry.Q), basis: 'Q' };
+    if (entry.M.size === 12) return { value: sum(entry.M), basis: 'M' };
+    return null;
+  };
+
+  const ref = totals(reference);
+  const cand = totals(candidate);
+  const out = [];
+  for (const [key, entry] of ref) {
+    if (entry.A === null || !cand.has(key)) continue;
+    const c = annual(cand.get(key));
+    if (!c) continue;
+    const [date, flow] = key.split('|');
+    out.push({
+      date,
+      flow,
+      reference: entry.A,
+      candidate: c.value,
+      basis: c.basis,
+      gap_usd: c.value - entry.A,
+      gap_pct: entry.A !== 0 ? ((c.value - entry.A) / entry.A) * 100 : null,
+    });
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date) || a.flow.localeCompare(b.flow));
+}
+
+// ── Product hierarchy (HS section → HS2 → HS4) ──────────────
+
+/** Drill level shown when a node's children are displayed, by node depth. */
+export const PRODUCT_DRILL_LEVELS = ['GROUP', 'HS2', 'HS4'];
+
+/**
+ * Build a section → HS2 → HS4 tree from product rows, summing values per code
+ * across all rows passed in (e.g. the selected year range).
+ * Chapters take their own HS2/GROUP value when reported, else the sum of their HS4 rows.
+ * Non-HS codes (WITS product groups) land in the OTHER section as leaves.
+ * Node: { code, name, level, value_usd, children }
+ */
+export function buildProductHierarchy(productRows) {
+  const chapters = new Map();
+  const chapter = (code, name) => {
+    if (!chapters.has(code)) {
+      chapters.set(code, { code, name: name || `HS ${code}`, level: 'HS2', own: null, value_usd: 0, children: new Map() });
+    }
+    const node = chapters.get(code);
+    if (name && node.name === `HS ${code}`) node.name = name;
+    return node;
+  };
+
+  for (const r of productRows) {
+    if (r.product_level === 'TOTAL' || !(r.value_usd > 0)) continue;
+    const code = String(r.product_code);
+    if (/^\d{4,}$/.test(code)) {
+      const parent = chapter(code.slice(0, 2));
+      const hs4 = code.slice(0, 4);
+      const leaf = parent.children.get(hs4) || { code: hs4, name: r.product_name || `HS ${hs4}`, level: 'HS4', value_usd: 0, children: [] };
+      leaf.value_usd += r.value_usd;
+      parent.children.set(hs4, leaf);
+    } else {
+      const node = chapter(code, r.product_name);
+      node.own = (node.own || 0) + r.value_usd;
+    }
+  }
+
+  const sections = new Map();
+  for (const ch of chapters.values()) {
+    const children = [...ch.children.values()].sort((a, b) => b.value_usd - a.value_usd);
+    const node = {
+      code: ch.code,
+      name: ch.name,
+      level: 'HS2',
+      value_usd: ch.own ?? children.reduce((s, c) => s + c.value_usd, 0),
+      children,
+    };
+    const sec = sectionForHS(ch.code);
+    if (!sections.has(sec.code)) {
+      sections.set(sec.code, { code: sec.code, name: sec.name, level: 'GROUP', value_usd: 0, children: [] });
+    }
+    const secNode = sections.get(sec.code);
+    secNode.children.push(node);
+    secNode.value_usd += node.value_usd;
+  }
+
+  const roots = [...sections.values()].sort((a, b) => b.value_usd - a.value_usd);
+  roots.forEach(s => s.children.sort((a, b) => b.value_usd - a.value_usd));
+  return { code: '', name: 'All products', level: 'TOTAL', value_usd: roots.reduce((s, n) => s + n.value_usd, 0), children: roots };
+}
+
+/**
+ * Follow a drill path (array of codes) down the hierarchy.
+ * Stops at the deepest node that exists, so stale paths degrade gracefully.
+ * @returns {{ node, trail: Array<{code, name}> }} trail excludes the root
+ */
+export function findProductNode(root, path) {
+  let node = root;
+  const trail = [];
+  for (const code of path) {
+    const next = node.children.find(c => c.code === code);
+    if (!next) break;
+    node = next;
+    trail.push({ code: next.code, name: next.name });
+  }
+  return { node, trail };
+}
+
 /**
  * Pivot macro_fact rows into time-series by indicator.
  */
@@ -169,3 +603,144 @@ export function pearsonCorrelation(xs, ys) {
   const den = Math.sqrt(denX * denY);
   return den === 0 ? 0 : num / den;
 }
+
+// ── Cross-correlation ────────────────────────────────────────
+
+/**
+ * Pair x at year t − lag with y at year t (positive lag: x leads y).
+ * @param {Map<string, number>} x - year → value
+ * @param {Map<string, number>} y - year → value
+ * @returns {{ years: string[], x: number[], y: number[] }} years are those of y
+ */
+export function alignSeries(x, y, lag = 0) {
+  const years = [...y.keys()].filter(yr => x.has(String(parseInt(yr) - lag))).sort();
+  return {
+    years,
+    x: years.map(yr => x.get(String(parseInt(yr) - lag))),
+    y: years.map(yr => y.get(yr)),
+  };
+}
+
+/**
+ * Cross-correlation function r(k) = corr(x_{t−k}, y_t) for k = −maxLag..maxLag.
+ * Bounds are the approximate 95% white-noise limits ±1.96/√n for each lag's overlap n.
+ * @returns {Array<{ lag, r: number|null, n, bound: number|null }>}
+ */
+export function crossCorrelation(x, y, maxLag = 5) {
+  const out = [];
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    const a = alignSeries(x, y, lag);
+    const n = a.years.length;
+    out.push({ lag, r: pearsonCorrelation(a.x, a.y), n, bound: n >= 3 ? 1.96 / Math.sqrt(n) : null });
+  }
+  return out;
+}
+
+/**
+ * Pearson correlation over a moving window of aligned observations, labelled by its last year.
+ * @returns {Array<{ date, r: number|null }>}
+ */
+export function rollingCorrelation(x, y, window = 5, lag = 0) {
+  const a = alignSeries(x, y, lag);
+  const out = [];
+  for (let end = window - 1; end < a.years.length; end++) {
+    const from = end - window + 1;
+    out.push({ date: a.years[end], r: pearsonCorrelation(a.x.slice(from, end + 1), a.y.slice(from, end + 1)) });
+  }
+  return out;
+}
+
+/**
+ * Latest run of consecutive years where both series have values (lag 0).
+ * Lag-based tests such as Granger need an unbroken series.
+ * @returns {{ years: string[], x: number[], y: number[] }}
+ */
+export function latestConsecutiveRun(x, y) {
+  const a = alignSeries(x, y, 0);
+  let start = a.years.length - 1;
+  while (start > 0 && parseInt(a.years[start - 1]) === parseInt(a.years[start]) - 1) start--;
+  return { years: a.years.slice(start), x: a.x.slice(start), y: a.y.slice(start) };
+}
+
+// ── Regression design ────────────────────────────────────────
+
+/** Predictor / response transformations offered in the regression explorer. */
+export const SERIES_TRANSFORMS = {
+  level: 'Level',
+  log: 'Log',
+  diff: 'Difference',
+  logdiff: 'Log difference',
+};
+
+/**
+ * Distinct macro series available as regression predictors.
+ * Series id is `${indicator_code}|${country_iso3}`.
+ */
+export function listMacroSeries(macroFacts) {
+  const seen = new Map();
+  for (const r of macroFacts) {
+    const id = `${r.indicator_code}|${r.country_iso3}`;
+    if (!seen.has(id)) {
+      seen.set(id, { id, code: r.indicator_code, country: r.country_iso3, name: r.indicator_name || r.indicator_code });
+    }
+  }
+  return [...seen.values()].sort((a, b) => a.name.localeCompare(b.name) || a.country.localeCompare(b.country));
+}
+
+/**
+ * Annual values of one macro series (daily/monthly rows are averaged per year).
+ */
+export function annualMacroSeries(macroFacts, seriesId) {
+  const [code, country] = seriesId.split('|');
+  return annualiseFX(macroFacts.filter(r =>
+    r.indicator_code === code && r.country_iso3 === country && r.value !== null
+  ));
+}
+
+/**
+ * Apply a transformation and lag to annual { date, value } rows.
+ * Log of non-positive values and differences across missing years yield no value.
+ * @returns {Map<string, number>} year → transformed value, keyed by the year it is used in
+ */
+export function transformAnnualSeries(rows, { transform = 'level', lag = 0 } = {}) {
+  const byYear = new Map(rows.filter(r => r.value !== null).map(r => [parseInt(r.date), r.value]));
+  const base = v => (transform === 'log' || transform === 'logdiff' ? (v > 0 ? Math.log(v) : null) : v);
+  const out = new Map();
+  for (const [year, value] of byYear) {
+    let v = base(value);
+    if (v !== null && (transform === 'diff' || transform === 'logdiff')) {
+      const prev = byYear.has(year - 1) ? base(byYear.get(year - 1)) : null;
+      v = prev !== null ? v - prev : null;
+    }
+    if (v !== null && Number.isFinite(v)) out.set(String(year + lag), v);
+  }
+  return out;
+}
+
+/**
+ * Human-readable term label, e.g. "Δlog(GDP IND) t−1".
+ */
+export function describeTerm(name, { transform = 'level', lag = 0 } = {}) {
+  const inner = {
+    level: name,
+    log: `log(${name})`,
+    diff: `Δ(${name})`,
+    logdiff: `Δlog(${name})`,
+  }[transform] || name;
+  return lag > 0 ? `${inner} t−${lag}` : inner;
+}
+
+/**
+ * Align a response and predictors on the years where every term has a value.
+ * @param {Map<string, number>} y
+ * @param {Array<Map<string, number>>} predictors
+ * @returns {{ years: string[], y: number[], X: number[][] }}
+ */
+export function buildRegressionDesign(y, predictors) {
+  const years = [...y.keys()].filter(yr => predictors.every(p => p.has(yr))).sort();
+  return {
+    years,
+    y: years.map(yr => y.get(yr)),
+    X: years.map(yr => predictors.map(p => p.get(yr))),
+  };
+}
@@ -0,0 +1,118 @@
+// assets/services/units.js
+/**
+ * Display units for trade values.
+ * Every trade value is stored in nominal USD; this service converts it to the
+ * unit chosen in the filter bar (local currency, constant USD or % of GDP) and
+ * formats it. Conversion factors are annual and come from macroFacts, so a
+ * monthly value uses its year's factor.
+ *
+ * Units:
+ *  USD       nominal USD (no conversion)
+ *  <CUR>     local currency at the annual-average USD/<CUR> rate (FX_USD_<CUR>)
+ *  USD_REAL  constant USD of the base year, deflated by a World Bank price index
+ *  PCT_GDP   percent of the selected reporter's GDP in current USD
+ */
+
+import { annualiseFX } from './transformers.js';
+import { hasFXRates } from '../config/countries.js';
+
+const GDP_INDICATOR = 'NY.GDP.MKTP.CD';
+
+/** US price indices offered for constant-USD values (World Bank WDI). */
+export const DEFLATORS = Object.freeze([
+  { code: 'NY.GDP.DEFL.ZS', country: 'USA', label: 'US GDP deflator' },
+  { code: 'FP.CPI.TOTL', country: 'USA', label: 'US CPI' },
+]);
+
+const CURRENCY_SYMBOLS = { USD: '$', INR: '₹', CNY: '¥', EUR: '€', GBP: '£', JPY: '¥' };
+
+/**
+ * Units selectable for a pair.
+ * @param {string[]} currencies - pair currencies (non-USD); those without FX rates are not offered
+ * @returns {Array<{ id, label }>}
+ */
+export function unitOptions(currencies) {
+  return [
+    { id: 'USD', label: 'Nominal USD' },
+    ...currencies.filter(hasFXRates).map(c => ({ id: c, label: `Nominal ${c}` })),
+    { id: 'USD_REAL', label: 'Constant USD' },
+    { id: 'PCT_GDP', label: '% of GDP' },
+  ];
+}
+
+/**
+ * Build a converter for one unit.
+ * @param {object[]} macroFacts
+ * @param {{ unit: string, deflator?: string, baseYear?: number, gdpCountry?: string }} spec
+ * @returns {{ unit, label, factor: function(string): number|null, convert: function(number|null, string): number|null,
+ *   format: function(number|null, number=): string, axis: function(number): string, missingYears: function(string[]): string[] }}
+ *   factor(date) multiplies a USD value; null when the input series has no value for that year
+ */
+export function createConverter(macroFacts, { unit = 'USD', deflator = DEFLATORS[0].code, baseYear = 2015, gdpCountry } = {}) {
+  const byYear = rows => new Map(rows.filter(r => r.value !== null).map(r => [r.date.slice(0, 4), r.value]));
+  let factors = null; // year → factor; null = identity
+  let label = 'USD';
+
+  if (unit === 'USD_REAL') {
+    const def = DEFLATORS.find(d => d.code === deflator) || DEFLATORS[0];
+    const index = byYear(annualiseFX(macroFacts.filter(r => r.indicator_code === def.code && r.country_iso3 === def.country)));
+    const base = index.get(String(baseYear));
+    factors = new Map(base ? [...index].map(([y, v]) => [y, base / v]) : []);
+    label = `USD (${baseYear} prices, ${def.label})`;
+  } else if (unit === 'PCT_GDP') {
+    const gdp = byYear(macroFacts.filter(r => r.indicator_code === GDP_INDICATOR && r.country_iso3 === gdpCountry));
+    factors = new Map([...gdp].filter(([, v]) => v > 0).map(([y, v]) => [y, 100 / v]));
+    label = `% of ${gdpCountry} GDP`;
+  } else if (unit !== 'USD') {
+    factors = byYear(annualiseFX(macroFacts.filter(r => r.indicator_code === `FX_USD_${unit}`)));
+    label = unit;
+  }
+
+  const factor = date => (factors ? factors.get(String(date).slice(0, 4)) ?? null : 1);
+  const symbol = CURRENCY_SYMBOLS[unit === 'USD_REAL' ? 'USD' : unit] ?? `${unit} `;
+
+  return {
+    unit,
+    label,
+    factor,
+    convert: (value, date) => {
+      if (value === null || value === undefined) return null;
+      const f = factor(date);
+      return f === null ? null : value * f;
+    },
+    format: (v, digits = 2) => {
+      if (v === null || v === undefined || !Number.isFinite(v)) return 'N/A';
+      if (unit === 'PCT_GDP') return `${v.toFixed(digits + 1)}%`;
+      const sign = v < 0 ? '−' : '';
+      const a = Math.abs(v);
+      const scaled = a >= 1e12 ? `${(a / 1e12).toFixed(digits)}T` : a >= 1e9 ? `${(a / 1e9).toFixed(digits)}B` : `${(a / 1e6).toFixed(Math.max(0, digits - 1))}M`;
+      return `${sign}${symbol}${scaled}`;
+    },
+    axis: v => (unit === 'PCT_GDP' ? `${+v.toFixed(3)}%` : `${+(v / 1e9).toFixed(1)}B`),
+    missingYears: years => (factors ? [...new Set(years.map(d => String(d).slice(0, 4)))].filter(y => !factors.has(y)).sort() : []),
+  };
+}
+
+/**
+ * Trade rows with value_usd converted and unit set to the converter's label.
+ * Rows whose year has no conversion factor are dropped rather than shown as zero.
+ */
+export function convertTradeRows(rows, converter) {
+  if (converter.unit === 'USD') return rows;
+  return rows
+    .filter(r => converter.factor(r.date) !== null)
+    .map(r => ({ ...r, value_usd: converter.convert(r.value_usd, r.date), unit: converter.label }));
+}
+
+// ── Active display unit ──────────────────────────────────────
+// Charts and KPI cards format values through the unit of the page being rendered.
+
+let _active = createConverter([], { unit: 'USD' });
+
+export function setDisplayUnit(converter) {
+  _active = converter;
+}
+
+export function displayUnit() {
+  return _active;
+}
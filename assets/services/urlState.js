@@ -0,0 +1,144 @@
+// assets/services/urlState.js
+/**
+ * Shareable view state codec.
+ * A view is every filter plus the view settings in SHARED_UI_KEYS. Links carry it
+ * in one hash query parameter:
+ *
+ *   #/route?s=<version>.<encoding>.<payload>
+ *
+ *  - version   URL_STATE_VERSION of the payload shape
+ *  - encoding  'z' = deflate-raw (CompressionStream), 'j' = uncompressed JSON where
+ *              CompressionStream is unavailable
+ *  - payload   base64url of JSON { f: filters, u: ui } holding only the values that
+ *              differ from the defaults
+ *
+ * Version 1 is the original format, one plain parameter per filter plus mirror=1
+ * (#/overview?reporter=IND&partner=CHN&flow=EXPORT&...). Older payloads are
+ * migrated step by step to the current version on load.
+ */
+
+export const URL_STATE_VERSION = 2;
+
+/**
+ * ui.* keys carried in links; other ui state is per-session. Dismissed banners stay out:
+ * a link must not hide warnings from the person who opens it.
+ */
+export const SHARED_UI_KEYS = Object.freeze([
+  'mirrorMode',
+  'hwLockedParams',
+  'backtestConfig',
+  'forecastLegend',
+  'correlationSpec',
+  'tradeIndexView',
+  'regressionSpec',
+  'breakCandidate',
+  'mirrorSpec',
+  'eventFilter',
+  'scenarioDraft',
+]);
+
+// Version 1 parameters and their parsers
+const LEGACY_FILTERS = {
+  reporter: String,
+  partner: String,
+  flow: String,
+  yearStart: v => parseInt(v),
+  yearEnd: v => parseInt(v),
+  frequency: String,
+  productLevel: String,
+  productPath: String,
+  units: String,
+  deflator: String,
+  baseYear: v => parseInt(v),
+};
+
+// MIGRATIONS[n] turns a version-n view into version n + 1
+const MIGRATIONS = {
+  // v2 adds view settings; a v1 link only knew the mirror toggle
+  1: view => ({ filters: view.filters, ui: { mirrorMode: !!view.ui.mirrorMode } }),
+};
+
+/**
+ * Encode a view as the value of the s= parameter.
+ * @param {{ filters: object, ui: object }} view - values that differ from the defaults
+ * @returns {Promise<string>}
+ */
+export async function encodeViewState(view) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ f: view.filters, u: view.ui }));
+  if (typeof CompressionStream === 'function') {
+    const deflated = await transform(bytes, new CompressionStream('deflate-raw'));
+    return `${URL_STATE_VERSION}.z.${toBase64Url(deflated)}`;
+  }
+  return `${URL_STATE_VERSION}.j.${toBase64Url(bytes)}`;
+}
+
+/**
+ * Decode the view in a hash query, migrated to the current version.
+ * @param {URLSearchParams} params
+ * @returns {Promise<{ filters: object, ui: object, migrated: boolean }|null>} null when
+ *   the query holds no view; migrated is true for links in an older format
+ * @throws {Error} on a malformed value or a version newer than this build
+ */
+export async function decodeViewState(params) {
+  let version;
+  let view;
+  if (params.has('s')) {
+    const [v, encoding, payload = ''] = params.get('s').split('.');
+    version = parseInt(v);
+    if (!(version >= 1)) throw new Error(`unknown link version "${v}"`);
+    if (version > URL_STATE_VERSION) throw new Error(`link version ${version} is newer than this dashboard (${URL_STATE_VERSION})`);
+    if (encoding !== 'z' && encoding !== 'j') throw new Error(`unknown link encoding "${encoding}"`);
+    if (encoding === 'z' && typeof DecompressionStream !== 'function') throw new Error('this browser cannot read compressed links');
+    let json;
+    try {
+      let bytes = fromBase64Url(payload);
+      if (encoding === 'z') bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+      json = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+      throw new Error('the link is damaged or truncated');
+    }
+    view = { filters: json?.f || {}, ui: json?.u || {} };
+  } else {
+    view = legacyView(params);
+    if (!view) return null;
+    version = 1;
+  }
+
+  return { ...migrateView(view, version), migrated: version < URL_STATE_VERSION };
+}
+
+/**
+ * Bring a view stored at an older version (link or saved workspace) to the current one.
+ * @param {{ filters: object, ui: object }} view
+ * @param {number} version
+ */
+export function migrateView(view, version) {
+  for (let v = version; v < URL_STATE_VERSION; v++) view = MIGRATIONS[v](view);
+  return view;
+}
+
+/** Version 1 view from plain filter parameters; null when there are none. */
+function legacyView(params) {
+  const filters = {};
+  for (const [key, parse] of Object.entries(LEGACY_FILTERS)) {
+    if (params.has(key)) filters[key] = parse(params.get(key));
+  }
+  const ui = params.has('mirror') ? { mirrorMode: params.get('mirror') === '1' } : {};
+  return Object.keys(filters).length > 0 || params.has('mirror') ? { filters, ui } : null;
+}
+
+async function transform(bytes, stream) {
+  const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await out.arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
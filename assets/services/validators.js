@@ -10,10 +10,13 @@ import { SchemaValidationError, logError } from './errors.js';
 const TRADE_FACT_REQUIRED = ['date','frequency','reporter_iso3','partner_iso3','flow','product_level','product_code','value_usd','source_id','retrieval_ts','request_fingerprint'];
 const MACRO_FACT_REQUIRED = ['date','country_iso3','indicator_code','indicator_name','value','unit','source_id','retrieval_ts','request_fingerprint'];
 
-const VALID_FREQUENCIES = ['A','M'];
+const VALID_FREQUENCIES = ['A','Q','M'];
 const VALID_FLOWS = ['IMPORT','EXPORT'];
 const VALID_PRODUCT_LEVELS = ['TOTAL','GROUP','HS2','HS4'];
 
+const EVENT_REQUIRED = ['id','date','category','title','countries','source'];
+const VALID_EVENT_CATEGORIES = ['agreement','trade_remedy','tariff','restriction','border','shock'];
+
 /**
  * Validate a trade_fact row. Returns { valid, errors }.
  */
@@ -61,11 +64,36 @@ export function validateMacroFact(row) {
   return { valid: errors.length === 0, errors };
 }
 
+/**
+ * Validate a timeline event (assets/data/events.json). Returns { valid, errors }.
+ */
+export function validateEvent(row) {
+  const errors = [];
+  for (const field of EVENT_REQUIRED) {
+    if (row[field] === undefined || row[field] === '') errors.push(`Missing required field: ${field}`);
+  }
+  if (row.id && !/^[a-z0-9-]+$/.test(row.id)) {
+    errors.push(`id must be a lowercase slug: ${row.id}`);
+  }
+  if (row.date && !/^\d{4}-\d{2}-\d{2}$/.test(row.date)) {
+    errors.push(`date must be YYYY-MM-DD: ${row.date}`);
+  }
+  if (row.category && !VALID_EVENT_CATEGORIES.includes(row.category)) {
+    errors.push(`Invalid category: ${row.category}`);
+  }
+  if (row.countries !== undefined && (!Array.isArray(row.countries) || row.countries.some(c => typeof c !== 'string' || c.length !== 3))) {
+    errors.push('countries must be an array of ISO3 codes');
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+const VALIDATORS = { trade_fact: validateTradeFact, macro_fact: validateMacroFact, event: validateEvent };
+
 /**
  * Validate an array of rows, returning valid rows and logging invalid ones.
  */
 export function validateBatch(rows, type = 'trade_fact') {
-  const validator = type === 'trade_fact' ? validateTradeFact : validateMacroFact;
+  const validator = VALIDATORS[type] || validateMacroFact;
   const valid = [];
   const invalid = [];
 
@@ -1,17 +1,46 @@
 // assets/services/wits.js
 /**
  * WITS (World Integrated Trade Solution) data client.
- * Implements QueryPlanner to respect WITS request limits.
+ * Implements QueryPlanner to respect WITS request limits. Data comes from the
+ * URL-based JSON endpoint; when that fails or returns a shape we cannot read,
+ * the same query is repeated against the SDMX 2.1 data endpoint (see sdmx.js).
  */
 
 import { WITS } from '../config/endpoints.js';
-import { robustFetch } from './fetchers.js';
-import { WitsLimitError, logError } from './errors.js';
+import { countryForWits } from '../config/countries.js';
+import { flag } from '../config/featureFlags.js';
+import { robustFetch, mapConcurrent } from './fetchers.js';
+import { WitsLimitError, WitsCodeError, CorsError, SchemaValidationError, logError } from './errors.js';
 import { sha256 } from './cache.js';
 import { track } from './telemetry.js';
+import { parseSdmxData } from './sdmx.js';
 
 /**
- * QueryPlanner: validates and chunks WITS queries.
+ * TRADESTATS data structure (DSD_TRADESTATS): series key order matches WITS.DATA.sdmx.
+ * Trade values are in US$ thousands unless a UNIT_MULT attribute says otherwise.
+ * params maps the JSON query parameters to their dimensions (and codelists).
+ */
+export const TRADESTATS_DSD = Object.freeze({
+  dimensions: ['FREQ', 'REPORTER', 'PARTNER', 'PRODUCTCODE', 'INDICATOR'],
+  time: 'TIME_PERIOD',
+  measure: 'OBS_VALUE',
+  unitMult: 3,
+  params: Object.freeze({ reporter: 'REPORTER', partner: 'PARTNER', product: 'PRODUCTCODE', indicator: 'INDICATOR' }),
+});
+
+// TRADESTATS indicators holding trade values; other indicators (shares, growth) are skipped
+const VALUE_INDICATORS = {
+  'XPRT-TRD-VL': 'EXPORT',
+  'MPRT-TRD-VL': 'IMPORT',
+};
+
+// Rough cardinalities of an ALL dimension whose codelist is not loaded (cost estimates only)
+const DEFAULT_CARDINALITY = { reporter: 250, partner: 250, product: 25, indicator: 40 };
+const BYTES_PER_ROW = 250;            // one JSON observation, approximately
+const MAX_ROWS_PER_REQUEST = 20000;   // about 5 MB, half the fetch payload guard
+
+/**
+ * QueryPlanner: validates, costs and chunks WITS queries.
  * Rules:
  *  - Max 2 dimensions can be "all".
  *  - reporter=all + partner=all together is NOT allowed.
@@ -20,8 +49,20 @@ import { track } from './telemetry.js';
 export class QueryPlanner {
   static DIMS = ['reporter', 'year', 'partner', 'product', 'indicator'];
 
-  static validate(params) {
-    const allDims = this.DIMS.filter(d => String(params[d]).toLowerCase() === 'all');
+  /**
+   * @param {object} params - JSON query parameters; a dimension may list codes separated by ';'
+   * @param {object} [codelists] - witsMetadata.js codelists; when given, every specific code must
+   *   be in its dimension's codelist (WITS special codes always pass)
+   * @returns {{ valid: boolean, reason?: string, unknown?: { param: string, code: string }[] }}
+   */
+  static validate(params, codelists = null) {
+    if (codelists) {
+      const unknown = unknownCodes(params, codelists);
+      if (unknown.length > 0) {
+        return { valid: false, reason: `Not in the WITS codelists: ${unknown.map(u => `${u.param}=${u.code}`).join(', ')}.`, unknown };
+      }
+    }
+    const allDims = this.DIMS.filter(d => isAll(params[d]));
     if (allDims.length > 2) {
       return { valid: false, reason: `${allDims.length} dimensions set to ALL; max 2 allowed.` };
     }
@@ -31,7 +72,7 @@ export class QueryPlanner {
     if (allDims.length === 2) {
       const specificDims = this.DIMS.filter(d => !allDims.includes(d));
       for (const sd of specificDims) {
-        if (String(params[sd]).toLowerCase() === 'all') {
+        if (isAll(params[sd])) {
           return { valid: false, reason: `When 2 dims are ALL, ${sd} must be specific.` };
         }
       }
@@ -40,55 +81,275 @@ export class QueryPlanner {
   }
 
   /**
-   * Chunk a query into valid sub-queries if it violates limits.
-   * Strategy: split years into individual requests.
+   * Plan a query without fetching anything.
+   * ALL dimensions are expanded into their values (years from yearRange, other dimensions
+   * from the codelists when loaded) until the rest passes validate(). Every valid choice is
+   * costed and the one with the fewest requests wins, ties going to fewer expanded
+   * dimensions; a choice whose requests would exceed MAX_ROWS_PER_REQUEST loses to any that
+   * fits. Values of an expanded dimension are sent as ';' lists, as many per request as the
+   * row estimate allows.
+   * @returns {{ valid: boolean, reason?: string, allDims: string[],
+   *   split: { dim: string, values: number, batch: number }[], requests: number,
+   *   estimate: { rowsPerRequest, bytesPerRequest, totalRows, totalBytes, cardinality },
+   *   alternatives: { dims: string[], requests: number, rowsPerRequest: number }[] (costlier valid splits),
+   *   chunks: { datasource: string, params: object }[] }}
+   * @throws {WitsCodeError} when a code is not in the codelists (no split can fix that)
    */
-  static chunk(datasource, params, yearRange = [2000, 2024]) {
-    const check = this.validate(params);
-    if (check.valid) {
-      return [{ datasource, params }];
+  static plan(datasource, params, yearRange = [2000, 2024], codelists = null) {
+    const check = this.validate(params, codelists);
+    if (check.unknown) throw new WitsCodeError(check.unknown);
+
+    const allDims = this.DIMS.filter(d => isAll(params[d]));
+    const valuesOf = d => (d === 'year'
+      ? years(yearRange)
+      : (codelists?.dimensions[TRADESTATS_DSD.params[d]] || []).map(c => c.id));
+    const cardinality = Object.fromEntries(this.DIMS.map(d => [d, dimCardinality(d, params[d], yearRange, codelists)]));
+
+    const options = subsets(allDims.filter(d => valuesOf(d).length > 0))
+      .filter(dims => this.validate({ ...params, ...Object.fromEntries(dims.map(d => [d, valuesOf(d)[0]])) }).valid)
+      .map(dims => costSplit(dims, valuesOf, cardinality))
+      .sort((a, b) => (a.rowsPerRequest > MAX_ROWS_PER_REQUEST) - (b.rowsPerRequest > MAX_ROWS_PER_REQUEST)
+        || a.requests - b.requests
+        || a.dims.length - b.dims.length);
+
+    const totalRows = Object.values(cardinality).reduce((p, c) => p * c.count, 1);
+    if (options.length === 0) {
+      return {
+        valid: false,
+        reason: codelists ? check.reason : `${check.reason} Load the WITS codelists to split dimensions other than year.`,
+        allDims,
+        split: [],
+        requests: 0,
+        estimate: { rowsPerRequest: totalRows, bytesPerRequest: totalRows * BYTES_PER_ROW, totalRows, totalBytes: totalRows * BYTES_PER_ROW, cardinality },
+        alternatives: [],
+        chunks: [],
+      };
     }
 
-    // Split by year blocks of 5
+    const best = options[0];
     const chunks = [];
-    for (let y = yearRange[0]; y <= yearRange[1]; y += 5) {
-      const endY = Math.min(y + 4, yearRange[1]);
-      for (let yr = y; yr <= endY; yr++) {
-        const p = { ...params, year: String(yr) };
-        const recheck = this.validate(p);
-        if (recheck.valid) {
-          chunks.push({ datasource, params: p });
-        }
-      }
+    const seen = new Set();
+    for (const combo of cartesian(best.dims.map(d => batches(valuesOf(d), best.batch[d])))) {
+      const p = { ...params };
+      best.dims.forEach((d, i) => { p[d] = combo[i].join(';'); });
+      const url = WITS.DATA.json(datasource, p);
+      if (seen.has(url)) continue;
+      seen.add(url);
+      chunks.push({ datasource, params: p });
+    }
+    return {
+      valid: true,
+      allDims,
+      split: best.dims.map(d => ({ dim: d, values: valuesOf(d).length, batch: best.batch[d] })),
+      requests: chunks.length,
+      estimate: {
+        rowsPerRequest: best.rowsPerRequest,
+        bytesPerRequest: best.rowsPerRequest * BYTES_PER_ROW,
+        totalRows,
+        totalBytes: totalRows * BYTES_PER_ROW,
+        cardinality,
+      },
+      // Other valid splits, except those that only add dimensions to the chosen one
+      alternatives: options.slice(1)
+        .filter(o => !best.dims.every(d => o.dims.includes(d)))
+        .map(o => ({ dims: o.dims, requests: o.requests, rowsPerRequest: o.rowsPerRequest })),
+      chunks,
+    };
+  }
+
+  /**
+   * Chunk a query into valid sub-queries (see plan).
+   * @throws {WitsLimitError} when no split makes the query valid
+   * @throws {WitsCodeError} when a code is not in the codelists
+   */
+  static chunk(datasource, params, yearRange = [2000, 2024], codelists = null) {
+    const plan = this.plan(datasource, params, yearRange, codelists);
+    if (!plan.valid) throw new WitsLimitError(plan.reason);
+    return plan.chunks;
+  }
+
+  /**
+   * Dry-run "explain plan": the plan as readable lines, for debugging.
+   * @returns {string}
+   */
+  static explain(datasource, params, yearRange = [2000, 2024], codelists = null) {
+    let plan;
+    try {
+      plan = this.plan(datasource, params, yearRange, codelists);
+    } catch (err) {
+      return `${datasource}: ${err.message}`;
     }
-    if (chunks.length === 0) {
-      throw new WitsLimitError(check.reason);
+    const { estimate } = plan;
+    const fmt = n => Math.round(n).toLocaleString('en-US');
+    const mb = b => `${(b / 1024 / 1024).toFixed(1)} MB`;
+    const lines = [
+      `WITS plan for ${datasource}`,
+      `  query:       ${this.DIMS.map(d => `${d}=${params[d] ?? 'all'}`).join(' ')}`,
+      `  ALL dims:    ${plan.allDims.join(', ') || 'none'}`,
+    ];
+    if (!plan.valid) return [...lines, `  invalid:     ${plan.reason}`].join('\n');
+    const gap = flag('hostRateLimitMs')?.[new URL(WITS.BASE).hostname] ?? 0;
+    lines.push(
+      `  split:       ${plan.split.map(s => `${s.dim} (${s.values} values, ${s.batch} per request)`).join('; ') || 'none'}`,
+      `  requests:    ${plan.requests} (${flag('witsConcurrency') ?? 3} at a time${gap > 0 ? `, starts ≥ ${gap} ms apart` : ''})`,
+      `  estimate:    ${fmt(estimate.rowsPerRequest)} rows (~${mb(estimate.bytesPerRequest)}) per request; ${fmt(estimate.totalRows)} rows (~${mb(estimate.totalBytes)}) in total`,
+      `  cardinality: ${this.DIMS.map(d => `${d} ${estimate.cardinality[d].count} (${estimate.cardinality[d].source})`).join(', ')}`,
+    );
+    if (plan.alternatives.length > 0) {
+      lines.push(`  rejected:    ${plan.alternatives.map(a => `${a.dims.join('+') || 'no split'} → ${a.requests} request${a.requests === 1 ? '' : 's'}`).join('; ')}`);
     }
-    return chunks;
+    return lines.join('\n');
   }
 }
 
+function isAll(value) {
+  return String(value ?? 'all').toLowerCase() === 'all';
+}
+
+function years([start, end]) {
+  const out = [];
+  for (let y = start; y <= end; y++) out.push(String(y));
+  return out;
+}
+
+/** Values a dimension spans in the response, and where the number comes from. */
+function dimCardinality(dim, value, yearRange, codelists) {
+  if (!isAll(value)) return { count: String(value).split(';').length, source: 'query' };
+  if (dim === 'year') return { count: yearRange[1] - yearRange[0] + 1, source: 'years' };
+  const codes = codelists?.dimensions[TRADESTATS_DSD.params[dim]];
+  return codes?.length ? { count: codes.length, source: 'codelist' } : { count: DEFAULT_CARDINALITY[dim], source: 'estimate' };
+}
+
 /**
- * Fetch WITS JSON data for a given datasource and params.
- * Auto-chunks if necessary.
- * Returns an array of raw response objects.
+ * Requests and rows per request when the given ALL dimensions are expanded. Batch sizes
+ * are handed out largest dimension first from the rows budget of one request.
  */
-export async function fetchWitsData(datasource, params, yearRange) {
-  const queries = QueryPlanner.chunk(datasource, params, yearRange);
-  const results = [];
+function costSplit(dims, valuesOf, cardinality) {
+  const rowsSingle = Object.entries(cardinality).reduce((p, [d, c]) => p * (dims.includes(d) ? 1 : c.count), 1);
+  let budget = Math.max(1, Math.floor(MAX_ROWS_PER_REQUEST / rowsSingle));
+  const batch = {};
+  let requests = 1;
+  let rowsPerRequest = rowsSingle;
+  for (const d of [...dims].sort((a, b) => valuesOf(b).length - valuesOf(a).length)) {
+    const n = valuesOf(d).length;
+    batch[d] = Math.min(n, budget);
+    budget = Math.max(1, Math.floor(budget / batch[d]));
+    requests *= Math.ceil(n / batch[d]);
+    rowsPerRequest *= batch[d];
+  }
+  return { dims, batch, requests, rowsPerRequest };
+}
 
-  for (const q of queries) {
-    const url = WITS.DATA.json(q.datasource, q.params);
-    track('wits', 'fetch', { url });
-    try {
-      const data = await robustFetch(url, { responseType: 'json', cacheTtlMs: 60 * 60 * 1000 });
-      results.push({ url, data, status: 'ok' });
-    } catch (err) {
-      logError(err);
-      results.push({ url, data: null, status: 'failed', error: err.message });
+function subsets(items) {
+  return items.reduce((acc, item) => [...acc, ...acc.map(s => [...s, item])], [[]]);
+}
+
+function batches(values, size) {
+  const out = [];
+  for (let i = 0; i < values.length; i += size) out.push(values.slice(i, i + size));
+  return out;
+}
+
+function cartesian(lists) {
+  return lists.reduce((acc, list) => acc.flatMap(prefix => list.map(v => [...prefix, v])), [[]]);
+}
+
+/** Specific codes in a query that are missing from the codelist of their dimension. */
+function unknownCodes(params, codelists) {
+  const special = Object.values(WITS.CODES);
+  const unknown = [];
+  for (const [param, dim] of Object.entries(TRADESTATS_DSD.params)) {
+    const codes = codelists.dimensions[dim];
+    const value = String(params[param] ?? 'all');
+    if (!codes?.length || value.toLowerCase() === 'all') continue;
+    for (const code of value.split(';')) {
+      const known = special.includes(code) || codes.some(c => c.id.toLowerCase() === code.toLowerCase());
+      if (!known) unknown.push({ param, code });
     }
   }
-  return results;
+  return unknown;
+}
+
+/**
+ * Fetch WITS data for a given datasource and params.
+ * Auto-chunks if necessary (QueryPlanner.plan) and runs the chunks a few at a time; the
+ * per-host rate limit in fetchers.js spaces the requests. Each chunk tries the JSON
+ * endpoint first and falls back to SDMX-ML when the JSON request fails (other than CORS,
+ * which blocks both) or its response has no readable observations.
+ * Returns an array of raw response objects in chunk order; format is 'json' or 'sdmx'
+ * (data is then an XML Document). normaliseWitsResults reads them.
+ * @param {{ codelists?: object, concurrency?: number }} [opts] - codelists (witsCodelists()) to
+ *   check codes against before sending; requests in flight at once
+ * @throws {WitsCodeError} when a code is not in the codelists
+ */
+export async function fetchWitsData(datasource, params, yearRange, { codelists = null, concurrency = flag('witsConcurrency') ?? 3 } = {}) {
+  const queries = QueryPlanner.chunk(datasource, params, yearRange, codelists);
+  if (queries.length > 1) track('wits', 'plan', { datasource, requests: queries.length });
+  return mapConcurrent(queries, concurrency, q => fetchWitsChunk(q, yearRange));
+}
+
+async function fetchWitsChunk(q, yearRange) {
+  const url = WITS.DATA.json(q.datasource, q.params);
+  track('wits', 'fetch', { url });
+  let reason;
+  try {
+    const data = await robustFetch(url, { responseType: 'json', cacheTtlMs: 60 * 60 * 1000 });
+    if (hasObservations(data) || isEmptyResponse(data)) return { url, data, status: 'ok', format: 'json' };
+    reason = 'unexpected JSON shape';
+  } catch (err) {
+    logError(err);
+    if (err instanceof CorsError || !navigator.onLine) {
+      return { url, data: null, status: 'failed', format: 'json', error: err.message };
+    }
+    reason = err.message;
+  }
+  return fetchWitsSdmx(q.datasource, q.params, yearRange, reason);
+}
+
+/**
+ * SDMX-ML fallback for one JSON query.
+ * @param {string} reason - why the JSON response was not used (telemetry only)
+ */
+async function fetchWitsSdmx(datasource, params, yearRange, reason) {
+  const url = sdmxDataUrl(datasource, params, yearRange);
+  track('wits', 'sdmx_fallback', { url, reason });
+  try {
+    const data = await robustFetch(url, { responseType: 'xml', cacheTtlMs: 60 * 60 * 1000 });
+    return { url, data, status: 'ok', format: 'sdmx' };
+  } catch (err) {
+    logError(err);
+    return { url, data: null, status: 'failed', format: 'sdmx', error: err.message };
+  }
+}
+
+/**
+ * SDMX data URL equivalent to a JSON datasource query.
+ * @param {number[]} [yearRange] - periods requested when year is 'all'
+ */
+export function sdmxDataUrl(datasource, params, yearRange = [2000, 2024]) {
+  return WITS.DATA.sdmx(sdmxDataflow(datasource), sdmxKey(params, yearRange));
+}
+
+/** tradestats-trade → df_wits_tradestats_trade */
+export function sdmxDataflow(datasource) {
+  return `df_wits_${datasource.replace(/-/g, '_')}`;
+}
+
+/** JSON query params as SDMX key parts; 'all' becomes a wildcard and years become periods. */
+function sdmxKey({ reporter = 'all', year = 'all', partner = 'all', product = 'all', indicator = 'all' }, yearRange) {
+  const code = v => (String(v).toLowerCase() === 'all' ? '' : String(v).replace(/;/g, '+'));
+  const listed = String(year).split(';').map(Number).filter(Number.isFinite);
+  const [startPeriod, endPeriod] = String(year).toLowerCase() === 'all' || listed.length === 0
+    ? yearRange.map(String)
+    : [String(Math.min(...listed)), String(Math.max(...listed))];
+  return {
+    reporter: code(reporter),
+    partner: code(partner),
+    productCode: code(product),
+    indicator: code(indicator),
+    startPeriod,
+    endPeriod,
+  };
 }
 
 /**
@@ -104,25 +365,38 @@ export async function fetchWitsMetadata(endpoint) {
 }
 
 /**
- * Normalise WITS JSON response into trade_fact rows.
- * Schema depends on actual response structure; this handles common shapes.
+ * Normalise a WITS response (JSON, or an SDMX-ML Document from the fallback) into trade_fact rows.
+ * JSON schema depends on actual response structure; this handles common shapes.
+ * Unreadable responses are logged as SchemaValidationError and give no rows.
+ * @param {object} [query] - { reporter, partner } ISO3 codes used when observations omit them
  */
-export function normaliseWitsResponse(rawData, datasource, url) {
+export function normaliseWitsResponse(rawData, datasource, url, query = {}) {
   const rows = [];
   const ts = new Date().toISOString();
 
   if (!rawData) return rows;
+  if (typeof Document !== 'undefined' && rawData instanceof Document) {
+    try {
+      return normaliseWitsSdmx(rawData, datasource, url, query);
+    } catch (err) {
+      logError(err);
+      return rows;
+    }
+  }
 
   // WITS JSON responses vary; common structure is an array of observation objects
   // or a dataset with series/observations. We handle both.
   const observations = extractObservations(rawData);
+  if (observations.length === 0 && !isEmptyResponse(rawData)) {
+    logError(new SchemaValidationError(`wits:${datasource}`, 'no observations found in JSON response'));
+  }
 
   for (const obs of observations) {
     rows.push({
       date: obs.year || obs.TimePeriod || '',
       frequency: 'A',
-      reporter_iso3: obs.ReporterISO3 || obs.reporter || '',
-      partner_iso3: obs.PartnerISO3 || obs.partner || '',
+      reporter_iso3: obs.ReporterISO3 || obs.reporter || query.reporter || '',
+      partner_iso3: obs.PartnerISO3 || obs.partner || query.partner || '',
       flow: mapFlow(obs.TradeFlowCode || obs.Indicator || ''),
       product_level: obs.ProductCode === 'TOTAL' || obs.ProductCode === '999999' ? 'TOTAL' : 'GROUP',
       product_code: obs.ProductCode || 'TOTAL',
@@ -137,6 +411,79 @@ export function normaliseWitsResponse(rawData, datasource, url) {
   return rows;
 }
 
+/**
+ * Normalise fetchWitsData results and merge them into one set of trade_fact rows.
+ * Failed chunks are skipped.
+ * @param {object} [query] - { reporter, partner } ISO3 codes, as for normaliseWitsResponse
+ */
+export function normaliseWitsResults(results, datasource, query = {}) {
+  return mergeWitsRows(results
+    .filter(r => r.status === 'ok' && r.data)
+    .flatMap(r => normaliseWitsResponse(r.data, datasource, r.url, query)));
+}
+
+/**
+ * Drop duplicate observations (same period, pair, flow and product) from overlapping
+ * chunks or repeated responses. The last copy wins unless it lacks a value the earlier
+ * one has. Row order follows first appearance.
+ */
+export function mergeWitsRows(rows) {
+  const byKey = new Map();
+  for (const row of rows) {
+    const key = [row.date, row.frequency, row.reporter_iso3, row.partner_iso3, row.flow, row.product_code].join('|');
+    const prev = byKey.get(key);
+    if (!prev || row.value_usd != null || prev.value_usd == null) byKey.set(key, row);
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Map an SDMX-ML TRADESTATS message to trade_fact rows (trade-value indicators only).
+ * @param {Document} doc
+ * @param {object} [query] - { reporter, partner } ISO3 codes used when series keys omit them
+ * @throws {SchemaValidationError} when the message cannot be read
+ */
+export function normaliseWitsSdmx(doc, datasource, url, query = {}) {
+  const ts = new Date().toISOString();
+  const rows = [];
+  for (const s of parseSdmxData(doc, TRADESTATS_DSD).series) {
+    const flow = VALUE_INDICATORS[s.key.INDICATOR];
+    if (!flow) continue;
+    const product = s.key.PRODUCTCODE || 'TOTAL';
+    const isTotal = /^(total|999999)$/i.test(product);
+    for (const obs of s.observations) {
+      const mult = Number(obs.attributes.UNIT_MULT ?? s.attributes.UNIT_MULT ?? TRADESTATS_DSD.unitMult);
+      rows.push({
+        date: obs.period,
+        frequency: s.key.FREQ === 'M' ? 'M' : 'A',
+        reporter_iso3: s.key.REPORTER ? countryForWits(s.key.REPORTER) : query.reporter || '',
+        partner_iso3: s.key.PARTNER ? countryForWits(s.key.PARTNER) : query.partner || '',
+        flow,
+        product_level: isTotal ? 'TOTAL' : 'GROUP',
+        product_code: isTotal ? 'TOTAL' : product,
+        product_name: isTotal ? 'All Products' : product,
+        value_usd: obs.value === null ? null : obs.value * 10 ** mult,
+        unit: 'USD',
+        source_id: `wits:${datasource}`,
+        retrieval_ts: ts,
+        request_fingerprint: url,
+      });
+    }
+  }
+  return rows;
+}
+
+/** True when a JSON response holds at least one observation with a numeric Value. */
+function hasObservations(data) {
+  return extractObservations(data).some(o => o && Number.isFinite(parseFloat(o.Value)));
+}
+
+/** An empty array or object: WITS found nothing, as opposed to an unknown shape. */
+function isEmptyResponse(data) {
+  if (Array.isArray(data)) return data.length === 0;
+  return !!data && typeof data === 'object' && Object.keys(data).length === 0;
+}
+
 function extractObservations(data) {
   if (Array.isArray(data)) return data;
   if (data && data.dataSets && Array.isArray(data.dataSets)) {
@@ -0,0 +1,103 @@
+// assets/services/witsMetadata.js
+/**
+ * WITS metadata: TRADESTATS codelists and dataflows.
+ * Downloads the codelist, TRADESTATS structure and dataflow messages (SDMX-ML) on
+ * first use; the responses are cached like other WITS metadata (fetchWitsMetadata).
+ * The DSD tells which codelist belongs to each dimension, so reporter, partner,
+ * product and indicator codes come from whatever lists WITS currently publishes.
+ *
+ * Codelists shape:
+ *  { dimensions: { REPORTER: [{ id, name }], PARTNER, PRODUCTCODE, INDICATOR },
+ *    dataflows: [{ id, name, structure }], retrieval_ts }
+ */
+
+import { WITS } from '../config/endpoints.js';
+import { fetchWitsMetadata, TRADESTATS_DSD } from './wits.js';
+import { parseSdmxStructure } from './sdmx.js';
+import { logError } from './errors.js';
+import { track } from './telemetry.js';
+
+let _codelists = null;
+let _loading = null;
+
+/**
+ * Codelists loaded so far in this session, or null. Synchronous, for QueryPlanner checks.
+ */
+export function witsCodelists() {
+  return _codelists;
+}
+
+/**
+ * Load the codelists (once per session; concurrent callers share the request).
+ * @returns {Promise<object|null>} null when WITS metadata is unavailable (offline, CORS)
+ */
+export function loadWitsCodelists() {
+  if (_codelists) return Promise.resolve(_codelists);
+  if (!_loading) _loading = fetchCodelists().finally(() => { _loading = null; });
+  return _loading;
+}
+
+async function fetchCodelists() {
+  const [codelistDoc, dsdDoc, dataflowDoc] = await Promise.all([
+    fetchWitsMetadata(WITS.META.CODELISTS),
+    fetchWitsMetadata(WITS.META.DSD_TRADESTATS),
+    fetchWitsMetadata(WITS.META.DATAFLOW),
+  ]);
+  if (!codelistDoc || !dsdDoc) return null;
+
+  try {
+    const { codelists } = parseSdmxStructure(codelistDoc);
+    const { dataStructures } = parseSdmxStructure(dsdDoc);
+    const dsd = dataStructures.find(d => d.id === 'TRADESTATS') || dataStructures[0];
+    const dimensions = {};
+    for (const dim of Object.values(TRADESTATS_DSD.params)) {
+      const ref = dsd?.dimensions.find(d => d.id === dim)?.codelist;
+      dimensions[dim] = (codelists[ref] || []).slice().sort((a, b) => a.id.localeCompare(b.id));
+    }
+    let dataflows = [];
+    try {
+      if (dataflowDoc) dataflows = parseSdmxStructure(dataflowDoc).dataflows;
+    } catch (err) {
+      logError(err); // dataflow names are labels only
+    }
+    _codelists = { dimensions, dataflows, retrieval_ts: new Date().toISOString() };
+    track('wits', 'codelists', Object.fromEntries(Object.entries(dimensions).map(([dim, codes]) => [dim, codes.length])));
+    return _codelists;
+  } catch (err) {
+    logError(err);
+    return null;
+  }
+}
+
+/**
+ * Codes matching a search: exact code first, then codes starting with the query, then
+ * names containing it. Case-insensitive.
+ * @param {{ id: string, name: string }[]} codes
+ * @param {string} query
+ * @param {number} [limit]
+ */
+export function searchCodes(codes, query, limit = 20) {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return codes.slice(0, limit);
+  const rank = c => {
+    const id = c.id.toLowerCase();
+    if (id === q) return 0;
+    if (id.startsWith(q)) return 1;
+    if (c.name.toLowerCase().includes(q)) return 2;
+    return -1;
+  };
+  return codes
+    .map(c => ({ c, r: rank(c) }))
+    .filter(x => x.r >= 0)
+    .sort((a, b) => a.r - b.r)
+    .slice(0, limit)
+    .map(x => x.c);
+}
+
+/**
+ * Display name of a code in a dimension's codelist ('' when unknown or not loaded).
+ */
+export function codeName(dimension, code) {
+  const codes = _codelists?.dimensions[dimension] || [];
+  return codes.find(c => c.id.toLowerCase() === String(code).toLowerCase())?.name || '';
+}
@@ -0,0 +1,142 @@
+// assets/services/workspaces.js
+/**
+ * Saved workspaces: named views an analyst returns to.
+ * Persisted in localStorage like saved scenarios. A workspace holds the route and
+ * the same view a share link carries (filters, model parameters, scenario inputs,
+ * panel settings; see urlState.js), stamped with the view version so older
+ * workspaces migrate when opened.
+ *
+ * Workspace shape:
+ *  { id, name, route, version, view: { filters, ui }, createdAt, updatedAt }
+ *
+ * Export file: { format: 'trade-dashboard-workspaces', version: 1, exportedAt, workspaces: [...] }
+ */
+
+import { downloadFile } from './exporters.js';
+import { logError } from './errors.js';
+import { URL_STATE_VERSION, migrateView } from './urlState.js';
+
+const STORAGE_KEY = 'trade-dashboard:workspaces';
+const FILE_FORMAT = 'trade-dashboard-workspaces';
+const FILE_VERSION = 1;
+
+export function listWorkspaces() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (err) {
+    logError(err);
+    return [];
+  }
+}
+
+function newId() {
+  return `ws-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function writeWorkspaces(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (err) {
+    logError(err); // quota exceeded or storage disabled
+  }
+}
+
+/**
+ * Save the current view; a workspace with the same name is overwritten.
+ * @param {{ name: string, route: string, view: { filters, ui } }} workspace
+ * @returns {object} the stored workspace
+ */
+export function saveWorkspace({ name, route, view }) {
+  const list = listWorkspaces();
+  const existing = list.find(w => w.name === name);
+  const now = new Date().toISOString();
+  const workspace = {
+    id: existing?.id || newId(),
+    name,
+    route,
+    version: URL_STATE_VERSION,
+    view,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+  writeWorkspaces(existing ? list.map(w => (w.id === workspace.id ? workspace : w)) : [...list, workspace]);
+  return workspace;
+}
+
+/**
+ * Rename a workspace.
+ * @returns {boolean} false when another workspace already has the name
+ */
+export function renameWorkspace(id, name) {
+  const list = listWorkspaces();
+  if (list.some(w => w.name === name && w.id !== id)) return false;
+  writeWorkspaces(list.map(w => (w.id === id ? { ...w, name, updatedAt: new Date().toISOString() } : w)));
+  return true;
+}
+
+export function deleteWorkspace(id) {
+  writeWorkspaces(listWorkspaces().filter(w => w.id !== id));
+}
+
+/**
+ * Route and current-version view of a stored workspace.
+ * @returns {{ route: string, view: { filters, ui } }}
+ */
+export function workspaceView(workspace) {
+  return { route: workspace.route, view: migrateView(workspace.view, workspace.version || 1) };
+}
+
+/**
+ * Download workspaces as a JSON file that importWorkspaces reads back.
+ */
+export function exportWorkspacesJSON(workspaces, filename = 'workspaces.json') {
+  const file = { format: FILE_FORMAT, version: FILE_VERSION, exportedAt: new Date().toISOString(), workspaces };
+  downloadFile(JSON.stringify(file, null, 2), filename, 'application/json');
+}
+
+/**
+ * Merge workspaces from an exported file. Imported workspaces replace stored ones of the
+ * same name and get fresh ids; entries without a name, route or view are skipped.
+ * @param {string} text - file contents
+ * @returns {{ added: number, replaced: number, skipped: number }}
+ * @throws {Error} when the file is not a workspace export
+ */
+export function importWorkspaces(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('not a JSON file');
+  }
+  if (file?.format !== FILE_FORMAT || !Array.isArray(file.workspaces)) throw new Error('not a workspace export');
+  if (file.version > FILE_VERSION) throw new Error(`file version ${file.version} is newer than this dashboard`);
+
+  const counts = { added: 0, replaced: 0, skipped: 0 };
+  let list = listWorkspaces();
+  file.workspaces.forEach(w => {
+    const valid = typeof w?.name === 'string' && w.name.trim() && typeof w.route === 'string'
+      && w.route.startsWith('#/') && w.view && typeof w.view === 'object'
+      && !(w.version > URL_STATE_VERSION);
+    if (!valid) {
+      counts.skipped++;
+      return;
+    }
+    const now = new Date().toISOString();
+    const workspace = {
+      id: newId(),
+      name: w.name.trim(),
+      route: w.route,
+      version: w.version || 1,
+      view: { filters: w.view.filters || {}, ui: w.view.ui || {} },
+      createdAt: w.createdAt || now,
+      updatedAt: now,
+    };
+    const existing = list.find(x => x.name === workspace.name);
+    if (existing) counts.replaced++;
+    else counts.added++;
+    list = [...list.filter(x => x !== existing), workspace];
+  });
+  writeWorkspaces(list);
+  return counts;
+}
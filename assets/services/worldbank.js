@@ -78,13 +78,13 @@ function guessUnit(code) {
 }
 
 /**
- * Convenience: fetch and normalise GDP for India and China.
+ * Convenience: fetch and normalise GDP for a set of countries (ISO3).
  */
-export async function fetchGDPSeries(dateRange = '2000:2024') {
-  const ind = await fetchIndicator('IND', WORLDBANK.INDICATORS.GDP_CURRENT_USD, { date: dateRange });
-  const chn = await fetchIndicator('CHN', WORLDBANK.INDICATORS.GDP_CURRENT_USD, { date: dateRange });
-  return [
-    ...normaliseWBIndicator(ind, WORLDBANK.INDICATORS.GDP_CURRENT_USD),
-    ...normaliseWBIndicator(chn, WORLDBANK.INDICATORS.GDP_CURRENT_USD),
-  ];
+export async function fetchGDPSeries(countries = ['IND', 'CHN'], dateRange = '2000:2024') {
+  const rows = [];
+  for (const iso3 of countries) {
+    const records = await fetchIndicator(iso3, WORLDBANK.INDICATORS.GDP_CURRENT_USD, { date: dateRange });
+    rows.push(...normaliseWBIndicator(records, WORLDBANK.INDICATORS.GDP_CURRENT_USD));
+  }
+  return rows;
 }
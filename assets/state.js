@@ -4,12 +4,18 @@
  * Stores all data tables, filter state, and UI state.
  */
 
+import { SHARED_UI_KEYS, encodeViewState, decodeViewState } from './services/urlState.js';
+
 const _listeners = new Map();
 let _state = {
   // Data tables (canonical)
   tradeFacts: [],
   macroFacts: [],
+  referenceFacts: [],     // trade_fact totals set aside because a preferred source reports the same period
   catalog: [],
+  gravitySample: [],      // bundled gravity cross-section (exports + GDP per pair)
+  gravityCovariates: null, // assets/data/gravity_covariates.json
+  events: [],             // timeline events (assets/data/events.json), validated
 
   // Derived / aggregated (computed from facts)
   yearlyTrade: [],
@@ -25,15 +31,33 @@ let _state = {
     yearEnd: 2024,
     frequency: 'A',
     productLevel: 'TOTAL',
+    productPath: '',    // Composition drill path, e.g. 'XVI/85' (section/HS2)
+    units: 'USD',       // USD | <pair currency> | USD_REAL | PCT_GDP (see services/units.js)
+    deflator: 'NY.GDP.DEFL.ZS', // price index for USD_REAL
+    baseYear: 2015,     // USD_REAL base year
   },
 
   // UI state
   ui: {
     loading: false,
-    banners: [],        // { id, level, text, dismissible }
+    banners: [],        // { id, level, text, dismissible, key? }
+    dismissedBanners: [], // keys of banners the user closed this session; not shared in links
     activeRoute: '#/overview',
     mirrorMode: false,  // swap reporter/partner perspective
     snapshotMode: false,
+    snapshotRetrievedAt: null, // latest _meta.retrieval_ts across loaded snapshots
+    hwLockedParams: null, // { alpha, beta, gamma } when the user locks Holt-Winters weights
+    backtestConfig: null, // { initial, step, horizon } once the user runs a custom backtest
+    forecastLegend: null, // { <legend name>: visible } after the user toggles forecast models or bands
+    correlationSpec: null, // { x, xTransform, y, yTransform, window, grangerLags, lag }; null = FX vs exports
+    tradeIndexView: 'summary', // Composition trade-index sub-view: summary | rcaReporter | rcaPartner | gl
+    scenarioDraft: null,  // { name, params } being edited on the Scenarios page
+    scenarioCompare: [],  // saved scenario ids ticked for comparison
+    regressionSpec: null, // { yTransform, predictors: [{ series, lag, transform }] }; null = default FX + GDP
+    eventFilter: null,    // { categories, pairOnly, query, showOnCharts }; null = DEFAULT_EVENT_FILTER
+    breakCandidate: null, // period for the user-chosen Chow test on the Forecast page
+    mirrorSpec: null,     // { direction: imports|exports, cifFobPct, thresholdPct }; null = reporter imports, 10%, 25%
+    witsQuery: null,      // Methods query builder { datasource, reporter, partner, product, indicator, year }; null = current pair
   },
 
   // Forecast/model outputs (NOT facts)
@@ -44,6 +68,12 @@ let _state = {
   },
 };
 
+// Shareable settings as first loaded; links carry only values that differ from these
+const _defaults = JSON.parse(JSON.stringify({
+  filters: _state.filters,
+  ui: Object.fromEntries(SHARED_UI_KEYS.map(k => [k, _state.ui[k]])),
+}));
+
 /**
  * Get current state (read-only snapshot).
  */
@@ -101,8 +131,11 @@ function emit(path, value) {
 
 /**
  * Add a UI banner.
+ * A banner with a key is skipped once the user has dismissed a banner with that key.
+ * @returns {string|null} banner id, or null when skipped
  */
 export function addBanner(banner) {
+  if (banner.key && _state.ui.dismissedBanners.includes(banner.key)) return null;
   const id = 'b' + Date.now() + Math.random().toString(36).slice(2, 6);
   const banners = [..._state.ui.banners, { id, ...banner }];
   setState('ui.banners', banners);
@@ -111,40 +144,111 @@ export function addBanner(banner) {
 
 /**
  * Dismiss a banner by id.
+ * @param {{ remember?: boolean }} opts - remember: the user closed it; keep its key dismissed
  */
-export function dismissBanner(id) {
+export function dismissBanner(id, { remember = false } = {}) {
+  const key = _state.ui.banners.find(b => b.id === id)?.key;
+  if (remember && key && !_state.ui.dismissedBanners.includes(key)) {
+    setState('ui.dismissedBanners', [..._state.ui.dismissedBanners, key]);
+  }
   setState('ui.banners', _state.ui.banners.filter(b => b.id !== id));
 }
 
+// ── Shareable URL state ──────────────────────────────────────
+// Format and versions: services/urlState.js.
+
 /**
- * Sync filters to URL hash query params.
+ * Filters and shared view settings that differ from the defaults (what links and
+ * saved workspaces store).
+ * @returns {{ filters: object, ui: object }}
  */
-export function syncFiltersToURL() {
-  const route = _state.ui.activeRoute.split('?')[0];
-  const params = new URLSearchParams();
-  for (const [k, v] of Object.entries(_state.filters)) {
-    params.set(k, String(v));
-  }
-  if (_state.ui.mirrorMode) params.set('mirror', '1');
-  window.location.hash = route + '?' + params.toString();
+export function currentView() {
+  const changed = (section, keys) => Object.fromEntries(keys
+    .filter(k => JSON.stringify(_state[section][k]) !== JSON.stringify(_defaults[section][k]))
+    .map(k => [k, _state[section][k]]));
+  return {
+    filters: changed('filters', Object.keys(_defaults.filters)),
+    ui: changed('ui', SHARED_UI_KEYS),
+  };
+}
+
+async function viewHash() {
+  const encoded = await encodeViewState(currentView());
+  return `${_state.ui.activeRoute.split('?')[0]}?s=${encoded}`;
 }
 
 /**
- * Restore filters from URL hash query params.
+ * Write the current view (filters and shared view settings) to the URL hash.
+ * @param {{ replace?: boolean }} opts - replace: update the address bar in place, without a
+ *   history entry or hashchange (for settings that re-render their own panel)
+ * @returns {Promise<boolean>} false when the URL already showed this view
  */
-export function restoreFiltersFromURL() {
+export async function syncFiltersToURL({ replace = false } = {}) {
+  const hash = await viewHash();
+  if (window.location.hash === hash) return false;
+  if (replace) history.replaceState(history.state, '', hash);
+  else window.location.hash = hash;
+  return true;
+}
+
+/**
+ * Absolute link to the current view, for sharing.
+ * @returns {Promise<string>}
+ */
+export async function shareLink() {
+  return `${window.location.href.split('#')[0]}${await viewHash()}`;
+}
+
+/**
+ * Restore the view from the URL hash query.
+ * Reads s= links of this or an older version and the plain filter parameters of
+ * pre-codec links; older links are rewritten in the current format. Settings a link
+ * does not carry return to their defaults, so the view matches the sender's.
+ * @returns {Promise<boolean>} true when the URL held a view
+ */
+export async function restoreFiltersFromURL() {
   const hash = window.location.hash;
   const qIdx = hash.indexOf('?');
-  if (qIdx < 0) return;
-  const params = new URLSearchParams(hash.slice(qIdx + 1));
+  if (qIdx < 0) return false;
+
+  let view;
+  try {
+    view = await decodeViewState(new URLSearchParams(hash.slice(qIdx + 1)));
+  } catch (err) {
+    addBanner({ level: 'warn', text: `Could not read the shared link (${err.message}). Showing the current view instead.`, dismissible: true });
+    return false;
+  }
+  if (!view) return false;
+
+  applyView(view);
+  if (view.migrated) await syncFiltersToURL({ replace: true });
+  return true;
+}
+
+/**
+ * Replace the filters and shared view settings with a stored view. Settings the view
+ * does not hold return to their defaults; values of the wrong type are ignored.
+ * Emits '*' only: the caller re-renders.
+ * @param {{ filters?: object, ui?: object }} view - current-version view
+ */
+export function applyView(view) {
   const updates = {};
-  if (params.has('reporter')) updates['filters.reporter'] = params.get('reporter');
-  if (params.has('partner')) updates['filters.partner'] = params.get('partner');
-  if (params.has('flow')) updates['filters.flow'] = params.get('flow');
-  if (params.has('yearStart')) updates['filters.yearStart'] = parseInt(params.get('yearStart'));
-  if (params.has('yearEnd')) updates['filters.yearEnd'] = parseInt(params.get('yearEnd'));
-  if (params.has('frequency')) updates['filters.frequency'] = params.get('frequency');
-  if (params.has('productLevel')) updates['filters.productLevel'] = params.get('productLevel');
-  if (params.has('mirror')) updates['ui.mirrorMode'] = params.get('mirror') === '1';
-  if (Object.keys(updates).length > 0) batchUpdate(updates);
+  const accept = (section, keys, values = {}) => {
+    for (const key of keys) {
+      const fallback = _defaults[section][key];
+      const value = key in values ? values[key] : fallback;
+      updates[`${section}.${key}`] = structuredClone(sameShape(value, fallback) ? value : fallback);
+    }
+  };
+  accept('filters', Object.keys(_defaults.filters), view.filters);
+  accept('ui', SHARED_UI_KEYS, view.ui);
+  batchUpdate(updates);
+}
+
+/** Whether a decoded value has the type of the default it replaces (null defaults take objects). */
+function sameShape(value, fallback) {
+  if (fallback === null) return value === null || (typeof value === 'object' && !Array.isArray(value)) || typeof value === 'string';
+  if (Array.isArray(fallback)) return Array.isArray(value);
+  if (typeof fallback === 'number') return Number.isFinite(value);
+  return typeof value === typeof fallback;
 }
@@ -4,12 +4,20 @@
  * All DOM manipulation is centralised here.
  */
 
-import { getState, setState, subscribe, addBanner, dismissBanner, syncFiltersToURL } from './state.js';
+import { getState, setState, subscribe, addBanner, dismissBanner, syncFiltersToURL, shareLink } from './state.js';
 import { exportDatasetCSV } from './services/exporters.js';
 import { isComtradeAvailable, getDisableReason } from './services/comtrade.js';
+import { clear as clearCache } from './services/cache.js';
+import { flag } from './config/featureFlags.js';
+import { DEFLATORS, unitOptions, displayUnit, convertTradeRows, createConverter } from './services/units.js';
+import { EVENT_CATEGORIES, eventCategory } from './services/events.js';
+import { searchCodes } from './services/witsMetadata.js';
+import { COUNTRIES, reporterCountries, pairLabel, pairCurrencies, hasFXRates } from './config/countries.js';
 
 const $ = (sel, ctx = document) => ctx.querySelector(sel);
 const $$ = (sel, ctx = document) => [...ctx.querySelectorAll(sel)];
+// User-entered text (e.g. scenario names) interpolated into templates
+const escapeHTML = str => String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 
 // ── Banners ──────────────────────────────────────────────────
 export function renderBanners() {
@@ -23,7 +31,7 @@ export function renderBanners() {
     </div>
   `).join('');
   container.querySelectorAll('.banner-close').forEach(btn => {
-    btn.addEventListener('click', () => dismissBanner(btn.dataset.dismiss));
+    btn.addEventListener('click', () => dismissBanner(btn.dataset.dismiss, { remember: true }));
   });
 }
 
@@ -33,20 +41,27 @@ export function renderFilters() {
   if (!bar) return;
   const f = getState().filters;
   const ui = getState().ui;
+  const countryOptions = (list, selected) => list
+    .map(c => `<option value="${c.iso3}" ${c.iso3 === selected ? 'selected' : ''}>${c.name}</option>`)
+    .join('');
+  const partnerCountries = COUNTRIES.filter(c => c.iso3 !== f.reporter || c.iso3 === f.partner);
+  const units = unitOptions(pairCurrencies([f.reporter, f.partner]));
+  // Monthly needs monthly rows (snapshot or a live source) or a Comtrade key to fetch them
+  const monthly = flag('monthlyToggle') && (f.frequency === 'M' || isComtradeAvailable()
+    || getState().tradeFacts.some(r => r.frequency === 'M'));
+  if (!units.some(u => u.id === f.units) && hasFXRates(f.units)) units.splice(1, 0, { id: f.units, label: `Nominal ${f.units}` });
 
   bar.innerHTML = `
     <div class="filter-group">
       <label>Reporter</label>
       <select id="f-reporter">
-        <option value="IND" ${f.reporter === 'IND' ? 'selected' : ''}>India</option>
-        <option value="CHN" ${f.reporter === 'CHN' ? 'selected' : ''}>China</option>
+        ${countryOptions(reporterCountries(), f.reporter)}
       </select>
     </div>
     <div class="filter-group">
       <label>Partner</label>
       <select id="f-partner">
-        <option value="CHN" ${f.partner === 'CHN' ? 'selected' : ''}>China</option>
-        <option value="IND" ${f.partner === 'IND' ? 'selected' : ''}>India</option>
+        ${countryOptions(partnerCountries, f.partner)}
       </select>
     </div>
     <div class="filter-group">
@@ -66,9 +81,21 @@ export function renderFilters() {
       <label>Frequency</label>
       <select id="f-freq">
         <option value="A" ${f.frequency === 'A' ? 'selected' : ''}>Annual</option>
-        <option value="M" ${f.frequency === 'M' ? 'selected' : ''}>Monthly</option>
+        ${monthly ? `<option value="M" ${f.frequency === 'M' ? 'selected' : ''}>Monthly</option>` : ''}
       </select>
     </div>
+    <div class="filter-group">
+      <label>Units</label>
+      <select id="f-units">
+        ${units.map(u => `<option value="${u.id}" ${u.id === f.units ? 'selected' : ''}>${escapeHTML(u.label)}</option>`).join('')}
+      </select>
+      ${f.units === 'USD_REAL' ? `
+        <select id="f-deflator" title="Price index">
+          ${DEFLATORS.map(d => `<option value="${d.code}" ${d.code === f.deflator ? 'selected' : ''}>${d.label}</option>`).join('')}
+        </select>
+        <input type="number" id="f-base-year" value="${f.baseYear}" min="1990" max="2030" style="width:70px" title="Base year">
+      ` : ''}
+    </div>
     <div class="filter-group">
       <label>
         <input type="checkbox" id="f-mirror" ${ui.mirrorMode ? 'checked' : ''}>
@@ -77,6 +104,7 @@ export function renderFilters() {
     </div>
     <div class="filter-group">
       <button id="btn-export-csv" class="btn btn-sm">Export CSV</button>
+      <button id="btn-copy-link" class="btn btn-sm" title="Copy a link to this page with every filter and view setting">Copy link</button>
     </div>
   `;
 
@@ -94,17 +122,89 @@ export function renderFilters() {
   bind('f-year-start', 'filters.yearStart', v => parseInt(v));
   bind('f-year-end', 'filters.yearEnd', v => parseInt(v));
   bind('f-freq', 'filters.frequency');
+  bind('f-units', 'filters.units');
+  bind('f-deflator', 'filters.deflator');
+  bind('f-base-year', 'filters.baseYear', v => parseInt(v));
   bind('f-mirror', 'ui.mirrorMode');
 
   $('#btn-export-csv')?.addEventListener('click', () => {
     const state = getState();
-    const rows = state.tradeFacts.length > 0 ? state.tradeFacts : [];
+    const rows = convertTradeRows(state.tradeFacts, displayUnit());
     if (rows.length === 0) {
       addBanner({ level: 'info', text: 'No data to export.', dismissible: true });
       return;
     }
     exportDatasetCSV(rows, `trade_${state.filters.reporter}_${state.filters.partner}.csv`);
   });
+
+  $('#btn-copy-link')?.addEventListener('click', async () => {
+    const link = await shareLink();
+    try {
+      await navigator.clipboard.writeText(link);
+      addBanner({ level: 'info', text: 'Link to this view copied to the clipboard.', dismissible: true });
+    } catch {
+      // Clipboard API blocked (e.g. plain http): let the user copy by hand
+      window.prompt('Copy this link:', link);
+    }
+  });
+}
+
+// ── Workspace sidebar ────────────────────────────────────────
+/**
+ * Saved workspaces with save, open, rename, delete, import and export.
+ * @param {object[]} workspaces - stored workspaces (services/workspaces.js)
+ * @param {string|null} activeId - workspace last opened or saved in this session
+ * @param {{ onSave: function(string), onOpen: function(object), onRename: function(string, string),
+ *   onDelete: function(string), onExport: function(), onImport: function(File) }} handlers
+ */
+export function renderWorkspaceSidebar(workspaces, activeId, { onSave, onOpen, onRename, onDelete, onExport, onImport }) {
+  const el = $('#workspace-sidebar');
+  if (!el) return;
+  const { reporter, partner } = getState().filters;
+  const active = workspaces.find(w => w.id === activeId);
+  const pageName = route => route.slice(2).replace(/^./, c => c.toUpperCase());
+  el.innerHTML = `
+    <h3>Workspaces</h3>
+    <form id="workspace-save">
+      <input type="text" id="workspace-name" required maxlength="60" placeholder="Name this view"
+        value="${active ? escapeHTML(active.name) : ''}" aria-label="Workspace name">
+      <button type="submit" class="btn btn-sm">Save</button>
+    </form>
+    ${workspaces.length === 0 ? '<p class="caveat">No saved workspaces. Set up a view and save it under a name; saving an existing name overwrites it.</p>' : `
+    <ul class="workspace-list">
+      ${[...workspaces].sort((a, b) => a.name.localeCompare(b.name)).map(w => `
+        <li class="${w.id === activeId ? 'active' : ''}">
+          <button class="workspace-open" data-open="${w.id}">${escapeHTML(w.name)}</button>
+          <small>${pageName(w.route)} · ${w.view.filters?.reporter || reporter}–${w.view.filters?.partner || partner} · saved ${w.updatedAt.slice(0, 10)}</small>
+          <button class="btn btn-xs" data-rename="${w.id}">Rename</button>
+          <button class="btn btn-xs" data-delete="${w.id}">Delete</button>
+        </li>`).join('')}
+    </ul>`}
+    <div class="model-controls">
+      <button class="btn btn-xs" id="workspace-export" ${workspaces.length === 0 ? 'disabled' : ''}>Export JSON</button>
+      <label class="btn btn-xs">Import JSON <input type="file" id="workspace-import" accept="application/json,.json" hidden></label>
+    </div>
+  `;
+  const byId = id => workspaces.find(w => w.id === id);
+  $('#workspace-save', el).addEventListener('submit', e => {
+    e.preventDefault();
+    const name = $('#workspace-name', el).value.trim();
+    if (name) onSave(name);
+  });
+  $$('[data-open]', el).forEach(btn => btn.addEventListener('click', () => onOpen(byId(btn.dataset.open))));
+  $$('[data-rename]', el).forEach(btn => btn.addEventListener('click', () => {
+    const current = byId(btn.dataset.rename);
+    const name = window.prompt('Rename workspace', current.name)?.trim();
+    if (name && name !== current.name) onRename(current.id, name);
+  }));
+  $$('[data-delete]', el).forEach(btn => btn.addEventListener('click', () => {
+    if (window.confirm(`Delete workspace "${byId(btn.dataset.delete).name}"?`)) onDelete(btn.dataset.delete);
+  }));
+  $('#workspace-export', el).addEventListener('click', () => onExport());
+  $('#workspace-import', el).addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (file) onImport(file);
+  });
 }
 
 // ── Loading spinner ──────────────────────────────────────────
@@ -131,6 +231,8 @@ export function renderPage(route) {
     case '#/tariffs': return renderTariffs(main);
     case '#/macro': return renderMacro(main);
     case '#/forecast': return renderForecast(main);
+    case '#/scenarios': return renderScenarios(main);
+    case '#/mirror': return renderMirror(main);
     case '#/methods': return renderMethods(main);
     default: return renderOverview(main);
   }
@@ -138,8 +240,9 @@ export function renderPage(route) {
 
 // ── Overview ─────────────────────────────────────────────────
 function renderOverview(el) {
+  const { reporter, partner } = getState().filters;
   el.innerHTML = `
-    <h2>Overview: India–China Bilateral Trade</h2>
+    <h2>Overview: ${pairLabel(reporter, partner)} Bilateral Trade</h2>
     <div class="kpi-row" id="kpi-row"></div>
     <div class="chart-container">
       <div class="chart-header">
@@ -150,12 +253,18 @@ function renderOverview(el) {
         </div>
       </div>
       <div id="overview-chart" style="width:100%;height:420px;"></div>
+      <div id="overview-breaks"></div>
       <div class="provenance" id="overview-provenance"></div>
     </div>
     <div class="chart-container">
       <div class="chart-header"><h3>Trade Balance</h3></div>
       <div id="balance-chart" style="width:100%;height:350px;"></div>
     </div>
+    <div class="chart-container">
+      <div class="chart-header"><h3>Events Timeline</h3></div>
+      <div id="events-controls"></div>
+      <div id="events-timeline"></div>
+    </div>
   `;
 }
 
@@ -166,7 +275,7 @@ function renderComposition(el) {
     : `<div class="info-box">Comtrade not enabled. Showing WITS product groups. ${getDisableReason()}</div>`;
 
   el.innerHTML = `
-    <h2>Trade Composition</h2>
+    <h2>Trade Composition: ${pairLabel(getState().filters.reporter, getState().filters.partner)}</h2>
     ${comtradeNote}
     <div class="chart-container">
       <div class="chart-header">
@@ -175,6 +284,7 @@ function renderComposition(el) {
           <button class="btn btn-xs" data-export="comp-treemap" data-fmt="png">PNG</button>
         </div>
       </div>
+      <nav class="breadcrumb" id="comp-breadcrumb" aria-label="Product hierarchy"></nav>
       <div id="comp-treemap" style="width:100%;height:450px;"></div>
       <div class="provenance" id="comp-provenance"></div>
     </div>
@@ -183,6 +293,17 @@ function renderComposition(el) {
       <div class="chart-header"><h3>Top Products Rank Shift</h3></div>
       <div id="comp-rank" style="width:100%;height:350px;"></div>
     </div>
+    <div class="chart-container">
+      <div class="chart-header">
+        <h3>Trade Indices</h3>
+        <div class="chart-actions">
+          <button class="btn btn-xs" data-export="comp-indices" data-fmt="png">PNG</button>
+        </div>
+      </div>
+      <div id="comp-index-controls"></div>
+      <div id="comp-indices" style="width:100%;height:380px;"></div>
+      <div id="comp-index-table"></div>
+    </div>
   `;
 }
 
@@ -217,12 +338,36 @@ function renderMacro(el) {
     </div>
     <div class="chart-container">
       <div class="chart-header"><h3>Correlation Explorer</h3></div>
+      <div id="corr-controls"></div>
       <div class="correlation-controls">
-        <label>Lag (years): <input type="range" id="corr-lag" min="0" max="5" value="0"><span id="corr-lag-val">0</span></label>
-        <p class="caveat">Caveat: Correlation does not imply causation.</p>
+        <label>Lag (years): <input type="range" id="corr-lag" min="-5" max="5" value="0"><span id="corr-lag-val">0</span></label>
+        <span id="corr-stats"></span>
+        <p class="caveat">Caveat: Correlation does not imply causation. Positive lags pair X with later Y.</p>
       </div>
       <div id="corr-chart" style="width:100%;height:350px;"></div>
     </div>
+    <div class="chart-container">
+      <div class="chart-header">
+        <h3>Cross-Correlation Function</h3>
+        <div class="chart-actions">
+          <button class="btn btn-xs" data-export="ccf-chart" data-fmt="png">PNG</button>
+        </div>
+      </div>
+      <div id="ccf-chart" style="width:100%;height:300px;"></div>
+    </div>
+    <div class="chart-container">
+      <div class="chart-header">
+        <h3>Rolling Correlation</h3>
+        <div class="chart-actions">
+          <button class="btn btn-xs" data-export="rolling-corr-chart" data-fmt="png">PNG</button>
+        </div>
+      </div>
+      <div id="rolling-corr-chart" style="width:100%;height:300px;"></div>
+    </div>
+    <div class="chart-container">
+      <div class="chart-header"><h3>Granger Causality (F-test)</h3></div>
+      <div id="granger-table"></div>
+    </div>
   `;
 }
 
@@ -237,10 +382,56 @@ function renderForecast(el) {
     <div class="chart-container">
       <div class="chart-header"><h3>Baseline Forecast</h3></div>
       <div id="forecast-chart" style="width:100%;height:400px;"></div>
+      <div id="hw-params"></div>
+    </div>
+    <div class="chart-container">
+      <div class="chart-header">
+        <h3>Structural Breaks &amp; Outliers</h3>
+        <div class="chart-actions">
+          <button class="btn btn-xs" data-export="cusum-chart" data-fmt="png">PNG</button>
+        </div>
+      </div>
+      <div id="breaks-controls"></div>
+      <div id="cusum-chart" style="width:100%;height:280px;"></div>
+      <div id="breaks-table"></div>
     </div>
     <div class="chart-container">
-      <div class="chart-header"><h3>Regression: trade ~ lag(FX) + GDP</h3></div>
+      <div class="chart-header">
+        <h3>Backtest (Expanding Window)</h3>
+        <div class="chart-actions">
+          <button class="btn btn-xs" data-export="backtest-chart" data-fmt="png">PNG</button>
+        </div>
+      </div>
+      <div class="model-controls">
+        <label>Initial window <input type="number" id="bt-initial" min="3" step="1"></label>
+        <label>Step <input type="number" id="bt-step" min="1" step="1"></label>
+        <label>Horizon <input type="number" id="bt-horizon" min="1" step="1"></label>
+        <button class="btn btn-xs" id="bt-run">Run backtest</button>
+      </div>
+      <div id="backtest-chart" style="width:100%;height:320px;"></div>
+      <div id="backtest-table"></div>
+    </div>
+    <div class="chart-container">
+      <div class="chart-header">
+        <h3>Regression Explorer (annual, OLS)</h3>
+        <div class="chart-actions">
+          <button class="btn btn-xs" data-export="regression-chart" data-fmt="png">PNG</button>
+        </div>
+      </div>
+      <div id="regression-controls"></div>
       <div id="regression-chart" style="width:100%;height:350px;"></div>
+      <div id="regression-table"></div>
+    </div>
+    <div class="chart-container">
+      <div class="chart-header">
+        <h3>Gravity Model (cross-section)</h3>
+        <div class="chart-actions">
+          <button class="btn btn-xs" data-export="gravity-chart" data-fmt="png">PNG</button>
+        </div>
+      </div>
+      <div id="gravity-summary"></div>
+      <div id="gravity-chart" style="width:100%;height:350px;"></div>
+      <div id="gravity-table"></div>
     </div>
     <div class="diagnostics-panel" id="diagnostics">
       <h3>Diagnostics</h3>
@@ -249,6 +440,71 @@ function renderForecast(el) {
   `;
 }
 
+// ── Scenarios ────────────────────────────────────────────────
+function renderScenarios(el) {
+  const { reporter, partner } = getState().filters;
+  el.innerHTML = `
+    <h2>Scenarios: ${pairLabel(reporter, partner)} (Model Output — Not Fact)</h2>
+    <div class="model-warning">
+      Scenario projections are <strong>model outputs</strong>: a Holt-Winters baseline scaled by
+      assumed tariff elasticities and estimated FX elasticities. They are not forecasts of policy outcomes.
+    </div>
+    <div class="chart-container">
+      <div class="chart-header"><h3>Scenario Inputs</h3></div>
+      <div id="scenario-form"></div>
+      <div id="scenario-inputs"></div>
+    </div>
+    <div class="chart-container">
+      <div class="chart-header">
+        <h3>Projected Impact</h3>
+        <div class="chart-actions">
+          <button class="btn btn-xs" data-export="scenario-chart" data-fmt="png">PNG</button>
+        </div>
+      </div>
+      <div id="scenario-chart" style="width:100%;height:380px;"></div>
+      <div id="scenario-impact"></div>
+    </div>
+    <div class="chart-container">
+      <div class="chart-header">
+        <h3>Saved Scenarios</h3>
+        <div class="chart-actions">
+          <button class="btn btn-xs" id="scenario-export-csv">Export CSV</button>
+          <button class="btn btn-xs" id="scenario-export-json">Export JSON</button>
+          <button class="btn btn-xs" data-export="scenario-compare-chart" data-fmt="png">PNG</button>
+        </div>
+      </div>
+      <div id="scenario-list"></div>
+      <div id="scenario-compare-chart" style="width:100%;height:350px;"></div>
+      <div id="scenario-compare-table"></div>
+    </div>
+  `;
+}
+
+// ── Mirror statistics ────────────────────────────────────────
+function renderMirror(el) {
+  const { reporter, partner } = getState().filters;
+  el.innerHTML = `
+    <h2>Mirror Statistics: ${pairLabel(reporter, partner)}</h2>
+    <div class="chart-container">
+      <div class="chart-header">
+        <h3>Reported vs Mirror Flows</h3>
+        <div class="chart-actions">
+          <button class="btn btn-xs" id="mirror-export-csv">Export CSV</button>
+          <button class="btn btn-xs" data-export="mirror-chart" data-fmt="png">PNG</button>
+        </div>
+      </div>
+      <div id="mirror-controls"></div>
+      <div id="mirror-chart" style="width:100%;height:380px;"></div>
+      <div id="mirror-summary"></div>
+      <div class="provenance" id="mirror-provenance"></div>
+    </div>
+    <div class="chart-container">
+      <div class="chart-header"><h3>Product-Group Asymmetries</h3></div>
+      <div id="mirror-products"></div>
+    </div>
+  `;
+}
+
 // ── Methods ──────────────────────────────────────────────────
 function renderMethods(el) {
   el.innerHTML = `
@@ -264,7 +520,7 @@ function renderMethods(el) {
           <br><a href="https://datahelpdesk.worldbank.org/knowledgebase/articles/898581-api-basic-call-structures" target="_blank">Basic Call Structures</a>
           | <a href="https://datahelpdesk.worldbank.org/knowledgebase/articles/898599-indicator-api-queries" target="_blank">Indicator Queries</a>
         </li>
-        <li><strong>Frankfurter API</strong> — USD/INR and USD/CNY exchange rates (ECB reference rates).
+        <li><strong>Frankfurter API</strong> — USD exchange rates for the selected countries' currencies (ECB reference rates).
           <br><a href="https://frankfurter.dev/" target="_blank">Documentation</a>
           <br>Note: Rates update daily ~16:00 CET. "Rate date" shown on all FX displays.
         </li>
@@ -276,7 +532,8 @@ function renderMethods(el) {
 
       <h3>Data Processing</h3>
       <ul>
-        <li>All trade values in current USD.</li>
+        <li>Trade values are stored in current USD and shown in the unit chosen in the filter bar: local currency (annual-average USD rate), constant USD (US GDP deflator or CPI, chosen base year) or % of the reporter's GDP. Years without a conversion factor are dropped; gravity and scenario outputs stay in current USD.</li>
+        <li>Monthly totals (YYYY-MM) come from UN Comtrade when enabled; forecasts then use 12-month seasonality.</li>
         <li>Missing values preserved as null/gaps — no imputation unless user toggles.</li>
         <li>Schema validation on every dataset; raw data stored even if validation fails.</li>
         <li>Request fingerprints (URL + params hash) stored for reproducibility.</li>
@@ -287,7 +544,11 @@ function renderMethods(el) {
       <ul>
         <li><strong>Seasonal Naive + Trend</strong>: Last season's value plus average trend growth.</li>
         <li><strong>Holt-Winters</strong>: Additive triple exponential smoothing (level, trend, seasonal).</li>
-        <li><strong>Explanatory Regression</strong>: OLS with trade_value ~ lag(FX) + GDP + seasonality dummies.</li>
+        <li><strong>Scenario Simulator</strong>: tariff and FX shocks applied to the Holt-Winters baseline through import-demand elasticities (user-set) and log-log FX elasticities (OLS).</li>
+        <li><strong>Gravity Model</strong>: log-linear OLS and PPML of bilateral exports on GDP, distance, contiguity, common language and RTAs; compares expected and actual trade for the selected pair.</li>
+        <li><strong>Regression Explorer</strong>: annual OLS of trade value (level, log or differenced) on user-chosen macro indicators, each with its own lag and transformation; reports standard errors, t-stats, p-values, R²/adjusted R², F, Durbin–Watson and VIFs.</li>
+        <li><strong>Structural Breaks</strong>: least-RSS search for up to two trend breaks (BIC-selected), Chow F-tests, CUSUM of recursive residuals, and modified z-score outliers on log growth; marked on the Overview and Forecast charts.</li>
+        <li><strong>Correlation Explorer</strong>: cross-correlation of any two annual series at lags −5..+5 with ±1.96/√n bounds, rolling-window Pearson correlation, and Granger causality F-tests in both directions.</li>
       </ul>
       <p>Diagnostics: Rolling train/test splits, RMSE, MAPE, residual summaries.</p>
 
@@ -298,14 +559,199 @@ function renderMethods(el) {
         <li><strong>Shannon Entropy</strong>: Information-theoretic diversification measure.</li>
       </ul>
 
+      <h3>Trade Indices</h3>
+      <ul>
+        <li><strong>RCA</strong>: Balassa revealed comparative advantage, (x<sub>k</sub>/X) / (w<sub>k</sub>/W); above 1 = specialised in product k.</li>
+        <li><strong>Trade Complementarity</strong>: 100 · (1 − Σ|m<sub>jk</sub> − x<sub>ik</sub>|/2), one country's export mix against the other's import mix.</li>
+        <li><strong>Export Similarity</strong>: Finger–Kreinin, 100 · Σ min(x<sub>ik</sub>, x<sub>jk</sub>) over world export shares.</li>
+        <li><strong>Grubel–Lloyd</strong>: intra-industry trade, 100 · (1 − |X<sub>k</sub> − M<sub>k</sub>|/(X<sub>k</sub> + M<sub>k</sub>)), per product and trade-weighted.</li>
+      </ul>
+
+      <h3>Mirror Statistics</h3>
+      <p>Importer-reported imports (CIF, divided by a 1.10 CIF/FOB factor by default) against exporter-reported exports, by year and product group.
+        Groups with a one-sided gap above the threshold in most years are flagged as persistent asymmetries — a screening signal, not proof of misinvoicing.</p>
+
+      <h3>Events</h3>
+      <p>Curated events (assets/data/events.json) are marked on time-axis charts at the period containing their date and listed, with filters, on the Overview page. They give context only; no effect is estimated.</p>
+
       <h3>Limitations</h3>
       <ul>
         <li>WITS API limits: max 2 dimensions as ALL; reporter+partner both ALL not permitted.</li>
+        <li>If the WITS JSON endpoint fails or changes shape, the same query is retried against the WITS SDMX (XML) endpoint.</li>
+        <li>Once the WITS codelists are loaded (query builder below), codes are checked against them before a request is sent.</li>
         <li>CORS restrictions may prevent live refresh from some browsers; pre-fetched WITS data is displayed in that case.</li>
+        <li>IMF DOTS totals only fill periods WITS and Comtrade do not cover (e.g. recent months); quarterly IMF rows are not charted. IMF figures include estimates and are revised.</li>
         <li>Exchange rates are ECB reference rates (mid-market), not transaction rates.</li>
         <li>Correlation ≠ causation — macro correlations are exploratory, not causal.</li>
       </ul>
     </div>
+    <div class="chart-container">
+      <div class="chart-header"><h3>WITS Query Builder</h3></div>
+      <p><small>Search the WITS codelists for reporter, partner, product and indicator codes, check the query against the API limits and preview the rows it returns.</small></p>
+      <div id="wits-query-builder"></div>
+      <div id="wits-query-summary"></div>
+      <div id="wits-query-results"></div>
+    </div>
+    <div class="chart-container">
+      <div class="chart-header"><h3>Data Sources</h3></div>
+      <p><small>Live sources refreshed on load and on corridor change. Switch one off with <code>sources.&lt;id&gt;: false</code> in assets/config/local.js.</small></p>
+      <div id="source-health"></div>
+      <h4>Source Reconciliation</h4>
+      <div id="source-reconciliation"></div>
+    </div>
+    <div class="chart-container">
+      <div class="chart-header">
+        <h3>Cache Inspector</h3>
+        <div class="chart-actions">
+          <button class="btn btn-xs" id="btn-clear-cache">Clear cache</button>
+        </div>
+      </div>
+      <div id="cache-inspector"></div>
+    </div>
+  `;
+}
+
+// ── WITS query builder ───────────────────────────────────────
+const WITS_QUERY_FIELDS = [
+  { param: 'reporter', dim: 'REPORTER', label: 'Reporter', placeholder: 'e.g. IND or India' },
+  { param: 'partner', dim: 'PARTNER', label: 'Partner', placeholder: 'e.g. CHN or China' },
+  { param: 'product', dim: 'PRODUCTCODE', label: 'Product', placeholder: 'e.g. Total or machinery' },
+  { param: 'indicator', dim: 'INDICATOR', label: 'Indicator', placeholder: 'e.g. export value' },
+];
+
+/**
+ * Query form with a searchable code picker per dimension. Each field takes 'all', a code,
+ * or codes separated by ';'; picking a code replaces the code being typed.
+ * @param {{ datasource, reporter, partner, product, indicator, year }} query
+ * @param {{ status: 'loading'|'ready'|'unavailable', codelists: object|null,
+ *   datasources: { id: string, label: string }[] }} meta
+ * @param {{ onChange: function(object), onRun: function(object) }} handlers
+ */
+export function renderWitsQueryBuilder(query, { status, codelists, datasources }, { onChange, onRun }) {
+  const el = $('#wits-query-builder');
+  if (!el) return;
+  const statusNote = {
+    loading: 'Loading WITS codelists…',
+    ready: codelists ? `Codelists retrieved ${codelists.retrieval_ts.slice(0, 16).replace('T', ' ')} UTC.` : '',
+    unavailable: 'WITS codelists unavailable (offline or CORS): codes cannot be searched or checked.',
+  }[status];
+  el.innerHTML = `
+    <div class="model-controls">
+      <label>Dataset <select id="wq-datasource">
+        ${datasources.map(d => `<option value="${d.id}" ${d.id === query.datasource ? 'selected' : ''}>${escapeHTML(d.label)}</option>`).join('')}
+      </select></label>
+      <label title="A year, or 'all'">Year <input type="text" id="wq-year" value="${escapeHTML(query.year)}" style="width:60px"></label>
+      <button class="btn btn-sm" id="wq-run">Run query</button>
+    </div>
+    <div class="code-pickers">
+      ${WITS_QUERY_FIELDS.map(f => `
+        <div class="code-picker" data-param="${f.param}">
+          <label for="wq-${f.param}">${f.label}</label>
+          <input type="search" id="wq-${f.param}" value="${escapeHTML(query[f.param])}" placeholder="${f.placeholder}" autocomplete="off">
+          <ul class="code-picker-results" hidden></ul>
+        </div>`).join('')}
+    </div>
+    <p class="caveat">${statusNote}</p>
+  `;
+
+  const read = () => ({
+    datasource: $('#wq-datasource').value,
+    year: $('#wq-year').value.trim() || 'all',
+    ...Object.fromEntries(WITS_QUERY_FIELDS.map(f => [f.param, $(`#wq-${f.param}`).value.trim() || 'all'])),
+  });
+
+  for (const f of WITS_QUERY_FIELDS) {
+    const picker = $(`.code-picker[data-param="${f.param}"]`, el);
+    const input = $('input', picker);
+    const list = $('.code-picker-results', picker);
+    const codes = codelists?.dimensions[f.dim] || [];
+    const showMatches = () => {
+      const typed = input.value.split(';').pop().trim();
+      const matches = codes.length > 0 && typed.toLowerCase() !== 'all' ? searchCodes(codes, typed) : [];
+      list.innerHTML = matches.map(c => `
+        <li><button type="button" data-code="${escapeHTML(c.id)}"><code>${escapeHTML(c.id)}</code> ${escapeHTML(c.name)}</button></li>`).join('');
+      list.hidden = matches.length === 0;
+    };
+    input.addEventListener('focus', showMatches);
+    input.addEventListener('input', () => {
+      showMatches();
+      onChange(read());
+    });
+    input.addEventListener('blur', () => setTimeout(() => { list.hidden = true; }, 150)); // let a click land first
+    list.addEventListener('mousedown', e => e.preventDefault()); // keep focus in the input
+    list.addEventListener('click', e => {
+      const btn = e.target.closest('button[data-code]');
+      if (!btn) return;
+      const parts = input.value.split(';').map(s => s.trim());
+      parts[parts.length - 1] = btn.dataset.code;
+      input.value = parts.filter(p => p && p.toLowerCase() !== 'all').join(';');
+      list.hidden = true;
+      onChange(read());
+    });
+  }
+  $('#wq-datasource').addEventListener('change', () => onChange(read()));
+  $('#wq-year').addEventListener('input', () => onChange(read()));
+  $('#wq-run').addEventListener('click', () => onRun(read()));
+}
+
+/**
+ * Planner verdict and request URLs for the query being built.
+ * @param {{ valid: boolean, reason?: string, requests: number, jsonUrl: string, sdmxUrl: string,
+ *   names: string[], pair: { reporter: string, partner: string }|null, explain: string }} summary -
+ *   pair holds registry ISO3 codes when both countries can be used in the filter bar; explain is
+ *   the planner's dry-run text
+ * @param {{ onUseFilters: function(string, string) }} handlers
+ */
+export function renderWitsQuerySummary(summary, { onUseFilters }) {
+  const el = $('#wits-query-summary');
+  if (!el) return;
+  el.innerHTML = `
+    <table class="diag-table">
+      <tr><th>Check</th><td>${summary.valid
+        ? `Valid — ${summary.requests} request${summary.requests === 1 ? '' : 's'}${summary.requests > 1 ? ' (split to stay within WITS limits)' : ''}`
+        : `<span class="kpi-negative">${escapeHTML(summary.reason)}</span>`}</td></tr>
+      ${summary.names.length > 0 ? `<tr><th>Codes</th><td>${summary.names.map(escapeHTML).join('<br>')}</td></tr>` : ''}
+      <tr><th>JSON</th><td class="cache-key" title="${escapeHTML(summary.jsonUrl)}">${escapeHTML(summary.jsonUrl)}</td></tr>
+      <tr><th>SDMX fallback</th><td class="cache-key" title="${escapeHTML(summary.sdmxUrl)}">${escapeHTML(summary.sdmxUrl)}</td></tr>
+    </table>
+    <details class="explain-plan">
+      <summary>Explain plan</summary>
+      <pre>${escapeHTML(summary.explain)}</pre>
+    </details>
+    ${summary.pair ? `
+      <button class="btn btn-sm" id="wq-use-filters">Use ${escapeHTML(pairLabel(summary.pair.reporter, summary.pair.partner))} in the filter bar</button>` : ''}
+  `;
+  $('#wq-use-filters')?.addEventListener('click', () => onUseFilters(summary.pair.reporter, summary.pair.partner));
+}
+
+/**
+ * Rows returned by a query-builder run (first 50).
+ * @param {{ rows: object[], requests: number, failed: number, error?: string }} result
+ */
+export function renderWitsQueryResults({ rows, requests, failed, error }) {
+  const el = $('#wits-query-results');
+  if (!el) return;
+  if (error) {
+    el.innerHTML = `<p class="caveat">${escapeHTML(error)}</p>`;
+    return;
+  }
+  const shown = rows.slice(0, 50);
+  el.innerHTML = `
+    <p><small>${rows.length} rows from ${requests - failed} of ${requests} requests${failed > 0 ? ` (${failed} failed; see the error log)` : ''}.</small></p>
+    ${shown.length > 0 ? `
+      <table class="diag-table">
+        <tr><th>Year</th><th>Reporter</th><th>Partner</th><th>Flow</th><th>Product</th><th>Value (USD)</th></tr>
+        ${shown.map(r => `
+          <tr>
+            <td>${escapeHTML(r.date)}</td>
+            <td>${escapeHTML(r.reporter_iso3)}</td>
+            <td>${escapeHTML(r.partner_iso3)}</td>
+            <td>${escapeHTML(r.flow)}</td>
+            <td>${escapeHTML(r.product_code)}</td>
+            <td>${r.value_usd == null ? '–' : Math.round(r.value_usd).toLocaleString()}</td>
+          </tr>`).join('')}
+      </table>
+      ${rows.length > shown.length ? `<p class="caveat">First ${shown.length} rows shown.</p>` : ''}` : ''}
   `;
 }
 
@@ -314,9 +760,7 @@ export function renderKPIs(data) {
   const container = $('#kpi-row');
   if (!container) return;
 
-  const format = (v) => v !== null && v !== undefined
-    ? '$' + (Math.abs(v) >= 1e9 ? (v / 1e9).toFixed(1) + 'B' : (v / 1e6).toFixed(0) + 'M')
-    : 'Data unavailable';
+  const format = (v) => v !== null && v !== undefined ? displayUnit().format(v, 1) : 'Data unavailable';
 
   const formatPct = (v) => v !== null && v !== undefined ? v.toFixed(1) + '%' : '–';
 
@@ -369,6 +813,11 @@ export function renderConcentrationMetrics(metrics) {
   const el = $('#concentration-metrics');
   if (!el) return;
   el.innerHTML = `
+    ${metrics.level ? `
+    <div class="metric-card">
+      <div class="metric-label">Level</div>
+      <div class="metric-value">${LEVEL_LABELS[metrics.level] || metrics.level} (${metrics.count})</div>
+    </div>` : ''}
     <div class="metric-card">
       <div class="metric-label">HHI</div>
       <div class="metric-value">${metrics.hhi !== null ? metrics.hhi.toFixed(0) : 'Data unavailable'}</div>
@@ -384,6 +833,389 @@ export function renderConcentrationMetrics(metrics) {
   `;
 }
 
+// ── Composition breadcrumb ───────────────────────────────────
+const LEVEL_LABELS = { GROUP: 'HS sections', HS2: 'HS2 chapters', HS4: 'HS4 headings' };
+
+/**
+ * Breadcrumb for the Composition drill path.
+ * @param {Array<{code, name}>} trail - drilled nodes below the root
+ * @param {function(string[])} onNavigate - called with the path to jump back to
+ */
+export function renderCompositionBreadcrumb(trail, onNavigate) {
+  const el = $('#comp-breadcrumb');
+  if (!el) return;
+  const crumbs = [{ code: '', name: 'All sections' }, ...trail];
+  el.innerHTML = crumbs.map((c, i) => i === crumbs.length - 1
+    ? `<span class="crumb current">${c.name}</span>`
+    : `<a href="#" class="crumb" data-depth="${i}">${c.name}</a>`
+  ).join('<span class="crumb-sep">›</span>');
+  $$('a.crumb', el).forEach(a => a.addEventListener('click', e => {
+    e.preventDefault();
+    onNavigate(trail.slice(0, parseInt(a.dataset.depth)).map(t => t.code));
+  }));
+}
+
+// ── Correlation explorer ─────────────────────────────────────
+/**
+ * X/Y series pickers with transformations, rolling window and Granger lag order.
+ * @param {{ x, xTransform, y, yTransform, window, grangerLags }} spec
+ * @param {{ series: Array<{ id, label }>, transforms: Object<string, string>, maxGrangerLags: number }} options
+ * @param {function(object)} onChange - receives the edited spec
+ */
+export function renderCorrelationControls(spec, { series, transforms, maxGrangerLags }, onChange) {
+  const el = $('#corr-controls');
+  if (!el) return;
+  const seriesOptions = selected => series
+    .map(s => `<option value="${s.id}" ${s.id === selected ? 'selected' : ''}>${escapeHTML(s.label)}</option>`).join('');
+  const transformOptions = selected => Object.entries(transforms)
+    .map(([k, label]) => `<option value="${k}" ${k === selected ? 'selected' : ''}>${label}</option>`).join('');
+  el.innerHTML = `
+    <div class="model-controls">
+      <label>X <select id="corr-x">${seriesOptions(spec.x)}</select></label>
+      <select id="corr-x-transform" aria-label="X transformation">${transformOptions(spec.xTransform)}</select>
+    </div>
+    <div class="model-controls">
+      <label>Y <select id="corr-y">${seriesOptions(spec.y)}</select></label>
+      <select id="corr-y-transform" aria-label="Y transformation">${transformOptions(spec.yTransform)}</select>
+    </div>
+    <div class="model-controls">
+      <label>Rolling window (years) <input type="number" id="corr-window" min="3" step="1" value="${spec.window}"></label>
+      <label>Granger lags <select id="corr-granger-lags">
+        ${Array.from({ length: maxGrangerLags }, (_, i) => i + 1)
+          .map(l => `<option value="${l}" ${l === spec.grangerLags ? 'selected' : ''}>${l}</option>`).join('')}
+      </select></label>
+    </div>
+  `;
+  const read = () => ({
+    x: $('#corr-x').value,
+    xTransform: $('#corr-x-transform').value,
+    y: $('#corr-y').value,
+    yTransform: $('#corr-y-transform').value,
+    window: Math.max(3, parseInt($('#corr-window').value) || spec.window),
+    grangerLags: parseInt($('#corr-granger-lags').value),
+  });
+  $$('select, input', el).forEach(input => input.addEventListener('change', () => onChange(read())));
+}
+
+/**
+ * Granger F-tests in both directions.
+ * @param {{ xToY, yToX, lags, years }|{ error }} result - worker granger_result plus the years used
+ * @param {{ x: string, y: string }} labels
+ */
+export function renderGrangerTable(result, labels) {
+  const el = $('#granger-table');
+  if (!el) return;
+  if (!result || result.error) {
+    el.innerHTML = `<p class="caveat">Granger test not available${result?.error ? `: ${escapeHTML(result.error)}` : ''}.</p>`;
+    return;
+  }
+  const row = (test, from, to) => `
+    <tr>
+      <td>${escapeHTML(from)} → ${escapeHTML(to)}</td>
+      <td>${test ? test.fStat.toFixed(3) : '–'}</td>
+      <td>${test ? `${test.df1}, ${test.df2}` : '–'}</td>
+      <td>${test ? test.pValue.toFixed(4) : '–'}</td>
+      <td>${test ? (test.pValue < 0.05 ? '<strong>Yes (5%)</strong>' : test.pValue < 0.1 ? 'Weak (10%)' : 'No') : '–'}</td>
+    </tr>`;
+  el.innerHTML = `
+    <table class="diag-table">
+      <tr><th>H₁: past values help predict</th><th>F</th><th>df</th><th>p-value</th><th>Reject H₀?</th></tr>
+      ${row(result.xToY, labels.x, labels.y)}
+      ${row(result.yToX, labels.y, labels.x)}
+    </table>
+    <p class="caveat">${result.lags} lag${result.lags === 1 ? '' : 's'}, ${result.years[0]}–${result.years[result.years.length - 1]} (${result.years.length} consecutive years). MODEL OUTPUT — NOT FACT.
+      Granger causality means predictive precedence, not causation. Non-stationary series (levels) give spurious results; prefer differences.</p>
+  `;
+}
+
+// ── Structural breaks ────────────────────────────────────────
+/**
+ * Chow-test period picker for the break panel.
+ * @param {string[]} periods - testable periods (both regimes need at least 3 observations)
+ * @param {string|null} selected
+ * @param {function(string|null)} onChange
+ */
+export function renderBreakControls(periods, selected, onChange) {
+  const el = $('#breaks-controls');
+  if (!el) return;
+  el.innerHTML = `
+    <div class="model-controls">
+      <label title="Chow test for a trend break at a known date, e.g. a policy change">Test a break at
+        <select id="break-candidate">
+          <option value="">—</option>
+          ${periods.map(p => `<option value="${p}" ${p === selected ? 'selected' : ''}>${p}</option>`).join('')}
+        </select>
+      </label>
+    </div>
+  `;
+  $('#break-candidate').addEventListener('change', e => onChange(e.target.value || null));
+}
+
+/**
+ * Detected breaks, the user-chosen Chow test, the CUSUM verdict and outliers.
+ * @param {object|{ error }} result - worker breaks_result
+ * @param {string} seriesLabel
+ */
+export function renderBreaksTable(result, seriesLabel) {
+  const el = $('#breaks-table');
+  if (!el) return;
+  if (!result || result.error) {
+    el.innerHTML = `<p class="caveat">Break detection not available${result?.error ? `: ${escapeHTML(result.error)}` : ''}.</p>`;
+    return;
+  }
+  const { periods } = result;
+  const chowRow = (kind, { index, chow }) => `
+    <tr>
+      <td>${kind}</td>
+      <td>${periods[index]}</td>
+      <td>${chow ? `F(${chow.df1}, ${chow.df2}) = ${chow.fStat.toFixed(2)}` : '–'}</td>
+      <td>${chow ? chow.pValue.toFixed(4) : '–'}</td>
+      <td>${chow ? (chow.pValue < 0.05 ? '<strong>Break (5%)</strong>' : chow.pValue < 0.1 ? 'Weak (10%)' : 'No') : 'Segment too short'}</td>
+    </tr>`;
+  const cusum = result.cusum;
+  el.innerHTML = `
+    <table class="diag-table">
+      <tr><th>Test</th><th>Period</th><th>Statistic</th><th>p-value</th><th>Verdict</th></tr>
+      ${result.breaks.map(b => chowRow('Bai–Perron break (Chow)', b)).join('')}
+      ${result.breaks.length === 0 ? '<tr><td>Bai–Perron search</td><td>–</td><td>–</td><td>–</td><td>No break (BIC prefers one trend)</td></tr>' : ''}
+      ${result.candidates.map(c => chowRow('Chow test, chosen date', c)).join('')}
+      <tr>
+        <td>CUSUM (recursive residuals)</td>
+        <td>${cusum?.firstCrossing !== null && cusum?.firstCrossing !== undefined ? periods[cusum.firstCrossing] : '–'}</td>
+        <td>${cusum ? `max |W| = ${Math.max(...cusum.cusum.map(Math.abs)).toFixed(2)}` : '–'}</td>
+        <td>${cusum ? '5% bounds' : '–'}</td>
+        <td>${cusum ? (cusum.crossed ? '<strong>Unstable</strong>' : 'Stable') : 'Too short'}</td>
+      </tr>
+      ${result.outliers.map(o => `
+        <tr>
+          <td>Outlier (modified z)</td>
+          <td>${periods[o.index]}</td>
+          <td>z = ${o.score.toFixed(2)}</td>
+          <td>–</td>
+          <td>${o.change < 0 ? 'Sharp fall' : 'Sharp rise'}</td>
+        </tr>`).join('')}
+    </table>
+    <p class="caveat">${escapeHTML(seriesLabel)}, ${periods[0]}–${periods[periods.length - 1]}, ${result.transform === 'log' ? 'in logs' : 'in levels'}.
+      MODEL OUTPUT — NOT FACT. Regimes are linear trends; break dates are the first period of the new regime.
+      Tests on a date chosen after seeing the data overstate significance.</p>
+  `;
+}
+
+/**
+ * One-line summary of breaks and outliers under the overview chart.
+ */
+export function renderBreakNote(result, seriesLabel) {
+  const el = $('#overview-breaks');
+  if (!el) return;
+  if (!result || result.error) {
+    el.innerHTML = '';
+    return;
+  }
+  const list = idx => (idx.length > 0 ? idx.map(i => result.periods[i]).join(', ') : 'none');
+  el.innerHTML = `<p class="caveat">${escapeHTML(seriesLabel)}: trend breaks ${list(result.breaks.map(b => b.index))};
+    outliers ${list(result.outliers.map(o => o.index))} (model output; details on the Forecast page).</p>`;
+}
+
+// ── Events timeline ──────────────────────────────────────────
+/**
+ * Category, pair and text filters for the events timeline and chart markers.
+ * The text box reports on input, so the caller should re-render the list only.
+ * @param {{ categories: string[], pairOnly: boolean, query: string, showOnCharts: boolean }} filter
+ * @param {function(object)} onChange
+ */
+export function renderEventControls(filter, onChange) {
+  const el = $('#events-controls');
+  if (!el) return;
+  el.innerHTML = `
+    <div class="model-controls">
+      ${EVENT_CATEGORIES.map(c => `
+        <label><input type="checkbox" class="event-category" value="${c.id}" ${filter.categories.includes(c.id) ? 'checked' : ''}>
+          <span class="event-dot" style="background:${c.color}"></span>${escapeHTML(c.label)}</label>`).join('')}
+    </div>
+    <div class="model-controls">
+      <label title="Hide events that involve neither country of the pair (global events are always kept)">
+        <input type="checkbox" id="events-pair-only" ${filter.pairOnly ? 'checked' : ''}> This pair only</label>
+      <label><input type="checkbox" id="events-on-charts" ${filter.showOnCharts ? 'checked' : ''}> Show on charts</label>
+      <label>Search <input type="search" id="events-query" value="${escapeHTML(filter.query)}" placeholder="e.g. anti-dumping"></label>
+    </div>
+  `;
+  const read = () => ({
+    categories: $$('.event-category', el).filter(cb => cb.checked).map(cb => cb.value),
+    pairOnly: $('#events-pair-only').checked,
+    query: $('#events-query').value,
+    showOnCharts: $('#events-on-charts').checked,
+  });
+  for (const input of $$('input[type=checkbox]', el)) input.addEventListener('change', () => onChange(read()));
+  $('#events-query').addEventListener('input', () => onChange(read()));
+}
+
+/**
+ * Filtered events, oldest first.
+ * @param {object[]} events
+ * @param {number} total - events loaded before filtering
+ */
+export function renderEventTimeline(events, total) {
+  const el = $('#events-timeline');
+  if (!el) return;
+  if (total === 0) {
+    el.innerHTML = '<p class="caveat">No events loaded (assets/data/events.json).</p>';
+    return;
+  }
+  el.innerHTML = `
+    <ol class="events-timeline">
+      ${events.map(e => {
+        const cat = eventCategory(e.category);
+        const source = e.source_url
+          ? `<a href="${escapeHTML(e.source_url)}" target="_blank" rel="noopener">${escapeHTML(e.source)}</a>`
+          : escapeHTML(e.source);
+        return `
+        <li style="border-left-color:${cat.color}">
+          <time datetime="${escapeHTML(e.date)}">${escapeHTML(e.date)}</time>
+          <span class="event-tag" style="color:${cat.color}">${escapeHTML(cat.label)}</span>
+          <strong>${escapeHTML(e.title)}</strong>
+          ${e.description ? `<p>${escapeHTML(e.description)}</p>` : ''}
+          <small>Source: ${source}</small>
+        </li>`;
+      }).join('')}
+    </ol>
+    <p class="caveat">${events.length} of ${total} events. Events are context, not estimated effects: a marker near a change in trade does not show that the event caused it.</p>
+  `;
+}
+
+// ── Trade indices ────────────────────────────────────────────
+/**
+ * Sub-view selector for the trade-index chart.
+ * @param {string} view - selected key of views
+ * @param {Object<string, string>} views - view key → label
+ * @param {function(string)} onChange
+ */
+export function renderTradeIndexControls(view, views, onChange) {
+  const el = $('#comp-index-controls');
+  if (!el) return;
+  el.innerHTML = `
+    <div class="model-controls">
+      <label>Index <select id="comp-index-view">
+        ${Object.entries(views).map(([k, label]) => `<option value="${k}" ${k === view ? 'selected' : ''}>${label}</option>`).join('')}
+      </select></label>
+    </div>
+  `;
+  $('#comp-index-view').addEventListener('change', e => onChange(e.target.value));
+}
+
+/**
+ * Year-by-year values of the charted index series, plus data-coverage notes.
+ * @param {{ years: string[], series: Array<{ name, values: (number|null)[] }>, decimals: number }} table
+ * @param {string[]} notes
+ */
+export function renderTradeIndexTable({ years, series, decimals }, notes = []) {
+  const el = $('#comp-index-table');
+  if (!el) return;
+  const fmt = v => (v === null || v === undefined ? '–' : v.toFixed(decimals));
+  el.innerHTML = `
+    ${series.length > 0 ? `
+    <table class="diag-table">
+      <tr><th></th>${years.map(y => `<th>${y}</th>`).join('')}</tr>
+      ${series.map(s => `<tr><td>${escapeHTML(s.name)}</td>${s.values.map(v => `<td>${fmt(v)}</td>`).join('')}</tr>`).join('')}
+    </table>` : ''}
+    ${notes.map(n => `<p class="caveat">${n}</p>`).join('')}
+  `;
+}
+
+/**
+ * Mirror view controls: compared flow, CIF/FOB margin and the persistence threshold.
+ * @param {{ direction: 'imports'|'exports', cifFobPct: number, thresholdPct: number }} spec
+ * @param {{ imports: string, exports: string }} directions - option labels
+ */
+export function renderMirrorControls(spec, directions, onChange) {
+  const el = $('#mirror-controls');
+  if (!el) return;
+  el.innerHTML = `
+    <div class="model-controls">
+      <label>Flow <select id="mirror-direction">
+        ${Object.entries(directions).map(([k, label]) => `<option value="${k}" ${k === spec.direction ? 'selected' : ''}>${escapeHTML(label)}</option>`).join('')}
+      </select></label>
+      <label title="Freight and insurance margin removed from CIF imports before comparing with FOB exports">CIF/FOB margin (%)
+        <input type="number" id="mirror-cif" min="0" max="50" step="1" value="${spec.cifFobPct}" style="width:60px"></label>
+      <label title="A product group is flagged when its gap exceeds this share of the exporter's value, in the same direction, in at least 75% of years">Flag gaps ≥ (%)
+        <input type="number" id="mirror-threshold" min="1" max="500" step="5" value="${spec.thresholdPct}" style="width:60px"></label>
+    </div>
+  `;
+  const read = () => {
+    const num = (id, fallback) => {
+      const v = parseFloat($(id).value);
+      return Number.isFinite(v) && v >= 0 ? v : fallback;
+    };
+    return {
+      direction: $('#mirror-direction').value,
+      cifFobPct: num('#mirror-cif', spec.cifFobPct),
+      thresholdPct: num('#mirror-threshold', spec.thresholdPct),
+    };
+  };
+  for (const id of ['#mirror-direction', '#mirror-cif', '#mirror-threshold']) {
+    $(id).addEventListener('change', () => onChange(read()));
+  }
+}
+
+/**
+ * Year-by-year totals behind the mirror chart, plus coverage notes.
+ * @param {Array<{ date, imports_cif, imports_fob, exports_fob, gap_usd, gap_pct }>} rows
+ */
+export function renderMirrorSummary(rows, { importerLabel, exporterLabel }, notes = []) {
+  const el = $('#mirror-summary');
+  if (!el) return;
+  const unit = displayUnit();
+  const pct = v => (v === null ? '–' : `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`);
+  el.innerHTML = `
+    ${rows.length > 0 ? `
+    <table class="diag-table">
+      <tr><th>Year</th><th>${escapeHTML(importerLabel)} imports (CIF)</th><th>FOB-adjusted</th><th>${escapeHTML(exporterLabel)} exports (FOB)</th><th>Gap</th><th>Gap %</th></tr>
+      ${rows.map(r => `
+        <tr>
+          <td>${r.date}</td>
+          <td>${unit.format(r.imports_cif)}</td>
+          <td>${unit.format(r.imports_fob)}</td>
+          <td>${unit.format(r.exports_fob)}</td>
+          <td>${unit.format(r.gap_usd)}</td>
+          <td>${pct(r.gap_pct)}</td>
+        </tr>`).join('')}
+    </table>` : ''}
+    ${notes.map(n => `<p class="caveat">${n}</p>`).join('')}
+  `;
+}
+
+/**
+ * Product groups ranked by mean mirror gap; persistent one-sided gaps are flagged.
+ * @param {ReturnType<typeof import('./services/transformers.js').flagPersistentAsymmetries>} products
+ */
+export function renderMirrorProducts(products, { importerLabel, exporterLabel, thresholdPct }) {
+  const el = $('#mirror-products');
+  if (!el) return;
+  if (products.length === 0) {
+    el.innerHTML = '<p class="caveat">No product groups reported by both sides. Mirror composition needs both countries’ product-group data (see README: <code>--mirror</code>).</p>';
+    return;
+  }
+  const unit = displayUnit();
+  const side = d => escapeHTML(d === 'importer' ? importerLabel : exporterLabel);
+  el.innerHTML = `
+    <table class="diag-table">
+      <tr><th>Product group</th><th>Years</th><th>Mean gap %</th><th>Cumulative gap</th><th>Reports more</th><th>Years ≥ ${thresholdPct}%</th><th></th></tr>
+      ${products.map(p => `
+        <tr>
+          <td>${escapeHTML(p.product_name)} (${escapeHTML(p.product_code)})</td>
+          <td>${p.years}</td>
+          <td>${p.meanGapPct >= 0 ? '+' : ''}${p.meanGapPct.toFixed(1)}%</td>
+          <td>${unit.format(p.totalGapUsd)}</td>
+          <td>${side(p.direction)}</td>
+          <td>${p.flaggedYears}/${p.years}</td>
+          <td>${p.persistent ? '<strong>Persistent</strong>' : ''}</td>
+        </tr>`).join('')}
+    </table>
+    <p class="caveat">Persistent = at least 3 comparable years with a one-sided gap of ${thresholdPct}% or more in at least 75% of them.
+      Gaps are a screening signal, not evidence of misinvoicing: re-exports via third countries, timing, valuation and
+      classification differences also produce them.</p>
+  `;
+}
+
 // ── Diagnostics panel ────────────────────────────────────────
 export function renderDiagnostics(diag) {
   const el = $('#diag-content');
@@ -394,22 +1226,683 @@ export function renderDiagnostics(diag) {
   }
   el.innerHTML = `
     <table class="diag-table">
-      <tr><th>Model</th><th>RMSE</th><th>MAPE</th></tr>
+      <tr><th>Model</th><th>RMSE</th><th>MAPE</th><th>Prediction Interval</th></tr>
       <tr>
         <td>Seasonal Naive</td>
         <td>${diag.naive?.rmse !== null ? diag.naive.rmse.toFixed(2) : '–'}</td>
         <td>${diag.naive?.mape !== null ? diag.naive.mape.toFixed(1) + '%' : '–'}</td>
+        <td>${intervalMethodLabel(diag.naive?.intervals)}</td>
       </tr>
       <tr>
         <td>Holt-Winters</td>
         <td>${diag.hw?.rmse !== null ? diag.hw.rmse.toFixed(2) : '–'}</td>
         <td>${diag.hw?.mape !== null ? diag.hw.mape.toFixed(1) + '%' : '–'}</td>
+        <td>${intervalMethodLabel(diag.hw?.intervals)}</td>
+      </tr>
+      <tr>
+        <td>${diag.arima?.model ? `ARIMA(${diag.arima.model.order.p},${diag.arima.model.order.d},${diag.arima.model.order.q})` : 'ARIMA'}</td>
+        <td>${diag.arima?.rmse != null ? diag.arima.rmse.toFixed(2) : '–'}</td>
+        <td>${diag.arima?.mape != null ? diag.arima.mape.toFixed(1) + '%' : '–'}</td>
+        <td>${intervalMethodLabel(diag.arima?.intervals)}</td>
       </tr>
     </table>
+    ${arimaDetails(diag.arima?.model)}
     <h4>Residual Summary</h4>
     <pre>${JSON.stringify(diag.residualSummary || {}, null, 2)}</pre>
   `;
 }
 
+// ── Holt-Winters parameters ──────────────────────────────────
+/**
+ * Fitted (or locked) Holt-Winters weights with AIC, plus controls to lock them.
+ * @param {object} fit - worker result holtWinters.params
+ * @param {{ locked: boolean, seasonal: boolean, onApply: function(object|null) }} opts
+ *   onApply receives { alpha, beta, gamma } to lock, or null to return to automatic fitting
+ */
+export function renderHWParams(fit, { locked, seasonal, onApply }) {
+  const el = $('#hw-params');
+  if (!el || !fit) return;
+  const fmt = v => (v === null || v === undefined ? '–' : v.toFixed(3));
+  const input = (id, key, enabled) => `
+    <label>${key === 'alpha' ? 'α' : key === 'beta' ? 'β' : 'γ'}
+      <input type="number" id="${id}" min="0" max="1" step="0.01" value="${fit[key].toFixed(2)}" ${enabled ? '' : 'disabled'}>
+    </label>`;
+
+  el.innerHTML = `
+    <table class="diag-table">
+      <tr><th>Holt-Winters</th><th>α (level)</th><th>β (trend)</th><th>γ (season)</th><th>One-step RMSE</th><th>AIC</th></tr>
+      <tr>
+        <td>${fit.optimised ? `Fitted (Nelder–Mead, ${fit.iterations} iterations)` : 'Locked by user'}</td>
+        <td>${fmt(fit.alpha)}</td>
+        <td>${fmt(fit.beta)}</td>
+        <td>${seasonal ? fmt(fit.gamma) : 'n/a (annual)'}</td>
+        <td>${Number.isFinite(fit.sse) && fit.n > 0 ? displayUnit().format(Math.sqrt(fit.sse / fit.n)) : '–'}</td>
+        <td>${fmt(fit.aic)}</td>
+      </tr>
+    </table>
+    <div class="model-controls">
+      <label><input type="checkbox" id="hw-lock" ${locked ? 'checked' : ''}> Lock parameters</label>
+      ${input('hw-alpha', 'alpha', locked)}
+      ${input('hw-beta', 'beta', locked)}
+      ${input('hw-gamma', 'gamma', locked && seasonal)}
+      <button class="btn btn-xs" id="hw-apply" ${locked ? '' : 'disabled'}>Apply</button>
+    </div>
+  `;
+
+  const lock = $('#hw-lock');
+  const fields = ['#hw-alpha', '#hw-beta', '#hw-gamma'].map(sel => $(sel));
+  lock.addEventListener('change', () => {
+    fields.forEach((f, i) => { f.disabled = !lock.checked || (i === 2 && !seasonal); });
+    $('#hw-apply').disabled = !lock.checked;
+    if (!lock.checked && locked) onApply(null);
+  });
+  $('#hw-apply').addEventListener('click', () => {
+    const clamp = v => Math.min(1, Math.max(0, Number.isFinite(v) ? v : 0));
+    const [alpha, beta, gamma] = fields.map(f => clamp(parseFloat(f.value)));
+    onApply({ alpha, beta, gamma });
+  });
+}
+
+// ── Backtest ─────────────────────────────────────────────────
+/**
+ * Fill the backtest controls and call onRun({ initial, step, horizon }) on "Run backtest".
+ */
+export function renderBacktestControls(config, onRun) {
+  const fields = { initial: $('#bt-initial'), step: $('#bt-step'), horizon: $('#bt-horizon') };
+  if (!fields.initial) return;
+  for (const [k, el] of Object.entries(fields)) el.value = config[k];
+  const btn = $('#bt-run');
+  // Assigned rather than added: the controls outlive each re-render of the forecast page
+  if (btn) btn.onclick = () => {
+    const read = (k, min) => Math.max(min, parseInt(fields[k].value) || min);
+    onRun({ initial: read('initial', 3), step: read('step', 1), horizon: read('horizon', 1) });
+  };
+}
+
+/**
+ * Overall and per-horizon backtest errors.
+ * @param {object} result - backtest_result from the model worker (or { error })
+ * @param {Array<{key, name}>} models
+ * @param {string[]} periods - labels of the non-null values the worker backtested (origins index into it)
+ */
+export function renderBacktestTable(result, models, periods) {
+  const el = $('#backtest-table');
+  if (!el) return;
+  if (result.error) {
+    el.innerHTML = `<p class="caveat">Backtest failed: ${result.error}</p>`;
+    return;
+  }
+  if (result.origins.length === 0) {
+    el.innerHTML = '<p class="caveat">No forecast origins: the initial window covers the whole series. Reduce the initial window.</p>';
+    return;
+  }
+
+  const num = (v, d = 2) => (v === null || v === undefined ? '–' : v.toFixed(d));
+  const pct = v => (v === null || v === undefined ? '–' : v.toFixed(1) + '%');
+  const bn = v => (v === null || v === undefined ? '–' : displayUnit().format(v));
+  const { config, origins } = result;
+  const best = Math.min(...models.map(m => result.models[m.key]?.overall.mase ?? Infinity));
+
+  el.innerHTML = `
+    <p><small>
+      ${origins.length} origins (${periods[origins[0] - 1]} → ${periods[origins[origins.length - 1] - 1]}),
+      initial window ${config.initial}, step ${config.step}, horizon ${config.horizon}.
+      Models are re-fitted at every origin. MASE &lt; 1 beats the in-sample one-step seasonal naive.
+    </small></p>
+    <table class="diag-table">
+      <tr><th>Model</th><th>n</th><th>RMSE</th><th>MAE</th><th>MAPE</th><th>sMAPE</th><th>MASE</th></tr>
+      ${models.map(m => {
+        const o = result.models[m.key]?.overall;
+        if (!o) return '';
+        return `
+        <tr>
+          <td>${o.mase === best ? `<strong>${m.name}</strong>` : m.name}</td>
+          <td>${o.n}</td>
+          <td>${bn(o.rmse)}</td>
+          <td>${bn(o.mae)}</td>
+          <td>${pct(o.mape)}</td>
+          <td>${pct(o.smape)}</td>
+          <td>${num(o.mase)}</td>
+        </tr>`;
+      }).join('')}
+    </table>
+    <h4>Per-horizon MASE / sMAPE</h4>
+    <table class="diag-table">
+      <tr><th>h</th>${models.map(m => `<th>${m.name}</th>`).join('')}</tr>
+      ${Array.from({ length: config.horizon }, (_, k) => `
+        <tr>
+          <td>${k + 1}</td>
+          ${models.map(m => {
+            const row = result.models[m.key]?.byHorizon[k];
+            return `<td>${row && row.n > 0 ? `${num(row.mase)} / ${pct(row.smape)} <small>(n=${row.n})</small>` : '–'}</td>`;
+          }).join('')}
+        </tr>`).join('')}
+    </table>
+  `;
+}
+
+// ── Scenario simulator ───────────────────────────────────────
+/**
+ * Shock inputs: name, tariff changes (pp), FX changes (%) per pair currency, elasticities.
+ * @param {{ name: string, params: object }} draft
+ * @param {string[]} currencies - pair currencies (USD/<CUR> shocks)
+ * @param {{ onRun: function(object), onSave: function(string, object) }} handlers
+ */
+export function renderScenarioForm(draft, currencies, { onRun, onSave }) {
+  const el = $('#scenario-form');
+  if (!el) return;
+  const { params } = draft;
+  const field = (id, label, value, step, title) => `
+    <label title="${title}">${label} <input type="number" id="${id}" step="${step}" value="${value}"></label>`;
+
+  el.innerHTML = `
+    <div class="model-controls">
+      <label>Name <input type="text" id="sc-name" value="${escapeHTML(draft.name)}" placeholder="e.g. +5pp tariff"></label>
+    </div>
+    <div class="model-controls">
+      ${field('sc-tariff-reporter', 'Reporter AHS tariff Δ (pp)', params.tariffReporterPp, 0.5, 'Change in the reporter’s applied tariff on imports from the partner, in percentage points')}
+      ${field('sc-tariff-partner', 'Partner AHS tariff Δ (pp)', params.tariffPartnerPp, 0.5, 'Change in the partner’s applied tariff on the reporter’s exports, in percentage points')}
+    </div>
+    <div class="model-controls">
+      ${currencies.map(c => field(`sc-fx-${c}`, `USD/${c} Δ (%)`, params.fxShocks[c] ?? 0, 1, `Change in USD/${c}; positive = ${c} depreciates`)).join('')}
+    </div>
+    <div class="model-controls">
+      ${field('sc-el-export', 'Export-demand elasticity', params.elasticities.exportDemand, 0.1, 'Partner import-demand elasticity w.r.t. tariff-inclusive price (negative)')}
+      ${field('sc-el-import', 'Import-demand elasticity', params.elasticities.importDemand, 0.1, 'Reporter import-demand elasticity w.r.t. tariff-inclusive price (negative)')}
+      <button class="btn btn-xs" id="sc-run">Run</button>
+      <button class="btn btn-xs" id="sc-save">Save scenario</button>
+    </div>
+  `;
+
+  const num = id => {
+    const v = parseFloat($(id).value);
+    return Number.isFinite(v) ? v : 0;
+  };
+  const read = () => ({
+    tariffReporterPp: num('#sc-tariff-reporter'),
+    tariffPartnerPp: num('#sc-tariff-partner'),
+    fxShocks: Object.fromEntries(currencies.map(c => [c, num(`#sc-fx-${c}`)])),
+    elasticities: { exportDemand: num('#sc-el-export'), importDemand: num('#sc-el-import') },
+  });
+  $('#sc-run').addEventListener('click', () => onRun(read()));
+  $('#sc-save').addEventListener('click', () => {
+    const name = $('#sc-name').value.trim();
+    if (!name) {
+      $('#sc-name').focus();
+      return;
+    }
+    onSave(name, read());
+  });
+}
+
+/**
+ * Estimated inputs behind the projection: base tariffs and FX elasticities per flow.
+ * @param {object} inputs - { baseYear, tariffReporter, tariffPartner, tariffNotes[], fx: { EXPORT, IMPORT } }
+ *   fx.<flow> = { error } or { n, r2, terms: [{ currency|null, label, coef, pValue }] }
+ */
+export function renderScenarioInputs(inputs) {
+  const el = $('#scenario-inputs');
+  if (!el) return;
+  const num = (v, d = 3) => (v === null || v === undefined || !Number.isFinite(v) ? '–' : v.toFixed(d));
+  const pval = v => (v === null || v === undefined ? '–' : v < 0.001 ? '&lt;0.001' : v.toFixed(3));
+  const fxRows = flow => {
+    const fit = inputs.fx[flow];
+    if (fit.error) return `<tr><td>${flow === 'EXPORT' ? 'Exports' : 'Imports'}</td><td colspan="3">${fit.error}</td></tr>`;
+    return fit.terms.map((t, i) => `
+      <tr>
+        ${i === 0 ? `<td rowspan="${fit.terms.length}">${flow === 'EXPORT' ? 'Exports' : 'Imports'}<br><small>n=${fit.n}, R²=${num(fit.r2, 2)}</small></td>` : ''}
+        <td>${t.label}</td><td>${num(t.coef)}</td><td>${pval(t.pValue)}</td>
+      </tr>`).join('');
+  };
+
+  el.innerHTML = `
+    <p><small>
+      Baseline: Holt-Winters forecast of annual totals from ${inputs.baseYear}.
+      Base applied tariffs: reporter ${num(inputs.tariffReporter, 1)}%, partner ${num(inputs.tariffPartner, 1)}%.
+      ${inputs.tariffNotes.join(' ')}
+    </small></p>
+    <table class="diag-table">
+      <tr><th>Flow</th><th>Term (log-log OLS)</th><th>Elasticity</th><th>p-value</th></tr>
+      ${fxRows('EXPORT')}
+      ${fxRows('IMPORT')}
+    </table>
+    <p class="caveat">FX shocks use the elasticities on lagged ln(USD/currency), so they take effect one year after the shock. Insignificant coefficients are still applied — check the p-values.</p>
+  `;
+}
+
+/**
+ * Year-by-year baseline vs scenario table.
+ */
+export function renderScenarioImpact(baseline, projection) {
+  const el = $('#scenario-impact');
+  if (!el) return;
+  const bn = v => (v === null || v === undefined ? '–' : '$' + (v / 1e9).toFixed(2) + 'B');
+  const delta = (a, b) => (a === null || b === null ? '–' : `${a - b >= 0 ? '+' : '−'}$${(Math.abs(a - b) / 1e9).toFixed(2)}B`);
+  const sum = vals => vals.reduce((s, v) => s + (v ?? 0), 0);
+  const baseBalance = baseline.exports.map((x, h) => x - baseline.imports[h]);
+
+  el.innerHTML = `
+    <table class="diag-table">
+      <tr><th>Year</th><th>Exports</th><th>Δ vs baseline</th><th>Imports</th><th>Δ vs baseline</th><th>Balance</th><th>Δ vs baseline</th></tr>
+      ${projection.years.map((y, h) => `
+        <tr>
+          <td>${y}</td>
+          <td>${bn(projection.exports[h])}</td><td>${delta(projection.exports[h], baseline.exports[h])}</td>
+          <td>${bn(projection.imports[h])}</td><td>${delta(projection.imports[h], baseline.imports[h])}</td>
+          <td>${bn(projection.balance[h])}</td><td>${delta(projection.balance[h], baseBalance[h])}</td>
+        </tr>`).join('')}
+      <tr>
+        <td><strong>Cumulative</strong></td>
+        <td></td><td>${delta(sum(projection.exports), sum(baseline.exports))}</td>
+        <td></td><td>${delta(sum(projection.imports), sum(baseline.imports))}</td>
+        <td></td><td>${delta(sum(projection.balance), sum(baseBalance))}</td>
+      </tr>
+    </table>
+  `;
+}
+
+/**
+ * Saved scenarios with compare checkboxes, load and delete actions.
+ * @param {object[]} scenarios
+ * @param {string[]} selected - ids ticked for comparison
+ * @param {{ onToggle: function(string, boolean), onLoad: function(object), onDelete: function(string) }} handlers
+ */
+export function renderScenarioList(scenarios, selected, { onToggle, onLoad, onDelete }) {
+  const el = $('#scenario-list');
+  if (!el) return;
+  if (scenarios.length === 0) {
+    el.innerHTML = '<p class="caveat">No saved scenarios yet. Set shocks above and click "Save scenario".</p>';
+    return;
+  }
+  const summary = p => [
+    p.tariffReporterPp ? `reporter tariff ${p.tariffReporterPp > 0 ? '+' : ''}${p.tariffReporterPp}pp` : '',
+    p.tariffPartnerPp ? `partner tariff ${p.tariffPartnerPp > 0 ? '+' : ''}${p.tariffPartnerPp}pp` : '',
+    ...Object.entries(p.fxShocks).filter(([, v]) => v).map(([c, v]) => `USD/${c} ${v > 0 ? '+' : ''}${v}%`),
+    `ε = ${p.elasticities.exportDemand} / ${p.elasticities.importDemand}`,
+  ].filter(Boolean).join(', ');
+
+  el.innerHTML = `
+    <table class="diag-table">
+      <tr><th>Compare</th><th>Name</th><th>Pair</th><th>Shocks</th><th>Saved</th><th></th></tr>
+      ${scenarios.map(s => `
+        <tr>
+          <td><input type="checkbox" data-compare="${s.id}" ${selected.includes(s.id) ? 'checked' : ''}></td>
+          <td>${escapeHTML(s.name)}</td>
+          <td>${pairLabel(s.reporter, s.partner)}</td>
+          <td><small>${summary(s.params)}</small></td>
+          <td><small>${s.createdAt.slice(0, 10)}</small></td>
+          <td>
+            <button class="btn btn-xs" data-load="${s.id}">Load</button>
+            <button class="btn btn-xs" data-delete="${s.id}">Delete</button>
+          </td>
+        </tr>`).join('')}
+    </table>
+  `;
+  const byId = id => scenarios.find(s => s.id === id);
+  $$('[data-compare]', el).forEach(cb => cb.addEventListener('change', () => onToggle(cb.dataset.compare, cb.checked)));
+  $$('[data-load]', el).forEach(btn => btn.addEventListener('click', () => onLoad(byId(btn.dataset.load))));
+  $$('[data-delete]', el).forEach(btn => btn.addEventListener('click', () => onDelete(btn.dataset.delete)));
+}
+
+/**
+ * Side-by-side cumulative impact of the compared scenarios.
+ * @param {Array<{ name, projection }>} results - first entry is the baseline
+ */
+export function renderScenarioComparison(results) {
+  const el = $('#scenario-compare-table');
+  if (!el) return;
+  if (results.length <= 1) {
+    el.innerHTML = '<p class="caveat">Tick saved scenarios to compare them side by side.</p>';
+    return;
+  }
+  const sum = vals => vals.reduce((s, v) => s + (v ?? 0), 0);
+  const bn = v => '$' + (v / 1e9).toFixed(2) + 'B';
+  const [base, ...rest] = results;
+  const metrics = [['Exports', 'exports'], ['Imports', 'imports'], ['Balance', 'balance']];
+  const last = r => r.projection.years.length - 1;
+
+  el.innerHTML = `
+    <table class="diag-table">
+      <tr><th>Cumulative ${base.projection.years[0]}–${base.projection.years[last(base)]}</th>${results.map(r => `<th>${escapeHTML(r.name)}</th>`).join('')}</tr>
+      ${metrics.map(([label, key]) => `
+        <tr>
+          <td>${label}</td>
+          <td>${bn(sum(base.projection[key]))}</td>
+          ${rest.map(r => {
+            const d = sum(r.projection[key]) - sum(base.projection[key]);
+            return `<td>${bn(sum(r.projection[key]))} <small>(${d >= 0 ? '+' : '−'}${bn(Math.abs(d))})</small></td>`;
+          }).join('')}
+        </tr>`).join('')}
+      <tr>
+        <td>Balance in ${base.projection.years[last(base)]}</td>
+        ${results.map(r => `<td>${bn(r.projection.balance[last(r)])}</td>`).join('')}
+      </tr>
+    </table>
+  `;
+}
+
+// ── Regression explorer ──────────────────────────────────────
+/**
+ * Response transform, predictor rows (series, lag, transform) and a Run button.
+ * @param {{ yTransform: string, predictors: Array<{ series, lag, transform }> }} spec
+ * @param {{ series: Array<{ id, label }>, transforms: Object<string, string>, maxLag: number }} options
+ * @param {function(object)} onRun - receives the edited spec
+ */
+export function renderRegressionControls(spec, { series, transforms, maxLag }, onRun) {
+  const el = $('#regression-controls');
+  if (!el) return;
+  const draft = { yTransform: spec.yTransform, predictors: spec.predictors.map(p => ({ ...p })) };
+
+  const transformOptions = selected => Object.entries(transforms)
+    .map(([k, label]) => `<option value="${k}" ${k === selected ? 'selected' : ''}>${label}</option>`).join('');
+  const lagOptions = selected => Array.from({ length: maxLag + 1 }, (_, l) =>
+    `<option value="${l}" ${l === selected ? 'selected' : ''}>${l === 0 ? 't' : `t−${l}`}</option>`).join('');
+  const seriesOptions = selected => series
+    .map(s => `<option value="${s.id}" ${s.id === selected ? 'selected' : ''}>${s.label}</option>`).join('');
+
+  const draw = () => {
+    el.innerHTML = `
+      <div class="model-controls">
+        <label>Response: trade value <select id="reg-y-transform">${transformOptions(draft.yTransform)}</select></label>
+      </div>
+      ${draft.predictors.map((p, i) => `
+        <div class="model-controls" data-predictor="${i}">
+          <label>Predictor ${i + 1} <select data-field="series">${seriesOptions(p.series)}</select></label>
+          <label>Lag <select data-field="lag">${lagOptions(p.lag)}</select></label>
+          <label>Transform <select data-field="transform">${transformOptions(p.transform)}</select></label>
+          <button class="btn btn-xs" data-remove="${i}" ${draft.predictors.length === 1 ? 'disabled' : ''}>Remove</button>
+        </div>`).join('')}
+      <div class="model-controls">
+        <button class="btn btn-xs" id="reg-add" ${series.length === 0 ? 'disabled' : ''}>Add predictor</button>
+        <button class="btn btn-xs" id="reg-run" ${draft.predictors.length === 0 ? 'disabled' : ''}>Run regression</button>
+      </div>
+    `;
+
+    $('#reg-y-transform').addEventListener('change', e => { draft.yTransform = e.target.value; });
+    $$('[data-predictor]', el).forEach(row => {
+      const p = draft.predictors[parseInt(row.dataset.predictor)];
+      row.querySelectorAll('select').forEach(sel => sel.addEventListener('change', () => {
+        p[sel.dataset.field] = sel.dataset.field === 'lag' ? parseInt(sel.value) : sel.value;
+      }));
+    });
+    $$('[data-remove]', el).forEach(btn => btn.addEventListener('click', () => {
+      draft.predictors.splice(parseInt(btn.dataset.remove), 1);
+      draw();
+    }));
+    $('#reg-add').addEventListener('click', () => {
+      draft.predictors.push({ series: series[0].id, lag: 0, transform: 'level' });
+      draw();
+    });
+    $('#reg-run').addEventListener('click', () => onRun({
+      yTransform: draft.yTransform,
+      predictors: draft.predictors.map(p => ({ ...p })),
+    }));
+  };
+  draw();
+}
+
+/**
+ * OLS coefficient table with inference statistics and model summary.
+ * @param {object} result - regression_result from the model worker (or { error })
+ * @param {string} responseLabel - e.g. "log(Exports)"
+ */
+export function renderRegressionTable(result, responseLabel) {
+  const el = $('#regression-table');
+  if (!el) return;
+  if (result.error) {
+    el.innerHTML = `<p class="caveat">Regression not estimated: ${result.error}</p>`;
+    return;
+  }
+
+  const num = (v, d = 3) => {
+    if (v === null || v === undefined || !Number.isFinite(v)) return '–';
+    const a = Math.abs(v);
+    return a !== 0 && (a >= 1e5 || a < 1e-3) ? v.toExponential(d - 1) : v.toFixed(d);
+  };
+  const pval = v => (v === null || v === undefined ? '–' : v < 0.001 ? '&lt;0.001' : v.toFixed(3));
+  const stars = p => (p === null || p === undefined ? '' : p < 0.01 ? '***' : p < 0.05 ? '**' : p < 0.1 ? '*' : '');
+  const terms = ['(Intercept)', ...result.predictorLabels];
+  const rows = terms.map((term, j) => `
+    <tr>
+      <td>${term}</td>
+      <td>${num(result.coefficients[j])}</td>
+      <td>${num(result.standardErrors[j])}</td>
+      <td>${num(result.tStats[j], 2)}</td>
+      <td>${pval(result.pValues[j])} ${stars(result.pValues[j])}</td>
+      <td>${j === 0 ? '' : num(result.vif[j - 1], 2)}</td>
+    </tr>`).join('');
+  const highVif = result.vif.some(v => v === null || v > 10);
+  const dw = result.durbinWatson;
+
+  el.innerHTML = `
+    <p><small>
+      ${responseLabel} on ${result.predictorLabels.length} predictor(s), ${result.years[0]}–${result.years[result.years.length - 1]}.
+      n = ${result.n}, residual df = ${result.df}.
+      R² = ${num(result.r2)}, adjusted R² = ${num(result.adjR2)},
+      F = ${num(result.fStat, 2)} (p ${pval(result.fPValue)}),
+      Durbin–Watson = ${num(dw, 2)}, RMSE = ${num(result.rmse)}.
+    </small></p>
+    <table class="diag-table">
+      <tr><th>Term</th><th>Coefficient</th><th>Std. error</th><th>t</th><th>p-value</th><th>VIF</th></tr>
+      ${rows}
+    </table>
+    <p class="caveat">
+      *** p&lt;0.01, ** p&lt;0.05, * p&lt;0.1 (two-sided, classical OLS standard errors).
+      ${result.df < 10 ? ' Few residual degrees of freedom: treat p-values as indicative only.' : ''}
+      ${highVif ? ' VIF above 10 signals strong collinearity between predictors.' : ''}
+      ${dw !== null && (dw < 1.5 || dw > 2.5) ? ' Durbin–Watson far from 2 suggests autocorrelated residuals; standard errors are likely understated.' : ''}
+    </p>
+  `;
+}
+
+// ── Gravity model ────────────────────────────────────────────
+/**
+ * Expected vs actual trade for the selected pair (or why the model was not estimated).
+ * @param {object} summary - { error } or { year, pair, actual, expected: { ppml, ols }, covariates, n, fallbackNote }
+ */
+export function renderGravitySummary(summary) {
+  const el = $('#gravity-summary');
+  if (!el) return;
+  if (summary.error) {
+    el.innerHTML = `<p class="caveat">${summary.error}</p>`;
+    return;
+  }
+  const bn = v => (v === null || v === undefined ? '–' : '$' + (v / 1e9).toFixed(2) + 'B');
+  const gap = expected => {
+    if (!(expected > 0) || summary.actual === null) return '–';
+    const pct = (summary.actual / expected - 1) * 100;
+    return `${pct >= 0 ? '+' : ''}${pct.toFixed(0)}% (${pct >= 0 ? 'above' : 'below'} expected)`;
+  };
+  const cov = summary.covariates;
+  el.innerHTML = `
+    <table class="diag-table">
+      <tr><th>${summary.pair} exports, ${summary.year}</th><th>Actual</th><th>Expected</th><th>Actual vs expected</th></tr>
+      <tr><td>PPML</td><td>${bn(summary.actual)}</td><td>${bn(summary.expected.ppml)}</td><td>${gap(summary.expected.ppml)}</td></tr>
+      <tr><td>Log-linear OLS</td><td>${bn(summary.actual)}</td><td>${bn(summary.expected.ols)}</td><td>${gap(summary.expected.ols)}</td></tr>
+    </table>
+    <p><small>
+      Pair covariates: distance ${Math.round(cov.distanceKm).toLocaleString()} km (capitals),
+      contiguity ${cov.contiguity ? 'yes' : 'no'}, common official language ${cov.commonLanguage ? 'yes' : 'no'},
+      RTA ${cov.agreements.length > 0 ? cov.agreements.join(', ') : 'none'}.
+      Estimated on ${summary.n} country pairs.
+    </small></p>
+    ${summary.fallbackNote ? `<p class="caveat">${summary.fallbackNote}</p>` : ''}
+  `;
+}
+
+/**
+ * Gravity coefficients (elasticities for ln terms) from both estimators.
+ * @param {object} result - gravity_result from the model worker
+ * @param {{ dropped: Array<{ label }> }} design
+ */
+export function renderGravityTable(result, design) {
+  const el = $('#gravity-table');
+  if (!el) return;
+  const num = (v, d = 3) => (v === null || v === undefined || !Number.isFinite(v) ? '–' : v.toFixed(d));
+  const pval = v => (v === null || v === undefined ? '–' : v < 0.001 ? '&lt;0.001' : v.toFixed(3));
+  const cell = (fit, j) => (fit
+    ? `<td>${num(fit.coefficients[j])}</td><td>${num(fit.standardErrors[j])}</td><td>${pval(fit.pValues[j])}</td>`
+    : '<td>–</td><td>–</td><td>–</td>');
+  const terms = ['(Intercept)', ...result.labels];
+  const { ols, ppml } = result;
+
+  el.innerHTML = `
+    <table class="diag-table">
+      <tr><th rowspan="2">Term</th><th colspan="3">PPML (robust SE)</th><th colspan="3">Log-linear OLS</th></tr>
+      <tr><th>Coef.</th><th>SE</th><th>p</th><th>Coef.</th><th>SE</th><th>p</th></tr>
+      ${terms.map((t, j) => `<tr><td>${t}</td>${cell(ppml, j)}${cell(ols, j)}</tr>`).join('')}
+      <tr>
+        <td>Observations</td>
+        <td colspan="3">${ppml ? `${ppml.n} (pseudo-R² ${num(ppml.pseudoR2)}${ppml.converged ? '' : ', not converged'})` : '–'}</td>
+        <td colspan="3">${ols ? `${ols.n} positive flows (R² ${num(ols.r2)})` : '–'}</td>
+      </tr>
+    </table>
+    <p class="caveat">
+      Coefficients on ln terms are elasticities; dummies shift trade by (e<sup>β</sup> − 1) × 100%.
+      ${design.dropped.length > 0 ? `Dropped (no variation in sample): ${design.dropped.map(d => d.label).join(', ')}.` : ''}
+      No exporter/importer fixed effects (multilateral resistance is not controlled for).
+    </p>
+  `;
+}
+
+function arimaDetails(model) {
+  if (!model) return '<p class="caveat">ARIMA not fitted: at least 8 observations are required.</p>';
+  const coef = (name, vals) => vals.map((v, i) => `${name}${i + 1} = ${v.toFixed(3)}`).join(', ');
+  const terms = [coef('φ', model.ar), coef('θ', model.ma)].filter(Boolean).join('; ') || 'no AR/MA terms';
+  const meanLabel = model.order.d === 0 ? 'mean' : model.order.d === 1 ? 'drift' : null;
+  return `
+    <h4>ARIMA Order Selection</h4>
+    <p><small>
+      Selected ARIMA(${model.order.p},${model.order.d},${model.order.q}) by AIC = ${model.aic.toFixed(2)}: ${terms}${meanLabel ? `; ${meanLabel} = ${displayUnit().format(model.mean, 3)}` : ''}.
+    </small></p>
+    <table class="diag-table">
+      <tr><th>Differences (d)</th><th>KPSS statistic</th><th>5% critical</th><th>Result</th></tr>
+      ${model.kpss.map(t => `
+        <tr>
+          <td>${t.d}</td>
+          <td>${t.stat.toFixed(3)}</td>
+          <td>${t.critical}</td>
+          <td>${t.stationary ? 'Stationary' : 'Unit root — difference'}</td>
+        </tr>`).join('')}
+    </table>
+    <table class="diag-table">
+      <tr><th>Candidate</th><th>AIC</th></tr>
+      ${[...model.candidates].sort((a, b) => a.aic - b.aic).map(c => `
+        <tr><td>ARIMA(${c.p},${c.d},${c.q})</td><td>${c.aic.toFixed(2)}</td></tr>`).join('')}
+    </table>
+  `;
+}
+
+function intervalMethodLabel(intervals) {
+  if (!intervals) return 'Not available (too few observations)';
+  const levels = intervals.bands.map(b => b.level + '%').join(' / ');
+  return intervals.method === 'bootstrap'
+    ? `${levels} residual bootstrap (${intervals.paths} paths)`
+    : `${levels} analytic ETS (σ = ${displayUnit().format(intervals.sigma)})`;
+}
+
+// ── Data sources ─────────────────────────────────────────────
+const SOURCE_STATUS = {
+  ok: 'OK',
+  empty: 'No data (snapshot kept)',
+  failed: 'Failed (snapshot kept)',
+  idle: 'Not refreshed yet',
+  unavailable: 'Unavailable',
+  disabled: 'Disabled by flag',
+};
+
+/**
+ * Registered source adapters and the outcome of their last refresh (sourceHealth()).
+ */
+export function renderSourceHealth(sources) {
+  const el = $('#source-health');
+  if (!el) return;
+  const formatTs = (ts) => new Date(ts).toISOString().slice(0, 16).replace('T', ' ');
+  el.innerHTML = `
+    <table class="diag-table">
+      <tr><th>Id</th><th>Source</th><th>Table</th><th>Frequency</th><th>Status</th><th>Last refresh</th><th>Rows</th></tr>
+      ${sources.map(s => `
+        <tr>
+          <td><code>${s.id}</code></td>
+          <td>${s.label}${s.capabilities.requiresKey ? ' <small>(API key)</small>' : ''}${s.capabilities.cors ? '' : ' <small>(often CORS-blocked)</small>'}</td>
+          <td>${s.capabilities.table}</td>
+          <td>${s.capabilities.frequencies.join(', ')}</td>
+          <td>${SOURCE_STATUS[s.status] || s.status}${s.detail ? `<br><small>${escapeHTML(s.detail)}</small>` : ''}</td>
+          <td>${s.last ? formatTs(s.last.ts) : '–'}</td>
+          <td>${s.last ? `${s.last.rows}${s.last.invalid ? ` (${s.last.invalid} invalid)` : ''}` : '–'}</td>
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+/**
+ * IMF DOTS annual totals against WITS for the corridor (reconcileSources rows). Values in
+ * current USD whatever the Units filter.
+ */
+export function renderSourceReconciliation(rows, { pair, reporterName }) {
+  const el = $('#source-reconciliation');
+  if (!el) return;
+  if (rows.length === 0) {
+    el.innerHTML = `<p class="caveat">No years with both WITS and IMF DOTS totals for ${escapeHTML(pair)}. IMF data loads with the live refresh (or from fixtures with <code>imf.fixtures</code>).</p>`;
+    return;
+  }
+  const usd = createConverter([], { unit: 'USD' });
+  const pct = v => (v === null ? '–' : `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`);
+  const basis = { A: 'annual', Q: '4 quarters', M: '12 months' };
+  el.innerHTML = `
+    <p><small>${escapeHTML(pair)}, as reported by ${escapeHTML(reporterName)}. Gap = IMF − WITS. Imports are CIF and exports FOB in both sources.</small></p>
+    <table class="diag-table">
+      <tr><th>Year</th><th>Flow</th><th>WITS</th><th>IMF DOTS</th><th>IMF basis</th><th>Gap</th><th>Gap %</th></tr>
+      ${rows.map(r => `
+        <tr>
+          <td>${r.date}</td>
+          <td>${r.flow}</td>
+          <td>${usd.format(r.reference)}</td>
+          <td>${usd.format(r.candidate)}</td>
+          <td>${basis[r.basis]}</td>
+          <td>${usd.format(r.gap_usd)}</td>
+          <td>${pct(r.gap_pct)}</td>
+        </tr>`).join('')}
+    </table>
+  `;
+}
+
+// ── Cache inspector ──────────────────────────────────────────
+export function renderCacheInspector(entries, maxBytes) {
+  const el = $('#cache-inspector');
+  if (!el) return;
+
+  const formatBytes = (b) => b >= 1024 * 1024 ? (b / 1024 / 1024).toFixed(1) + ' MB' : (b / 1024).toFixed(1) + ' KB';
+  const formatTs = (ts) => new Date(ts).toISOString().slice(0, 16).replace('T', ' ');
+  const totalBytes = entries.reduce((s, e) => s + e.size, 0);
+
+  el.innerHTML = entries.length === 0
+    ? '<p class="caveat">No persisted responses. Live fetches are stored here for reuse across tabs.</p>'
+    : `
+      <p><small>${entries.length} entries, ${formatBytes(totalBytes)} of ${formatBytes(maxBytes)} used. Least recently used entries are evicted first.</small></p>
+      <table class="diag-table">
+        <tr><th>Request</th><th>Source</th><th>Size</th><th>Stored</th><th>Expires</th><th>Status</th></tr>
+        ${entries.map(e => `
+          <tr>
+            <td class="cache-key" title="${e.key}">${e.key.split('|')[0]}</td>
+            <td>${e.source || '–'}</td>
+            <td>${formatBytes(e.size)}</td>
+            <td>${formatTs(e.storedAt)}</td>
+            <td>${formatTs(e.expires)}</td>
+            <td>${e.stale ? 'Stale (revalidates on use)' : 'Fresh'}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+
+  const btn = $('#btn-clear-cache');
+  if (btn) btn.onclick = async () => {
+    await clearCache();
+    renderCacheInspector([], maxBytes);
+    addBanner({ level: 'info', text: 'Local cache cleared. Next refresh will fetch from the network.', dismissible: true });
+  };
+}
+
 // Listen for banner updates
 subscribe('ui.banners', renderBanners);
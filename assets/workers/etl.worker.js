@@ -44,20 +44,20 @@ self.onmessage = async function (e) {
 
       post('progress', { step: 'aggregating', pct: 60 });
 
-      // Aggregate by year
-      const yearMap = new Map();
+      // Aggregate by period (YYYY for annual rows, YYYY-MM for monthly rows)
+      const periodMap = new Map();
       for (const row of valid) {
-        const year = String(row.date).slice(0, 4);
-        const key = `${year}|${row.flow}`;
-        if (!yearMap.has(key)) yearMap.set(key, { date: year, flow: row.flow, value_usd: 0, count: 0 });
-        const agg = yearMap.get(key);
+        const period = String(row.date).slice(0, row.frequency === 'M' ? 7 : 4);
+        const key = `${period}|${row.flow}`;
+        if (!periodMap.has(key)) periodMap.set(key, { date: period, flow: row.flow, value_usd: 0, count: 0 });
+        const agg = periodMap.get(key);
         if (row.value_usd !== null) {
           agg.value_usd += row.value_usd;
           agg.count++;
         }
       }
 
-      const yearly = [...yearMap.values()].sort((a, b) => a.date.localeCompare(b.date));
+      const yearly = [...periodMap.values()].sort((a, b) => a.date.localeCompare(b.date));
 
       post('progress', { step: 'done', pct: 100 });
       post('result', { valid, invalid, yearly, totalValid: valid.length, totalInvalid: invalid.length });
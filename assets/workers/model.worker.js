@@ -4,7 +4,22 @@
  * Runs statistical models off the main thread.
  *
  * Messages IN:  { type: 'forecast', values, params }
- * Messages OUT: { type: 'result'|'error', ... }
+ *               { type: 'backtest', values, params: { initial, step, horizon, seasonPeriod, hw } }
+ *               { type: 'regression', y, X, labels, years }
+ *               { type: 'gravity', y, X, labels }   (y = exports in USD levels)
+ *               { type: 'granger', x, y, lags, labels: { x, y } }   (consecutive periods)
+ *               { type: 'breaks', values, periods, params: { seasonPeriod, maxBreaks, candidates } }
+ *                 (consecutive periods, no nulls; candidates are period indices for extra Chow tests)
+ *   params.hw = { alpha, beta, gamma } locks Holt-Winters weights; omitted → fitted by Nelder–Mead
+ * Messages OUT: { type: 'result'|'backtest_result'|'regression_result'|'gravity_result'|'granger_result'|'error', ... }
+ *   result.<model>.intervals = { method, bands: [{ level, lower[], upper[] }] } (80% / 95%)
+ *   result.holtWinters.params = { alpha, beta, gamma, sse, aic, n, optimised, iterations }
+ *   result.arima.model = { order: { p, d, q }, ar, ma, mean, sigma, aic, kpss, candidates } (null if too short)
+ *   backtest_result = { config, origins, models: { <model>: { byHorizon[], overall, forecasts[] } } }
+ *   regression_result = OLS coefficients with SEs, t/p, R², F, Durbin–Watson and VIFs
+ *   gravity_result = { ols (log-linear, positive flows; ols.rows indexes y), ppml }
+ *   granger_result = { xToY, yToX } F-tests, each { fStat, pValue, df1, df2, n, lags } or null
+ *   breaks_result = { periods, transform, breaks: [{ index, chow }], bic, cusum, outliers, candidates }
  *
  * NOTE: All outputs are MODEL OUTPUTS, NOT facts.
  */
@@ -15,37 +30,74 @@ self.onmessage = function (e) {
   if (type === 'forecast') {
     try {
       const { values, params = {} } = e.data;
-      const { horizon = 5, alpha = 0.3, beta = 0.1, seasonPeriod = 1 } = params;
+      const { horizon = 5, seasonPeriod = 1 } = params;
+      const testSize = params.testSize ?? Math.min(3, Math.floor(values.length / 3));
+      // params.hw = { alpha, beta, gamma } when the user has locked parameters
+      const hwLock = params.hw || null;
+      const fc = modelForecasters(seasonPeriod, hwLock);
 
       // Seasonal naive baseline
       const naive = seasonalNaive(values, seasonPeriod, horizon);
 
       // Holt-Winters
-      const hw = holtWinters(values, { alpha, beta, gamma: 0.2, seasonPeriod, horizon });
+      const hwFit = fitHoltWinters(values, seasonPeriod, hwLock);
+      const hwParams = { alpha: hwFit.alpha, beta: hwFit.beta, gamma: hwFit.gamma, seasonPeriod, horizon };
+      const hw = holtWinters(values, hwParams);
 
-      // Diagnostics via rolling eval
-      const testSize = Math.min(3, Math.floor(values.length / 3));
-      const naiveDiag = rollingEval(values, testSize, v => seasonalNaive(v, seasonPeriod, testSize));
-      const hwDiag = rollingEval(values, testSize, v => holtWinters(v, { alpha, beta, gamma: 0.2, seasonPeriod, horizon: testSize }));
+      // Auto-ARIMA
+      const arimaModel = autoArima(values);
+      const arima = arimaModel ? arimaForecast(values, arimaModel, horizon) : new Array(horizon).fill(null);
+
+      // Prediction intervals (80% / 95%)
+      const naiveIntervals = bootstrapNaiveIntervals(values, seasonPeriod, horizon);
+      const hwIntervals = holtWintersIntervals(values, hwParams);
+
+      // Diagnostics via rolling eval; parameters/orders are re-fitted on the training window
+      const naiveDiag = rollingEval(values, testSize, v => fc.naive(v, testSize));
+      const hwDiag = rollingEval(values, testSize, v => fc.holtWinters(v, testSize));
+      const arimaDiag = rollingEval(values, testSize, v => fc.arima(v, testSize));
 
       self.postMessage({
         type: 'result',
         label: 'MODEL OUTPUT — NOT FACT',
-        naive: { forecast: naive, diagnostics: naiveDiag },
-        holtWinters: { forecast: hw, diagnostics: hwDiag },
+        naive: { forecast: naive, diagnostics: naiveDiag, intervals: naiveIntervals },
+        holtWinters: { forecast: hw, diagnostics: hwDiag, intervals: hwIntervals, params: hwFit },
+        arima: {
+          forecast: arima,
+          diagnostics: arimaDiag,
+          intervals: arimaModel ? arimaIntervals(arimaModel, arima) : null,
+          model: arimaModel && {
+            order: { p: arimaModel.p, d: arimaModel.d, q: arimaModel.q },
+            ar: arimaModel.ar, ma: arimaModel.ma, mean: arimaModel.mean,
+            sigma: Math.sqrt(arimaModel.sigma2), aic: arimaModel.aic,
+            kpss: arimaModel.kpss, candidates: arimaModel.candidates,
+          },
+        },
       });
     } catch (err) {
       self.postMessage({ type: 'error', message: err.message });
     }
   }
 
+  if (type === 'backtest') {
+    try {
+      const { values, params = {} } = e.data;
+      const { seasonPeriod = 1 } = params;
+      const result = backtest(values, modelForecasters(seasonPeriod, params.hw || null), params);
+      self.postMessage({ type: 'backtest_result', label: 'MODEL OUTPUT — NOT FACT', ...result });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message });
+    }
+  }
+
   if (type === 'regression') {
     try {
-      const { y, X, labels } = e.data;
+      const { y, X, labels, years } = e.data;
       const result = olsRegression(X, y);
       if (result) {
         result.label = 'MODEL OUTPUT — NOT FACT';
         result.predictorLabels = labels;
+        result.years = years;
         result.rmse = calcRMSE(y, result.fitted);
         result.mape = calcMAPE(y, result.fitted);
         self.postMessage({ type: 'regression_result', ...result });
@@ -56,8 +108,77 @@ self.onmessage = function (e) {
       self.postMessage({ type: 'error', message: err.message });
     }
   }
+
+  if (type === 'gravity') {
+    try {
+      const { X, y, labels } = e.data;
+      // Log-linear OLS drops zero flows; PPML keeps them
+      const pos = y.map((v, i) => i).filter(i => y[i] > 0);
+      const ols = pos.length > X[0].length + 1 ? olsRegression(pos.map(i => X[i]), pos.map(i => Math.log(y[i]))) : null;
+      if (ols) ols.rows = pos;
+      const ppml = ppmlRegression(X, y);
+      if (!ols && !ppml) {
+        self.postMessage({ type: 'error', message: 'Gravity estimation failed (singular design).' });
+        return;
+      }
+      self.postMessage({ type: 'gravity_result', label: 'MODEL OUTPUT — NOT FACT', labels, ols, ppml });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message });
+    }
+  }
+
+  if (type === 'granger') {
+    try {
+      const { x, y, lags = 1, labels } = e.data;
+      const xToY = grangerTest(y, x, lags);
+      const yToX = grangerTest(x, y, lags);
+      if (!xToY && !yToX) {
+        self.postMessage({ type: 'error', message: `Granger test needs more than ${3 * lags + 1} consecutive years.` });
+        return;
+      }
+      self.postMessage({ type: 'granger_result', label: 'MODEL OUTPUT — NOT FACT', labels, lags, xToY, yToX });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message });
+    }
+  }
+
+  if (type === 'breaks') {
+    try {
+      const { values, periods, params = {} } = e.data;
+      const result = detectStructuralBreaks(values, params);
+      if (!result) {
+        self.postMessage({ type: 'error', message: 'Break detection needs at least 8 consecutive periods.' });
+        return;
+      }
+      self.postMessage({ type: 'breaks_result', label: 'MODEL OUTPUT — NOT FACT', periods, ...result });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message });
+    }
+  }
 };
 
+// --- Model registry: (trainValues, horizon) => forecast[] ---
+
+function modelForecasters(seasonPeriod, hwLock) {
+  return {
+    naive: (v, h) => seasonalNaive(v, seasonPeriod, h),
+    holtWinters: (v, h) => {
+      const { alpha, beta, gamma } = fitHoltWinters(v, seasonPeriod, hwLock);
+      return holtWinters(v, { alpha, beta, gamma, seasonPeriod, horizon: h });
+    },
+    arima: (v, h) => {
+      const m = autoArima(v);
+      return m ? arimaForecast(v, m, h) : new Array(h).fill(null);
+    },
+  };
+}
+
+function fitHoltWinters(values, seasonPeriod, hwLock) {
+  return hwLock
+    ? scoreHoltWinters(values, { ...hwLock, seasonPeriod })
+    : optimiseHoltWinters(values, seasonPeriod) || scoreHoltWinters(values, { ...DEFAULT_HW, seasonPeriod });
+}
+
 // --- Inlined model functions (worker cannot import ES modules in all browsers) ---
 
 function seasonalNaive(values, seasonPeriod, horizon) {
@@ -79,9 +200,13 @@ function seasonalNaive(values, seasonPeriod, horizon) {
   return forecast;
 }
 
-function holtWinters(values, { alpha = 0.3, beta = 0.1, gamma = 0.2, seasonPeriod = 1, horizon = 5 } = {}) {
+function holtWinters(values, opts = {}) {
+  return holtWintersFit(values, opts).forecast;
+}
+
+function holtWintersFit(values, { alpha = 0.3, beta = 0.1, gamma = 0.2, seasonPeriod = 1, horizon = 5 } = {}) {
   const n = values.length;
-  if (n < 2 * seasonPeriod) return seasonalNaive(values, seasonPeriod, horizon);
+  if (n < 2 * seasonPeriod) return { forecast: seasonalNaive(values, seasonPeriod, horizon), residuals: [] };
   let level = values.slice(0, seasonPeriod).reduce((a, b) => a + (b || 0), 0) / seasonPeriod;
   let trend = 0;
   if (n >= 2 * seasonPeriod) {
@@ -93,10 +218,12 @@ function holtWinters(values, { alpha = 0.3, beta = 0.1, gamma = 0.2, seasonPerio
   if (seasonPeriod > 1) {
     for (let i = 0; i < seasonPeriod; i++) seasonal[i] = (values[i] || 0) - level;
   }
+  const residuals = [];
   for (let t = 0; t < n; t++) {
     const v = values[t];
     if (v === null) continue;
     const sIdx = t % seasonPeriod;
+    if (t >= seasonPeriod) residuals.push(v - (level + trend + seasonal[sIdx]));
     const pL = level;
     level = alpha * (v - seasonal[sIdx]) + (1 - alpha) * (level + trend);
     trend = beta * (level - pL) + (1 - beta) * trend;
@@ -106,10 +233,316 @@ function holtWinters(values, { alpha = 0.3, beta = 0.1, gamma = 0.2, seasonPerio
   for (let h = 1; h <= horizon; h++) {
     fc.push(level + trend * h + (seasonPeriod > 1 ? seasonal[(n + h - 1) % seasonPeriod] : 0));
   }
-  return fc;
+  return { forecast: fc, residuals };
+}
+
+// --- Parameter optimisation (see modeling.js) ---
+
+const DEFAULT_HW = { alpha: 0.3, beta: 0.1, gamma: 0.2 };
+const clampParam = v => Math.min(1 - 1e-4, Math.max(1e-4, v));
+
+function optimiseHoltWinters(values, seasonPeriod) {
+  const seasonal = seasonPeriod > 1;
+  const dims = seasonal ? 3 : 2;
+  const toParams = x => ({ alpha: clampParam(x[0]), beta: clampParam(x[1]), gamma: seasonal ? clampParam(x[2]) : DEFAULT_HW.gamma });
+  const sseOf = x => holtWintersSSE(values, { ...toParams(x), seasonPeriod });
+  const x0 = [DEFAULT_HW.alpha, DEFAULT_HW.beta, DEFAULT_HW.gamma].slice(0, dims);
+  if (!Number.isFinite(sseOf(x0))) return null;
+  const { x, fx, iterations } = nelderMead(sseOf, x0);
+  const n = holtWintersFit(values, { ...toParams(x), seasonPeriod, horizon: 1 }).residuals.length;
+  return { ...toParams(x), sse: fx, aic: holtWintersAIC(fx, n, dims), n, optimised: true, iterations };
+}
+
+function scoreHoltWinters(values, { alpha, beta, gamma, seasonPeriod = 1 }) {
+  const sse = holtWintersSSE(values, { alpha, beta, gamma, seasonPeriod });
+  const n = holtWintersFit(values, { alpha, beta, gamma, seasonPeriod, horizon: 1 }).residuals.length;
+  return { alpha, beta, gamma, sse, aic: Number.isFinite(sse) ? holtWintersAIC(sse, n, 0) : null, n, optimised: false, iterations: 0 };
+}
+
+function holtWintersSSE(values, params) {
+  const { residuals } = holtWintersFit(values, { ...params, horizon: 1 });
+  return residuals.length === 0 ? Infinity : residuals.reduce((s, e) => s + e * e, 0);
+}
+
+function holtWintersAIC(sse, n, fittedParams) {
+  if (n === 0 || sse <= 0) return null;
+  return n * Math.log(sse / n) + 2 * (fittedParams + 1);
+}
+
+function nelderMead(f, x0, { maxIter = 300, tol = 1e-10, step = 0.1 } = {}) {
+  const n = x0.length;
+  const point = x => ({ x, f: f(x) });
+  let simplex = [point(x0), ...x0.map((_, i) => point(x0.map((v, j) => (j === i ? v + step : v))))];
+  let iter = 0;
+  for (; iter < maxIter; iter++) {
+    simplex.sort((a, b) => a.f - b.f);
+    const best = simplex[0], worst = simplex[n];
+    if (Math.abs(worst.f - best.f) <= tol * (Math.abs(best.f) + tol)) break;
+    const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((s, p) => s + p.x[j], 0) / n);
+    const along = t => point(centroid.map((c, j) => c + t * (worst.x[j] - c)));
+    const r = along(-1);
+    if (r.f < best.f) {
+      const e = along(-2);
+      simplex[n] = e.f < r.f ? e : r;
+    } else if (r.f < simplex[n - 1].f) {
+      simplex[n] = r;
+    } else {
+      const c = r.f < worst.f ? along(-0.5) : along(0.5);
+      if (c.f < Math.min(r.f, worst.f)) simplex[n] = c;
+      else simplex = simplex.map((p, i) => (i === 0 ? p : point(p.x.map((v, j) => best.x[j] + 0.5 * (v - best.x[j])))));
+    }
+  }
+  simplex.sort((a, b) => a.f - b.f);
+  return { x: simplex[0].x, fx: simplex[0].f, iterations: iter };
+}
+
+// --- Prediction intervals (see modeling.js for derivations) ---
+
+const INTERVAL_LEVELS = [80, 95];
+const Z_SCORES = { 80: 1.2816, 95: 1.96 };
+
+function holtWintersIntervals(values, params = {}) {
+  const { alpha = 0.3, beta = 0.1, gamma = 0.2, seasonPeriod = 1 } = params;
+  const { forecast, residuals } = holtWintersFit(values, params);
+  if (residuals.length < 2) return null;
+  const sigma2 = residuals.reduce((s, e) => s + e * e, 0) / residuals.length;
+  const m = seasonPeriod, a = alpha, b = alpha * beta, g = m > 1 ? (1 - alpha) * gamma : 0;
+  const se = forecast.map((_, i) => {
+    const h = i + 1;
+    const k = Math.floor((h - 1) / m);
+    const f = 1 + (h - 1) * (a * a + a * b * h + (b * b * h * (2 * h - 1)) / 6)
+      + (m > 1 ? g * k * (2 * a + g + b * m * (k + 1)) : 0);
+    return Math.sqrt(sigma2 * f);
+  });
+  return {
+    method: 'analytic',
+    sigma: Math.sqrt(sigma2),
+    bands: INTERVAL_LEVELS.map(level => ({
+      level,
+      lower: forecast.map((f, i) => f - Z_SCORES[level] * se[i]),
+      upper: forecast.map((f, i) => f + Z_SCORES[level] * se[i]),
+    })),
+  };
+}
+
+function bootstrapNaiveIntervals(values, seasonPeriod, horizon, paths = 1000, seed = 42) {
+  const n = values.length;
+  const diffs = [];
+  for (let i = seasonPeriod; i < n; i++) {
+    if (values[i] !== null && values[i - seasonPeriod] !== null) diffs.push(values[i] - values[i - seasonPeriod]);
+  }
+  if (diffs.length < 2) return null;
+  const avgTrend = diffs.reduce((a, b) => a + b, 0) / diffs.length;
+  const res = diffs.map(d => d - avgTrend);
+  const rand = mulberry32(seed);
+  const sims = Array.from({ length: horizon }, () => []);
+  for (let p = 0; p < paths; p++) {
+    const path = values.slice();
+    for (let h = 1; h <= horizon; h++) {
+      const base = path[n + h - 1 - seasonPeriod];
+      path.push(base !== null ? base + avgTrend + res[Math.floor(rand() * res.length)] : null);
+      if (path[n + h - 1] !== null) sims[h - 1].push(path[n + h - 1]);
+    }
+  }
+  sims.forEach(s => s.sort((a, b) => a - b));
+  return {
+    method: 'bootstrap',
+    paths,
+    bands: INTERVAL_LEVELS.map(level => {
+      const tail = (1 - level / 100) / 2;
+      return { level, lower: sims.map(s => quantile(s, tail)), upper: sims.map(s => quantile(s, 1 - tail)) };
+    }),
+  };
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q, lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// --- ARIMA (see modeling.js) ---
+
+const KPSS_CRITICAL_5PCT = 0.463;
+const ARIMA_MAX_ORDER = 2;
+
+function difference(values, d = 1) {
+  let out = values.slice();
+  for (let k = 0; k < d; k++) out = out.slice(1).map((v, t) => v - out[t]);
+  return out;
+}
+
+function kpssStatistic(values) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const e = values.map(v => v - mean);
+  let partial = 0, num = 0;
+  for (const x of e) { partial += x; num += partial * partial; }
+  const lags = Math.floor((3 * Math.sqrt(n)) / 13);
+  let lrv = e.reduce((s, x) => s + x * x, 0) / n;
+  for (let l = 1; l <= lags; l++) {
+    let cov = 0;
+    for (let t = l; t < n; t++) cov += e[t] * e[t - l];
+    lrv += (2 * (1 - l / (lags + 1)) * cov) / n;
+  }
+  return lrv > 0 ? num / (n * n * lrv) : 0;
+}
+
+function selectDifferencing(values, maxD = 2) {
+  const tests = [];
+  let d = 0;
+  for (;;) {
+    const series = difference(values, d);
+    if (series.length < 4) break;
+    const stat = kpssStatistic(series);
+    const stationary = stat <= KPSS_CRITICAL_5PCT;
+    tests.push({ d, stat, critical: KPSS_CRITICAL_5PCT, stationary });
+    if (stationary || d >= maxD) break;
+    d++;
+  }
+  return { d, tests };
+}
+
+function fitArima(values, p, d, q) {
+  const diffed = difference(values, d);
+  const mean = d < 2 ? diffed.reduce((a, b) => a + b, 0) / diffed.length : 0;
+  const w = diffed.map(v => v - mean);
+  const n = w.length - ARIMA_MAX_ORDER;
+  if (n < p + q + 3) return null;
+  const split = x => ({ ar: x.slice(0, p), ma: x.slice(p) });
+  const css = x => {
+    const { ar, ma } = split(x);
+    if (!isStablePoly(ar) || !isStablePoly(ma.map(v => -v))) return Infinity;
+    return armaResiduals(w, ar, ma).reduce((s, e) => s + e * e, 0);
+  };
+  let x = [];
+  let sse = css(x);
+  if (p + q > 0) ({ x, fx: sse } = nelderMead(css, new Array(p + q).fill(0)));
+  const { ar, ma } = split(x);
+  const sigma2 = sse / n;
+  if (!(sigma2 > 0)) return null;
+  const k = p + q + (d < 2 ? 1 : 0) + 1;
+  return { p, d, q, ar, ma, mean, sigma2, sse, n, aic: n * Math.log(sigma2) + 2 * k, residuals: armaResiduals(w, ar, ma) };
+}
+
+function autoArima(values, { maxOrder = ARIMA_MAX_ORDER, maxD = 2 } = {}) {
+  const clean = values.filter(v => v !== null);
+  if (clean.length < 8) return null;
+  const { d, tests } = selectDifferencing(clean, maxD);
+  const candidates = [];
+  for (let p = 0; p <= maxOrder; p++) {
+    for (let q = 0; q <= maxOrder; q++) {
+      const model = fitArima(clean, p, d, q);
+      if (model && Number.isFinite(model.aic)) candidates.push(model);
+    }
+  }
+  if (candidates.length === 0) return null;
+  const best = candidates.reduce((a, b) => (b.aic < a.aic ? b : a));
+  return { ...best, kpss: tests, candidates: candidates.map(({ p, q, aic }) => ({ p, d, q, aic })) };
+}
+
+function arimaForecast(values, model, horizon) {
+  const clean = values.filter(v => v !== null);
+  const w = difference(clean, model.d).map(v => v - model.mean);
+  const e = [...new Array(ARIMA_MAX_ORDER).fill(0), ...armaResiduals(w, model.ar, model.ma)];
+  const wExt = w.slice();
+  for (let h = 0; h < horizon; h++) {
+    const t = wExt.length;
+    let pred = 0;
+    model.ar.forEach((phi, i) => { pred += phi * wExt[t - 1 - i]; });
+    model.ma.forEach((theta, j) => { pred += theta * e[t - 1 - j]; });
+    wExt.push(pred);
+    e.push(0);
+  }
+  let forecast = wExt.slice(w.length).map(v => v + model.mean);
+  for (let k = model.d; k > 0; k--) {
+    const level = difference(clean, k - 1);
+    let last = level[level.length - 1];
+    forecast = forecast.map(v => (last += v));
+  }
+  return forecast;
+}
+
+function arimaIntervals(model, forecast) {
+  let poly = [1, ...model.ar.map(v => -v)];
+  for (let k = 0; k < model.d; k++) poly = poly.map((c, i) => c - (poly[i - 1] ?? 0)).concat(-poly[poly.length - 1]);
+  const a = poly.slice(1).map(v => -v);
+  const psi = [1];
+  for (let j = 1; j < forecast.length; j++) {
+    let v = j <= model.ma.length ? model.ma[j - 1] : 0;
+    for (let i = 1; i <= Math.min(j, a.length); i++) v += a[i - 1] * psi[j - i];
+    psi.push(v);
+  }
+  let cum = 0;
+  const se = psi.map(v => Math.sqrt(model.sigma2 * (cum += v * v)));
+  return {
+    method: 'analytic',
+    sigma: Math.sqrt(model.sigma2),
+    bands: INTERVAL_LEVELS.map(level => ({
+      level,
+      lower: forecast.map((f, i) => f - Z_SCORES[level] * se[i]),
+      upper: forecast.map((f, i) => f + Z_SCORES[level] * se[i]),
+    })),
+  };
+}
+
+function armaResiduals(w, ar, ma) {
+  const e = new Array(w.length).fill(0);
+  for (let t = ARIMA_MAX_ORDER; t < w.length; t++) {
+    let pred = 0;
+    for (let i = 0; i < ar.length; i++) pred += ar[i] * w[t - 1 - i];
+    for (let j = 0; j < ma.length; j++) pred += ma[j] * e[t - 1 - j];
+    e[t] = w[t] - pred;
+  }
+  return e.slice(ARIMA_MAX_ORDER);
+}
+
+function isStablePoly(a) {
+  if (a.length === 0) return true;
+  if (a.length === 1) return Math.abs(a[0]) < 1;
+  const [a1, a2] = a;
+  return a1 + a2 < 1 && a2 - a1 < 1 && Math.abs(a2) < 1;
 }
 
 function olsRegression(X, y) {
+  const fit = olsFit(X, y);
+  if (!fit) return null;
+  const { coefficients, fitted, residuals, XtX } = fit;
+  const n = y.length, k = coefficients.length, df = n - k;
+  const ssr = residuals.reduce((s, e) => s + e * e, 0);
+  const yMean = y.reduce((a, b) => a + b, 0) / n;
+  const sst = y.reduce((s, v) => s + (v - yMean) ** 2, 0);
+  const r2 = sst > 0 ? 1 - ssr / sst : null;
+  const adjR2 = r2 !== null && df > 0 ? 1 - ((1 - r2) * (n - 1)) / df : null;
+  const sigma2 = df > 0 ? ssr / df : null;
+  const inv = invertMatrix(XtX);
+  const standardErrors = coefficients.map((_, j) =>
+    inv && sigma2 !== null && inv[j][j] >= 0 ? Math.sqrt(sigma2 * inv[j][j]) : null);
+  const tStats = coefficients.map((b, j) => (standardErrors[j] ? b / standardErrors[j] : null));
+  const pValues = tStats.map(t => (t === null ? null : studentTPValue(t, df)));
+  const fStat = k > 1 && df > 0 && r2 !== null && r2 < 1 ? (r2 / (k - 1)) / ((1 - r2) / df) : null;
+  const fPValue = fStat !== null ? fDistPValue(fStat, k - 1, df) : null;
+  let dwNum = 0;
+  for (let i = 1; i < n; i++) dwNum += (residuals[i] - residuals[i - 1]) ** 2;
+  const durbinWatson = ssr > 0 ? dwNum / ssr : null;
+  return {
+    coefficients, fitted, residuals, standardErrors, tStats, pValues,
+    r2, adjR2, fStat, fPValue, df, n, durbinWatson, vif: varianceInflationFactors(X),
+  };
+}
+
+function olsFit(X, y) {
   const n = y.length;
   const p = X[0].length;
   const Xa = X.map(r => [1, ...r]);
@@ -131,7 +564,334 @@ function olsRegression(X, y) {
     fitted.push(yh);
     residuals.push(y[i] - yh);
   }
-  return { coefficients: coeffs, fitted, residuals };
+  return { coefficients: coeffs, fitted, residuals, XtX };
+}
+
+function varianceInflationFactors(X) {
+  const p = X[0].length;
+  if (p === 1) return [1];
+  return Array.from({ length: p }, (_, j) => {
+    const target = X.map(r => r[j]);
+    const fit = olsFit(X.map(r => r.filter((_, l) => l !== j)), target);
+    if (!fit) return null;
+    const mean = target.reduce((a, b) => a + b, 0) / target.length;
+    const sst = target.reduce((s, v) => s + (v - mean) ** 2, 0);
+    const ssr = fit.residuals.reduce((s, e) => s + e * e, 0);
+    const r2 = sst > 0 ? 1 - ssr / sst : 1;
+    return r2 < 1 ? 1 / (1 - r2) : null;
+  });
+}
+
+function invertMatrix(A) {
+  const n = A.length;
+  const aug = A.map((r, i) => [...r, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+  for (let c = 0; c < n; c++) {
+    let mr = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(aug[r][c]) > Math.abs(aug[mr][c])) mr = r;
+    [aug[c], aug[mr]] = [aug[mr], aug[c]];
+    const piv = aug[c][c];
+    if (Math.abs(piv) < 1e-300) return null;
+    for (let j = 0; j < 2 * n; j++) aug[c][j] /= piv;
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = aug[r][c];
+      for (let j = 0; j < 2 * n; j++) aug[r][j] -= f * aug[c][j];
+    }
+  }
+  return aug.map(r => r.slice(n));
+}
+
+function grangerTest(y, x, lags = 1) {
+  const n = y.length - lags;
+  const df2 = n - 2 * lags - 1;
+  if (x.length !== y.length || df2 < 1) return null;
+  const target = y.slice(lags);
+  const ownLags = target.map((_, t) => Array.from({ length: lags }, (_, i) => y[t + lags - i - 1]));
+  const crossLags = target.map((_, t) => Array.from({ length: lags }, (_, i) => x[t + lags - i - 1]));
+  const rss = X => {
+    const fit = olsFit(X, target);
+    return fit ? fit.residuals.reduce((s, e) => s + e * e, 0) : null;
+  };
+  const rssRestricted = rss(ownLags);
+  const rssUnrestricted = rss(ownLags.map((row, t) => [...row, ...crossLags[t]]));
+  if (rssRestricted === null || rssUnrestricted === null || !(rssUnrestricted > 0)) return null;
+  const fStat = Math.max(0, ((rssRestricted - rssUnrestricted) / lags) / (rssUnrestricted / df2));
+  return { fStat, pValue: fDistPValue(fStat, lags, df2), df1: lags, df2, n, lags, rssRestricted, rssUnrestricted };
+}
+
+// --- Structural breaks and outliers (trend regimes; see modeling.js) ---
+
+const TREND_PARAMS = 2;
+const CUSUM_A_5PCT = 0.948;
+const OUTLIER_Z = 3.5;
+
+function fitTrend(y, from, to) {
+  const n = to - from;
+  if (n < TREND_PARAMS + 1) return null;
+  const meanT = (from + to - 1) / 2;
+  let meanY = 0;
+  for (let t = from; t < to; t++) meanY += y[t];
+  meanY /= n;
+  let stt = 0, sty = 0, syy = 0;
+  for (let t = from; t < to; t++) {
+    stt += (t - meanT) ** 2;
+    sty += (t - meanT) * (y[t] - meanY);
+    syy += (y[t] - meanY) ** 2;
+  }
+  return { slope: sty / stt, meanT, meanY, stt, rss: Math.max(0, syy - (sty * sty) / stt) };
+}
+
+function chowTest(y, breakIndex) {
+  const n = y.length;
+  const pooled = fitTrend(y, 0, n);
+  const before = fitTrend(y, 0, breakIndex);
+  const after = fitTrend(y, breakIndex, n);
+  const df2 = n - 2 * TREND_PARAMS;
+  if (!pooled || !before || !after || df2 < 1) return null;
+  const rssSplit = before.rss + after.rss;
+  if (!(rssSplit > 0)) return null;
+  const fStat = Math.max(0, ((pooled.rss - rssSplit) / TREND_PARAMS) / (rssSplit / df2));
+  return { breakIndex, fStat, pValue: fDistPValue(fStat, TREND_PARAMS, df2), df1: TREND_PARAMS, df2 };
+}
+
+function cusumTest(y) {
+  const n = y.length;
+  const m = n - TREND_PARAMS;
+  if (m < 3) return null;
+  const w = [];
+  for (let t = TREND_PARAMS; t < n; t++) {
+    const meanT = (t - 1) / 2;
+    let meanY = 0;
+    for (let i = 0; i < t; i++) meanY += y[i];
+    meanY /= t;
+    let stt = 0, sty = 0;
+    for (let i = 0; i < t; i++) {
+      stt += (i - meanT) ** 2;
+      sty += (i - meanT) * (y[i] - meanY);
+    }
+    const pred = meanY + (sty / stt) * (t - meanT);
+    w.push((y[t] - pred) / Math.sqrt(1 + 1 / t + (t - meanT) ** 2 / stt));
+  }
+  const mean = w.reduce((s, v) => s + v, 0) / m;
+  const sigma = Math.sqrt(w.reduce((s, v) => s + (v - mean) ** 2, 0) / (m - 1));
+  if (!(sigma > 0)) return null;
+  let sum = 0;
+  const cusum = w.map(v => (sum += v / sigma));
+  const bounds = cusum.map((_, r) => CUSUM_A_5PCT * (Math.sqrt(m) + (2 * (r + 1)) / Math.sqrt(m)));
+  const first = cusum.findIndex((v, r) => Math.abs(v) > bounds[r]);
+  return { startIndex: TREND_PARAMS, cusum, bounds, crossed: first >= 0, firstCrossing: first >= 0 ? first + TREND_PARAMS : null };
+}
+
+function baiPerronBreaks(y, { maxBreaks = 2, minSegment = 4 } = {}) {
+  const n = y.length;
+  const h = Math.max(minSegment, TREND_PARAMS + 1);
+  const maxM = Math.min(maxBreaks, Math.floor(n / h) - 1);
+  if (maxM < 0) return null;
+  const costs = new Map();
+  const cost = (i, j) => {
+    const key = i * (n + 1) + j;
+    if (!costs.has(key)) costs.set(key, fitTrend(y, i, j)?.rss ?? Infinity);
+    return costs.get(key);
+  };
+  const best = [Array.from({ length: n + 1 }, (_, j) => (j >= h ? cost(0, j) : Infinity))];
+  const from = [new Array(n + 1).fill(0)];
+  for (let m = 1; m <= maxM; m++) {
+    best[m] = new Array(n + 1).fill(Infinity);
+    from[m] = new Array(n + 1).fill(-1);
+    for (let j = (m + 1) * h; j <= n; j++) {
+      for (let i = m * h; i <= j - h; i++) {
+        const v = best[m - 1][i] + cost(i, j);
+        if (v < best[m][j]) {
+          best[m][j] = v;
+          from[m][j] = i;
+        }
+      }
+    }
+  }
+  const candidates = [];
+  for (let m = 0; m <= maxM; m++) {
+    const rss = best[m][n];
+    if (!Number.isFinite(rss)) continue;
+    const breaks = [];
+    for (let k = m, j = n; k > 0; k--) {
+      j = from[k][j];
+      breaks.unshift(j);
+    }
+    const bic = n * Math.log(Math.max(rss / n, Number.MIN_VALUE)) + (3 * m + 2) * Math.log(n);
+    candidates.push({ breaks, rss, bic });
+  }
+  if (candidates.length === 0) return null;
+  const chosen = candidates.reduce((a, b) => (b.bic < a.bic ? b : a));
+  return { breaks: chosen.breaks, rss: chosen.rss, candidates };
+}
+
+function robustOutliers(values, { lag = 1, threshold = OUTLIER_Z } = {}) {
+  const changes = values.slice(lag).map((v, i) => v - values[i]);
+  if (changes.length < 4) return [];
+  const median = quantile([...changes].sort((a, b) => a - b), 0.5);
+  const absDev = changes.map(d => Math.abs(d - median)).sort((a, b) => a - b);
+  const mad = quantile(absDev, 0.5);
+  const scale = mad > 0 ? mad / 0.6745 : 1.2533 * (absDev.reduce((s, v) => s + v, 0) / absDev.length);
+  if (!(scale > 0)) return [];
+  return changes
+    .map((change, i) => ({ index: i + lag, change, score: (change - median) / scale }))
+    .filter(o => Math.abs(o.score) > threshold);
+}
+
+function deseasonalise(y, period) {
+  const fit = fitTrend(y, 0, y.length);
+  if (!fit) return [...y];
+  const sums = new Array(period).fill(0);
+  const counts = new Array(period).fill(0);
+  y.forEach((v, t) => {
+    sums[t % period] += v - fit.meanY - fit.slope * (t - fit.meanT);
+    counts[t % period]++;
+  });
+  return y.map((v, t) => v - sums[t % period] / counts[t % period]);
+}
+
+function detectStructuralBreaks(values, { seasonPeriod = 1, maxBreaks = 2, minSegment, candidates = [] } = {}) {
+  if (values.length < 8) return null;
+  const logged = values.every(v => v > 0);
+  const base = logged ? values.map(Math.log) : [...values];
+  const y = seasonPeriod > 1 ? deseasonalise(base, seasonPeriod) : base;
+  const bp = baiPerronBreaks(y, { maxBreaks, minSegment: minSegment ?? (seasonPeriod > 1 ? seasonPeriod : 4) });
+  const withChow = index => ({ index, chow: chowTest(y, index) });
+  return {
+    transform: logged ? 'log' : 'level',
+    breaks: bp ? bp.breaks.map(withChow) : [],
+    bic: bp ? bp.candidates : [],
+    cusum: cusumTest(y),
+    outliers: robustOutliers(base, { lag: seasonPeriod }),
+    candidates: candidates.filter(i => i > 0 && i < y.length).map(withChow),
+  };
+}
+
+function ppmlRegression(X, y, { maxIter = 100, tol = 1e-9 } = {}) {
+  const n = y.length;
+  const scale = y.reduce((a, b) => a + b, 0) / n;
+  if (!(scale > 0)) return null;
+  const ys = y.map(v => v / scale);
+  const Xa = X.map(r => [1, ...r]);
+  const k = Xa[0].length;
+  const linPred = b => Xa.map(r => r.reduce((s, x, j) => s + x * b[j], 0));
+  let beta = new Array(k).fill(0), iterations = 0, converged = false;
+  while (iterations < maxIter && !converged) {
+    iterations++;
+    const eta = linPred(beta);
+    const mu = eta.map(Math.exp);
+    const A = Array.from({ length: k }, () => new Array(k).fill(0));
+    const b = new Array(k).fill(0);
+    for (let i = 0; i < n; i++) {
+      const z = eta[i] + (ys[i] - mu[i]) / mu[i];
+      for (let j = 0; j < k; j++) {
+        for (let l = 0; l < k; l++) A[j][l] += mu[i] * Xa[i][j] * Xa[i][l];
+        b[j] += mu[i] * Xa[i][j] * z;
+      }
+    }
+    const next = solveLinear(A, b);
+    if (!next || next.some(v => !Number.isFinite(v))) return null;
+    converged = next.every((v, j) => Math.abs(v - beta[j]) < tol * (1 + Math.abs(v)));
+    beta = next;
+  }
+  const mu = linPred(beta).map(Math.exp);
+  const resid = ys.map((v, i) => v - mu[i]);
+  const bread = Array.from({ length: k }, () => new Array(k).fill(0));
+  const meat = Array.from({ length: k }, () => new Array(k).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < k; j++) {
+      for (let l = 0; l < k; l++) {
+        bread[j][l] += mu[i] * Xa[i][j] * Xa[i][l];
+        meat[j][l] += resid[i] ** 2 * Xa[i][j] * Xa[i][l];
+      }
+    }
+  }
+  const inv = invertMatrix(bread);
+  const standardErrors = beta.map((_, j) => {
+    if (!inv) return null;
+    let v = 0;
+    for (let a = 0; a < k; a++) for (let c = 0; c < k; c++) v += inv[j][a] * meat[a][c] * inv[c][j];
+    return v >= 0 ? Math.sqrt(v) : null;
+  });
+  const zStats = beta.map((v, j) => (standardErrors[j] ? v / standardErrors[j] : null));
+  const fitted = mu.map(m => m * scale);
+  return {
+    coefficients: [beta[0] + Math.log(scale), ...beta.slice(1)],
+    fitted,
+    residuals: y.map((v, i) => v - fitted[i]),
+    standardErrors, zStats,
+    pValues: zStats.map(z => (z === null ? null : normalPValue(z))),
+    pseudoR2: squaredCorrelation(y, fitted),
+    n, df: n - k, iterations, converged,
+  };
+}
+
+function squaredCorrelation(a, b) {
+  const n = a.length;
+  const ma = a.reduce((s, v) => s + v, 0) / n, mb = b.reduce((s, v) => s + v, 0) / n;
+  let sab = 0, saa = 0, sbb = 0;
+  for (let i = 0; i < n; i++) {
+    sab += (a[i] - ma) * (b[i] - mb);
+    saa += (a[i] - ma) ** 2;
+    sbb += (b[i] - mb) ** 2;
+  }
+  return saa > 0 && sbb > 0 ? (sab * sab) / (saa * sbb) : null;
+}
+
+function normalPValue(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.5 * x);
+  return Math.min(1, t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418
+    + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587
+    + t * (-0.82215223 + t * 0.17087277))))))))));
+}
+
+function studentTPValue(t, df) {
+  return df > 0 ? incompleteBeta(df / (df + t * t), df / 2, 0.5) : null;
+}
+
+function fDistPValue(f, d1, d2) {
+  return d1 > 0 && d2 > 0 && f >= 0 ? incompleteBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2) : null;
+}
+
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+function betaContinuedFraction(x, a, b) {
+  const TINY = 1e-300;
+  const clampTiny = v => (Math.abs(v) < TINY ? TINY : v);
+  let c = 1, d = 1 / clampTiny(1 - ((a + b) * x) / (a + 1)), h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 / clampTiny(1 + aa * d); c = clampTiny(1 + aa / c); h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 / clampTiny(1 + aa * d); c = clampTiny(1 + aa / c);
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 3e-14) break;
+  }
+  return h;
+}
+
+function lnGamma(x) {
+  const coef = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - lnGamma(1 - x);
+  x -= 1;
+  let a = coef[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += coef[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
 }
 
 function solveLinear(A, b) {
@@ -165,6 +925,77 @@ function rollingEval(values, testSize, fcFn) {
   return { rmse: calcRMSE(test, pred), mape: calcMAPE(test, pred), residuals: test.map((v, i) => v - (pred[i] || 0)) };
 }
 
+// --- Expanding-window backtest (see modeling.js) ---
+
+function backtest(values, forecasters, { initial, step = 1, horizon = 1, seasonPeriod = 1 } = {}) {
+  const clean = values.filter(v => v !== null);
+  const n = clean.length;
+  const start = Math.max(initial ?? Math.floor(n / 2), seasonPeriod + 2);
+  const origins = [];
+  for (let o = start; o < n; o += step) origins.push(o);
+
+  const models = {};
+  for (const [name, fcFn] of Object.entries(forecasters)) {
+    const acc = Array.from({ length: horizon }, () => newErrorAcc());
+    const forecasts = [];
+    for (const o of origins) {
+      const train = clean.slice(0, o);
+      const scale = naiveScale(train, seasonPeriod);
+      const h = Math.min(horizon, n - o);
+      const pred = fcFn(train, h);
+      forecasts.push({ origin: o, forecast: pred });
+      for (let k = 0; k < h; k++) addError(acc[k], clean[o + k], pred[k], scale);
+    }
+    const total = acc.reduce(mergeErrorAcc, newErrorAcc());
+    models[name] = {
+      byHorizon: acc.map((a, k) => ({ h: k + 1, ...summariseErrors(a) })),
+      overall: summariseErrors(total),
+      forecasts,
+    };
+  }
+  return { config: { initial: start, step, horizon, seasonPeriod }, origins, models };
+}
+
+function naiveScale(train, m) {
+  const lag = train.length > m ? m : 1;
+  let s = 0, c = 0;
+  for (let t = lag; t < train.length; t++) { s += Math.abs(train[t] - train[t - lag]); c++; }
+  return c > 0 && s > 0 ? s / c : null;
+}
+
+function newErrorAcc() {
+  return { n: 0, sq: 0, abs: 0, ape: 0, apeN: 0, smape: 0, smapeN: 0, scaled: 0, scaledN: 0 };
+}
+
+function addError(acc, actual, pred, scale) {
+  if (actual == null || pred == null || !Number.isFinite(pred)) return;
+  const err = actual - pred;
+  acc.n++;
+  acc.sq += err * err;
+  acc.abs += Math.abs(err);
+  if (actual !== 0) { acc.ape += Math.abs(err / actual); acc.apeN++; }
+  const denom = Math.abs(actual) + Math.abs(pred);
+  if (denom > 0) { acc.smape += (2 * Math.abs(err)) / denom; acc.smapeN++; }
+  if (scale) { acc.scaled += Math.abs(err) / scale; acc.scaledN++; }
+}
+
+function mergeErrorAcc(a, b) {
+  const out = {};
+  for (const k of Object.keys(a)) out[k] = a[k] + b[k];
+  return out;
+}
+
+function summariseErrors(a) {
+  return {
+    n: a.n,
+    rmse: a.n > 0 ? Math.sqrt(a.sq / a.n) : null,
+    mae: a.n > 0 ? a.abs / a.n : null,
+    mape: a.apeN > 0 ? (a.ape / a.apeN) * 100 : null,
+    smape: a.smapeN > 0 ? (a.smape / a.smapeN) * 100 : null,
+    mase: a.scaledN > 0 ? a.scaled / a.scaledN : null,
+  };
+}
+
 function calcRMSE(a, p) {
   let s = 0, c = 0;
   for (let i = 0; i < a.length; i++) { if (a[i] != null && p[i] != null) { s += (a[i] - p[i]) ** 2; c++; } }
@@ -1,20 +1,56 @@
 #!/usr/bin/env node
 // scripts/fetch-snapshot-data.js
 // Fetches composition and tariff data from WITS API (server-side, no CORS).
-// Falls back to published data if API is unavailable.
+// Falls back to published data if API is unavailable (India–China only; gravity sample 2022 only).
+//
+// Usage: node scripts/fetch-snapshot-data.js [--pairs IND-CHN,IND-USA] [--monthly] [--world] [--mirror] [--gravity [--gravity-year 2022]]
+// Pairs are reporter-partner ISO3 codes from assets/config/countries.js.
+// --monthly also writes trade_monthly.json from UN Comtrade (needs COMTRADE_API_KEY).
+// --world also writes trade_composition_world.json: each pair country's trade with the world
+//   and world exports by product group (for RCA, complementarity and export similarity).
+// --mirror also writes trade_mirror.json: each pair as reported by the partner (totals and product groups),
+//   for the mirror-statistics discrepancy view.
+// --gravity also writes gravity_sample.json: exports between all registry countries plus GDP.
+// --imf-fixtures records IMF DOTS responses for each pair into assets/data/fixtures/imf/
+//   (replayed in the browser with the imf.fixtures flag). IMF_BASE_URL overrides the service.
 
 import { writeFile, mkdir } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import path from 'path';
+import { getCountry, reporterCountries } from '../assets/config/countries.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OUT_DIR = path.resolve(__dirname, '../assets/data/processed');
+const IMF_FIXTURE_DIR = path.resolve(__dirname, '../assets/data/fixtures/imf');
 
 const NOW = new Date().toISOString();
 
+const DEFAULT_PAIRS = 'IND-CHN';
+
+// source_id of approximate published values written when an API is unreachable
+// (the prefix is not an adapter id, so live rows always take precedence)
+const FALLBACK_SOURCE_ID = 'fallback:approx';
+
+function parsePairs(argv) {
+  const idx = argv.indexOf('--pairs');
+  const raw = idx >= 0 && argv[idx + 1] ? argv[idx + 1] : DEFAULT_PAIRS;
+  return raw.split(',').map(p => {
+    const [reporter, partner] = p.trim().toUpperCase().split('-');
+    if (!getCountry(reporter) || !getCountry(partner)) {
+      throw new Error(`Unknown country pair "${p}" (see assets/config/countries.js)`);
+    }
+    return { reporter, partner };
+  });
+}
+
+const witsCode = iso3 => getCountry(iso3)?.wits || iso3;
+
 // ── WITS API helpers ─────────────────────────────────────────
 
 const WITS_BASE = 'https://wits.worldbank.org/API/V1/SDMX/V21';
+const WORLDBANK_BASE = 'https://api.worldbank.org/v2';
+const COMTRADE_BASE = 'https://comtradeapi.un.org';
+const IMF_BASE = process.env.IMF_BASE_URL || 'https://dataservices.imf.org/REST/SDMX_JSON.svc';
 
 async function fetchJSON(url, timeoutMs = 30000) {
   const ctrl = new AbortController();
@@ -32,15 +68,15 @@ async function fetchJSON(url, timeoutMs = 30000) {
 
 // ── Composition: fetch from WITS ─────────────────────────────
 
-async function fetchCompositionFromWITS(years) {
+async function fetchCompositionFromWITS(years, reporter, partner) {
   const rows = [];
   for (const year of years) {
     for (const [flow, indicator] of [['EXPORT', 'XPRT-TRD-VL'], ['IMPORT', 'MPRT-TRD-VL']]) {
-      const url = `${WITS_BASE}/datasource/tradestats-trade/reporter/IND/year/${year}/partner/CHN/product/all/indicator/${indicator}?format=JSON`;
-      console.log(`  Fetching ${flow} composition ${year}...`);
+      const url = `${WITS_BASE}/datasource/tradestats-trade/reporter/${witsCode(reporter)}/year/${year}/partner/${witsCode(partner)}/product/all/indicator/${indicator}?format=JSON`;
+      console.log(`  Fetching ${reporter}-${partner} ${flow} composition ${year}...`);
       try {
         const data = await fetchJSON(url);
-        const parsed = parseWitsComposition(data, year, flow);
+        const parsed = parseWitsComposition(data, year, flow, reporter, partner);
         rows.push(...parsed);
         console.log(`    -> ${parsed.length} product groups`);
       } catch (err) {
@@ -52,7 +88,43 @@ async function fetchCompositionFromWITS(years) {
   return rows;
 }
 
-function parseWitsComposition(data, year, flow) {
+/**
+ * Annual export and import totals of one reporter–partner corridor (TOTAL rows).
+ */
+async function fetchTotalsFromWITS(years, reporter, partner) {
+  const rows = [];
+  for (const year of years) {
+    for (const [flow, indicator] of [['EXPORT', 'XPRT-TRD-VL'], ['IMPORT', 'MPRT-TRD-VL']]) {
+      const url = `${WITS_BASE}/datasource/tradestats-trade/reporter/${witsCode(reporter)}/year/${year}/partner/${witsCode(partner)}/product/Total/indicator/${indicator}?format=JSON`;
+      console.log(`  Fetching ${reporter}-${partner} ${flow} total ${year}...`);
+      try {
+        // Single-partner query: the only entry is the requested partner
+        const [value] = parseWitsPartnerTotals(await fetchJSON(url)).values();
+        if (value === undefined) continue;
+        rows.push({
+          date: String(year),
+          frequency: 'A',
+          reporter_iso3: reporter,
+          partner_iso3: partner,
+          flow,
+          product_level: 'TOTAL',
+          product_code: 'TOTAL',
+          product_name: 'All Products',
+          value_usd: value,
+          unit: 'USD',
+          source_id: 'wits:tradestats-trade',
+          retrieval_ts: NOW,
+          request_fingerprint: `wits:${reporter}:${partner}:${indicator.slice(0, 4)}:${year}`,
+        });
+      } catch (err) {
+        console.warn(`    -> FAILED: ${err.message}`);
+      }
+    }
+  }
+  return rows;
+}
+
+function parseWitsComposition(data, year, flow, reporter, partner) {
   const rows = [];
   // WITS JSON can be array or nested structure
   let observations = [];
@@ -73,8 +145,8 @@ function parseWitsComposition(data, year, flow) {
     rows.push({
       date: String(year),
       frequency: 'A',
-      reporter_iso3: 'IND',
-      partner_iso3: 'CHN',
+      reporter_iso3: reporter,
+      partner_iso3: partner,
       flow,
       product_level: 'GROUP',
       product_code: String(code),
@@ -83,7 +155,7 @@ function parseWitsComposition(data, year, flow) {
       unit: 'USD',
       source_id: 'wits:tradestats-trade',
       retrieval_ts: NOW,
-      request_fingerprint: `wits:IND:CHN:${flow}:GROUP:${year}`,
+      request_fingerprint: `wits:${reporter}:${partner}:${flow}:GROUP:${year}`,
     });
   }
   return rows;
@@ -171,7 +243,7 @@ function getCompositionFallback() {
       { code: '90', name: 'Optical & Medical Instruments', value: 2_130_000_000 },
       { code: '73', name: 'Iron or Steel Articles', value: 1_450_000_000 },
       { code: '87', name: 'Vehicles & Parts', value: 1_290_000_000 },
-      { code: '54', name: 'Pharmaceutical Products', value: 1_080_000_000 },
+      { code: '30', name: 'Pharmaceutical Products', value: 1_080_000_000 },
     ],
     '2020': [
       { code: '85', name: 'Electrical Machinery & Equipment', value: 21_380_000_000 },
@@ -183,7 +255,7 @@ function getCompositionFallback() {
       { code: '90', name: 'Optical & Medical Instruments', value: 2_410_000_000 },
       { code: '73', name: 'Iron or Steel Articles', value: 1_310_000_000 },
       { code: '87', name: 'Vehicles & Parts', value: 1_050_000_000 },
-      { code: '54', name: 'Pharmaceutical Products', value: 1_250_000_000 },
+      { code: '30', name: 'Pharmaceutical Products', value: 1_250_000_000 },
     ],
     '2021': [
       { code: '85', name: 'Electrical Machinery & Equipment', value: 27_890_000_000 },
@@ -195,7 +267,7 @@ function getCompositionFallback() {
       { code: '90', name: 'Optical & Medical Instruments', value: 2_780_000_000 },
       { code: '73', name: 'Iron or Steel Articles', value: 1_860_000_000 },
       { code: '87', name: 'Vehicles & Parts', value: 1_470_000_000 },
-      { code: '54', name: 'Pharmaceutical Products', value: 1_530_000_000 },
+      { code: '30', name: 'Pharmaceutical Products', value: 1_530_000_000 },
     ],
     '2022': [
       { code: '85', name: 'Electrical Machinery & Equipment', value: 31_240_000_000 },
@@ -207,7 +279,7 @@ function getCompositionFallback() {
       { code: '90', name: 'Optical & Medical Instruments', value: 3_040_000_000 },
       { code: '73', name: 'Iron or Steel Articles', value: 2_150_000_000 },
       { code: '87', name: 'Vehicles & Parts', value: 1_680_000_000 },
-      { code: '54', name: 'Pharmaceutical Products', value: 1_740_000_000 },
+      { code: '30', name: 'Pharmaceutical Products', value: 1_740_000_000 },
     ],
     '2023': [
       { code: '85', name: 'Electrical Machinery & Equipment', value: 36_780_000_000 },
@@ -219,7 +291,7 @@ function getCompositionFallback() {
       { code: '90', name: 'Optical & Medical Instruments', value: 3_510_000_000 },
       { code: '73', name: 'Iron or Steel Articles', value: 2_480_000_000 },
       { code: '87', name: 'Vehicles & Parts', value: 2_110_000_000 },
-      { code: '54', name: 'Pharmaceutical Products', value: 1_960_000_000 },
+      { code: '30', name: 'Pharmaceutical Products', value: 1_960_000_000 },
     ],
   };
 
@@ -237,34 +309,191 @@ function getCompositionFallback() {
   return rows;
 }
 
-function makeCompositionRow(year, flow, product) {
+function makeCompositionRow(year, flow, product, { reporter = 'IND', partner = 'CHN', sourceId = 'wits:tradestats-trade' } = {}) {
   return {
     date: year,
     frequency: 'A',
-    reporter_iso3: 'IND',
-    partner_iso3: 'CHN',
+    reporter_iso3: reporter,
+    partner_iso3: partner,
     flow,
     product_level: 'GROUP',
     product_code: product.code,
     product_name: product.name,
     value_usd: product.value,
     unit: 'USD',
-    source_id: 'wits:tradestats-trade',
+    source_id: sourceId,
     retrieval_ts: NOW,
-    request_fingerprint: `wits:IND:CHN:${flow}:GROUP:${year}`,
+    request_fingerprint: `${sourceId.split(':')[0]}:${reporter}:${partner}:${flow}:GROUP:${year}`,
   };
 }
 
+// ── World composition: fallback data ─────────────────────────
+
+// Product groups of the bilateral India–China fallback, so shares line up with it
+const FALLBACK_GROUPS = {
+  '03': 'Fish & Crustaceans', '23': 'Residues from Food Industry', '26': 'Ores, Slag & Ash',
+  '27': 'Mineral Fuels & Oils', '29': 'Organic Chemicals', '31': 'Fertilizers',
+  '30': 'Pharmaceutical Products', '39': 'Plastics & Articles', '52': 'Cotton',
+  '71': 'Natural Pearls & Stones', '72': 'Iron & Steel', '73': 'Iron or Steel Articles',
+  '74': 'Copper & Articles', '84': 'Machinery & Mechanical Appliances',
+  '85': 'Electrical Machinery & Equipment', '87': 'Vehicles & Parts', '90': 'Optical & Medical Instruments',
+};
+
+function getWorldCompositionFallback() {
+  console.log('  Using published fallback data for trade with the world...');
+  const years = ['2019', '2020', '2021', '2022', '2023'];
+
+  // Trade with the world by product group, USD bn for 2019..2023 (published data, approx values).
+  // World imports are not included: only world exports enter RCA.
+  const series = [
+    ['IND', 'EXPORT', {
+      '03': [6.5, 5.5, 6.5, 7.5, 7.0], '23': [1.0, 1.2, 1.5, 1.8, 1.9], '26': [5.0, 6.0, 7.0, 3.0, 6.0],
+      '27': [43, 25, 55, 95, 85], '29': [20, 18, 23, 23, 20], '31': [0.1, 0.1, 0.15, 0.2, 0.15],
+      '30': [19, 22, 24, 25, 27], '39': [8, 8, 11, 10, 9], '52': [6, 5, 10, 7, 6],
+      '71': [37, 26, 43, 40, 33], '72': [9, 10, 20, 15, 14], '73': [7, 6, 8.5, 9, 9],
+      '74': [2, 2, 3, 2, 3], '84': [19, 17, 23, 27, 29], '85': [13, 13, 18, 22, 30],
+      '87': [18, 15, 21, 23, 22], '90': [3.0, 3.0, 3.6, 4.0, 4.5],
+    }],
+    ['IND', 'IMPORT', {
+      '03': [0.1, 0.1, 0.15, 0.15, 0.15], '23': [0.6, 0.6, 0.7, 0.8, 0.9], '26': [8, 8, 11, 11, 11],
+      '27': [165, 105, 175, 270, 230], '29': [20, 19, 27, 29, 25], '31': [6.5, 6, 9, 17, 9],
+      '30': [2.4, 2.6, 3.2, 3.4, 3.6], '39': [16, 14, 21, 22, 21], '52': [1.2, 0.5, 0.8, 1.5, 0.9],
+      '71': [60, 40, 85, 80, 75], '72': [13, 9, 14, 17, 19], '73': [4, 3.2, 4.3, 5, 5.5],
+      '74': [5, 4, 6, 7, 8], '84': [43, 37, 48, 55, 58], '85': [52, 47, 63, 76, 80],
+      '87': [5, 4, 5.5, 6.5, 7], '90': [7, 6.5, 8, 9, 10],
+    }],
+    ['CHN', 'EXPORT', {
+      '03': [13, 11, 12, 12, 11], '23': [2.0, 2.0, 2.5, 3.0, 3.0], '26': [1.5, 1.5, 2.0, 2.2, 2.0],
+      '27': [47, 35, 50, 70, 70], '29': [65, 60, 95, 110, 85], '31': [7, 7, 10, 13, 10],
+      '30': [8, 12, 30, 13, 9], '39': [75, 83, 110, 115, 110], '52': [15, 13, 17, 16, 13],
+      '71': [25, 30, 34, 30, 32], '72': [52, 40, 78, 88, 88], '73': [70, 72, 95, 100, 95],
+      '74': [12, 11, 17, 19, 17], '84': [460, 470, 590, 600, 580], '85': [730, 760, 930, 960, 920],
+      '87': [75, 75, 110, 150, 200], '90': [80, 82, 98, 100, 95],
+    }],
+    ['CHN', 'IMPORT', {
+      '03': [13, 11, 12, 15, 16], '23': [5, 7, 9, 11, 11], '26': [170, 185, 270, 215, 240],
+      '27': [350, 260, 350, 500, 470], '29': [45, 40, 50, 52, 48], '31': [2, 2, 2.2, 3.0, 2.6],
+      '30': [33, 33, 40, 38, 42], '39': [75, 80, 85, 78, 72], '52': [5, 5, 6, 5, 6],
+      '71': [80, 45, 85, 85, 90], '72': [15, 21, 18, 15, 14], '73': [8, 8, 9, 8, 7.5],
+      '74': [35, 38, 45, 45, 43], '84': [200, 200, 240, 210, 190], '85': [480, 510, 590, 560, 530],
+      '87': [80, 75, 82, 70, 68], '90': [95, 95, 108, 103, 98],
+    }],
+    ['WLD', 'EXPORT', {
+      '03': [115, 105, 120, 130, 125], '23': [80, 80, 95, 110, 105], '26': [270, 290, 430, 360, 350],
+      '27': [2200, 1450, 2300, 3700, 2900], '29': [440, 400, 520, 580, 500], '31': [60, 55, 85, 140, 95],
+      '30': [650, 730, 850, 880, 860], '39': [620, 590, 760, 790, 700], '52': [55, 48, 65, 70, 55],
+      '71': [760, 830, 950, 920, 940], '72': [420, 370, 580, 600, 520], '73': [260, 245, 300, 320, 315],
+      '74': [160, 165, 230, 240, 235], '84': [2400, 2300, 2700, 2800, 2850], '85': [2900, 3000, 3600, 3800, 3750],
+      '87': [1500, 1300, 1550, 1650, 1850], '90': [650, 640, 740, 760, 780],
+    }],
+  ];
+
+  const rows = [];
+  for (const [reporter, flow, values] of series) {
+    for (const [code, byYear] of Object.entries(values)) {
+      byYear.forEach((v, i) => {
+        const product = { code, name: FALLBACK_GROUPS[code], value: Math.round(v * 1e9) };
+        rows.push(makeCompositionRow(years[i], flow, product, { reporter, partner: 'WLD', sourceId: FALLBACK_SOURCE_ID }));
+      });
+    }
+  }
+  return rows;
+}
+
+// ── Mirror side: fallback data ───────────────────────────────
+
+/**
+ * China's reports of its total trade with India. No product-group fallback: partner-reported
+ * groups must come from WITS, or the group comparison would have nothing real to compare.
+ */
+function getMirrorFallback() {
+  console.log('  Using published fallback data for the China-reported totals...');
+  const rows = [];
+
+  // China's reports of its trade with India, USD bn (published data, approx values)
+  const exportTotals = [
+    1.56, 1.90, 2.67, 3.34, 5.93, 8.93, 14.58, 24.01, 31.59, 29.67, 40.91, 50.54,
+    47.68, 48.43, 54.22, 58.23, 58.40, 68.04, 76.68, 74.83, 66.73, 97.52, 118.50, 117.68,
+  ];
+  const importTotals = [
+    1.35, 1.70, 2.27, 4.25, 7.68, 9.77, 10.28, 14.62, 20.26, 13.71, 20.85, 23.37,
+    18.80, 17.03, 16.41, 13.37, 11.76, 16.35, 18.83, 17.97, 20.87, 28.14, 17.48, 18.25,
+  ];
+  for (const [flow, values] of [['EXPORT', exportTotals], ['IMPORT', importTotals]]) {
+    values.forEach((v, i) => {
+      const year = String(2000 + i);
+      rows.push({
+        date: year,
+        frequency: 'A',
+        reporter_iso3: 'CHN',
+        partner_iso3: 'IND',
+        flow,
+        product_level: 'TOTAL',
+        product_code: 'TOTAL',
+        product_name: 'All Products',
+        value_usd: Math.round(v * 1e9),
+        unit: 'USD',
+        source_id: FALLBACK_SOURCE_ID,
+        retrieval_ts: NOW,
+        request_fingerprint: `fallback:CHN:IND:${flow === 'EXPORT' ? 'XPRT' : 'MPRT'}:${year}`,
+      });
+    });
+  }
+  return rows;
+}
+
+// ── Monthly totals: fetch from UN Comtrade ───────────────────
+
+async function fetchMonthlyFromComtrade(years, reporter, partner, apiKey) {
+  const rows = [];
+  for (const year of years) {
+    const period = Array.from({ length: 12 }, (_, i) => `${year}${String(i + 1).padStart(2, '0')}`).join(',');
+    for (const [flow, flowCode] of [['EXPORT', 'X'], ['IMPORT', 'M']]) {
+      const params = new URLSearchParams({
+        reporterCode: String(getCountry(reporter).unCode),
+        partnerCode: String(getCountry(partner).unCode),
+        period,
+        cmdCode: 'TOTAL',
+        flowCode,
+        'subscription-key': apiKey,
+      });
+      const url = `${COMTRADE_BASE}/data/v1/get/C/M/HS?${params.toString()}`;
+      console.log(`  Fetching ${reporter}-${partner} ${flow} monthly ${year}...`);
+      const data = await fetchJSON(url);
+      for (const r of data?.data || []) {
+        const p = String(r.period);
+        if (p.length !== 6 || r.primaryValue === null || r.primaryValue === undefined) continue;
+        rows.push({
+          date: `${p.slice(0, 4)}-${p.slice(4)}`,
+          frequency: 'M',
+          reporter_iso3: reporter,
+          partner_iso3: partner,
+          flow,
+          product_level: 'TOTAL',
+          product_code: 'TOTAL',
+          product_name: 'All products',
+          value_usd: Number(r.primaryValue),
+          unit: 'USD',
+          source_id: 'comtrade',
+          retrieval_ts: NOW,
+          request_fingerprint: `comtrade:${reporter}:${partner}:${flow}:M:${p}`,
+        });
+      }
+    }
+  }
+  return rows.sort((a, b) => a.date.localeCompare(b.date) || a.flow.localeCompare(b.flow));
+}
+
 // ── Tariff: fetch from WITS ──────────────────────────────────
 
-async function fetchTariffsFromWITS(years) {
+async function fetchTariffsFromWITS(years, reporter, partner) {
   const rows = [];
   for (const year of years) {
-    const url = `${WITS_BASE}/datasource/tradestats-tariff/reporter/IND/year/${year}/partner/CHN/product/all/indicator/AHS-WGHTD-AVRG;MFN-WGHTD-AVRG?format=JSON`;
-    console.log(`  Fetching tariff ${year}...`);
+    const url = `${WITS_BASE}/datasource/tradestats-tariff/reporter/${witsCode(reporter)}/year/${year}/partner/${witsCode(partner)}/product/all/indicator/AHS-WGHTD-AVRG;MFN-WGHTD-AVRG?format=JSON`;
+    console.log(`  Fetching ${reporter}-${partner} tariff ${year}...`);
     try {
       const data = await fetchJSON(url);
-      const parsed = parseWitsTariff(data, year);
+      const parsed = parseWitsTariff(data, year, reporter, partner);
       rows.push(...parsed);
       console.log(`    -> ${parsed.length} indicators`);
     } catch (err) {
@@ -275,7 +504,7 @@ async function fetchTariffsFromWITS(years) {
   return rows;
 }
 
-function parseWitsTariff(data, year) {
+function parseWitsTariff(data, year, reporter, partner) {
   const rows = [];
   let observations = [];
   if (Array.isArray(data)) {
@@ -293,14 +522,14 @@ function parseWitsTariff(data, year) {
     if (val === null || val === undefined) continue;
     rows.push({
       date: String(year),
-      country_iso3: 'IND',
+      country_iso3: reporter,
       indicator_code: `WITS_${String(indicator).replace(/-/g, '_')}`,
       indicator_name: name,
       value: Number(val),
       unit: '%',
       source_id: 'wits:tradestats-tariff',
       retrieval_ts: NOW,
-      request_fingerprint: `wits:tariff:IND:CHN:${indicator}:${year}`,
+      request_fingerprint: `wits:tariff:${reporter}:${partner}:${indicator}:${year}`,
     });
   }
   return rows;
@@ -360,31 +589,153 @@ function getTariffFallback() {
   return rows;
 }
 
+// ── Gravity sample: WITS exports to all partners + World Bank GDP ──
+
+async function fetchGravitySample(year) {
+  const countries = reporterCountries();
+  const byWits = new Map(countries.map(c => [c.wits, c.iso3]));
+
+  console.log(`  Fetching GDP ${year} for ${countries.length} countries...`);
+  const gdpUrl = `${WORLDBANK_BASE}/country/${countries.map(c => c.iso3).join(';')}/indicator/NY.GDP.MKTP.CD?format=json&date=${year}&per_page=500`;
+  const gdpResp = await fetchJSON(gdpUrl);
+  const gdp = new Map((gdpResp?.[1] || [])
+    .filter(r => r.value !== null)
+    .map(r => [r.countryiso3code, Number(r.value)]));
+
+  const rows = [];
+  for (const { iso3: reporter, wits } of countries) {
+    const url = `${WITS_BASE}/datasource/tradestats-trade/reporter/${wits}/year/${year}/partner/all/product/Total/indicator/XPRT-TRD-VL?format=JSON`;
+    console.log(`  Fetching ${reporter} exports to all partners ${year}...`);
+    try {
+      const totals = parseWitsPartnerTotals(await fetchJSON(url));
+      for (const [partnerCode, value] of totals) {
+        const partner = byWits.get(partnerCode);
+        if (!partner || partner === reporter || !gdp.has(reporter) || !gdp.has(partner)) continue;
+        rows.push({
+          date: String(year),
+          reporter_iso3: reporter,
+          partner_iso3: partner,
+          exports_usd: value,
+          gdp_reporter_usd: gdp.get(reporter),
+          gdp_partner_usd: gdp.get(partner),
+          source_id: 'wits:tradestats-trade+worldbank',
+          retrieval_ts: NOW,
+        });
+      }
+    } catch (err) {
+      console.warn(`    -> FAILED: ${err.message}`);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Partner code → trade value (USD) from a WITS partner=all response.
+ * Handles flat observation arrays and SDMX-JSON series keyed by the PARTNER dimension.
+ * TradeStats values are in thousand USD.
+ */
+function parseWitsPartnerTotals(data) {
+  const out = new Map();
+  const series = data?.dataSets?.[0]?.series;
+  const dims = data?.structure?.dimensions?.series;
+  if (series && dims) {
+    const partnerPos = dims.findIndex(d => d.id === 'PARTNER');
+    for (const [key, s] of Object.entries(series)) {
+      const partner = dims[partnerPos]?.values[Number(key.split(':')[partnerPos])]?.id;
+      const obs = Object.values(s.observations || {})[0];
+      if (partner && obs && obs[0] !== null) out.set(partner, Number(obs[0]) * 1000);
+    }
+    return out;
+  }
+  const observations = Array.isArray(data) ? data : (data?.Dataset || []);
+  for (const obs of observations) {
+    const partner = obs.PartnerISO3 || obs.partner;
+    const val = obs.TradeValue ?? obs.Value ?? obs.value;
+    if (partner && val !== null && val !== undefined) out.set(partner, Number(val) * 1000);
+  }
+  return out;
+}
+
+// ── Gravity sample: fallback data ────────────────────────────
+
+function getGravityFallback(year) {
+  if (year !== 2022) {
+    console.warn(`  No fallback gravity data for ${year}; sample left empty`);
+    return [];
+  }
+  console.log('  Using published fallback data for the gravity sample...');
+
+  // GDP 2022, current USD bn (World Bank NY.GDP.MKTP.CD, approx)
+  const gdp = {
+    IND: 3353, CHN: 17882, USA: 25744, JPN: 4256, KOR: 1674,
+    DEU: 4163, GBR: 3089, ARE: 507, AUS: 1724, BRA: 1951,
+  };
+  // Exports 2022 by reporter → partner, USD bn (WITS TradeStats, reporter-reported, approx)
+  const exports = {
+    IND: { CHN: 15.1, USA: 80.3, JPN: 5.4, KOR: 6.6, DEU: 10.1, GBR: 11.4, ARE: 31.3, AUS: 6.9, BRA: 9.1 },
+    CHN: { IND: 118.5, USA: 581.8, JPN: 172.9, KOR: 162.6, DEU: 116.2, GBR: 81.6, ARE: 53.9, AUS: 78.8, BRA: 62.0 },
+    USA: { IND: 47.2, CHN: 153.8, JPN: 80.2, KOR: 73.6, DEU: 73.8, GBR: 77.2, ARE: 20.1, AUS: 30.5, BRA: 53.4 },
+    JPN: { IND: 17.0, CHN: 145.0, USA: 139.3, KOR: 54.3, DEU: 19.4, GBR: 10.6, ARE: 9.0, AUS: 16.3, BRA: 4.0 },
+    KOR: { IND: 18.9, CHN: 155.8, USA: 109.8, JPN: 30.6, DEU: 10.9, GBR: 6.9, ARE: 3.5, AUS: 18.8, BRA: 5.5 },
+    DEU: { IND: 16.1, CHN: 113.9, USA: 156.2, JPN: 21.9, KOR: 20.8, GBR: 77.4, ARE: 10.9, AUS: 12.1, BRA: 12.3 },
+    GBR: { IND: 10.2, CHN: 27.2, USA: 73.7, JPN: 8.1, KOR: 9.3, DEU: 46.0, ARE: 9.1, AUS: 5.6, BRA: 2.4 },
+    ARE: { IND: 28.0, CHN: 25.0, USA: 3.0, JPN: 32.0, KOR: 18.0, DEU: 1.7, GBR: 3.0, AUS: 1.2, BRA: 0.6 },
+    AUS: { IND: 19.0, CHN: 110.6, USA: 13.2, JPN: 66.1, KOR: 27.1, DEU: 2.0, GBR: 11.0, ARE: 1.6, BRA: 0.2 },
+    BRA: { IND: 6.6, CHN: 89.7, USA: 37.4, JPN: 5.9, KOR: 5.1, DEU: 6.3, GBR: 3.3, ARE: 2.8, AUS: 0.6 },
+  };
+
+  const bn = v => Math.round(v * 1e9);
+  const rows = [];
+  for (const [reporter, partners] of Object.entries(exports)) {
+    for (const [partner, value] of Object.entries(partners)) {
+      rows.push({
+        date: String(year),
+        reporter_iso3: reporter,
+        partner_iso3: partner,
+        exports_usd: bn(value),
+        gdp_reporter_usd: bn(gdp[reporter]),
+        gdp_partner_usd: bn(gdp[partner]),
+        source_id: FALLBACK_SOURCE_ID,
+        retrieval_ts: NOW,
+      });
+    }
+  }
+  return rows;
+}
+
 // ── Main ─────────────────────────────────────────────────────
 
 async function main() {
   await mkdir(OUT_DIR, { recursive: true });
+  const pairs = parsePairs(process.argv.slice(2));
+  const pairCodes = pairs.map(p => `${p.reporter}-${p.partner}`);
 
   // 1. Composition data
   console.log('\n=== Fetching trade composition data ===');
-  let compositionRows;
-  try {
-    compositionRows = await fetchCompositionFromWITS([2019, 2020, 2021, 2022, 2023]);
-    if (compositionRows.length === 0) throw new Error('Empty response');
-    console.log(`  API returned ${compositionRows.length} rows`);
-  } catch {
-    console.warn('  WITS API unavailable, using fallback data');
-    compositionRows = getCompositionFallback();
+  const compositionRows = [];
+  for (const { reporter, partner } of pairs) {
+    try {
+      const rows = await fetchCompositionFromWITS([2019, 2020, 2021, 2022, 2023], reporter, partner);
+      if (rows.length === 0) throw new Error('Empty response');
+      console.log(`  API returned ${rows.length} rows`);
+      compositionRows.push(...rows);
+    } catch {
+      if (reporter === 'IND' && partner === 'CHN') {
+        console.warn('  WITS API unavailable, using fallback data');
+        compositionRows.push(...getCompositionFallback());
+      } else {
+        console.warn(`  WITS API unavailable for ${reporter}-${partner}; no fallback data, skipping`);
+      }
+    }
   }
 
   const compositionFile = {
     _meta: {
-      description: 'India-China trade composition by product group. Source: WITS TradeStats.',
-      reporter: 'IND',
-      partner: 'CHN',
+      description: 'Bilateral trade composition by product group. Source: WITS TradeStats.',
+      pairs: pairCodes,
       coverage: '2019-2023',
       retrieval_ts: NOW,
-      source_url: `${WITS_BASE}/datasource/tradestats-trade/reporter/IND/year/{YEAR}/partner/CHN/product/all/indicator/XPRT-TRD-VL;MPRT-TRD-VL?format=JSON`,
+      source_url: `${WITS_BASE}/datasource/tradestats-trade/reporter/{REPORTER}/year/{YEAR}/partner/{PARTNER}/product/all/indicator/XPRT-TRD-VL;MPRT-TRD-VL?format=JSON`,
       record_count: compositionRows.length,
       note: 'Product group level (HS2 sections). Excludes TOTAL aggregates.',
     },
@@ -399,24 +750,30 @@ async function main() {
 
   // 2. Tariff data
   console.log('\n=== Fetching tariff indicators ===');
-  let tariffRows;
-  try {
-    tariffRows = await fetchTariffsFromWITS([2010, 2011, 2012, 2013, 2014, 2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023]);
-    if (tariffRows.length === 0) throw new Error('Empty response');
-    console.log(`  API returned ${tariffRows.length} rows`);
-  } catch {
-    console.warn('  WITS API unavailable, using fallback data');
-    tariffRows = getTariffFallback();
+  const tariffRows = [];
+  for (const { reporter, partner } of pairs) {
+    try {
+      const rows = await fetchTariffsFromWITS([2010, 2011, 2012, 2013, 2014, 2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023], reporter, partner);
+      if (rows.length === 0) throw new Error('Empty response');
+      console.log(`  API returned ${rows.length} rows`);
+      tariffRows.push(...rows);
+    } catch {
+      if (reporter === 'IND' && partner === 'CHN') {
+        console.warn('  WITS API unavailable, using fallback data');
+        tariffRows.push(...getTariffFallback());
+      } else {
+        console.warn(`  WITS API unavailable for ${reporter}-${partner}; no fallback data, skipping`);
+      }
+    }
   }
 
   const tariffFile = {
     _meta: {
-      description: 'India-China bilateral tariff indicators. Source: WITS TradeStats-Tariff / TRAINS.',
-      reporter: 'IND',
-      partner: 'CHN',
+      description: 'Bilateral tariff indicators. Source: WITS TradeStats-Tariff / TRAINS.',
+      pairs: pairCodes,
       coverage: '2010-2023',
       retrieval_ts: NOW,
-      source_url: `${WITS_BASE}/datasource/tradestats-tariff/reporter/IND/year/{YEAR}/partner/CHN/product/all/indicator/AHS-WGHTD-AVRG;MFN-WGHTD-AVRG?format=JSON`,
+      source_url: `${WITS_BASE}/datasource/tradestats-tariff/reporter/{REPORTER}/year/{YEAR}/partner/{PARTNER}/product/all/indicator/AHS-WGHTD-AVRG;MFN-WGHTD-AVRG?format=JSON`,
       record_count: tariffRows.length,
       note: 'Applied and MFN tariff weighted averages. Values in percent.',
     },
@@ -429,6 +786,207 @@ async function main() {
   );
   console.log(`  Wrote tariff_indicators.json (${tariffRows.length} records)`);
 
+  // 3. Monthly totals (optional)
+  if (process.argv.includes('--monthly')) {
+    console.log('\n=== Fetching monthly trade totals ===');
+    const apiKey = process.env.COMTRADE_API_KEY;
+    if (!apiKey) {
+      console.warn('  COMTRADE_API_KEY not set; skipping monthly snapshot');
+    } else {
+      const years = [2019, 2020, 2021, 2022, 2023];
+      const monthlyRows = [];
+      for (const { reporter, partner } of pairs) {
+        try {
+          monthlyRows.push(...await fetchMonthlyFromComtrade(years, reporter, partner, apiKey));
+        } catch (err) {
+          console.warn(`  Comtrade unavailable for ${reporter}-${partner}: ${err.message}`);
+        }
+      }
+
+      const monthlyFile = {
+        _meta: {
+          description: 'Bilateral monthly trade totals (current USD). Source: UN Comtrade (monthly, HS TOTAL).',
+          pairs: pairCodes,
+          coverage: `${years[0]}-01..${years[years.length - 1]}-12`,
+          retrieval_ts: NOW,
+          source_url: `${COMTRADE_BASE}/data/v1/get/C/M/HS?reporterCode={REPORTER}&partnerCode={PARTNER}&period={YYYY01..YYYY12}&cmdCode=TOTAL&flowCode={X|M}`,
+          record_count: monthlyRows.length,
+          note: 'Dates are YYYY-MM. Export/Import from the reporter perspective.',
+        },
+        data: monthlyRows,
+      };
+
+      await writeFile(
+        path.join(OUT_DIR, 'trade_monthly.json'),
+        JSON.stringify(monthlyFile, null, 2),
+      );
+      console.log(`  Wrote trade_monthly.json (${monthlyRows.length} records)`);
+    }
+  }
+
+  // 4. World composition (optional)
+  if (process.argv.includes('--world')) {
+    console.log('\n=== Fetching composition with the world ===');
+    const years = [2019, 2020, 2021, 2022, 2023];
+    // World exports by product come from the WLD reporter aggregate
+    const reporters = [...new Set([...pairs.flatMap(p => [p.reporter, p.partner]), 'WLD'])];
+    const worldRows = [];
+    const missing = [];
+    for (const reporter of reporters) {
+      try {
+        worldRows.push(...await fetchCompositionFromWITS(years, reporter, 'WLD'));
+      } catch {
+        missing.push(reporter);
+      }
+    }
+    // Published fallback data exists for India, China and the world aggregate only
+    const worldFallback = missing.some(r => ['IND', 'CHN', 'WLD'].includes(r));
+    if (worldFallback) {
+      console.warn('  WITS API unavailable, using fallback data');
+      worldRows.push(...getWorldCompositionFallback().filter(r => missing.includes(r.reporter_iso3)));
+    }
+    const skipped = missing.filter(r => !['IND', 'CHN', 'WLD'].includes(r));
+    if (skipped.length > 0) console.warn(`  WITS API unavailable for ${skipped.join(', ')} with WLD; no fallback data, skipping`);
+
+    const worldFile = {
+      _meta: {
+        description: 'Trade with the world by product group, for the pair countries and the world aggregate. Source: WITS TradeStats.',
+        reporters,
+        coverage: `${years[0]}-${years[years.length - 1]}`,
+        retrieval_ts: NOW,
+        source_url: `${WITS_BASE}/datasource/tradestats-trade/reporter/{REPORTER}/year/{YEAR}/partner/WLD/product/all/indicator/XPRT-TRD-VL;MPRT-TRD-VL?format=JSON`,
+        record_count: worldRows.length,
+        fallback: worldFallback,
+        note: 'Partner WLD = all partners. Reporter WLD rows are world exports/imports by product group.'
+          + (worldFallback ? ' Fallback rows (source_id fallback:approx): approximate published values for the 17 product groups of the India–China fallback, rounded to US$0.1bn or coarser; no world imports.' : ''),
+      },
+      data: worldRows,
+    };
+
+    await writeFile(
+      path.join(OUT_DIR, 'trade_composition_world.json'),
+      JSON.stringify(worldFile, null, 2),
+    );
+    console.log(`  Wrote trade_composition_world.json (${worldRows.length} records)`);
+  }
+
+  // 5. Mirror side (optional)
+  if (process.argv.includes('--mirror')) {
+    console.log('\n=== Fetching partner-reported (mirror) flows ===');
+    const totalYears = Array.from({ length: 24 }, (_, i) => 2000 + i);
+    const groupYears = [2019, 2020, 2021, 2022, 2023];
+    const mirrorRows = [];
+    let mirrorFallback = false;
+    for (const { reporter, partner } of pairs) {
+      if (getCountry(reporter)?.aggregate || getCountry(partner)?.aggregate) continue;
+      let totals = await fetchTotalsFromWITS(totalYears, partner, reporter);
+      if (totals.length === 0 && reporter === 'IND' && partner === 'CHN') {
+        console.warn('  WITS API unavailable, using fallback data for totals');
+        totals = getMirrorFallback();
+        mirrorFallback = true;
+      }
+      mirrorRows.push(...totals);
+      try {
+        mirrorRows.push(...await fetchCompositionFromWITS(groupYears, partner, reporter));
+      } catch {
+        console.warn(`  WITS composition unavailable for ${partner}-${reporter}; totals only`);
+      }
+    }
+
+    const mirrorFile = {
+      _meta: {
+        description: 'Partner-reported side of each pair (partner as reporter): annual totals and product groups. Source: WITS TradeStats.',
+        pairs: pairs.map(p => `${p.partner}-${p.reporter}`),
+        coverage: `totals ${totalYears[0]}-${totalYears[totalYears.length - 1]}`
+          + (mirrorRows.some(r => r.product_level === 'GROUP') ? `; product groups ${groupYears[0]}-${groupYears[groupYears.length - 1]}` : ''),
+        retrieval_ts: NOW,
+        source_url: `${WITS_BASE}/datasource/tradestats-trade/reporter/{PARTNER}/year/{YEAR}/partner/{REPORTER}/product/all/indicator/XPRT-TRD-VL;MPRT-TRD-VL?format=JSON`,
+        record_count: mirrorRows.length,
+        fallback: mirrorFallback,
+        note: 'Rows have reporter and partner swapped relative to the pair; compared with the pair\'s own reports on the Mirror page.'
+          + (mirrorFallback ? ' Fallback rows (source_id fallback:approx): published China-reported totals rounded to US$0.01bn; no product groups.' : ''),
+      },
+      data: mirrorRows,
+    };
+
+    await writeFile(
+      path.join(OUT_DIR, 'trade_mirror.json'),
+      JSON.stringify(mirrorFile, null, 2),
+    );
+    console.log(`  Wrote trade_mirror.json (${mirrorRows.length} records)`);
+  }
+
+  // 6. Gravity sample (optional)
+  if (process.argv.includes('--gravity')) {
+    console.log('\n=== Fetching gravity sample ===');
+    const yearIdx = process.argv.indexOf('--gravity-year');
+    const year = yearIdx >= 0 ? Number(process.argv[yearIdx + 1]) : 2022;
+    let gravityRows = [];
+    try {
+      gravityRows = await fetchGravitySample(year);
+    } catch (err) {
+      console.warn(`  World Bank GDP unavailable: ${err.message}`);
+    }
+    const gravityFallback = gravityRows.length === 0;
+    if (gravityFallback) {
+      console.warn('  WITS/World Bank unavailable, using fallback data');
+      gravityRows = getGravityFallback(year);
+    }
+
+    const gravityFile = {
+      _meta: {
+        description: 'Gravity-model cross-section: total exports between registry countries with reporter and partner GDP (current USD). Sources: WITS TradeStats and World Bank NY.GDP.MKTP.CD.',
+        reporters: [...new Set(gravityRows.map(r => r.reporter_iso3))],
+        coverage: String(year),
+        retrieval_ts: NOW,
+        source_url: `${WITS_BASE}/datasource/tradestats-trade/reporter/{REPORTER}/year/{YEAR}/partner/all/product/Total/indicator/XPRT-TRD-VL?format=JSON`,
+        record_count: gravityRows.length,
+        fallback: gravityFallback,
+        note: 'Exports from the reporter perspective; partners limited to registry countries. GDP is World Bank current USD for the same year.'
+          + (gravityFallback ? ' Fallback sample (source_id fallback:approx): approximate published values for ten registry countries, rounded to US$0.1bn (exports) and US$1bn (GDP); small flows such as those of ARE and JPN–BRA are rough estimates.' : ''),
+      },
+      data: gravityRows,
+    };
+
+    await writeFile(
+      path.join(OUT_DIR, 'gravity_sample.json'),
+      JSON.stringify(gravityFile, null, 2),
+    );
+    console.log(`  Wrote gravity_sample.json (${gravityRows.length} records)`);
+  }
+
+  // 7. IMF DOTS fixtures (optional)
+  if (process.argv.includes('--imf-fixtures')) {
+    console.log('\n=== Recording IMF DOTS fixtures ===');
+    await mkdir(IMF_FIXTURE_DIR, { recursive: true });
+    const endYear = new Date().getFullYear();
+    const startYear = endYear - 6;
+    const imf = iso3 => getCountry(iso3)?.imf || iso3;
+    for (const { reporter, partner } of pairs) {
+      const url = `${IMF_BASE}/CompactData/DOT/A+Q+M.${imf(reporter)}.TXG_FOB_USD+TMG_CIF_USD.${imf(partner)}?startPeriod=${startYear}&endPeriod=${endYear}`;
+      console.log(`  Fetching ${reporter}-${partner}...`);
+      try {
+        const response = await fetchJSON(url, 60000);
+        const fixture = {
+          _meta: {
+            description: `IMF DOTS, ${reporter}-${partner} (${reporter} reporting): goods exports FOB and imports CIF, annual, quarterly and monthly ${startYear}-${endYear}.`,
+            request_url: url,
+            format: response.CompactData ? 'compact' : 'sdmx-json',
+            recorded: true,
+            recorded_ts: NOW,
+            note: 'Recorded response, unmodified.',
+          },
+          response,
+        };
+        const file = `dots_${reporter}_${partner}.json`;
+        await writeFile(path.join(IMF_FIXTURE_DIR, file), JSON.stringify(fixture, null, 2));
+        console.log(`  Wrote ${file}`);
+      } catch (err) {
+        console.warn(`  IMF unavailable for ${reporter}-${partner}: ${err.message}`);
+      }
+    }
+  }
+
   console.log('\nDone.');
 }
 
@@ -0,0 +1,139 @@
+// sw.js
+/**
+ * Service worker for offline mode.
+ * Precaches the app shell, ES modules, ECharts and the processed snapshots so
+ * a reload without network still renders the dashboard from snapshot data.
+ *
+ * Registered as sw.js?v=<schema_version> — a schema bump changes the script URL,
+ * which installs a fresh cache and drops the old one on activate.
+ *
+ * Strategy:
+ *  - same-origin: network first, falling back to cache (keeps code fresh online)
+ *  - ECharts CDN: cache first (versioned URL)
+ *  - API hosts: not intercepted (handled by the IndexedDB response cache)
+ */
+
+const CACHE_PREFIX = 'trade-dashboard';
+const VERSION = new URL(self.location.href).searchParams.get('v') || '0';
+const CACHE_NAME = `${CACHE_PREFIX}-v${VERSION}`;
+
+const ECHARTS_URL = 'https://cdn.jsdelivr.net/npm/echarts@5.5.0/dist/echarts.min.js';
+
+const APP_SHELL = [
+  './',
+  './index.html',
+  './assets/styles.css',
+  './assets/app.js',
+  './assets/router.js',
+  './assets/state.js',
+  './assets/ui.js',
+  './assets/charts.js',
+  './assets/config/endpoints.js',
+  './assets/config/featureFlags.js',
+  './assets/config/countries.js',
+  './assets/config/hsSections.js',
+  './assets/services/cache.js',
+  './assets/services/comtrade.js',
+  './assets/services/errors.js',
+  './assets/services/events.js',
+  './assets/services/exporters.js',
+  './assets/services/fetchers.js',
+  './assets/services/fx.js',
+  './assets/services/gravity.js',
+  './assets/services/imf.js',
+  './assets/services/modeling.js',
+  './assets/services/scenarios.js',
+  './assets/services/sdmx.js',
+  './assets/services/sources/comtrade.js',
+  './assets/services/sources/frankfurter.js',
+  './assets/services/sources/imf.js',
+  './assets/services/sources/registry.js',
+  './assets/services/sources/wits.js',
+  './assets/services/sources/worldbank.js',
+  './assets/services/telemetry.js',
+  './assets/services/transformers.js',
+  './assets/services/units.js',
+  './assets/services/urlState.js',
+  './assets/services/validators.js',
+  './assets/services/wits.js',
+  './assets/services/witsMetadata.js',
+  './assets/services/worldbank.js',
+  './assets/services/workspaces.js',
+  './assets/workers/etl.worker.js',
+  './assets/workers/model.worker.js',
+];
+
+const SNAPSHOTS = [
+  './assets/data/schema_version.json',
+  './assets/data/data_catalog.json',
+  './assets/data/processed/trade_annual.json',
+  './assets/data/processed/trade_monthly.json',
+  './assets/data/processed/trade_composition.json',
+  './assets/data/processed/trade_composition_world.json',
+  './assets/data/processed/trade_mirror.json',
+  './assets/data/processed/macro_gdp.json',
+  './assets/data/processed/fx_series.json',
+  './assets/data/processed/tariff_indicators.json',
+  './assets/data/processed/gravity_sample.json',
+  './assets/data/gravity_covariates.json',
+  './assets/data/events.json',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll([...APP_SHELL, ...SNAPSHOTS]);
+    // Cross-origin script without CORS headers: store the opaque response
+    try {
+      const resp = await fetch(new Request(ECHARTS_URL, { mode: 'no-cors' }));
+      await cache.put(ECHARTS_URL, resp);
+    } catch { /* offline during install — charts load from network next time */ }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME)
+      .map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+
+  const url = new URL(req.url);
+  if (url.href === ECHARTS_URL) {
+    event.respondWith(cacheFirst(req));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(req));
+  }
+});
+
+async function cacheFirst(req) {
+  const cache = await caches.open(CACHE_NAME);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const resp = await fetch(req);
+  cache.put(req, resp.clone());
+  return resp;
+}
+
+async function networkFirst(req) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const resp = await fetch(req);
+    if (resp.ok) cache.put(req, resp.clone());
+    return resp;
+  } catch (err) {
+    // Hash routes all resolve to index.html
+    const hit = await cache.match(req, { ignoreSearch: true })
+      || (req.mode === 'navigate' ? await cache.match('./index.html') : undefined);
+    if (hit) return hit;
+    throw err;
+  }
+}